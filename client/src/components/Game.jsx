@@ -1,38 +1,102 @@
-import React, { useEffect, useMemo, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import io from 'socket.io-client';
 import './Game.css';
 import { sanitizeUsernameInput, validateUsername, USERNAME_RULES } from '../utils/username';
-import sharkIcon from '../assets/shark.svg';
-import crabIcon from '../assets/crab.svg';
-import jellyfishIcon from '../assets/jellyfish.svg';
-import turtleIcon from '../assets/turtle.svg';
-import tridentIcon from '../assets/trident.svg';
-import coralWallIcon from '../assets/coral_wall.svg';
-import barracudaIcon from '../assets/barracuda.svg';
-import orcaIcon from '../assets/orca.svg';
-import narwhalIcon from '../assets/narwhal.svg';
-import seaUrchinIcon from '../assets/sea_urchin.svg';
-import minoIcon from '../assets/mino.svg';
-import leviathanIcon from '../assets/leviathan.svg';
-import mountainXWithBridgesSvg from '../assets/mountain_x_with_bridges.svg';
+import { findDeckProblem, canAddToDeck, loadSavedDecks, storeSavedDecks } from '../utils/deck';
+import { getFeature, getStepCost, drawFeature } from '../utils/terrain';
+import { FORMATIONS, MAX_GROUP_SIZE, getFormationCells } from '../utils/formations';
+import MapEditor from './MapEditor';
 import bridgeSvg from '../assets/bridge.svg';
 
-const CARD_ICONS = {
-    shark: sharkIcon,
-    crab: crabIcon,
-    jellyfish: jellyfishIcon,
-    turtle: turtleIcon,
-    trident: tridentIcon,
-    coral_wall: coralWallIcon,
-    barracuda: barracudaIcon,
-    orca: orcaIcon,
-    narwhal: narwhalIcon,
-    sea_urchin: seaUrchinIcon,
-    mino: minoIcon,
-    leviathan: leviathanIcon,
-    turret: null // Will use fallback rendering
+// Every SVG in assets by file name; the server's card catalog names each card's icon
+const ASSET_URLS = Object.fromEntries(
+    Object.entries(import.meta.glob('../assets/*.svg', { eager: true, import: 'default' }))
+        .map(([file, url]) => [file.split('/').pop(), url])
+);
+
+// card id -> icon url for the cards in a catalog (cards without a known icon use fallback rendering)
+function getCardIcons(catalog) {
+    const icons = {};
+    (catalog?.cards || []).forEach(card => {
+        if (ASSET_URLS[card.icon]) icons[card.id] = ASSET_URLS[card.icon];
+    });
+    return icons;
+}
+
+// Flash colors and labels for the troops and bases a spell touched
+const SPELL_HIT_COLORS = {
+    damage: '#FF6B35',
+    heal: '#66BB6A',
+    freeze: '#B3E5FC',
+    shield: '#4FC3F7'
+};
+
+function spellHitLabel(event) {
+    if (event.effect === 'damage') return `-${event.amount}`;
+    if (event.effect === 'heal') return `+${event.amount}`;
+    if (event.effect === 'freeze') return `❄ ${event.amount}`;
+    return `🛡 ${event.amount}`;
+}
+
+// Status effects on troops (server engine/effects.js): badge icon and hit-flash color
+const STATUS_EFFECT_STYLES = {
+    slow: { icon: '🐌', color: '#B0BEC5' },
+    freeze: { icon: '❄', color: '#B3E5FC' },
+    stun: { icon: '💫', color: '#FFEE58' },
+    poison: { icon: '☠', color: '#AB47BC' },
+    armor: { icon: '🛡', color: '#90A4AE' },
+    thorns: { icon: '🌵', color: '#8D6E63' }
 };
 
+// A troop card's signature abilities, for tooltips and the deck builder
+function describeAbilities(card) {
+    const parts = [];
+    (card.traits || []).forEach(trait => {
+        if (trait.effect === 'armor') parts.push(`Armor: takes ${trait.amount}% less damage`);
+        else if (trait.effect === 'thorns') parts.push(`Thorns: melee attackers take ${trait.amount}% back`);
+        else parts.push(trait.effect);
+    });
+    (card.onHit || []).forEach(hit => {
+        if (hit.effect === 'poison') parts.push(`Poisons on hit: ${hit.amount}/turn for ${hit.turns} turns`);
+        else parts.push(`${hit.effect[0].toUpperCase()}${hit.effect.slice(1)}s on hit for ${hit.turns} turns`);
+    });
+    return parts.join(' · ');
+}
+
+// What a spell card does, for tooltips and the deck builder
+function describeSpell(spell) {
+    if (!spell) return '';
+    const area = spell.radius > 0 ? ` in a ${spell.radius}-cell radius` : '';
+    if (spell.effect === 'damage') return `Deals ${spell.amount} damage to enemy troops${area}`;
+    if (spell.effect === 'heal') return `Heals your troops by ${spell.amount}${area}`;
+    if (spell.effect === 'freeze') return `Freezes enemy troops${area} for ${spell.turns} moves`;
+    return `Shields your base for ${spell.amount} HP over ${spell.turns} turns`;
+}
+
+// Standing orders for troops in manual movement mode (server engine/waypoints.js)
+const TROOP_ORDER_ICONS = { hold: '✋', guard: '🛡', retreat: '🏠' };
+
+function describeTroopOrder(order) {
+    if (order.type === 'waypoint') return `Waypoint (${order.gridX}, ${order.gridY})`;
+    if (order.type === 'guard') return `Guard the ${order.bridge} bridge`;
+    if (order.type === 'retreat') return 'Retreat to base';
+    return 'Hold position';
+}
+
+// The cell an order walks its troop to, or null for a hold
+function getTroopOrderDestination(order, troop, state) {
+    if (order.type === 'waypoint') return { x: order.gridX, y: order.gridY };
+    if (order.type === 'guard') {
+        const bridge = (state.terrain?.bridges || []).find(b => b.name === order.bridge);
+        return bridge ? { x: bridge.x, y: bridge.y } : null;
+    }
+    if (order.type === 'retreat') {
+        const base = state.players[troop.ownerId];
+        return base ? { x: base.gridX, y: base.gridY } : null;
+    }
+    return null;
+}
+
 // Connect to the server
 // In production (Docker), use relative path which is proxied by Nginx to the server
 // In development, connect directly to port 3001
@@ -40,9 +104,34 @@ const SOCKET_URL = import.meta.env.PROD ? '/' : `http://${window.location.hostna
 
 const socket = io(SOCKET_URL);
 
-const GRID_SIZE = 40;
+// The server hands out an account token when a player registers their name; it is the only credential
+const ACCOUNT_TOKEN_KEY = 'oceanic.accountToken';
+
+const getAccountToken = () => {
+    try {
+        return window.localStorage.getItem(ACCOUNT_TOKEN_KEY);
+    } catch {
+        return null;
+    }
+};
+
+const setAccountToken = (token) => {
+    try {
+        if (token) {
+            window.localStorage.setItem(ACCOUNT_TOKEN_KEY, token);
+        } else {
+            window.localStorage.removeItem(ACCOUNT_TOKEN_KEY);
+        }
+    } catch {
+        // Storage unavailable (private mode): the account lasts for this page only
+    }
+};
+
+const GRID_SIZE = 40; // until the game's map (terrain.gridSize) is known
 const CELL_SIZE = 50;
-const MAP_SIZE = GRID_SIZE * CELL_SIZE; // 1000x1000
+
+// Teams are numbered per seat by the server; players see letters
+const teamLabel = (team) => `Team ${String.fromCharCode(65 + team)}`;
 
 function computeTroopStackLayout(troops) {
     const byCell = new Map(); // key -> troop[]
@@ -90,6 +179,96 @@ function computeTroopStackLayout(troops) {
     return { offsetById, cellInfo };
 }
 
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+
+const ROUND_RESOLVE_MS = 1600; // how long a resolved simultaneous round animates
+
+// One line for the replay HUD describing the action that produced a frame
+function describeReplayAction(action, players) {
+    if (!action) return 'Match start';
+    const name = players?.[action.playerId]?.username || 'A player';
+    switch (action.type) {
+        case 'deployCard':
+            return `${name} deployed ${String(action.cardId).replace(/_/g, ' ')}`;
+        case 'moveTroop':
+            return `${name} moved a troop to (${action.targetGridX}, ${action.targetGridY})`;
+        case 'moveTroops':
+            return `${name} moved ${action.troopIds?.length || 0} troops in a ${action.formation || 'line'} to (${action.targetGridX}, ${action.targetGridY})`;
+        case 'setTarget':
+            return `${name} retargeted a troop`;
+        case 'setTroopOrders':
+            return action.orders?.length
+                ? `${name} gave a troop ${action.orders.length} ${action.orders.length === 1 ? 'order' : 'orders'}`
+                : `${name} cleared a troop's orders`;
+        case 'endTurn':
+            return `${name} ended the turn`;
+        case 'submitOrders':
+            return `${name} submitted ${action.orders?.length || 0} orders`;
+        case 'lockInRound':
+            return 'The round timer ran out';
+        case 'leave':
+            return 'A player left the match';
+        case 'rejoin':
+            return `${name} rejoined`;
+        default:
+            return action.type;
+    }
+}
+
+// What to tell the player when the server refuses a command, by error code.
+// context describes the click: { cardName, troopName }. Codes without an
+// entry fall back to the server's own message.
+const COMMAND_ERROR_MESSAGES = {
+    NOT_YOUR_TURN: () => 'Wait for your turn',
+    ORDERS_LOCKED: () => 'Your orders for this round are already in',
+    NOT_ENOUGH_ELIXIR: ({ cardName }) => `Not enough elixir for ${cardName || 'that card'}`,
+    DEFENSE_LIMIT: () => 'You already have the maximum number of defenses',
+    INVALID_POSITION: ({ cardName, troopName }) => `${cardName || troopName || 'That unit'} can't go there`,
+    INVALID_TARGET: () => 'That base can\'t be targeted',
+    OUT_OF_RANGE: ({ troopName }) => `${troopName || 'That troop'} can't move that far`,
+    ALREADY_MOVED: ({ troopName }) => `${troopName || 'This troop'} has already moved this turn`,
+    TROOP_IMMOBILE: () => 'Walls cannot be moved',
+    TROOP_NOT_FOUND: ({ troopName }) => `${troopName || 'That troop'} is gone`,
+    NOT_ROOM_LEADER: () => 'Only the room leader can change that',
+    RATE_LIMITED: () => 'Too many requests. Please slow down.'
+};
+
+// Rebuild the full state from the previous one and a server gameStatePatch.
+// Troops keep their order: removed ones drop out, new ones go on the end.
+function applyStatePatch(state, patch) {
+    const next = { ...state, ...(patch.set || {}), version: patch.version };
+    (patch.unset || []).forEach(key => {
+        delete next[key];
+    });
+
+    if (patch.players) {
+        next.players = { ...state.players };
+        Object.entries(patch.players).forEach(([playerId, player]) => {
+            if (player === null) {
+                delete next.players[playerId];
+            } else {
+                next.players[playerId] = player;
+            }
+        });
+    }
+
+    if (patch.troops) {
+        const removed = new Set(patch.troops.remove);
+        const updates = new Map(patch.troops.upsert.map(troop => [troop.id, troop]));
+        next.troops = (state.troops || [])
+            .filter(troop => !removed.has(troop.id))
+            .map(troop => {
+                const updated = updates.get(troop.id);
+                if (!updated) return troop;
+                updates.delete(troop.id);
+                return updated;
+            });
+        next.troops.push(...updates.values());
+    }
+
+    return next;
+}
+
 // Helper function to darken a hex color
 const darkenColor = (color, factor) => {
     // Validate hex color
@@ -124,27 +303,54 @@ const Game = () => {
     const [selectedCard, setSelectedCard] = useState(null);
     const [joined, setJoined] = useState(false);
     const [gameId, setGameId] = useState('room1');
-    const [endState, setEndState] = useState(null); // { outcome: 'win' | 'lose', winnerId?: string }
+    const [endState, setEndState] = useState(null); // { outcome: 'win' | 'lose' | 'spectator', winnerId?, winnerName?, winningTeam? }
     const [username, setUsername] = useState('');
     const [movementMode] = useState('automatic');
     const [showLobby, setShowLobby] = useState(true);
-    const [currentTab, setCurrentTab] = useState('lobby'); // 'lobby' or 'training'
+    const [currentTab, setCurrentTab] = useState('lobby'); // 'lobby', 'leaderboard', 'training', 'replays' or 'maps'
+    const [account, setAccount] = useState(null); // { username, rating, games, wins, losses, cardUsage, history }
+    const [leaderboard, setLeaderboard] = useState([]);
     const [selectedRoom, setSelectedRoom] = useState('room1');
-    const [roomStatusById, setRoomStatusById] = useState({});
+    const [roomList, setRoomList] = useState([]); // public rooms from the server's roomList
+    const [cardCatalog, setCardCatalog] = useState(null); // { version, legendaryChance, cards } from the server
+    const [mapList, setMapList] = useState([]); // { id, name, description, gridSize, seats } from the server
+    const [rulePresets, setRulePresets] = useState({ presets: [], limits: {} }); // rule set presets and each rule's { min, max, label }
+    const cardIcons = useMemo(() => getCardIcons(cardCatalog), [cardCatalog]);
+    const [deck, setDeck] = useState([]); // card ids in the deck builder
+    const [useDeck, setUseDeck] = useState(false); // join with this deck instead of random draws
+    const [deckName, setDeckName] = useState('');
+    const [savedDecks, setSavedDecks] = useState(loadSavedDecks); // { [name]: cardIds }
+    const deckProblem = useMemo(() => findDeckProblem(deck, cardCatalog), [deck, cardCatalog]);
+    const [roomPassword, setRoomPassword] = useState('');
+    const [inviteCodeInput, setInviteCodeInput] = useState('');
+    const [showCreateRoom, setShowCreateRoom] = useState(false);
+    const [newRoom, setNewRoom] = useState({ name: '', visibility: 'public', password: '' });
     const [joinPending, setJoinPending] = useState(false);
     const joinPendingRef = useRef(false);
+    const [spectating, setSpectating] = useState(false);
+    const spectatingRef = useRef(false);
+    const lastSpectateInfoRef = useRef(null); // { gameId, inviteCode, password } to watch again after a reconnect
     const pendingJoinGameIdRef = useRef(null);
 
     const troopIconImagesRef = useRef({});
-    const mountainXRef = useRef(null);
+    const backgroundImagesRef = useRef({}); // map background SVGs by file name
     const bridgeImageRef = useRef(null);
     const troopAnimationsRef = useRef({}); // Store animation data for each troop
+    const lastSeenTroopsRef = useRef({}); // fog of war: enemy troops by id, as last seen
     const [hoveredTroop, setHoveredTroop] = useState(null);
     const [placementMode, setPlacementMode] = useState(false);
     const [hoveredCell, setHoveredCell] = useState(null);
     const [targetSelectionMode, setTargetSelectionMode] = useState(false);
     const [pendingOffensiveCard, setPendingOffensiveCard] = useState(null);
-    const [_selectedTroop, setSelectedTroop] = useState(null);
+    const [selectedTroopIds, setSelectedTroopIds] = useState([]); // manual movement: troops picked by click or box
+    const [selectionBox, setSelectionBox] = useState(null); // { startX, startY, x, y } in map pixels while box-selecting
+    const [controlGroups, setControlGroups] = useState({}); // digit -> troop ids (Shift+digit saves, digit recalls)
+    const [formation, setFormation] = useState('line');
+    const [draggingGroup, setDraggingGroup] = useState(false); // draggingTroop leads the whole selection
+    const suppressClickRef = useRef(false); // the click that ends a box select isn't a deselect
+    const [forecast, setForecast] = useState(null); // server previewTurn result shown as a ghost overlay
+    const forecastRequestRef = useRef({ key: null, timer: null });
+    const forecastInFlightRef = useRef({ busy: false, next: null }); // one previewTurn at a time; `next` waits its turn
     const [possibleMoves, setPossibleMoves] = useState([]);
     const [draggingTroop, setDraggingTroop] = useState(null);
     const [dragOffset, setDragOffset] = useState({ x: 0, y: 0 });
@@ -157,8 +363,17 @@ const Game = () => {
     const [hoveredCard, setHoveredCard] = useState(null);
     const [hoveredCardPosition, setHoveredCardPosition] = useState({ x: 0, y: 0 });
     const [projectiles, setProjectiles] = useState([]);
+    const [spellEffects, setSpellEffects] = useState([]); // { id, effect, x, y, radius, color, startTime, duration }
+    const [plannedOrders, setPlannedOrders] = useState([]); // simultaneous rounds: this round's orders, plus what the UI shows of each
+    const [roundResolution, setRoundResolution] = useState(null); // { round, steps, startTime } of the round that just resolved
     const turretAimRef = useRef({}); // { [turretId]: { angle, time } }
     const [showAIStats, setShowAIStats] = useState(false);
+    const [seedInput, setSeedInput] = useState('');
+    const [replayList, setReplayList] = useState([]);
+    const [replay, setReplay] = useState(null); // replayData being watched: { terrain, frames, combatEvents, ... }
+    const [replayFrame, setReplayFrame] = useState(0);
+    const [replayPlaying, setReplayPlaying] = useState(false);
+    const [replaySpeed, setReplaySpeed] = useState(1);
     const [aiStatsData, setAiStatsData] = useState(null);
     const aiStatsCloseBtnRef = useRef(null);
     const lastFocusedElRef = useRef(null);
@@ -168,6 +383,17 @@ const Game = () => {
         return computeTroopStackLayout(gameState?.troops || []);
     }, [gameState?.troops]);
 
+    // Defensive units go on the player's own territory: the map tiles marked with their seat
+    const isInPlayerTerritory = useCallback((gridX, gridY, player) => {
+        const row = gameState?.terrain?.tiles?.[gridY];
+        return !!row && player.slot !== undefined && row[gridX] === String(player.slot);
+    }, [gameState?.terrain]);
+
+    // Defensive units go in your own territory, but not in deep water
+    const canPlaceDefense = useCallback((gridX, gridY, player) =>
+        isInPlayerTerritory(gridX, gridY, player) && getFeature(gameState?.terrain, gridX, gridY) !== 'd',
+    [isInPlayerTerritory, gameState?.terrain]);
+
     // ML Training Mode state
     const [trainingStatus, setTrainingStatus] = useState(null);
     const [trainingGames, setTrainingGames] = useState(100);
@@ -175,14 +401,53 @@ const Game = () => {
     // Track join/reconnect metadata
     const hasJoinedRef = useRef(false);
     const shouldAttemptRejoinRef = useRef(false);
-    const lastJoinInfoRef = useRef(null); // { gameId, username, movementMode }
+    const lastJoinInfoRef = useRef(null); // { gameId, username, movementMode, password, inviteCode }
 
-    // Preload terrain SVG image(s)
+    // Board size of the game's map
+    const gridSize = gameState?.terrain?.gridSize || GRID_SIZE;
+    const mapSize = gridSize * CELL_SIZE;
+
+    // Team mode: the team a player's seat plays for (null in free-for-all)
+    const getPlayerTeam = useCallback(
+        (player) => (gameState?.teamMode && player ? gameState.seatTeams?.[player.slot] ?? null : null),
+        [gameState?.teamMode, gameState?.seatTeams]
+    );
+    const isTeammate = useCallback(
+        (player) => !!myPlayer && !!player && player.id !== myPlayer.id &&
+            getPlayerTeam(player) !== null && getPlayerTeam(player) === getPlayerTeam(myPlayer),
+        [myPlayer, getPlayerTeam]
+    );
+
+    // Simultaneous rounds: everyone plans at once and sends their orders in one go;
+    // until then a card or a move only adds to plannedOrders
+    const isSimultaneous = gameState?.gameMode === 'simultaneous';
+    const ordersSubmitted = !!gameState?.round?.submitted?.includes(socket.id);
+    const canAct = isSimultaneous ? !!gameState?.round && !ordersSubmitted : gameState?.currentTurn === socket.id;
+    const plannedCost = plannedOrders.reduce((sum, order) => sum + (order.cost || 0), 0);
+    const availableElixir = (myPlayer?.elixir || 0) - (isSimultaneous ? plannedCost : 0);
+    const plannedHandIndexes = new Set(plannedOrders.filter(o => o.type === 'deployCard').map(o => o.handIndex));
+
+    // Manual movement: the selected troops still on the board. One on its own
+    // takes standing orders (waypoints, hold, guard, retreat) at any time;
+    // several move together in a formation
+    const isManual = gameState?.movementMode === 'manual';
+    const selectedTroops = useMemo(() => (isManual
+        ? (gameState.troops || []).filter(t => t.ownerId === socket.id && selectedTroopIds.includes(t.id))
+        : []), [isManual, gameState?.troops, selectedTroopIds]);
+    const selectedTroop = selectedTroops.length === 1 ? selectedTroops[0] : null;
+
+    // Load the map's background SVG the first time a game on that map is shown
+    const mapBackground = gameState?.terrain?.background || null;
     useEffect(() => {
-        const mxImg = new Image();
-        mxImg.src = mountainXWithBridgesSvg;
-        mountainXRef.current = mxImg;
+        if (!mapBackground || backgroundImagesRef.current[mapBackground] || !ASSET_URLS[mapBackground]) return;
+        const img = new Image();
+        img.onload = () => setRenderTick(tick => tick + 1);
+        img.src = ASSET_URLS[mapBackground];
+        backgroundImagesRef.current[mapBackground] = img;
+    }, [mapBackground]);
 
+    // Preload terrain SVG image(s)
+    useEffect(() => {
         const bridgeImg = new Image();
         bridgeImg.src = bridgeSvg;
         bridgeImageRef.current = bridgeImg;
@@ -200,6 +465,28 @@ const Game = () => {
         }, 4000);
     };
 
+    // Send a room or game command. A refusal comes back on the acknowledgement as
+    // { code, message, action }; in-game refusals show next to the board, the rest as toasts.
+    const sendCommand = (type, payload, context = {}) => {
+        socket.emit(type, payload, (result) => {
+            if (!result || result.ok) return;
+
+            const { code, message } = result.error || {};
+            // context.serverMessage: the server's own wording says more (a group
+            // move names the troop that can't go)
+            const describe = context.serverMessage && message ? null : COMMAND_ERROR_MESSAGES[code];
+            const text = describe ? describe(context) : (message || 'Action failed');
+            console.warn(`Command ${type} refused: ${code}`, result.error);
+
+            if (type === 'updateRoomSettings' || type === 'forceStart') {
+                showToast(text, 'error');
+            } else {
+                setMoveNotification({ message: text, type: 'warning' });
+                setTimeout(() => setMoveNotification(null), 2500);
+            }
+        });
+    };
+
     // Cleanup function for toasts
     useEffect(() => {
         return () => {
@@ -209,6 +496,37 @@ const Game = () => {
         };
     }, []);
 
+    // Control groups: Shift+1-9 saves the selection under a digit, 1-9 selects
+    // it again and Escape clears the selection
+    useEffect(() => {
+        if (!isManual) return;
+        const onKeyDown = (e) => {
+            if (e.target instanceof HTMLElement && e.target.closest('input, textarea, select')) return;
+            if (e.key === 'Escape') {
+                setSelectedTroopIds([]);
+                return;
+            }
+            const digit = /^Digit([1-9])$/.exec(e.code)?.[1];
+            if (!digit || e.ctrlKey || e.metaKey || e.altKey) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                if (selectedTroopIds.length > 0) setControlGroups(prev => ({ ...prev, [digit]: selectedTroopIds }));
+            } else if (controlGroups[digit]) {
+                setSelectedTroopIds(controlGroups[digit]);
+            }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, [isManual, selectedTroopIds, controlGroups]);
+
+    // A forecast is only good for the state it was made from
+    const stateVersion = gameState?.version;
+    useEffect(() => {
+        clearTimeout(forecastRequestRef.current.timer);
+        forecastRequestRef.current = { key: null, timer: null };
+        setForecast(null);
+    }, [stateVersion]);
+
     // AI Stats modal focus + escape handling
     useEffect(() => {
         if (!showAIStats) return;
@@ -246,24 +564,48 @@ const Game = () => {
         joinPendingRef.current = joinPending;
     }, [joinPending]);
 
+    useEffect(() => {
+        spectatingRef.current = spectating;
+    }, [spectating]);
+
     useEffect(() => {
         socket.on('connect', () => {
             console.log('Connected to server');
             setConnectionStatus('connected');
             reconnectAttemptsRef.current = 0;
             showToast('Connected to server', 'success');
+            socket.emit('getCardCatalog');
+            socket.emit('getMaps');
+            socket.emit('getRulePresets');
+
+            const token = getAccountToken();
+            if (token) socket.emit('authenticate', token);
 
             // If we were previously in a game, automatically try to rejoin it
             if (shouldAttemptRejoinRef.current && lastJoinInfoRef.current) {
-                const { gameId: lastGameId, username: lastUsername, movementMode: lastMovementMode } = lastJoinInfoRef.current;
+                const {
+                    gameId: lastGameId,
+                    username: lastUsername,
+                    movementMode: lastMovementMode,
+                    password: lastPassword,
+                    inviteCode: lastInviteCode,
+                    deck: lastDeck
+                } = lastJoinInfoRef.current;
                 console.log('Attempting automatic rejoin:', lastGameId, lastUsername);
                 socket.emit('joinGame', {
                     gameId: lastGameId,
                     username: lastUsername,
-                    movementMode: lastMovementMode || movementMode
+                    movementMode: lastMovementMode || movementMode,
+                    password: lastPassword,
+                    inviteCode: lastInviteCode,
+                    deck: lastDeck,
+                    token: getAccountToken()
                 });
                 shouldAttemptRejoinRef.current = false;
                 showToast(`Rejoining ${lastGameId}...`, 'info');
+            } else if (spectatingRef.current && lastSpectateInfoRef.current) {
+                // Spectators hold no seat, so just start watching again
+                socket.emit('spectateGame', { ...lastSpectateInfoRef.current, token: getAccountToken() });
             }
 
             // Clear any pending reconnection
@@ -281,6 +623,7 @@ const Game = () => {
             // Remember to attempt an automatic rejoin once we connect again
             if (hasJoinedRef.current && gameId && username) {
                 lastJoinInfoRef.current = {
+                    ...lastJoinInfoRef.current,
                     gameId,
                     username: username.trim(),
                     movementMode
@@ -313,9 +656,44 @@ const Game = () => {
             }
         });
 
+        // Last full state from the server, kept here so patches can be applied to it
+        let syncedState = null;
+        let fullStateRequested = false;
+
+        const requestFullState = (roomId) => {
+            if (fullStateRequested) return;
+            fullStateRequested = true;
+            socket.emit('requestFullState', roomId);
+        };
+
         socket.on('gameState', (state) => {
             console.log('Received gameState:', state);
-            console.log('Current socket ID:', socket.id);
+            syncedState = state;
+            fullStateRequested = false;
+            applyGameState(state);
+        });
+
+        socket.on('gameStatePatch', (patch) => {
+            if (!syncedState || syncedState.id !== patch.gameId || syncedState.version !== patch.baseVersion) {
+                // Missed an update (or joined mid-stream): start over from a full snapshot
+                requestFullState(patch.gameId);
+                return;
+            }
+            syncedState = applyStatePatch(syncedState, patch);
+            applyGameState(syncedState);
+        });
+
+        socket.on('turnTimer', ({ gameId: timerGameId, version, currentTurn, turnTimeRemaining }) => {
+            if (!syncedState || syncedState.id !== timerGameId) return;
+            if (syncedState.version !== version) {
+                requestFullState(timerGameId);
+                return;
+            }
+            syncedState = { ...syncedState, currentTurn, turnTimeRemaining };
+            setGameState(prev => (prev && prev.id === timerGameId ? { ...prev, currentTurn, turnTimeRemaining } : prev));
+        });
+
+        function applyGameState(state) {
 
             // Update troop animations when positions change
             if (state.troops) {
@@ -364,25 +742,63 @@ const Game = () => {
             }
 
             // Confirm lobby join only after we actually receive gameState for the room we requested.
-            if (joinPendingRef.current && pendingJoinGameIdRef.current && state?.id === pendingJoinGameIdRef.current) {
+            // Invite-code joins don't know the room id up front, so they match on the code.
+            const pendingJoin = pendingJoinGameIdRef.current;
+            if (joinPendingRef.current && pendingJoin &&
+                (state?.id === pendingJoin || (state?.room?.inviteCode && `invite:${state.room.inviteCode}` === pendingJoin))) {
                 setJoined(true);
                 setShowLobby(false);
                 setJoinPending(false);
+                setGameId(state.id);
                 pendingJoinGameIdRef.current = null;
-                showToast(`Joined ${state.id}`, 'success');
+                if (lastJoinInfoRef.current) {
+                    lastJoinInfoRef.current = { ...lastJoinInfoRef.current, gameId: state.id };
+                }
+                showToast(`Joined ${state.room?.name || state.id}`, 'success');
             }
-        });
+        }
 
         socket.on('playerInfo', (info) => {
             console.log('My info:', info);
         });
 
-        socket.on('gameOver', ({ winner, winnerName, eliminated }) => {
+        socket.on('spectating', ({ gameId: watchedGameId }) => {
+            setSpectating(true);
+            setShowLobby(false);
+            setJoinPending(false);
+            setGameId(watchedGameId);
+            pendingJoinGameIdRef.current = null;
+            if (lastSpectateInfoRef.current) {
+                lastSpectateInfoRef.current = { ...lastSpectateInfoRef.current, gameId: watchedGameId };
+            }
+        });
+
+        // A simultaneous round locked in: animate what it played and start planning afresh
+        socket.on('roundResolved', ({ round, steps }) => {
+            setPlannedOrders([]);
+            setRoundResolution({ round, steps, startTime: Date.now() });
+            setTimeout(() => {
+                setRoundResolution(prev => (prev && prev.round === round ? null : prev));
+            }, ROUND_RESOLVE_MS);
+            steps.filter(step => step.type === 'orderSkipped' && step.playerId === socket.id).forEach(step => {
+                showToast(`Round ${round}: an order was skipped (${step.reason})`, 'warning');
+            });
+        });
+
+        // winners: everyone sharing the win (a whole team in team mode, even members knocked out earlier)
+        socket.on('gameOver', ({ winner, winnerName, winners, winningTeam, eliminated }) => {
             setGameState(prev => prev ? { ...prev, status: 'ended' } : prev);
+            setPlannedOrders([]);
+            const winnerIds = Array.isArray(winners) ? winners : (winner ? [winner] : []);
+            const team = typeof winningTeam === 'number' ? winningTeam : null;
 
-            if (winner) {
-                const outcome = winner === socket.id ? 'win' : 'lose';
-                setEndState({ outcome, winnerId: winner, winnerName: winnerName || null });
+            if (spectatingRef.current) {
+                if (winner) {
+                    setEndState({ outcome: 'spectator', winnerId: winner, winnerName: winnerName || null, winningTeam: team });
+                }
+            } else if (winner) {
+                const outcome = winnerIds.includes(socket.id) ? 'win' : 'lose';
+                setEndState({ outcome, winnerId: winner, winnerName: winnerName || null, winningTeam: team });
             } else if (eliminated) {
                 if (eliminated === socket.id) {
                     setEndState({ outcome: 'lose', winnerId: null, winnerName: null });
@@ -406,24 +822,35 @@ const Game = () => {
         });
 
         socket.on('roomReset', () => {
-            // Room has been reset, send players back to lobby
+            // Room has been reset, send players (and spectators) back to lobby
             setJoined(false);
+            setSpectating(false);
             setShowLobby(true);
             setGameState(null);
             setMyPlayer(null);
             setEndState(null);
             setSelectedCard(null);
-            setSelectedTroop(null);
+            setSelectedTroopIds([]);
+            setControlGroups({});
             setPossibleMoves([]);
             setProjectiles([]);
         });
 
-        socket.on('roomStatus', (rooms) => {
-            const next = {};
-            (rooms || []).forEach(r => {
-                if (r && r.roomId) next[r.roomId] = r;
-            });
-            setRoomStatusById(next);
+        socket.on('roomList', (rooms) => {
+            setRoomList(Array.isArray(rooms) ? rooms.filter(r => r && r.roomId) : []);
+        });
+
+        // Sent on request and again whenever the server reloads the catalog
+        socket.on('cardCatalog', (catalog) => {
+            if (catalog && Array.isArray(catalog.cards)) setCardCatalog(catalog);
+        });
+
+        socket.on('mapList', (maps) => {
+            setMapList(Array.isArray(maps) ? maps : []);
+        });
+
+        socket.on('rulePresets', (data) => {
+            if (data && Array.isArray(data.presets)) setRulePresets(data);
         });
 
         socket.on('combatEvents', (events) => {
@@ -455,6 +882,58 @@ const Game = () => {
                     setTimeout(() => {
                         setProjectiles(prev => prev.filter(p => p.id !== projectile.id));
                     }, projectile.duration);
+                } else if (event.type === 'statusDamage' || event.type === 'statusApplied') {
+                    // Poison ticks, thorns and freshly applied effects: a small flash on the troop
+                    const style = STATUS_EFFECT_STYLES[event.effect] || {};
+                    const effect = {
+                        id: `status_${Date.now()}_${Math.random()}`,
+                        effect: event.effect,
+                        x: event.x,
+                        y: event.y,
+                        radius: 28,
+                        color: style.color,
+                        label: event.type === 'statusDamage' ? `-${event.amount}` : style.icon,
+                        startTime: Date.now(),
+                        duration: 800
+                    };
+                    setSpellEffects(prev => [...prev, effect]);
+                    setTimeout(() => {
+                        setSpellEffects(prev => prev.filter(e => e.id !== effect.id));
+                    }, effect.duration);
+                } else if (event.type === 'terrain') {
+                    // A healing reef's mend, or a current carrying a troop off
+                    const effect = {
+                        id: `terrain_${Date.now()}_${Math.random()}`,
+                        effect: event.effect,
+                        x: event.x,
+                        y: event.y,
+                        radius: 28,
+                        color: event.effect === 'heal' ? SPELL_HIT_COLORS.heal : '#81D4FA',
+                        label: event.effect === 'heal' ? `+${event.amount}` : '≈',
+                        startTime: Date.now(),
+                        duration: 800
+                    };
+                    setSpellEffects(prev => [...prev, effect]);
+                    setTimeout(() => {
+                        setSpellEffects(prev => prev.filter(e => e.id !== effect.id));
+                    }, effect.duration);
+                } else if (event.type === 'spell' || event.type === 'spellHit') {
+                    // A spell's area burst, or the flash on each troop/base it touched
+                    const effect = {
+                        id: `spell_${Date.now()}_${Math.random()}`,
+                        effect: event.effect,
+                        x: event.x,
+                        y: event.y,
+                        radius: event.type === 'spell' ? event.radius : (event.isBase ? 90 : 32),
+                        color: event.type === 'spell' ? event.color : SPELL_HIT_COLORS[event.effect],
+                        label: event.type === 'spellHit' ? spellHitLabel(event) : null,
+                        startTime: Date.now(),
+                        duration: event.type === 'spell' ? 700 : 900
+                    };
+                    setSpellEffects(prev => [...prev, effect]);
+                    setTimeout(() => {
+                        setSpellEffects(prev => prev.filter(e => e.id !== effect.id));
+                    }, effect.duration);
                 }
             });
         });
@@ -483,20 +962,67 @@ const Game = () => {
             socket.emit('getMLTrainingStatus');
         });
 
+        socket.on('accountInfo', ({ token, ...info }) => {
+            if (token) setAccountToken(token);
+            setAccount(info);
+            setUsername(info.username);
+        });
+
+        socket.on('accountInvalid', () => {
+            setAccountToken(null);
+            setAccount(null);
+        });
+
+        socket.on('leaderboard', (rows) => {
+            setLeaderboard(Array.isArray(rows) ? rows : []);
+        });
+
+        // The socket may have connected before these handlers were attached
+        if (socket.connected && getAccountToken()) {
+            socket.emit('authenticate', getAccountToken());
+        }
+
+        socket.on('replayList', (list) => {
+            setReplayList(Array.isArray(list) ? list : []);
+        });
+
+        socket.on('replayData', (data) => {
+            if (!data || !Array.isArray(data.frames) || data.frames.length === 0) {
+                showToast('Replay could not be loaded', 'error');
+                return;
+            }
+            setReplayFrame(0);
+            setReplayPlaying(true);
+            setReplay(data);
+        });
+
         return () => {
             socket.off('connect');
             socket.off('disconnect');
             socket.off('connect_error');
             socket.off('gameState');
+            socket.off('gameStatePatch');
+            socket.off('turnTimer');
+            socket.off('roundResolved');
             socket.off('playerInfo');
+            socket.off('spectating');
             socket.off('gameOver');
             socket.off('error');
             socket.off('roomReset');
-            socket.off('roomStatus');
+            socket.off('roomList');
+            socket.off('cardCatalog');
+            socket.off('mapList');
+            socket.off('rulePresets');
+            socket.off('roomCreated');
             socket.off('aiStats');
             socket.off('mlTrainingStatus');
             socket.off('trainingStarted');
             socket.off('trainingStopped');
+            socket.off('accountInfo');
+            socket.off('accountInvalid');
+            socket.off('leaderboard');
+            socket.off('replayList');
+            socket.off('replayData');
 
             // Cleanup reconnection timeout
             if (reconnectTimeoutRef.current) {
@@ -511,9 +1037,9 @@ const Game = () => {
     useEffect(() => {
         if (!showLobby || currentTab !== 'lobby') return;
 
-        socket.emit('getRoomStatus');
+        socket.emit('listRooms');
         const interval = setInterval(() => {
-            socket.emit('getRoomStatus');
+            socket.emit('listRooms');
         }, 2000);
 
         return () => clearInterval(interval);
@@ -531,16 +1057,75 @@ const Game = () => {
         }
     }, [showLobby, joined]);
 
-    // Preload troop icon images once
+    // Refresh the leaderboard whenever its tab opens
+    useEffect(() => {
+        if (showLobby && currentTab === 'leaderboard') {
+            socket.emit('getLeaderboard');
+        }
+    }, [showLobby, currentTab]);
+
+    // Fetch saved replays when the Replays tab opens
+    useEffect(() => {
+        if (showLobby && currentTab === 'replays') {
+            socket.emit('listReplays');
+        }
+    }, [showLobby, currentTab]);
+
+    // Replays draw through the regular renderer: the current frame becomes the game state
+    useEffect(() => {
+        if (!replay) return;
+        const frame = replay.frames[replayFrame];
+        if (!frame) return;
+        setGameState({ ...frame, terrain: replay.terrain, movedTroops: [] });
+    }, [replay, replayFrame]);
+
+    // Step through frames while playing; half a second per frame at 1x
+    useEffect(() => {
+        if (!replay || !replayPlaying) return;
+        if (replayFrame >= replay.frames.length - 1) {
+            setReplayPlaying(false);
+            return;
+        }
+        const timeout = setTimeout(() => {
+            setReplayFrame(frame => Math.min(frame + 1, replay.frames.length - 1));
+        }, 500 / replaySpeed);
+        return () => clearTimeout(timeout);
+    }, [replay, replayPlaying, replayFrame, replaySpeed]);
+
+    // Preload troop icon images whenever the card catalog changes
     useEffect(() => {
         const images = {};
-        Object.entries(CARD_ICONS).forEach(([id, src]) => {
+        Object.entries(cardIcons).forEach(([id, src]) => {
             const img = new Image();
             img.src = src;
             images[id] = img;
         });
         troopIconImagesRef.current = images;
-    }, []);
+    }, [cardIcons]);
+
+    // Fog of war: remember where enemy troops were last seen. One that drops out
+    // of sight stays drawn as a ghost until its last cell is back in view.
+    useEffect(() => {
+        const vision = gameState?.vision;
+        const me = gameState?.players?.[socket.id];
+        if (!vision || !me) {
+            lastSeenTroopsRef.current = {};
+            return;
+        }
+
+        const teamOf = (player) => (gameState.teamMode ? gameState.seatTeams?.[player.slot] : undefined);
+        const lastSeen = {};
+        Object.values(lastSeenTroopsRef.current).forEach(ghost => {
+            const owner = gameState.players[ghost.ownerId];
+            if (owner && !owner.eliminated && vision[ghost.gridY]?.[ghost.gridX] === '0') lastSeen[ghost.id] = ghost;
+        });
+        gameState.troops.forEach(t => {
+            const owner = gameState.players[t.ownerId];
+            if (!owner || owner.id === me.id || (gameState.teamMode && teamOf(owner) === teamOf(me))) return;
+            lastSeen[t.id] = { ...t, color: owner.color };
+        });
+        lastSeenTroopsRef.current = lastSeen;
+    }, [gameState]);
 
     useEffect(() => {
         if (!gameState || !canvasRef.current) return;
@@ -570,9 +1155,9 @@ const Game = () => {
         ctx.fillRect(0, 0, width, height);
 
         // Scale to fit map into canvas
-        const scale = Math.min(width / MAP_SIZE, height / MAP_SIZE);
-        const offsetX = (width - MAP_SIZE * scale) / 2;
-        const offsetY = (height - MAP_SIZE * scale) / 2;
+        const scale = Math.min(width / mapSize, height / mapSize);
+        const offsetX = (width - mapSize * scale) / 2;
+        const offsetY = (height - mapSize * scale) / 2;
 
         ctx.save();
         ctx.translate(offsetX, offsetY);
@@ -581,62 +1166,60 @@ const Game = () => {
         // Draw Grid
         ctx.strokeStyle = 'rgba(0, 150, 200, 0.3)';
         ctx.lineWidth = 1;
-        for (let i = 0; i <= GRID_SIZE; i++) {
+        for (let i = 0; i <= gridSize; i++) {
             // Vertical lines
             ctx.beginPath();
             ctx.moveTo(i * CELL_SIZE, 0);
-            ctx.lineTo(i * CELL_SIZE, MAP_SIZE);
+            ctx.lineTo(i * CELL_SIZE, mapSize);
             ctx.stroke();
             // Horizontal lines
             ctx.beginPath();
             ctx.moveTo(0, i * CELL_SIZE);
-            ctx.lineTo(MAP_SIZE, i * CELL_SIZE);
+            ctx.lineTo(mapSize, i * CELL_SIZE);
             ctx.stroke();
         }
 
-        // Draw unified X-shaped Mountain Range with Bridges (single vector)
-        if (mountainXRef.current && mountainXRef.current.complete) {
-            ctx.drawImage(mountainXRef.current, 0, 0, MAP_SIZE, MAP_SIZE);
+        // Draw the map: its background SVG when it has one, otherwise the tiles
+        // (territories tinted in their seat's colour, trench, bridge decks)
+        const terrain = gameState.terrain || {};
+        const backgroundImg = terrain.background && backgroundImagesRef.current[terrain.background];
+        if (backgroundImg && backgroundImg.complete) {
+            ctx.drawImage(backgroundImg, 0, 0, mapSize, mapSize);
         } else {
-            // Fallback if image not loaded - draw simple X pattern
-            ctx.fillStyle = '#4A4A4A';
-            if (gameState.terrain && gameState.terrain.trench) {
-                gameState.terrain.trench.forEach(cell => {
-                    ctx.fillRect(cell.x * CELL_SIZE, cell.y * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+            (terrain.tiles || []).forEach((row, gy) => {
+                [...row].forEach((cell, gx) => {
+                    if (cell === '#') {
+                        ctx.fillStyle = '#4A4A4A';
+                    } else if (terrain.spawns && terrain.spawns[cell]) {
+                        ctx.fillStyle = `${terrain.spawns[cell].color}1A`;
+                    } else {
+                        return;
+                    }
+                    ctx.fillRect(gx * CELL_SIZE, gy * CELL_SIZE, CELL_SIZE, CELL_SIZE);
                 });
-            }
+            });
 
-            // Draw bridge markers for non-central bridges
             ctx.fillStyle = '#8B4513';
-            if (gameState.terrain && gameState.terrain.bridges) {
-                gameState.terrain.bridges.forEach(bridge => {
-                    // Skip central bridges here; they are rendered explicitly below
-                    if (bridge.name && bridge.name.startsWith('center')) return;
-                    ctx.fillRect(
-                        bridge.x * CELL_SIZE - CELL_SIZE,
-                        bridge.y * CELL_SIZE - CELL_SIZE,
-                        CELL_SIZE * 3,
-                        CELL_SIZE * 3
-                    );
-                });
-            }
+            (terrain.bridges || []).forEach(bridge => {
+                if (bridge.span) return; // drawn below
+                ctx.fillRect(
+                    bridge.x * CELL_SIZE - CELL_SIZE,
+                    bridge.y * CELL_SIZE - CELL_SIZE,
+                    CELL_SIZE * 3,
+                    CELL_SIZE * 3
+                );
+            });
         }
 
-        // Draw two perpendicular central bridges at the middle of the map so they
-        // clearly cross the X-shaped trench from side to side.
-        // This is rendered regardless of whether the mountainX asset is loaded,
-        // so the central chokepoint is always visually obvious.
-        const centerPixelX = MAP_SIZE / 2;
-        const centerPixelY = MAP_SIZE / 2;
-        // Larger bridges so they clearly span across the trench arms:
-        // ~8 cells long and 2 cells wide.
-        const bridgeLength = CELL_SIZE * 8;
-        const bridgeWidth = CELL_SIZE * 2;
-
-        const drawCentralBridge = (angleDeg, fallbackColor) => {
+        // Long bridges (span) are drawn over the background too, so chokepoints
+        // such as Trench X's crossed central bridges are always obvious. A span
+        // is centred on the top-left corner of its cell.
+        (terrain.bridges || []).filter(bridge => bridge.span).forEach(bridge => {
+            const bridgeLength = CELL_SIZE * bridge.span.length;
+            const bridgeWidth = CELL_SIZE * bridge.span.width;
             ctx.save();
-            ctx.translate(centerPixelX, centerPixelY);
-            ctx.rotate((angleDeg * Math.PI) / 180);
+            ctx.translate(bridge.x * CELL_SIZE, bridge.y * CELL_SIZE);
+            ctx.rotate((bridge.span.angle * Math.PI) / 180);
 
             if (bridgeImageRef.current && bridgeImageRef.current.complete) {
                 ctx.drawImage(
@@ -647,7 +1230,7 @@ const Game = () => {
                     bridgeWidth
                 );
             } else {
-                ctx.fillStyle = fallbackColor;
+                ctx.fillStyle = '#8B4513';
                 ctx.fillRect(
                     -bridgeLength / 2,
                     -bridgeWidth / 2,
@@ -657,16 +1240,29 @@ const Game = () => {
             }
 
             ctx.restore();
-        };
+        });
 
-        // One horizontal and one vertical bridge, both perpendicular to the X-trench
-        drawCentralBridge(0, '#8B4513');   // Left ↔ Right
-        drawCentralBridge(90, '#A0522D');  // Top ↔ Bottom
+        // Terrain features (kelp, reefs, deep water, currents) over the map
+        (terrain.features || []).forEach((row, gy) => {
+            [...row].forEach((feature, gx) => {
+                if (feature !== '.') drawFeature(ctx, feature, gx * CELL_SIZE, gy * CELL_SIZE, CELL_SIZE);
+            });
+        });
+
+        // Fog of war: shade the cells we can't see (the server sends no enemy troops there)
+        if (gameState.vision) {
+            ctx.fillStyle = 'rgba(0, 10, 25, 0.55)';
+            gameState.vision.forEach((row, gy) => {
+                for (let gx = 0; gx < row.length; gx++) {
+                    if (row[gx] === '0') ctx.fillRect(gx * CELL_SIZE, gy * CELL_SIZE, CELL_SIZE, CELL_SIZE);
+                }
+            });
+        }
 
         // Draw Map Boundaries
         ctx.strokeStyle = '#006994';
         ctx.lineWidth = 5;
-        ctx.strokeRect(0, 0, MAP_SIZE, MAP_SIZE);
+        ctx.strokeRect(0, 0, mapSize, mapSize);
 
         // Draw placement grid and valid zones for defensive units
         if (placementMode && selectedCard?.type === 'defense' && myPlayer) {
@@ -674,9 +1270,9 @@ const Game = () => {
             ctx.lineWidth = 1;
 
             // Highlight valid placement cells
-            for (let gx = 0; gx < GRID_SIZE; gx++) {
-                for (let gy = 0; gy < GRID_SIZE; gy++) {
-                    if (isInPlayerQuadrant(gx, gy, myPlayer)) {
+            for (let gx = 0; gx < gridSize; gx++) {
+                for (let gy = 0; gy < gridSize; gy++) {
+                    if (canPlaceDefense(gx, gy, myPlayer)) {
                         ctx.fillStyle = 'rgba(0, 255, 0, 0.1)';
                         ctx.fillRect(gx * CELL_SIZE, gy * CELL_SIZE, CELL_SIZE, CELL_SIZE);
                         ctx.strokeRect(gx * CELL_SIZE, gy * CELL_SIZE, CELL_SIZE, CELL_SIZE);
@@ -685,7 +1281,7 @@ const Game = () => {
             }
 
             // Highlight hovered cell
-            if (hoveredCell && isInPlayerQuadrant(hoveredCell.gridX, hoveredCell.gridY, myPlayer)) {
+            if (hoveredCell && canPlaceDefense(hoveredCell.gridX, hoveredCell.gridY, myPlayer)) {
                 ctx.fillStyle = 'rgba(0, 255, 0, 0.4)';
                 ctx.fillRect(
                     hoveredCell.gridX * CELL_SIZE,
@@ -704,6 +1300,23 @@ const Game = () => {
             }
         }
 
+        // Spell targeting: the area the spell would cover around the hovered cell
+        if (placementMode && selectedCard?.type === 'spell' && selectedCard.spell && hoveredCell) {
+            const spellRadius = (selectedCard.spell.radius + 0.5) * CELL_SIZE;
+            const centerX = hoveredCell.gridX * CELL_SIZE + CELL_SIZE / 2;
+            const centerY = hoveredCell.gridY * CELL_SIZE + CELL_SIZE / 2;
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.strokeStyle = selectedCard.color || '#FFFFFF';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, spellRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.restore();
+        }
+
         // Draw possible moves for manual mode
         if (gameState.movementMode === 'manual' && possibleMoves.length > 0) {
             possibleMoves.forEach(move => {
@@ -775,8 +1388,25 @@ const Game = () => {
 
             ctx.restore();
 
+            // Bubble shield from a spell: a dome over the castle while it lasts
+            if (p.shield) {
+                ctx.save();
+                ctx.beginPath();
+                ctx.arc(castleX, castleY - castleSize * 0.2, castleSize * 1.6, 0, Math.PI * 2);
+                ctx.fillStyle = 'rgba(0, 191, 255, 0.15)';
+                ctx.fill();
+                ctx.strokeStyle = 'rgba(135, 206, 250, 0.9)';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+                ctx.fillStyle = '#E1F5FE';
+                ctx.font = 'bold 12px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(`🛡 ${Math.ceil(p.shield.hp)} · ${p.shield.turnsLeft}t`, castleX, castleY + castleSize * 1.35);
+                ctx.restore();
+            }
+
             // Base HP Bar + Shield Icon + Text (HP / Max)
-            const maxBaseHp = 1000;
+            const maxBaseHp = gameState.rules?.baseHp || 1000;
             const clampedHp = Math.max(0, Math.min(maxBaseHp, p.baseHp || 0));
             const hpRatio = clampedHp / maxBaseHp;
 
@@ -841,6 +1471,11 @@ const Game = () => {
             ctx.textAlign = 'center';
             const displayName = p.username || `Player ${p.id.substr(0, 4)}`;
             ctx.fillText(displayName, p.x, p.y + 18);
+            if (getPlayerTeam(p) !== null) {
+                ctx.font = 'bold 16px Arial';
+                ctx.fillStyle = isTeammate(p) ? '#7CFC00' : '#ddd';
+                ctx.fillText(teamLabel(getPlayerTeam(p)), p.x, p.y + 40);
+            }
 
             // "YOU" Indicator
             if (myPlayer && p.id === myPlayer.id) {
@@ -902,6 +1537,29 @@ const Game = () => {
             }
         });
 
+        // Last-seen enemy troops under the fog: faded, with a dashed ring
+        if (gameState.vision) {
+            const inSight = new Set(gameState.troops.map(t => t.id));
+            Object.values(lastSeenTroopsRef.current).forEach(ghost => {
+                if (inSight.has(ghost.id)) return;
+                const iconImg = ghost.cardId ? troopIconImagesRef.current[ghost.cardId] : null;
+                ctx.save();
+                ctx.globalAlpha = 0.4;
+                ctx.beginPath();
+                ctx.arc(ghost.x, ghost.y, 38, 0, Math.PI * 2);
+                ctx.fillStyle = ghost.color;
+                ctx.fill();
+                ctx.setLineDash([6, 4]);
+                ctx.strokeStyle = 'white';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+                if (iconImg && iconImg.complete && iconImg.naturalWidth > 0) {
+                    ctx.drawImage(iconImg, ghost.x - 28, ghost.y - 28, 56, 56);
+                }
+                ctx.restore();
+            });
+        }
+
         // Update and draw animated troops
         const now = Date.now();
         gameState.troops.forEach(t => {
@@ -1034,6 +1692,37 @@ const Game = () => {
             ctx.fillStyle = 'lime';
             ctx.fillRect(displayX - 30, displayY - 40, 60 * (t.hp / t.maxHp), 7);
 
+            // Status effects: an icy ring while frozen, then one badge per effect
+            // (turns left for timed effects, stacks for poison)
+            const troopEffects = t.effects || [];
+            if (troopEffects.some(e => e.id === 'freeze')) {
+                ctx.save();
+                ctx.strokeStyle = 'rgba(173, 216, 230, 0.95)';
+                ctx.lineWidth = 4;
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.arc(displayX, displayY, radius + 4, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.restore();
+            }
+            if (troopEffects.length > 0) {
+                const badges = troopEffects.map(e => {
+                    const icon = (STATUS_EFFECT_STYLES[e.id] || {}).icon || '•';
+                    const stacks = e.stacks > 1 ? `×${e.stacks}` : '';
+                    return e.turns === null ? `${icon}${stacks}` : `${icon}${stacks}${e.turns}`;
+                });
+                ctx.save();
+                ctx.font = 'bold 12px Arial';
+                ctx.textAlign = 'center';
+                const text = badges.join(' ');
+                const width = ctx.measureText(text).width + 8;
+                ctx.fillStyle = 'rgba(0, 30, 60, 0.75)';
+                ctx.fillRect(displayX - width / 2, displayY + radius + 3, width, 16);
+                ctx.fillStyle = '#E1F5FE';
+                ctx.fillText(text, displayX, displayY + radius + 15);
+                ctx.restore();
+            }
+
             // Simple attack animation: highlight when near an enemy
             let isAttacking = false;
             let attackTarget = null;
@@ -1173,6 +1862,28 @@ const Game = () => {
             ctx.restore();
         });
 
+        // Draw spell bursts (expanding ring) and hit flashes (ring plus a floating number)
+        spellEffects.forEach(effect => {
+            const progress = Math.min((now - effect.startTime) / effect.duration, 1);
+            ctx.save();
+            ctx.globalAlpha = 1 - progress;
+            ctx.strokeStyle = effect.color || '#FFFFFF';
+            ctx.fillStyle = effect.color || '#FFFFFF';
+            ctx.lineWidth = effect.label ? 3 : 6;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, effect.radius * (effect.label ? 1 : 0.3 + 0.7 * progress), 0, Math.PI * 2);
+            ctx.stroke();
+            if (!effect.label) {
+                ctx.globalAlpha = (1 - progress) * 0.25;
+                ctx.fill();
+            } else {
+                ctx.font = 'bold 16px Arial';
+                ctx.textAlign = 'center';
+                ctx.fillText(effect.label, effect.x, effect.y - effect.radius - 10 - progress * 20);
+            }
+            ctx.restore();
+        });
+
         // Draw the dragging troop at cursor position
         if (draggingTroop && dragOffset) {
             const t = draggingTroop;
@@ -1257,32 +1968,275 @@ const Game = () => {
             ctx.fillRect(displayX - 30, displayY - 40, 60 * (t.hp / t.maxHp), 7);
         }
 
-        ctx.restore();
-
-    }, [gameState, myPlayer, mountainXRef.current, draggingTroop, dragOffset, renderTick]);
-
-    // Continuous animation loop for smooth dragging
-    useEffect(() => {
-        if (!draggingTroop) return;
-
-        let animationFrameId;
-        const animate = () => {
-            // Force a re-render by updating the render tick
-            // This ensures the canvas re-renders smoothly during dragging
-            setRenderTick(tick => tick + 1);
-            animationFrameId = requestAnimationFrame(animate);
+        // Simultaneous rounds: planned orders (ours and teammates') as dashed ghosts,
+        // then a fading ring or arrow for each deploy and move of the round just resolved
+        const cellCenter = (cell) => cell * CELL_SIZE + CELL_SIZE / 2;
+        const drawArrow = (fromX, fromY, toX, toY) => {
+            const angle = Math.atan2(toY - fromY, toX - fromX);
+            ctx.beginPath();
+            ctx.moveTo(fromX, fromY);
+            ctx.lineTo(toX, toY);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(toX, toY);
+            ctx.lineTo(toX - 18 * Math.cos(angle - 0.5), toY - 18 * Math.sin(angle - 0.5));
+            ctx.lineTo(toX - 18 * Math.cos(angle + 0.5), toY - 18 * Math.sin(angle + 0.5));
+            ctx.closePath();
+            ctx.fill();
         };
 
-        animationFrameId = requestAnimationFrame(animate);
+        if (gameState.round && gameState.status === 'playing') {
+            const drawOrder = (order, owner) => {
+                ctx.save();
+                ctx.strokeStyle = owner.color;
+                ctx.fillStyle = owner.color;
+                ctx.lineWidth = 4;
+                ctx.setLineDash([8, 6]);
+                if (order.type === 'moveTroop') {
+                    const troop = gameState.troops.find(t => t.id === order.troopId);
+                    if (troop) drawArrow(troop.x, troop.y, cellCenter(order.targetGridX), cellCenter(order.targetGridY));
+                } else {
+                    const placed = order.gridX !== undefined && order.gridY !== undefined;
+                    const x = placed ? cellCenter(order.gridX) : owner.x;
+                    const y = placed ? cellCenter(order.gridY) : owner.y;
+                    ctx.beginPath();
+                    ctx.arc(x, y, 34, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.font = 'bold 15px Arial';
+                    ctx.textAlign = 'center';
+                    ctx.fillStyle = 'white';
+                    ctx.fillText(order.cardName || String(order.cardId).replace(/_/g, ' '), x, y - 42);
+                }
+                ctx.restore();
+            };
 
-        return () => {
-            if (animationFrameId) {
-                cancelAnimationFrame(animationFrameId);
-            }
-        };
-    }, [draggingTroop]);
+            const me = gameState.players[socket.id];
+            const myOrders = plannedOrders.length > 0 ? plannedOrders : (gameState.round.orders?.[socket.id] || []);
+            if (me) myOrders.forEach(order => drawOrder(order, me));
+            Object.entries(gameState.round.orders || {}).forEach(([playerId, orders]) => {
+                const owner = gameState.players[playerId];
+                if (playerId !== socket.id && owner) orders.forEach(order => drawOrder(order, owner));
+            });
+        }
 
-    const handleJoin = () => {
+        // Standing orders: each troop's route through its waypoints, ending in
+        // the order that keeps it in place; the selected troop stands out
+        gameState.troops.forEach(t => {
+            const selected = selectedTroopIds.includes(t.id);
+            if (!selected && !(t.orders && t.orders.length > 0)) return;
+            const owner = gameState.players[t.ownerId];
+            if (!owner) return;
+            const anim = troopAnimationsRef.current[t.id];
+            const startX = anim?.currentX || t.x;
+            const startY = anim?.currentY || t.y;
+
+            ctx.save();
+            ctx.strokeStyle = owner.color;
+            ctx.fillStyle = owner.color;
+            ctx.globalAlpha = selected ? 1 : 0.6;
+            if (selected) {
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.arc(startX, startY, 36, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            const marks = [];
+            let x = startX;
+            let y = startY;
+            ctx.lineWidth = selected ? 4 : 2;
+            ctx.setLineDash([4, 6]);
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            (t.orders || []).forEach((order, idx) => {
+                const cell = getTroopOrderDestination(order, t, gameState);
+                if (cell) {
+                    x = cellCenter(cell.x);
+                    y = cellCenter(cell.y);
+                    ctx.lineTo(x, y);
+                }
+                marks.push({ x, y, label: order.type === 'waypoint' ? String(idx + 1) : TROOP_ORDER_ICONS[order.type] });
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            marks.forEach(mark => {
+                ctx.fillStyle = owner.color;
+                ctx.beginPath();
+                ctx.arc(mark.x, mark.y, 11, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = 'white';
+                ctx.fillText(mark.label, mark.x, mark.y + 1);
+            });
+            ctx.restore();
+        });
+
+        // Group drag: where each troop of the selection will stand
+        if (draggingGroup && draggingTroop && dragOffset && myPlayer) {
+            const cells = getFormationCells(selectedTroops, Math.floor(dragOffset.x / CELL_SIZE), Math.floor(dragOffset.y / CELL_SIZE), formation);
+            ctx.save();
+            ctx.strokeStyle = myPlayer.color;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([6, 5]);
+            cells.forEach(cell => {
+                ctx.beginPath();
+                ctx.arc(cellCenter(cell.x), cellCenter(cell.y), 26, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+
+        // Turn forecast: ghosts where troops will stand, their HP change, a
+        // cross on those that die and the damage each base takes
+        if (forecast) {
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const label = (text, x, y, color) => {
+                ctx.font = 'bold 15px Arial';
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+                ctx.strokeText(text, x, y);
+                ctx.fillStyle = color;
+                ctx.fillText(text, x, y);
+            };
+            forecast.troops.forEach(change => {
+                const owner = gameState.players[change.ownerId];
+                const x = cellCenter(change.gridX);
+                const y = cellCenter(change.gridY);
+                if (!change.killed && !change.deployed && (change.fromX !== change.gridX || change.fromY !== change.gridY)) {
+                    ctx.strokeStyle = owner?.color || 'white';
+                    ctx.lineWidth = 2;
+                    ctx.setLineDash([3, 5]);
+                    ctx.beginPath();
+                    ctx.moveTo(cellCenter(change.fromX), cellCenter(change.fromY));
+                    ctx.lineTo(x, y);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+                ctx.globalAlpha = 0.35;
+                ctx.fillStyle = change.killed ? '#ff1744' : (owner?.color || 'white');
+                ctx.beginPath();
+                ctx.arc(x, y, 26, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+
+                if (change.killed) {
+                    label('✖', x, y, '#ff1744');
+                } else if (change.hpBefore !== null && change.hp !== change.hpBefore) {
+                    const delta = Math.round(change.hp - change.hpBefore);
+                    label(delta > 0 ? `+${delta}` : String(delta), x, y - 34, delta > 0 ? '#69f0ae' : '#ff5252');
+                } else if (change.deployed) {
+                    label('NEW', x, y - 34, 'white');
+                }
+            });
+            forecast.bases.forEach(base => {
+                const player = gameState.players[base.playerId];
+                if (!player || (base.damage <= 0 && !base.eliminated)) return;
+                label(base.eliminated ? '💀 DESTROYED' : `-${Math.round(base.damage)}`, player.x, player.y - 70, '#ff5252');
+            });
+            ctx.restore();
+        }
+
+        if (selectionBox) {
+            ctx.save();
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            const boxX = Math.min(selectionBox.startX, selectionBox.x);
+            const boxY = Math.min(selectionBox.startY, selectionBox.y);
+            const boxW = Math.abs(selectionBox.x - selectionBox.startX);
+            const boxH = Math.abs(selectionBox.y - selectionBox.startY);
+            ctx.fillRect(boxX, boxY, boxW, boxH);
+            ctx.strokeRect(boxX, boxY, boxW, boxH);
+            ctx.restore();
+        }
+
+        if (roundResolution) {
+            const progress = Math.min(1, (Date.now() - roundResolution.startTime) / ROUND_RESOLVE_MS);
+            roundResolution.steps.forEach(step => {
+                const color = gameState.players[step.playerId]?.color || 'white';
+                ctx.save();
+                ctx.globalAlpha = 1 - progress;
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = 5;
+                if (step.type === 'troopDeployed') {
+                    ctx.beginPath();
+                    ctx.arc(cellCenter(step.gridX), cellCenter(step.gridY), 20 + 45 * progress, 0, Math.PI * 2);
+                    ctx.stroke();
+                } else if (step.type === 'troopMoved') {
+                    drawArrow(cellCenter(step.fromX), cellCenter(step.fromY), cellCenter(step.toX), cellCenter(step.toY));
+                }
+                ctx.restore();
+            });
+        }
+
+        ctx.restore();
+
+    }, [
+        gameState, myPlayer, gridSize, mapSize, draggingTroop, dragOffset, renderTick, troopStackLayout,
+        selectedCard, placementMode, hoveredCell, possibleMoves, projectiles, spellEffects, canPlaceDefense,
+        getPlayerTeam, isTeammate, plannedOrders, roundResolution, selectedTroopIds,
+        selectedTroops, selectionBox, draggingGroup, formation, forecast
+    ]);
+
+    // Continuous animation loop for smooth dragging
+    useEffect(() => {
+        if (!draggingTroop) return;
+
+        let animationFrameId;
+        const animate = () => {
+            // Force a re-render by updating the render tick
+            // This ensures the canvas re-renders smoothly during dragging
+            setRenderTick(tick => tick + 1);
+            animationFrameId = requestAnimationFrame(animate);
+        };
+
+        animationFrameId = requestAnimationFrame(animate);
+
+        return () => {
+            if (animationFrameId) {
+                cancelAnimationFrame(animationFrameId);
+            }
+        };
+    }, [draggingTroop]);
+
+    // Keep redrawing while a resolved round is animating
+    useEffect(() => {
+        if (!roundResolution) return;
+
+        let animationFrameId;
+        const animate = () => {
+            setRenderTick(tick => tick + 1);
+            animationFrameId = requestAnimationFrame(animate);
+        };
+        animationFrameId = requestAnimationFrame(animate);
+
+        return () => cancelAnimationFrame(animationFrameId);
+    }, [roundResolution]);
+
+    // Keep redrawing while spell bursts are animating
+    useEffect(() => {
+        if (spellEffects.length === 0) return;
+
+        let animationFrameId;
+        const animate = () => {
+            setRenderTick(tick => tick + 1);
+            animationFrameId = requestAnimationFrame(animate);
+        };
+        animationFrameId = requestAnimationFrame(animate);
+
+        return () => cancelAnimationFrame(animationFrameId);
+    }, [spellEffects.length]);
+
+    // invite: an invite code to join by instead of the selected room (button clicks pass an event)
+    const handleJoin = (invite) => {
         const validation = validateUsername(username);
         if (!validation.ok) {
             showToast(validation.reason, 'error');
@@ -1290,17 +2244,31 @@ const Game = () => {
         }
         const sanitizedUsername = validation.username;
 
+        // An invite code takes the place of a room selection (and its password)
+        const inviteCode = typeof invite === 'string' ? invite.trim().toUpperCase() : '';
+
         // Validate game ID
-        if (!gameId || gameId.trim().length === 0) {
+        if (!inviteCode && (!gameId || gameId.trim().length === 0)) {
             showToast('Please select a room', 'error');
             return;
         }
 
-        const selectedStatus = roomStatusById?.[gameId];
-        if (selectedStatus?.inGame) {
+        const selectedStatus = roomList.find(r => r.roomId === gameId);
+        if (!inviteCode && selectedStatus?.inGame) {
             showToast('Room is in game. Please choose another room.', 'error');
             return;
         }
+        const password = !inviteCode && selectedStatus?.hasPassword ? roomPassword : undefined;
+        if (!inviteCode && selectedStatus?.hasPassword && !password) {
+            showToast('This room needs a password', 'error');
+            return;
+        }
+
+        if (useDeck && deckProblem) {
+            showToast(deckProblem, 'error');
+            return;
+        }
+        const joinDeck = useDeck ? deck : undefined;
 
         // Check connection status
         if (connectionStatus !== 'connected') {
@@ -1310,15 +2278,26 @@ const Game = () => {
 
         try {
             setJoinPending(true);
-            pendingJoinGameIdRef.current = gameId;
-            socket.emit('joinGame', { gameId, username: sanitizedUsername, movementMode });
+            pendingJoinGameIdRef.current = inviteCode ? `invite:${inviteCode}` : gameId;
+            socket.emit('joinGame', {
+                gameId,
+                username: sanitizedUsername,
+                movementMode,
+                password,
+                inviteCode: inviteCode || undefined,
+                deck: joinDeck,
+                token: getAccountToken()
+            });
             // Cache last successful join info so we can auto-rejoin on transient disconnects
             lastJoinInfoRef.current = {
                 gameId,
                 username: sanitizedUsername,
-                movementMode
+                movementMode,
+                password,
+                inviteCode: inviteCode || undefined,
+                deck: joinDeck
             };
-            showToast(`Joining ${gameId}...`, 'info');
+            showToast(`Joining ${inviteCode ? `invite ${inviteCode}` : (selectedStatus?.name || gameId)}...`, 'info');
         } catch (error) {
             console.error('Error joining game:', error);
             setJoinPending(false);
@@ -1327,91 +2306,235 @@ const Game = () => {
         }
     };
 
-    const handleStart = () => {
+    // Claim the typed name; the server answers with accountInfo (and the token) or an error
+    const handleRegister = () => {
+        const validation = validateUsername(username);
+        if (!validation.ok) {
+            showToast(validation.reason, 'error');
+            return;
+        }
+        socket.emit('registerAccount', { username: validation.username, token: getAccountToken() });
+    };
+
+    // Watch the selected room (or the room behind an invite code) without taking a seat
+    const handleSpectate = (invite) => {
+        const inviteCode = typeof invite === 'string' ? invite.trim().toUpperCase() : '';
+        const selectedStatus = roomList.find(r => r.roomId === gameId);
+        if (!inviteCode && !selectedStatus) {
+            showToast('Please select a room', 'error');
+            return;
+        }
+        if (!inviteCode && selectedStatus.playerCount === 0 && !selectedStatus.inGame) {
+            showToast('Nobody is playing in this room yet', 'error');
+            return;
+        }
+
         if (connectionStatus !== 'connected') {
             showToast('Not connected to server. Please wait...', 'error');
             return;
         }
 
-        try {
-            socket.emit('forceStart', gameId);
-            showToast('Starting game...', 'info');
-        } catch (error) {
-            console.error('Error starting game:', error);
-            showToast('Failed to start game. Please try again.', 'error');
+        const password = !inviteCode && selectedStatus?.hasPassword ? roomPassword : undefined;
+        lastSpectateInfoRef.current = { gameId, inviteCode: inviteCode || undefined, password };
+        setJoinPending(true);
+        socket.emit('spectateGame', {
+            ...lastSpectateInfoRef.current,
+            username: username.trim() || undefined,
+            token: getAccountToken()
+        });
+    };
+
+    const handleStopSpectating = () => {
+        socket.emit('stopSpectating');
+        lastSpectateInfoRef.current = null;
+        setSpectating(false);
+        setShowLobby(true);
+        setGameState(null);
+        setEndState(null);
+    };
+
+    // Create a room, then join it through its invite code
+    const handleCreateRoom = () => {
+        const validation = validateUsername(username);
+        if (!validation.ok) {
+            showToast(validation.reason, 'error');
+            return;
+        }
+
+        const name = newRoom.name.trim();
+        if (!name) {
+            showToast('Please name your room', 'error');
+            return;
         }
+
+        if (connectionStatus !== 'connected') {
+            showToast('Not connected to server. Please wait...', 'error');
+            return;
+        }
+
+        // Replace a listener left behind by a create the server refused
+        socket.off('roomCreated');
+        socket.once('roomCreated', (room) => {
+            showToast(`Created ${room.name}`, 'success');
+            setShowCreateRoom(false);
+            setNewRoom({ name: '', visibility: 'public', password: '' });
+            handleJoin(room.inviteCode);
+        });
+        socket.emit('createRoom', {
+            name,
+            visibility: newRoom.visibility,
+            password: newRoom.password || undefined
+        });
+    };
+
+    const copyInviteCode = (code) => {
+        if (!navigator.clipboard) {
+            showToast(`Invite code: ${code}`, 'info');
+            return;
+        }
+        navigator.clipboard.writeText(code)
+            .then(() => showToast('Invite code copied', 'success'))
+            .catch(() => showToast(`Invite code: ${code}`, 'info'));
     };
 
-    const getPlayerQuadrant = (player) => {
-        // Determine which quadrant the player is in based on position relative to X diagonals
-        const gridX = player.gridX;
-        const gridY = player.gridY;
-
-        // Diagonal 1: y = x
-        // Diagonal 2: y = (GRID_SIZE - 1 - x)
-        const aboveDiag1 = gridY < gridX;
-        const aboveDiag2 = gridY < (GRID_SIZE - 1 - gridX);
-
-        // North: Above both diagonals (top position: gridY = 2, gridX = 10)
-        if (aboveDiag1 && aboveDiag2) return 'north';
-        // East: Below diag1, above diag2 (right position: gridY = 10, gridX = 17)
-        if (!aboveDiag1 && aboveDiag2) return 'east';
-        // South: Below both diagonals (bottom position: gridY = 17, gridX = 10)
-        if (!aboveDiag1 && !aboveDiag2) return 'south';
-        // West: Above diag1, below diag2 (left position: gridY = 10, gridX = 2)
-        if (aboveDiag1 && !aboveDiag2) return 'west';
+    const addToDeck = (card) => {
+        if (!canAddToDeck(deck, card, cardCatalog)) return;
+        setDeck([...deck, card.id]);
+    };
 
-        return null;
+    const removeFromDeck = (index) => {
+        setDeck(deck.filter((_, i) => i !== index));
     };
 
-    const isInPlayerQuadrant = (gridX, gridY, player) => {
-        const quadrant = getPlayerQuadrant(player);
-        if (!quadrant) return false;
+    const handleSaveDeck = () => {
+        const name = deckName.trim();
+        if (!name) {
+            showToast('Please name your deck', 'error');
+            return;
+        }
+        if (deckProblem) {
+            showToast(deckProblem, 'error');
+            return;
+        }
+        const decks = { ...savedDecks, [name]: deck };
+        setSavedDecks(decks);
+        storeSavedDecks(decks);
+        showToast(`Saved deck ${name}`, 'success');
+    };
 
-        // Check if position is not in mountain
-        const trenchSet = new Set(gameState.terrain.trench.map(t => `${t.x},${t.y}`));
-        if (trenchSet.has(`${gridX},${gridY}`)) return false;
+    const handleLoadDeck = (name) => {
+        if (!savedDecks[name]) return;
+        setDeck(savedDecks[name]);
+        setDeckName(name);
+        setUseDeck(true);
+    };
 
-        // The X-shaped mountain creates 4 triangular regions
-        // Diagonal 1: y = x (top-left to bottom-right)
-        // Diagonal 2: y = (GRID_SIZE - 1 - x) (top-right to bottom-left)
+    const handleDeleteDeck = (name) => {
+        const { [name]: _removed, ...decks } = savedDecks;
+        setSavedDecks(decks);
+        storeSavedDecks(decks);
+        if (deckName === name) setDeckName('');
+    };
 
-        // Determine which quadrant based on position relative to diagonals
-        const aboveDiag1 = gridY < gridX;  // Above/left of main diagonal
-        const aboveDiag2 = gridY < (GRID_SIZE - 1 - gridX);  // Above/right of anti-diagonal
+    // Forget the stored account on this device so another name can be used
+    const handleSignOut = () => {
+        setAccountToken(null);
+        setAccount(null);
+        setUsername('');
+    };
 
-        // North quadrant: Above both diagonals (top point)
-        if (aboveDiag1 && aboveDiag2) {
-            return quadrant === 'north';
-        }
-        // East quadrant: Below diag1, above diag2 (right point)
-        if (!aboveDiag1 && aboveDiag2) {
-            return quadrant === 'east';
+    const handleStart = () => {
+        if (connectionStatus !== 'connected') {
+            showToast('Not connected to server. Please wait...', 'error');
+            return;
         }
-        // South quadrant: Below both diagonals (bottom point)
-        if (!aboveDiag1 && !aboveDiag2) {
-            return quadrant === 'south';
+
+        try {
+            sendCommand('forceStart', gameId);
+            showToast('Starting game...', 'info');
+        } catch (error) {
+            console.error('Error starting game:', error);
+            showToast('Failed to start game. Please try again.', 'error');
         }
-        // West quadrant: Above diag1, below diag2 (left point)
-        if (aboveDiag1 && !aboveDiag2) {
-            return quadrant === 'west';
+    };
+
+    // Play a card now, or in a simultaneous game add it to this round's orders
+    const deployOrPlan = (card, placement) => {
+        if (!isSimultaneous) {
+            sendCommand('deployCard', { gameId, cardId: card.id, ...placement }, { cardName: card.name });
+            return;
         }
+        setPlannedOrders(prev => [...prev, {
+            type: 'deployCard',
+            cardId: card.id,
+            ...placement,
+            handIndex: card.handIndex,
+            cardName: card.name,
+            cost: card.cost
+        }]);
+    };
+
+    // Where a mouse event lands on the board, in map pixels
+    const canvasPointFromEvent = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const scale = Math.min(rect.width / mapSize, rect.height / mapSize);
+        const offsetX = (rect.width - mapSize * scale) / 2;
+        const offsetY = (rect.height - mapSize * scale) / 2;
+        return {
+            x: (e.clientX - rect.left - offsetX) / scale,
+            y: (e.clientY - rect.top - offsetY) / scale
+        };
+    };
 
-        return false;
+    // One of our troops under a map point (using its animated position)
+    const findOwnTroopAt = (mouseX, mouseY) => gameState.troops.find(t => {
+        const anim = troopAnimationsRef.current[t.id];
+        const stack = troopStackLayout?.offsetById?.get(t.id);
+        const tx = (anim?.currentX || t.x) + (stack?.dx || 0);
+        const ty = (anim?.currentY || t.y) + (stack?.dy || 0);
+        const dist = Math.sqrt(Math.pow(tx - mouseX, 2) + Math.pow(ty - mouseY, 2));
+        return dist < 40 && t.ownerId === myPlayer.id;
+    });
+
+    // Replace a troop's standing orders, or add to them with append
+    const sendTroopOrders = (troop, orders, append = false) => {
+        sendCommand('setTroopOrders', { gameId, troopId: troop.id, orders, append }, { troopName: troop.name });
     };
 
+    // Own troops that can be selected (walls and turrets never move)
+    const isSelectableTroop = (troop) => !!troop && !troop.isWall && !troop.isTurret;
+
     const handleCanvasClick = (e) => {
+        if (suppressClickRef.current) {
+            suppressClickRef.current = false;
+            return;
+        }
+        // Shift-click with troops selected queues a waypoint for each; a plain
+        // click away from our troops lets go of the selection
+        if (selectedTroops.length > 0 && !selectedCard && canvasRef.current && gameState.status === 'playing') {
+            const point = canvasPointFromEvent(e);
+            if (e.shiftKey) {
+                const gridX = Math.floor(point.x / CELL_SIZE);
+                const gridY = Math.floor(point.y / CELL_SIZE);
+                if (gridX >= 0 && gridY >= 0 && gridX < gridSize && gridY < gridSize) {
+                    selectedTroops.forEach(troop => sendTroopOrders(troop, [{ type: 'waypoint', gridX, gridY }], true));
+                }
+                return;
+            }
+            if (!findOwnTroopAt(point.x, point.y)) setSelectedTroopIds([]);
+        }
+
         if (!selectedCard || !myPlayer || myPlayer.eliminated || !canvasRef.current || gameState.status !== 'playing') return;
-        // Turn-based: only deploy on your turn
-        if (gameState.currentTurn !== socket.id) return;
+        // Only deploy on your turn (or while planning a simultaneous round)
+        if (!canAct) return;
 
         if (selectedCard.type === 'defense') {
             // Defensive units need grid placement
             const canvas = canvasRef.current;
             const rect = canvas.getBoundingClientRect();
-            const scale = Math.min(rect.width / MAP_SIZE, rect.height / MAP_SIZE);
-            const offsetX = (rect.width - MAP_SIZE * scale) / 2;
-            const offsetY = (rect.height - MAP_SIZE * scale) / 2;
+            const scale = Math.min(rect.width / mapSize, rect.height / mapSize);
+            const offsetX = (rect.width - mapSize * scale) / 2;
+            const offsetY = (rect.height - mapSize * scale) / 2;
 
             const clickX = (e.clientX - rect.left - offsetX) / scale;
             const clickY = (e.clientY - rect.top - offsetY) / scale;
@@ -1420,16 +2543,26 @@ const Game = () => {
             const gridY = Math.floor(clickY / CELL_SIZE);
 
             // Check if valid placement in player's quadrant
-            if (isInPlayerQuadrant(gridX, gridY, myPlayer)) {
-                socket.emit('deployCard', {
-                    gameId,
-                    cardId: selectedCard.id,
-                    gridX,
-                    gridY
-                });
+            if (canPlaceDefense(gridX, gridY, myPlayer)) {
+                deployOrPlan(selectedCard, { gridX, gridY });
                 setSelectedCard(null);
                 setPlacementMode(false);
             }
+        } else if (selectedCard.type === 'spell') {
+            // Spells resolve at the clicked cell (shields must land on your own base)
+            const canvas = canvasRef.current;
+            const rect = canvas.getBoundingClientRect();
+            const scale = Math.min(rect.width / mapSize, rect.height / mapSize);
+            const offsetX = (rect.width - mapSize * scale) / 2;
+            const offsetY = (rect.height - mapSize * scale) / 2;
+
+            const gridX = Math.floor((e.clientX - rect.left - offsetX) / scale / CELL_SIZE);
+            const gridY = Math.floor((e.clientY - rect.top - offsetY) / scale / CELL_SIZE);
+            if (gridX < 0 || gridY < 0 || gridX >= gridSize || gridY >= gridSize) return;
+
+            deployOrPlan(selectedCard, { gridX, gridY });
+            setSelectedCard(null);
+            setPlacementMode(false);
         } else {
             // Offensive units need target selection
             setPendingOffensiveCard(selectedCard);
@@ -1441,11 +2574,7 @@ const Game = () => {
     const handleTargetSelection = (targetBaseId) => {
         if (!pendingOffensiveCard) return;
 
-        socket.emit('deployCard', {
-            gameId,
-            cardId: pendingOffensiveCard.id,
-            targetBaseId
-        });
+        deployOrPlan(pendingOffensiveCard, { targetBaseId });
 
         setPendingOffensiveCard(null);
         setTargetSelectionMode(false);
@@ -1454,70 +2583,86 @@ const Game = () => {
     const calculatePossibleMoves = (troop) => {
         if (!troop || !gameState) return [];
 
-        const moves = [];
         const maxDistance = Math.floor(troop.speed);
-        const trenchSet = new Set(gameState.terrain.trench.map(t => `${t.x},${t.y}`));
+        const stepCost = getStepCost(gameState.terrain, troop.type, gridSize);
+        const startKey = `${troop.gridX},${troop.gridY}`;
 
-        // BFS to find all reachable cells within speed limit
-        const queue = [{ x: troop.gridX, y: troop.gridY, dist: 0 }];
-        const visited = new Set([`${troop.gridX},${troop.gridY}`]);
+        // Cheapest cost to every cell within the troop's moves (kelp costs
+        // extra); like the server, a single step is always allowed
+        const queue = [{ x: troop.gridX, y: troop.gridY, cost: 0 }];
+        const best = new Map([[startKey, 0]]);
 
         while (queue.length > 0) {
+            queue.sort((a, b) => a.cost - b.cost);
             const current = queue.shift();
-
-            if (current.dist < maxDistance) {
-                const neighbors = [
-                    { x: current.x + 1, y: current.y },
-                    { x: current.x - 1, y: current.y },
-                    { x: current.x, y: current.y + 1 },
-                    { x: current.x, y: current.y - 1 }
-                ];
-
-                for (const neighbor of neighbors) {
-                    const key = `${neighbor.x},${neighbor.y}`;
-
-                    if (!visited.has(key) &&
-                        neighbor.x >= 0 && neighbor.x < GRID_SIZE &&
-                        neighbor.y >= 0 && neighbor.y < GRID_SIZE &&
-                        !trenchSet.has(key)) {
-                        visited.add(key);
-                        queue.push({ ...neighbor, dist: current.dist + 1 });
-                        if (current.dist + 1 <= maxDistance) {
-                            moves.push({ gridX: neighbor.x, gridY: neighbor.y });
-                        }
-                    }
-                }
+            if (best.get(`${current.x},${current.y}`) < current.cost) continue;
+
+            const neighbors = [
+                { x: current.x + 1, y: current.y },
+                { x: current.x - 1, y: current.y },
+                { x: current.x, y: current.y + 1 },
+                { x: current.x, y: current.y - 1 }
+            ];
+
+            for (const neighbor of neighbors) {
+                const key = `${neighbor.x},${neighbor.y}`;
+                const step = stepCost(neighbor.x, neighbor.y);
+                if (step === Infinity) continue;
+                const cost = current.cost + step;
+                if (cost > maxDistance && current.cost > 0) continue;
+                if (best.has(key) && best.get(key) <= cost) continue;
+                best.set(key, cost);
+                queue.push({ ...neighbor, cost });
             }
         }
 
-        return moves;
+        best.delete(startKey);
+        return [...best.keys()].map(key => {
+            const [gridX, gridY] = key.split(',').map(Number);
+            return { gridX, gridY };
+        });
     };
 
     const handleCanvasMouseDown = (e) => {
         if (!canvasRef.current || !gameState || !myPlayer) return;
         if (gameState.movementMode !== 'manual') return;
-        if (gameState.currentTurn !== socket.id) return;
-
-        const canvas = canvasRef.current;
-        const rect = canvas.getBoundingClientRect();
-        const scale = Math.min(rect.width / MAP_SIZE, rect.height / MAP_SIZE);
-        const offsetX = (rect.width - MAP_SIZE * scale) / 2;
-        const offsetY = (rect.height - MAP_SIZE * scale) / 2;
+        if (e.shiftKey) return; // shift-click adds a waypoint (handleCanvasClick)
 
-        const mouseX = (e.clientX - rect.left - offsetX) / scale;
-        const mouseY = (e.clientY - rect.top - offsetY) / scale;
+        const { x: mouseX, y: mouseY } = canvasPointFromEvent(e);
 
         // Check if clicking on a troop (use animated position)
-        const clickedTroop = gameState.troops.find(t => {
-            const anim = troopAnimationsRef.current[t.id];
-            const stack = troopStackLayout?.offsetById?.get(t.id);
-            const tx = (anim?.currentX || t.x) + (stack?.dx || 0);
-            const ty = (anim?.currentY || t.y) + (stack?.dy || 0);
-            const dist = Math.sqrt(Math.pow(tx - mouseX, 2) + Math.pow(ty - mouseY, 2));
-            return dist < 40 && t.ownerId === myPlayer.id;
-        });
+        const clickedTroop = findOwnTroopAt(mouseX, mouseY);
+
+        // Selecting works on anyone's turn: a click picks one troop (Ctrl/Cmd
+        // adds or removes it), a drag from empty water draws a selection box
+        if (selectedCard) {
+            if (!canAct) return;
+        } else if (!clickedTroop) {
+            setSelectionBox({ startX: mouseX, startY: mouseY, x: mouseX, y: mouseY });
+            return;
+        } else if (isSelectableTroop(clickedTroop)) {
+            if (e.ctrlKey || e.metaKey) {
+                setSelectedTroopIds(prev => (prev.includes(clickedTroop.id)
+                    ? prev.filter(id => id !== clickedTroop.id)
+                    : [...prev, clickedTroop.id]));
+                return;
+            }
+            if (!selectedTroopIds.includes(clickedTroop.id)) setSelectedTroopIds([clickedTroop.id]);
+        }
+        if (!canAct) return;
+
+        // Dragging one of several selected troops moves them all (turn-based games only)
+        const groupDrag = !isSimultaneous && selectedTroops.length > 1 &&
+            !!clickedTroop && selectedTroopIds.includes(clickedTroop.id);
+        if (groupDrag) {
+            setDraggingTroop(clickedTroop);
+            setDraggingGroup(true);
+            setDragOffset({ x: mouseX, y: mouseY });
+            return;
+        }
 
-        if (clickedTroop) {
+        // Walls and turrets stay where they were built
+        if (isSelectableTroop(clickedTroop)) {
             // Check if troop has already moved
             const alreadyMoved = Array.isArray(gameState.movedTroops)
                 ? gameState.movedTroops.includes(clickedTroop.id)
@@ -1544,9 +2689,9 @@ const Game = () => {
 
         const canvas = canvasRef.current;
         const rect = canvas.getBoundingClientRect();
-        const scale = Math.min(rect.width / MAP_SIZE, rect.height / MAP_SIZE);
-        const offsetX = (rect.width - MAP_SIZE * scale) / 2;
-        const offsetY = (rect.height - MAP_SIZE * scale) / 2;
+        const scale = Math.min(rect.width / mapSize, rect.height / mapSize);
+        const offsetX = (rect.width - mapSize * scale) / 2;
+        const offsetY = (rect.height - mapSize * scale) / 2;
 
         const mouseX = (e.clientX - rect.left - offsetX) / scale;
         const mouseY = (e.clientY - rect.top - offsetY) / scale;
@@ -1558,12 +2703,22 @@ const Game = () => {
         if (draggingTroop) {
             setDragOffset({ x: mouseX, y: mouseY });
         }
+        if (selectionBox) {
+            setSelectionBox(prev => prev && { ...prev, x: mouseX, y: mouseY });
+        }
 
         // Update hovered cell for placement mode
-        if (placementMode && selectedCard?.type === 'defense') {
+        if (placementMode && (selectedCard?.type === 'defense' || selectedCard?.type === 'spell')) {
             setHoveredCell({ gridX, gridY });
+            // Forecast of playing the card here (after this round's other plans)
+            if (canAct && gridX >= 0 && gridY >= 0 && gridX < gridSize && gridY < gridSize) {
+                const deploy = { type: 'deployCard', cardId: selectedCard.id, gridX, gridY };
+                const planned = isSimultaneous ? toServerOrders(plannedOrders) : [];
+                requestForecast([...planned, deploy], `deploy:${plannedOrders.length}:${selectedCard.id}:${gridX},${gridY}`);
+            }
         } else {
             setHoveredCell(null);
+            if (forecastRequestRef.current.key?.includes('|deploy:')) clearForecast();
         }
 
         // Check for hovered troops (only when not dragging)
@@ -1580,8 +2735,56 @@ const Game = () => {
         }
     };
 
+    // Finish a box select: every own troop inside the box (a box too small to
+    // be a drag is left to the click)
+    const finishSelectionBox = (e) => {
+        const { x: mouseX, y: mouseY } = canvasPointFromEvent(e);
+        const box = selectionBox;
+        setSelectionBox(null);
+        if (Math.abs(mouseX - box.startX) < 8 && Math.abs(mouseY - box.startY) < 8) return;
+
+        const [left, right] = [Math.min(box.startX, mouseX), Math.max(box.startX, mouseX)];
+        const [top, bottom] = [Math.min(box.startY, mouseY), Math.max(box.startY, mouseY)];
+        const picked = gameState.troops.filter(t => {
+            if (t.ownerId !== myPlayer.id || !isSelectableTroop(t)) return false;
+            const anim = troopAnimationsRef.current[t.id];
+            const tx = anim?.currentX || t.x;
+            const ty = anim?.currentY || t.y;
+            return tx >= left && tx <= right && ty >= top && ty <= bottom;
+        });
+        suppressClickRef.current = true;
+        setSelectedTroopIds(picked.slice(0, MAX_GROUP_SIZE).map(t => t.id));
+        if (picked.length > MAX_GROUP_SIZE) {
+            setMoveNotification({ message: `Groups are limited to ${MAX_GROUP_SIZE} troops`, type: 'warning' });
+            setTimeout(() => setMoveNotification(null), 2500);
+        }
+    };
+
     const handleCanvasMouseUp = (e) => {
+        if (selectionBox && canvasRef.current && gameState && myPlayer) {
+            finishSelectionBox(e);
+            return;
+        }
+        if (draggingGroup && draggingTroop && canvasRef.current && gameState) {
+            const { x: mouseX, y: mouseY } = canvasPointFromEvent(e);
+            const targetGridX = Math.floor(mouseX / CELL_SIZE);
+            const targetGridY = Math.floor(mouseY / CELL_SIZE);
+            const dropped = targetGridX !== draggingTroop.gridX || targetGridY !== draggingTroop.gridY;
+            if (dropped && targetGridX >= 0 && targetGridY >= 0 && targetGridX < gridSize && targetGridY < gridSize) {
+                sendCommand('moveTroops', {
+                    gameId,
+                    troopIds: selectedTroops.map(t => t.id),
+                    targetGridX,
+                    targetGridY,
+                    formation
+                }, { serverMessage: true });
+            }
+            setDraggingTroop(null);
+            setDraggingGroup(false);
+            return;
+        }
         if (!draggingTroop || !canvasRef.current || !gameState) {
+            setSelectionBox(null);
             setDraggingTroop(null);
             setPossibleMoves([]);
             return;
@@ -1589,9 +2792,9 @@ const Game = () => {
 
         const canvas = canvasRef.current;
         const rect = canvas.getBoundingClientRect();
-        const scale = Math.min(rect.width / MAP_SIZE, rect.height / MAP_SIZE);
-        const offsetX = (rect.width - MAP_SIZE * scale) / 2;
-        const offsetY = (rect.height - MAP_SIZE * scale) / 2;
+        const scale = Math.min(rect.width / mapSize, rect.height / mapSize);
+        const offsetX = (rect.width - mapSize * scale) / 2;
+        const offsetY = (rect.height - mapSize * scale) / 2;
 
         const mouseX = (e.clientX - rect.left - offsetX) / scale;
         const mouseY = (e.clientY - rect.top - offsetY) / scale;
@@ -1602,14 +2805,21 @@ const Game = () => {
         // Check if target is in possible moves
         const validMove = possibleMoves.find(m => m.gridX === targetGridX && m.gridY === targetGridY);
 
-        if (validMove) {
+        if (validMove && isSimultaneous) {
+            // One move per troop a round: a new one replaces the last
+            const troop = draggingTroop;
+            setPlannedOrders(prev => [
+                ...prev.filter(o => o.troopId !== troop.id),
+                { type: 'moveTroop', troopId: troop.id, targetGridX, targetGridY, troopName: troop.name }
+            ]);
+        } else if (validMove) {
             // Send move command to server
-            socket.emit('moveTroop', {
+            sendCommand('moveTroop', {
                 gameId,
                 troopId: draggingTroop.id,
                 targetGridX,
                 targetGridY
-            });
+            }, { troopName: draggingTroop.name });
         }
 
         setDraggingTroop(null);
@@ -1618,11 +2828,167 @@ const Game = () => {
 
     const handleEndTurn = () => {
         if (gameState && gameState.currentTurn === socket.id) {
-            socket.emit('endTurn', gameId);
+            sendCommand('endTurn', gameId);
         }
     };
 
-    if (!joined || showLobby) {
+    // Planned orders with only the fields the server reads
+    const toServerOrders = (orders) => orders.map(({ type, cardId, gridX, gridY, targetBaseId, troopId, targetGridX, targetGridY }) => (
+        type === 'deployCard'
+            ? { type, cardId, gridX, gridY, targetBaseId }
+            : { type, troopId, targetGridX, targetGridY }
+    ));
+
+    // Lock in this round's orders
+    const handleSubmitOrders = () => {
+        if (!canAct || !isSimultaneous) return;
+        sendCommand('submitOrders', { gameId, orders: toServerOrders(plannedOrders) });
+    };
+
+    // Ask the server what ending the turn (or locking in the round) after
+    // `orders` would do. Hovering sends a lot of these, so a request waits a
+    // moment for the pointer to settle, the same one is never sent twice, and
+    // only one is out at a time: a newer one waits for the answer, replacing
+    // any other still waiting.
+    const sendForecastRequest = (orders, requestKey) => {
+        const inFlight = forecastInFlightRef.current;
+        if (inFlight.busy) {
+            inFlight.next = { orders, requestKey };
+            return;
+        }
+        inFlight.busy = true;
+        // A lost answer (say the connection dropped) must not hold up the next ones
+        socket.timeout(5000).emit('previewTurn', { gameId, orders }, (err, response) => {
+            inFlight.busy = false;
+            const next = inFlight.next;
+            inFlight.next = null;
+            if (forecastRequestRef.current.key === requestKey) {
+                setForecast(!err && response && response.ok ? response.result : null);
+            }
+            if (next && forecastRequestRef.current.key === next.requestKey) {
+                sendForecastRequest(next.orders, next.requestKey);
+            }
+        });
+    };
+
+    const requestForecast = (orders, key) => {
+        const requestKey = `${gameState?.version}|${key}`;
+        if (forecastRequestRef.current.key === requestKey) return;
+        clearTimeout(forecastRequestRef.current.timer);
+        const timer = setTimeout(() => sendForecastRequest(orders, requestKey), 150);
+        forecastRequestRef.current = { key: requestKey, timer };
+    };
+
+    const clearForecast = () => {
+        clearTimeout(forecastRequestRef.current.timer);
+        forecastRequestRef.current = { key: null, timer: null };
+        setForecast(null);
+    };
+
+    // Forecast for the END TURN / LOCK IN button: this round's plans, or nothing more this turn
+    const forecastEndOfTurn = () => {
+        if (!canAct) return;
+        requestForecast(isSimultaneous ? toServerOrders(plannedOrders) : [], `end:${plannedOrders.length}`);
+    };
+
+    const describeOrder = (order) => (order.type === 'deployCard'
+        ? `Deploy ${order.cardName}${order.targetBaseId ? ` → ${gameState.players[order.targetBaseId]?.username || 'enemy base'}` : ''}`
+        : `Move ${order.troopName || 'troop'} to (${order.targetGridX}, ${order.targetGridY})`);
+
+    const closeReplay = () => {
+        setReplayPlaying(false);
+        setReplay(null);
+        setGameState(null);
+    };
+
+    if (replay && gameState) {
+        const frame = replay.frames[replayFrame];
+        const lastFrame = replay.frames.length - 1;
+        const action = frame?.action;
+        // Combat follows an ended turn, or the action that locked in a simultaneous round
+        const roundResolved = frame?.round && replay.frames[replayFrame - 1]?.round !== frame.round;
+        const combat = action?.type === 'endTurn' || (roundResolved && replayFrame > 0)
+            ? (replay.combatEvents || []).find(c => c.turn === action.turn)
+            : null;
+        const hits = combat ? combat.events.filter(e => e.type === 'attack').length : 0;
+        const kills = combat ? combat.events.filter(e => e.type === 'death').length : 0;
+
+        return (
+            <div className="game-container">
+                <canvas ref={canvasRef} style={{ width: '100%', height: '100%' }} />
+
+                <div className="replay-controls">
+                    <div className="replay-status">
+                        <strong>Turn #{frame?.turnNumber || 1}</strong>
+                        {frame?.gamePhase && frame.gamePhase.phase > 1 && (
+                            <span style={{ color: frame.gamePhase.color, marginLeft: '8px' }}>
+                                {frame.gamePhase.name}
+                            </span>
+                        )}
+                        <span style={{ color: '#ccc', marginLeft: '8px' }}>
+                            {describeReplayAction(action, frame?.players)}
+                            {combat && ` · ${hits} hits, ${kills} kills`}
+                        </span>
+                    </div>
+
+                    <input
+                        type="range"
+                        min={0}
+                        max={lastFrame}
+                        value={replayFrame}
+                        onChange={(e) => {
+                            setReplayPlaying(false);
+                            setReplayFrame(Number(e.target.value));
+                        }}
+                        aria-label="Replay position"
+                    />
+
+                    <div className="replay-buttons">
+                        <button
+                            className="setting-btn small"
+                            disabled={replayFrame === 0}
+                            onClick={() => { setReplayPlaying(false); setReplayFrame(f => Math.max(0, f - 1)); }}
+                            aria-label="Previous step"
+                        >
+                            ⏮
+                        </button>
+                        <button
+                            className="setting-btn small"
+                            onClick={() => {
+                                if (replayFrame >= lastFrame) setReplayFrame(0);
+                                setReplayPlaying(p => !p);
+                            }}
+                        >
+                            {replayPlaying ? 'Pause' : 'Play'}
+                        </button>
+                        <button
+                            className="setting-btn small"
+                            disabled={replayFrame >= lastFrame}
+                            onClick={() => { setReplayPlaying(false); setReplayFrame(f => Math.min(lastFrame, f + 1)); }}
+                            aria-label="Next step"
+                        >
+                            ⏭
+                        </button>
+                        {REPLAY_SPEEDS.map(speed => (
+                            <button
+                                key={speed}
+                                className={`setting-btn small ${replaySpeed === speed ? 'active' : ''}`}
+                                onClick={() => setReplaySpeed(speed)}
+                            >
+                                {speed}x
+                            </button>
+                        ))}
+                        <span className="replay-position">{replayFrame + 1} / {lastFrame + 1}</span>
+                        <button className="setting-btn small" onClick={closeReplay}>
+                            Close
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    if ((!joined && !spectating) || showLobby) {
         return (
             <div className="lobby">
                 <h1 className="lobby-title">Oceanic.io</h1>
@@ -1637,6 +3003,14 @@ const Game = () => {
                     >
                         Game
                     </button>
+                    <button
+                        onClick={() => setCurrentTab('leaderboard')}
+                        className={`tab-button ${currentTab === 'leaderboard' ? 'active' : ''}`}
+                        role="tab"
+                        aria-selected={currentTab === 'leaderboard'}
+                    >
+                        Leaderboard
+                    </button>
                     <button
                         onClick={() => setCurrentTab('training')}
                         className={`tab-button ${currentTab === 'training' ? 'active training' : ''}`}
@@ -1645,8 +3019,101 @@ const Game = () => {
                     >
                         Training
                     </button>
+                    <button
+                        onClick={() => setCurrentTab('replays')}
+                        className={`tab-button ${currentTab === 'replays' ? 'active' : ''}`}
+                        role="tab"
+                        aria-selected={currentTab === 'replays'}
+                    >
+                        Replays
+                    </button>
+                    <button
+                        onClick={() => setCurrentTab('maps')}
+                        className={`tab-button ${currentTab === 'maps' ? 'active' : ''}`}
+                        role="tab"
+                        aria-selected={currentTab === 'maps'}
+                    >
+                        Map Editor
+                    </button>
                 </div>
 
+                {currentTab === 'maps' && <MapEditor showToast={showToast} />}
+
+                {currentTab === 'leaderboard' && (
+                    <div className="lobby-section">
+                        <label>Top Players</label>
+                        {leaderboard.length === 0 ? (
+                            <div style={{ color: '#aaa', fontSize: '0.95rem' }}>
+                                No rated matches yet. Finish a game to get on the board.
+                            </div>
+                        ) : (
+                            <table className="leaderboard-table">
+                                <thead>
+                                    <tr>
+                                        <th>#</th>
+                                        <th>Player</th>
+                                        <th>Rating</th>
+                                        <th>W</th>
+                                        <th>L</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {leaderboard.map((row, index) => (
+                                        <tr
+                                            key={row.username}
+                                            className={account && account.username === row.username ? 'me' : ''}
+                                        >
+                                            <td>{index + 1}</td>
+                                            <td>{row.username}</td>
+                                            <td>{row.rating}</td>
+                                            <td>{row.wins}</td>
+                                            <td>{row.losses}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+                )}
+
+                {currentTab === 'replays' && (
+                    <div className="lobby-section">
+                        <label>Recent Matches</label>
+                        {replayList.length === 0 ? (
+                            <div style={{ color: '#aaa', fontSize: '0.95rem' }}>
+                                No replays yet. Finished matches show up here.
+                            </div>
+                        ) : (
+                            <div className="replay-list">
+                                {replayList.map(entry => (
+                                    <div key={entry.id} className="replay-item">
+                                        <div className="replay-item-info">
+                                            <div className="replay-item-title">
+                                                {entry.players.join(' vs ')}
+                                            </div>
+                                            <div className="replay-item-meta">
+                                                {new Date(entry.endedAt).toLocaleString()} · {entry.turns} turns · seed {entry.seed}
+                                            </div>
+                                            <div className="replay-item-meta">
+                                                Winner: {entry.winnerName || 'None'}
+                                            </div>
+                                        </div>
+                                        <button
+                                            className="setting-btn small"
+                                            onClick={() => socket.emit('getReplay', entry.id)}
+                                        >
+                                            Watch
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                        <button className="setting-btn small" onClick={() => socket.emit('listReplays')}>
+                            Refresh
+                        </button>
+                    </div>
+                )}
+
                 {currentTab === 'lobby' && (
                     <>
                         <div className="lobby-section">
@@ -1660,45 +3127,263 @@ const Game = () => {
                                 }}
                                 placeholder="Enter your username"
                                 maxLength={USERNAME_RULES.USERNAME_MAX_LEN}
+                                disabled={!!account}
                             />
+                            {account && (
+                                <div className="account-summary">
+                                    <span>
+                                        Rating <strong>{account.rating}</strong> · {account.wins}W {account.losses}L
+                                    </span>
+                                    <button className="setting-btn small" onClick={handleSignOut}>
+                                        Not you?
+                                    </button>
+                                </div>
+                            )}
+                            {!account && (
+                                <div className="account-summary">
+                                    <span>Guests play unrated.</span>
+                                    <button
+                                        className="setting-btn small"
+                                        onClick={handleRegister}
+                                        disabled={!validateUsername(username).ok}
+                                    >
+                                        Register name
+                                    </button>
+                                </div>
+                            )}
+                            {account && account.history && account.history.length > 0 && (
+                                <div className="account-history">
+                                    {account.history.slice(-5).reverse().map(match => (
+                                        <div key={match.endedAt} className={`account-history-row ${match.won ? 'won' : 'lost'}`}>
+                                            <span>{match.won ? 'Won' : `#${match.place} of ${match.players}`}</span>
+                                            {match.teammates && match.teammates.length > 0 && (
+                                                <span>🤝 {match.teammates.join(', ')}</span>
+                                            )}
+                                            <span>{match.turns} turns</span>
+                                            <span>
+                                                {match.ratingChange >= 0 ? '+' : ''}{match.ratingChange}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
+                        <div className="lobby-section deck-builder">
+                            <label>Deck</label>
+                            <div className="deck-mode">
+                                <button
+                                    className={`setting-btn small ${!useDeck ? 'active' : ''}`}
+                                    onClick={() => setUseDeck(false)}
+                                >
+                                    Random draws
+                                </button>
+                                <button
+                                    className={`setting-btn small ${useDeck ? 'active' : ''}`}
+                                    onClick={() => setUseDeck(true)}
+                                >
+                                    My deck
+                                </button>
+                            </div>
+                            {useDeck && cardCatalog && (
+                                <>
+                                    <div className="deck-slots">
+                                        {Array.from({ length: cardCatalog.deckRules.size }, (_, i) => {
+                                            const card = cardCatalog.cards.find(c => c.id === deck[i]);
+                                            return (
+                                                <button
+                                                    key={i}
+                                                    className={`deck-slot ${card ? 'filled' : ''}`}
+                                                    onClick={() => card && removeFromDeck(i)}
+                                                    title={card ? `Remove ${card.name}` : 'Empty slot'}
+                                                    style={card ? { borderColor: card.color } : undefined}
+                                                >
+                                                    {card && cardIcons[card.id] && <img src={cardIcons[card.id]} alt={card.name} />}
+                                                    {card && <span className="deck-card-cost">{card.cost}</span>}
+                                                </button>
+                                            );
+                                        })}
+                                    </div>
+                                    <div className={`deck-status ${deckProblem ? 'invalid' : 'valid'}`}>
+                                        {deckProblem || `Ready · average cost ${(deck.reduce((sum, id) => sum + (cardCatalog.cards.find(c => c.id === id)?.cost || 0), 0) / deck.length).toFixed(1)}`}
+                                    </div>
+                                    <div className="deck-pool">
+                                        {cardCatalog.cards.map(card => (
+                                            <button
+                                                key={card.id}
+                                                className={`deck-pool-card ${card.rarity}`}
+                                                onClick={() => addToDeck(card)}
+                                                disabled={!canAddToDeck(deck, card, cardCatalog)}
+                                                title={card.type === 'spell'
+                                                    ? `${card.name} (spell, ${card.rarity}) · ${describeSpell(card.spell)}`
+                                                    : [`${card.name} (${card.type}, ${card.rarity}) · HP ${card.hp} · DMG ${card.damage} · Range ${card.range}`, describeAbilities(card)].filter(Boolean).join(' · ')}
+                                            >
+                                                {cardIcons[card.id] && <img src={cardIcons[card.id]} alt="" />}
+                                                <span className="deck-card-name">{card.name}</span>
+                                                <span className="deck-card-cost">{card.cost}</span>
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <div className="deck-save-row">
+                                        <input
+                                            type="text"
+                                            value={deckName}
+                                            onChange={(e) => setDeckName(e.target.value)}
+                                            placeholder="Deck name"
+                                            maxLength={24}
+                                        />
+                                        <button className="setting-btn small" onClick={handleSaveDeck}>Save</button>
+                                        <button className="setting-btn small" onClick={() => setDeck([])} disabled={deck.length === 0}>Clear</button>
+                                    </div>
+                                    {Object.keys(savedDecks).length > 0 && (
+                                        <div className="saved-decks">
+                                            {Object.keys(savedDecks).map(name => (
+                                                <div key={name} className={`saved-deck ${deckName === name ? 'selected' : ''}`}>
+                                                    <button className="saved-deck-load" onClick={() => handleLoadDeck(name)}>{name}</button>
+                                                    <button className="saved-deck-delete" onClick={() => handleDeleteDeck(name)} title="Delete deck">✕</button>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    )}
+                                </>
+                            )}
                         </div>
 
                         <div className="lobby-section">
                             <label>Select Room</label>
                             <div className="room-grid">
-                                {[1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(num => {
-                                    const roomId = `room${num}`;
-                                    const status = roomStatusById?.[roomId];
-                                    const playerCount = typeof status?.playerCount === 'number' ? status.playerCount : 0;
-                                    const maxPlayers = typeof status?.maxPlayers === 'number' ? status.maxPlayers : 4;
-                                    const inGame = !!status?.inGame;
+                                {roomList.map(room => {
+                                    const { roomId, settings } = room;
+                                    const playerCount = typeof room.playerCount === 'number' ? room.playerCount : 0;
+                                    const maxPlayers = typeof room.maxPlayers === 'number' ? room.maxPlayers : 4;
+                                    const inGame = !!room.inGame;
 
                                     return (
                                         <button
-                                            key={num}
-                                            className={`room-button ${selectedRoom === roomId ? 'selected' : ''} ${inGame ? 'in-game' : ''}`}
-                                            disabled={inGame}
+                                            key={roomId}
+                                            className={`room-button ${selectedRoom === roomId ? 'selected' : ''} ${inGame ? 'in-game' : ''} ${room.builtIn ? '' : 'custom'}`}
                                             onClick={() => {
-                                                if (inGame) return;
+                                                // In-game rooms can still be selected to spectate
                                                 setSelectedRoom(roomId);
                                                 setGameId(roomId);
+                                                setRoomPassword('');
                                             }}
                                         >
-                                            <div className="room-title">Room {num}</div>
+                                            <div className="room-title">
+                                                {room.hasPassword && '🔒 '}{room.name || roomId}
+                                            </div>
                                             <div className="room-meta">
                                                 <span className="room-count">{playerCount} / {maxPlayers}</span>
                                                 {inGame && <span className="room-in-game-tag">In game</span>}
+                                                {room.spectatorCount > 0 && (
+                                                    <span className="room-spectator-count" title="Spectators">👀 {room.spectatorCount}</span>
+                                                )}
                                             </div>
+                                            {settings && (
+                                                <div className="room-settings-line">
+                                                    {settings.aiPlayerCount > 0
+                                                        ? `${settings.aiPlayerCount} AI · ${settings.aiDifficulty}`
+                                                        : 'No AI'}
+                                                </div>
+                                            )}
                                         </button>
                                     );
                                 })}
                             </div>
+                            {roomList.find(r => r.roomId === selectedRoom)?.hasPassword && (
+                                <input
+                                    type="password"
+                                    value={roomPassword}
+                                    onChange={(e) => setRoomPassword(e.target.value)}
+                                    placeholder="Room password"
+                                    maxLength={32}
+                                />
+                            )}
                         </div>
 
-                        <div className="lobby-buttons single">
-                            <button className="join-button" onClick={handleJoin} disabled={joinPending}>
+                        <div className="lobby-buttons">
+                            <button
+                                className="join-button"
+                                onClick={handleJoin}
+                                disabled={joinPending || !!roomList.find(r => r.roomId === selectedRoom)?.inGame}
+                            >
                                 {joinPending ? 'Joining...' : 'Join Game'}
                             </button>
+                            <button className="join-button spectate" onClick={handleSpectate} disabled={joinPending}>
+                                Spectate
+                            </button>
+                        </div>
+
+                        <div className="lobby-section">
+                            <label>Join by Invite Code</label>
+                            <div className="invite-row">
+                                <input
+                                    type="text"
+                                    value={inviteCodeInput}
+                                    onChange={(e) => setInviteCodeInput(e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, ''))}
+                                    placeholder="ABC123"
+                                    maxLength={6}
+                                />
+                                <button
+                                    className="setting-btn small"
+                                    onClick={() => handleJoin(inviteCodeInput)}
+                                    disabled={joinPending || inviteCodeInput.length === 0}
+                                >
+                                    Join
+                                </button>
+                                <button
+                                    className="setting-btn small"
+                                    onClick={() => handleSpectate(inviteCodeInput)}
+                                    disabled={joinPending || inviteCodeInput.length === 0}
+                                >
+                                    Watch
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="lobby-section">
+                            {!showCreateRoom ? (
+                                <button className="setting-btn" onClick={() => setShowCreateRoom(true)}>
+                                    Create Room
+                                </button>
+                            ) : (
+                                <div className="create-room-form">
+                                    <label>Create Room</label>
+                                    <input
+                                        type="text"
+                                        value={newRoom.name}
+                                        onChange={(e) => setNewRoom(prev => ({ ...prev, name: e.target.value }))}
+                                        placeholder="Room name"
+                                        maxLength={24}
+                                    />
+                                    <div className="setting-buttons">
+                                        {['public', 'private'].map(visibility => (
+                                            <button
+                                                key={visibility}
+                                                className={`setting-btn ${newRoom.visibility === visibility ? 'active' : ''}`}
+                                                onClick={() => setNewRoom(prev => ({ ...prev, visibility }))}
+                                            >
+                                                {visibility === 'public' ? 'Public' : 'Private (invite only)'}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <input
+                                        type="password"
+                                        value={newRoom.password}
+                                        onChange={(e) => setNewRoom(prev => ({ ...prev, password: e.target.value }))}
+                                        placeholder="Password (optional)"
+                                        maxLength={32}
+                                    />
+                                    <div className="setting-buttons">
+                                        <button className="setting-btn active" onClick={handleCreateRoom} disabled={joinPending}>
+                                            Create & Join
+                                        </button>
+                                        <button className="setting-btn small" onClick={() => setShowCreateRoom(false)}>
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
                         </div>
                     </>
                 )}
@@ -2662,7 +4347,7 @@ const Game = () => {
                         </span>
                     </div>
                 )}
-                {isSpectator && (
+                {isSpectator && !spectating && (
                     <div
                         style={{
                             position: 'absolute',
@@ -2694,6 +4379,57 @@ const Game = () => {
                 )}
             </div>
 
+            {spectating && gameState.status !== 'waiting' && (
+                <div className="spectator-hud">
+                    <div className="spectator-hud-header">
+                        <span className="spectator-badge">👀 SPECTATING</span>
+                        <span>
+                            Turn #{gameState.turnNumber || 1}
+                            {gameState.currentTurn && gameState.status === 'playing' && (
+                                <> · {gameState.players[gameState.currentTurn]?.username || 'Player'} · {Math.ceil(gameState.turnTimeRemaining || 0)}s</>
+                            )}
+                            {gameState.round && gameState.status === 'playing' && (
+                                <> · Round {gameState.round.number} · {gameState.round.submitted.length} orders in · {Math.ceil(gameState.turnTimeRemaining || 0)}s</>
+                            )}
+                        </span>
+                        <button className="setting-btn small" onClick={handleStopSpectating}>
+                            Leave
+                        </button>
+                    </div>
+                    <div className="spectator-bases">
+                        {Object.values(gameState.players).map(p => {
+                            const troopCount = (gameState.troops || []).filter(t => t.ownerId === p.id).length;
+                            const maxBaseHp = gameState.rules?.baseHp || 1000;
+                            const hpPercent = Math.max(0, Math.min(100, ((p.baseHp || 0) / maxBaseHp) * 100));
+                            return (
+                                <div
+                                    key={p.id}
+                                    className={`spectator-base ${p.eliminated ? 'eliminated' : ''} ${p.id === gameState.currentTurn ? 'active' : ''}`}
+                                    style={{ borderColor: p.color }}
+                                >
+                                    <div className="spectator-base-name" style={{ color: p.color }}>
+                                        {p.username}{p.isAI && ' 🤖'}
+                                    </div>
+                                    <div className="spectator-base-hp">
+                                        <div style={{ width: `${hpPercent}%`, background: p.color }} />
+                                    </div>
+                                    <div className="spectator-base-stats">
+                                        {p.eliminated
+                                            ? 'Eliminated'
+                                            : `${Math.ceil(p.baseHp)} HP · ${Math.floor(p.elixir)} ⚡ · ${p.handSize ?? 0} cards${gameState.vision ? '' : ` · ${troopCount} troops`}`}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    {gameState.vision && (
+                        <div style={{ fontSize: '0.8rem', color: '#aaa', marginTop: '6px' }}>
+                            🌫️ Fog of war: the troops are hidden from spectators until the match ends.
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Target Selection Modal for Offensive Units */}
             {targetSelectionMode && pendingOffensiveCard && (
                 <div className="target-selection-modal">
@@ -2702,7 +4438,7 @@ const Game = () => {
                         <p className="modal-subtitle">Choose which enemy base to attack with {pendingOffensiveCard.name}</p>
                         <div className="target-options">
                             {Object.values(gameState.players).map(p => {
-                                if (myPlayer && (p.id === myPlayer.id || p.eliminated)) return null;
+                                if (myPlayer && (p.id === myPlayer.id || p.eliminated || isTeammate(p))) return null;
                                 return (
                                     <button
                                         key={p.id}
@@ -2716,7 +4452,7 @@ const Game = () => {
                                         <div className="target-color" style={{ background: p.color }}></div>
                                         <div className="target-info">
                                             <div className="target-name">{p.username || `Player ${p.id.substr(0, 4)}`}</div>
-                                            <div className="target-hp">HP: {Math.ceil(p.baseHp)} / 1000</div>
+                                            <div className="target-hp">HP: {Math.ceil(p.baseHp)} / {gameState.rules?.baseHp || 1000}</div>
                                         </div>
                                     </button>
                                 );
@@ -2772,6 +4508,20 @@ const Game = () => {
                         <span className="stat-label">Range:</span>
                         <span className="stat-value">{hoveredTroop.range}</span>
                     </div>
+                    {gameState?.fogOfWar && hoveredTroop.vision && (
+                        <div className="tooltip-stat">
+                            <span className="stat-label">Vision:</span>
+                            <span className="stat-value">{hoveredTroop.vision}</span>
+                        </div>
+                    )}
+                    {(hoveredTroop.effects || []).length > 0 && (
+                        <div className="tooltip-stat">
+                            <span className="stat-label">Effects:</span>
+                            <span className="stat-value">
+                                {hoveredTroop.effects.map(e => `${STATUS_EFFECT_STYLES[e.id]?.icon || ''} ${e.id}${e.stacks > 1 ? ` ×${e.stacks}` : ''}${e.turns === null ? '' : ` (${e.turns})`}`).join(', ')}
+                            </span>
+                        </div>
+                    )}
                     <div className="tooltip-type">
                         Type: {hoveredTroop.type}
                     </div>
@@ -2780,13 +4530,28 @@ const Game = () => {
 
             {gameState.status === 'waiting' && (
                 <div className="waiting-overlay">
-                    <h2>Room {gameId}</h2>
+                    <h2>{gameState.room?.name || `Room ${gameId}`}</h2>
+                    {gameState.room?.inviteCode && (
+                        <div className="room-invite">
+                            {gameState.room.visibility === 'private' ? 'Private room · ' : ''}
+                            Invite code <strong>{gameState.room.inviteCode}</strong>
+                            <button className="setting-btn small" onClick={() => copyInviteCode(gameState.room.inviteCode)}>
+                                Copy
+                            </button>
+                        </div>
+                    )}
                     {gameState.roomLeader === socket.id && (
                         <div className="room-leader-badge">👑 You are the Room Leader</div>
                     )}
                     <div className="player-count">
-                        {Object.keys(gameState.players).length} / 4 Players
+                        {Object.keys(gameState.players).length} / {gameState.terrain?.spawns?.length || 4} Players
+                        {gameState.spectators?.length > 0 && ` · 👀 ${gameState.spectators.length} watching`}
                     </div>
+                    {spectating && (
+                        <button className="setting-btn small" onClick={handleStopSpectating}>
+                            Stop Watching
+                        </button>
+                    )}
                     <div className="player-list">
                         {Object.values(gameState.players).map(p => {
                             const winProb = gameState.aiWinProbabilities && gameState.aiWinProbabilities[p.id];
@@ -2797,6 +4562,9 @@ const Game = () => {
                                         {p.username || `Player ${p.id.substr(0, 4)}`}
                                         {myPlayer && p.id === myPlayer.id && ' (YOU)'}
                                         {p.id === gameState.roomLeader && ' 👑'}
+                                        {getPlayerTeam(p) !== null && (
+                                            <span className="team-tag">{teamLabel(getPlayerTeam(p))}</span>
+                                        )}
                                         {p.isAI && (
                                             <>
                                                 {' 🤖 '}
@@ -2837,7 +4605,7 @@ const Game = () => {
                                 <div className="setting-buttons">
                                     <button
                                         className={`setting-btn ${gameState.movementMode === 'automatic' ? 'active' : ''}`}
-                                        onClick={() => socket.emit('updateRoomSettings', {
+                                        onClick={() => sendCommand('updateRoomSettings', {
                                             gameId,
                                             settings: { movementMode: 'automatic' }
                                         })}
@@ -2846,7 +4614,7 @@ const Game = () => {
                                     </button>
                                     <button
                                         className={`setting-btn ${gameState.movementMode === 'manual' ? 'active' : ''}`}
-                                        onClick={() => socket.emit('updateRoomSettings', {
+                                        onClick={() => sendCommand('updateRoomSettings', {
                                             gameId,
                                             settings: { movementMode: 'manual' }
                                         })}
@@ -2856,21 +4624,229 @@ const Game = () => {
                                 </div>
                             </div>
 
+                            <div className="setting-group">
+                                <label>Players</label>
+                                <div className="setting-buttons">
+                                    {[...new Set(mapList.map(map => map.seats))].sort((a, b) => a - b).map(seats => (
+                                        <button
+                                            key={seats}
+                                            className={`setting-btn small ${gameState.terrain?.spawns?.length === seats ? 'active' : ''}`}
+                                            onClick={() => sendCommand('updateRoomSettings', {
+                                                gameId,
+                                                settings: { playerCount: seats }
+                                            })}
+                                            disabled={Object.keys(gameState.players).length > seats}
+                                        >
+                                            {seats}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="setting-group">
+                                <label>Map</label>
+                                <select
+                                    value={gameState.terrain?.mapId || ''}
+                                    onChange={(e) => sendCommand('updateRoomSettings', {
+                                        gameId,
+                                        settings: { mapId: e.target.value }
+                                    })}
+                                    style={{
+                                        width: '100%',
+                                        padding: '10px 12px',
+                                        background: 'rgba(0,0,0,0.3)',
+                                        border: '1px solid rgba(255,255,255,0.25)',
+                                        borderRadius: '10px',
+                                        color: '#fff',
+                                        fontSize: '1rem'
+                                    }}
+                                >
+                                    {mapList.map(map => (
+                                        <option
+                                            key={map.id}
+                                            value={map.id}
+                                            disabled={Object.keys(gameState.players).length > map.seats}
+                                        >
+                                            {map.name} ({map.seats} players, {map.gridSize}×{map.gridSize})
+                                        </option>
+                                    ))}
+                                </select>
+                                {mapList.find(map => map.id === gameState.terrain?.mapId)?.description && (
+                                    <div style={{ fontSize: '0.8rem', color: '#aaa', marginTop: '6px' }}>
+                                        {mapList.find(map => map.id === gameState.terrain?.mapId).description}
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="setting-group">
+                                <label>Rules{gameState.rules?.preset === 'custom' ? ' (custom)' : ''}</label>
+                                <div className="setting-buttons">
+                                    {rulePresets.presets.map(preset => (
+                                        <button
+                                            key={preset.id}
+                                            className={`setting-btn ${gameState.rules?.preset === preset.id ? 'active' : ''}`}
+                                            title={preset.description}
+                                            onClick={() => sendCommand('updateRoomSettings', {
+                                                gameId,
+                                                settings: { rulePreset: preset.id }
+                                            })}
+                                        >
+                                            {preset.name}
+                                        </button>
+                                    ))}
+                                </div>
+                                {gameState.rules && (
+                                    <div className="rules-grid">
+                                        {/* Inputs remount when the server's value changes, so they always start from it */}
+                                        {Object.entries(rulePresets.limits).map(([key, { min, max, label }]) => (
+                                            <div key={key} className="rules-field">
+                                                <span>{label}</span>
+                                                <input
+                                                    key={`${key}-${gameState.rules[key]}`}
+                                                    type="number"
+                                                    min={min}
+                                                    max={max}
+                                                    defaultValue={gameState.rules[key]}
+                                                    onBlur={(e) => {
+                                                        const value = Number(e.target.value);
+                                                        if (value === gameState.rules[key]) return;
+                                                        sendCommand('updateRoomSettings', { gameId, settings: { rules: { [key]: value } } });
+                                                    }}
+                                                />
+                                            </div>
+                                        ))}
+                                        <div className="rules-field">
+                                            <span>Acceleration after turns</span>
+                                            <input
+                                                key={`acceleration-${gameState.rules.accelerationTurns.join(',')}`}
+                                                type="text"
+                                                defaultValue={gameState.rules.accelerationTurns.join(', ')}
+                                                onBlur={(e) => {
+                                                    const turns = e.target.value.split(/[\s,]+/).filter(Boolean).map(Number);
+                                                    if (turns.join(',') === gameState.rules.accelerationTurns.join(',')) return;
+                                                    sendCommand('updateRoomSettings', { gameId, settings: { rules: { accelerationTurns: turns } } });
+                                                }}
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="setting-group">
+                                <label>Turn Order</label>
+                                <div className="setting-buttons">
+                                    <button
+                                        className={`setting-btn ${gameState.gameMode !== 'simultaneous' ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { gameMode: 'turns' }
+                                        })}
+                                    >
+                                        🔁 Take Turns
+                                    </button>
+                                    <button
+                                        className={`setting-btn ${gameState.gameMode === 'simultaneous' ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { gameMode: 'simultaneous' }
+                                        })}
+                                    >
+                                        ⚡ Simultaneous
+                                    </button>
+                                </div>
+                                <div style={{ fontSize: '0.8rem', color: '#aaa', marginTop: '6px' }}>
+                                    {gameState.gameMode === 'simultaneous'
+                                        ? 'Everyone plans each round at once; orders resolve together when all are in or the timer runs out'
+                                        : 'Players take turns one at a time'}
+                                </div>
+                            </div>
+
+                            <div className="setting-group">
+                                <label>Fog of War</label>
+                                <div className="setting-buttons">
+                                    <button
+                                        className={`setting-btn ${!gameState.fogOfWar ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { fogOfWar: false }
+                                        })}
+                                    >
+                                        👁️ Off
+                                    </button>
+                                    <button
+                                        className={`setting-btn ${gameState.fogOfWar ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { fogOfWar: true }
+                                        })}
+                                    >
+                                        🌫️ On
+                                    </button>
+                                </div>
+                            </div>
+
+                            <div className="setting-group">
+                                <label>Teams</label>
+                                <div className="setting-buttons">
+                                    <button
+                                        className={`setting-btn ${!gameState.teamMode ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { teamMode: false }
+                                        })}
+                                    >
+                                        ⚔️ Free-for-all
+                                    </button>
+                                    <button
+                                        className={`setting-btn ${gameState.teamMode ? 'active' : ''}`}
+                                        onClick={() => sendCommand('updateRoomSettings', {
+                                            gameId,
+                                            settings: { teamMode: true }
+                                        })}
+                                    >
+                                        🤝 Teams
+                                    </button>
+                                </div>
+                                {gameState.teamMode && (gameState.terrain?.spawns || []).map((spawn, slot) => {
+                                    const seated = Object.values(gameState.players).find(p => p.slot === slot);
+                                    return (
+                                        <div key={slot} className="team-seat">
+                                            <span className="team-seat-dot" style={{ background: spawn.color }} />
+                                            <span className="team-seat-name">
+                                                {seated ? (seated.username || `Player ${seated.id.substr(0, 4)}`) : `Seat ${slot + 1} (open)`}
+                                            </span>
+                                            <select
+                                                value={gameState.seatTeams?.[slot] ?? 0}
+                                                onChange={(e) => {
+                                                    const seatTeams = [...(gameState.seatTeams || [])];
+                                                    seatTeams[slot] = Number(e.target.value);
+                                                    sendCommand('updateRoomSettings', { gameId, settings: { seatTeams } });
+                                                }}
+                                            >
+                                                {gameState.terrain.spawns.map((_, team) => (
+                                                    <option key={team} value={team}>{teamLabel(team)}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+
                             <div className="setting-group">
                                 <label>
                                     AI Players: {gameState.aiPlayerCount || 0}
                                 </label>
                                 <div className="setting-buttons">
-                                    {[0, 1, 2, 3].map(num => (
+                                    {Array.from({ length: gameState.terrain?.spawns?.length || 4 }, (_, num) => num).map(num => (
                                         <button
                                             key={num}
                                             className={`setting-btn small ${gameState.aiPlayerCount === num ? 'active' : ''}`}
-                                            onClick={() => socket.emit('updateRoomSettings', {
+                                            onClick={() => sendCommand('updateRoomSettings', {
                                                 gameId,
                                                 settings: { aiPlayerCount: num }
                                             })}
                                             disabled={
-                                                Object.keys(gameState.players).length + num > 4
+                                                Object.keys(gameState.players).length + num > (gameState.terrain?.spawns?.length || 4)
                                             }
                                         >
                                             {num}
@@ -2883,7 +4859,7 @@ const Game = () => {
                                 <label>AI Skill (default)</label>
                                 <select
                                     value={gameState.aiDifficulty || (gameState.useMLAI ? 'hardest' : 'normal')}
-                                    onChange={(e) => socket.emit('updateRoomSettings', {
+                                    onChange={(e) => sendCommand('updateRoomSettings', {
                                         gameId,
                                         settings: { aiDifficulty: e.target.value }
                                     })}
@@ -2923,7 +4899,7 @@ const Game = () => {
                                                         onChange={(e) => {
                                                             const next = Array.isArray(gameState.aiPlayerSkills) ? [...gameState.aiPlayerSkills] : [];
                                                             next[i] = e.target.value;
-                                                            socket.emit('updateRoomSettings', { gameId, settings: { aiPlayerSkills: next } });
+                                                            sendCommand('updateRoomSettings', { gameId, settings: { aiPlayerSkills: next } });
                                                         }}
                                                         style={{
                                                             width: '100%',
@@ -2947,6 +4923,41 @@ const Game = () => {
                                 </div>
                             )}
 
+                            <div className="setting-group">
+                                <label>Match Seed: {gameState.seed ?? 'Random'}</label>
+                                <div style={{ display: 'flex', gap: '8px' }}>
+                                    <input
+                                        type="text"
+                                        inputMode="numeric"
+                                        value={seedInput}
+                                        placeholder="Whole number"
+                                        onChange={(e) => setSeedInput(e.target.value.replace(/[^0-9]/g, ''))}
+                                        style={{
+                                            flex: 1,
+                                            padding: '8px 10px',
+                                            background: 'rgba(0,0,0,0.3)',
+                                            border: '1px solid rgba(255,255,255,0.25)',
+                                            borderRadius: '10px',
+                                            color: '#fff',
+                                            fontSize: '0.95rem'
+                                        }}
+                                    />
+                                    <button
+                                        className="setting-btn small"
+                                        disabled={seedInput === ''}
+                                        onClick={() => {
+                                            sendCommand('updateRoomSettings', { gameId, settings: { seed: Number(seedInput) } });
+                                            setSeedInput('');
+                                        }}
+                                    >
+                                        Set
+                                    </button>
+                                </div>
+                                <div style={{ fontSize: '0.8rem', color: '#aaa', marginTop: '6px' }}>
+                                    The same seed and the same moves always play out the same way.
+                                </div>
+                            </div>
+
                             {gameState.useMLAI && (
                                 <div className="setting-group">
                                     <div style={{ fontSize: '0.9rem', color: '#00e5ff' }}>
@@ -2974,6 +4985,27 @@ const Game = () => {
                                 <span className="setting-label">Movement:</span>
                                 <span className="setting-value">{gameState.movementMode === 'automatic' ? '⚙️ Automatic' : '🎮 Manual'}</span>
                             </div>
+                            <div className="setting-info">
+                                <span className="setting-label">Teams:</span>
+                                <span className="setting-value">{gameState.teamMode ? '🤝 Teams' : '⚔️ Free-for-all'}</span>
+                            </div>
+                            {gameState.rules && (
+                                <div className="setting-info">
+                                    <span className="setting-label">Rules:</span>
+                                    <span className="setting-value">
+                                        {rulePresets.presets.find(p => p.id === gameState.rules.preset)?.name || 'Custom'}
+                                        {` · ${gameState.rules.turnDuration}s turns · +${gameState.rules.elixirPerTurn} elixir (max ${gameState.rules.maxElixir}) · ${gameState.rules.baseHp} HP`}
+                                    </span>
+                                </div>
+                            )}
+                            <div className="setting-info">
+                                <span className="setting-label">Turn Order:</span>
+                                <span className="setting-value">{gameState.gameMode === 'simultaneous' ? '⚡ Simultaneous' : '🔁 Take Turns'}</span>
+                            </div>
+                            <div className="setting-info">
+                                <span className="setting-label">Fog of War:</span>
+                                <span className="setting-value">{gameState.fogOfWar ? '🌫️ On' : '👁️ Off'}</span>
+                            </div>
                             <div className="setting-info">
                                 <span className="setting-label">AI Players:</span>
                                 <span className="setting-value">{gameState.aiPlayerCount || 0}</span>
@@ -2992,6 +5024,10 @@ const Game = () => {
                                     })()}
                                 </span>
                             </div>
+                            <div className="setting-info">
+                                <span className="setting-label">Seed:</span>
+                                <span className="setting-value">{gameState.seed ?? 'Shown when the match ends'}</span>
+                            </div>
                             {gameState.useMLAI && (
                                 <div className="setting-info">
                                     <span className="setting-label">Model Updated:</span>
@@ -3051,11 +5087,27 @@ const Game = () => {
                                     </span>
                                 )}
                             </div>
-                            {gameState.currentTurn === socket.id ? (
+                            {isSimultaneous ? (
+                                <div className={canAct ? 'your-turn' : 'waiting-turn'}>
+                                    <span className="turn-indicator">
+                                        {roundResolution ? `RESOLVING ROUND ${roundResolution.round}` : canAct ? `PLAN ROUND ${gameState.round?.number || 1}` : 'ORDERS IN'}
+                                    </span>
+                                    {!canAct && gameState.round && (
+                                        <span className="current-player">
+                                            Waiting for {Object.values(gameState.players).filter(p => !p.eliminated && !gameState.round.submitted.includes(p.id)).map(p => p.username).join(', ') || 'the round'}
+                                        </span>
+                                    )}
+                                    <div className="turn-timer" style={{
+                                        width: `${(gameState.turnTimeRemaining / (gameState.rules?.turnDuration || 30)) * 100}%`,
+                                        backgroundColor: gameState.turnTimeRemaining < 10 ? '#ff4444' : '#44ff44'
+                                    }}></div>
+                                    <span className="timer-text">{Math.ceil(gameState.turnTimeRemaining || 0)}s</span>
+                                </div>
+                            ) : gameState.currentTurn === socket.id ? (
                                 <div className="your-turn">
                                     <span className="turn-indicator">YOUR TURN</span>
                                     <div className="turn-timer" style={{
-                                        width: `${(gameState.turnTimeRemaining / 30) * 100}%`,
+                                        width: `${(gameState.turnTimeRemaining / (gameState.rules?.turnDuration || 30)) * 100}%`,
                                         backgroundColor: gameState.turnTimeRemaining < 10 ? '#ff4444' : '#44ff44'
                                     }}></div>
                                     <span className="timer-text">{Math.ceil(gameState.turnTimeRemaining || 0)}s</span>
@@ -3067,7 +5119,7 @@ const Game = () => {
                                         {gameState.players[gameState.currentTurn]?.username || `Player ${gameState.currentTurn?.substr(0, 4)}`}'s Turn
                                     </span>
                                     <div className="turn-timer" style={{
-                                        width: `${(gameState.turnTimeRemaining / 30) * 100}%`,
+                                        width: `${(gameState.turnTimeRemaining / (gameState.rules?.turnDuration || 30)) * 100}%`,
                                         backgroundColor: '#ffaa00',
                                         marginTop: '5px'
                                     }}></div>
@@ -3078,21 +5130,39 @@ const Game = () => {
                     </div>
 
                     <div className="elixir-bar">
-                        <div className="elixir-fill" style={{ width: `${(myPlayer.elixir / 15) * 100}%` }}></div>
-                        <span>{Math.floor(myPlayer.elixir)}</span>
+                        <div className="elixir-fill" style={{ width: `${(availableElixir / (gameState.rules?.maxElixir || 15)) * 100}%` }}></div>
+                        <span>{Math.floor(availableElixir)}{isSimultaneous && plannedCost > 0 && ` (${plannedCost} planned)`}</span>
                     </div>
 
+                    {Object.values(gameState.players).some(p => isTeammate(p) && !p.eliminated && p.hand) && (
+                        <div className="teammate-hands">
+                            {Object.values(gameState.players).filter(p => isTeammate(p) && !p.eliminated && p.hand).map(mate => (
+                                <div key={mate.id} className="teammate-hand" style={{ borderColor: mate.color }}>
+                                    <span className="teammate-hand-name">🤝 {mate.username || `Player ${mate.id.substr(0, 4)}`}</span>
+                                    <div className="teammate-cards">
+                                        {mate.hand.map((card, idx) => (
+                                            <span key={idx} className="teammate-card" title={`${card.name} (${card.cost})`}>
+                                                {cardIcons[card.id] ? <img src={cardIcons[card.id]} alt={card.name} /> : card.name}
+                                                <span className="teammate-card-cost">{card.cost}</span>
+                                            </span>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
                     <div className="hand">
                         {myPlayer.hand.map((card, idx) => {
-                            const iconSrc = CARD_ICONS[card.id];
-                            const isDisabled = myPlayer.elixir < card.cost ||
-                                (gameState.currentTurn !== socket.id);
+                            const iconSrc = cardIcons[card.id];
+                            const isPlanned = plannedHandIndexes.has(idx);
+                            const isDisabled = availableElixir < card.cost || !canAct || isPlanned;
                             const isSelected = selectedCard?.id === card.id;
 
                             return (
                                 <div
                                     key={idx}
-                                    className={`card ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''}`}
+                                    className={`card ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''} ${isPlanned ? 'planned' : ''}`}
                                     style={{
                                         background: `linear-gradient(135deg, ${myPlayer.color}20, ${myPlayer.color}40)`,
                                         borderColor: myPlayer.color
@@ -3124,12 +5194,9 @@ const Game = () => {
                                     }}
                                     onClick={() => {
                                         if (!isDisabled) {
-                                            setSelectedCard(card);
-                                            if (card.type === 'defense') {
-                                                setPlacementMode(true);
-                                            } else {
-                                                setPlacementMode(false);
-                                            }
+                                            setSelectedCard({ ...card, handIndex: idx });
+                                            // Defenders and spells are aimed at a cell; attackers pick a base
+                                            setPlacementMode(card.type === 'defense' || card.type === 'spell');
                                         }
                                     }}
                                 >
@@ -3176,8 +5243,8 @@ const Game = () => {
                             {myPlayer.nextCard && (
                                 <>
                                     <div className="card-icon">
-                                        {CARD_ICONS[myPlayer.nextCard.id] && (
-                                            <img src={CARD_ICONS[myPlayer.nextCard.id]} alt={myPlayer.nextCard.name} />
+                                        {cardIcons[myPlayer.nextCard.id] && (
+                                            <img src={cardIcons[myPlayer.nextCard.id]} alt={myPlayer.nextCard.name} />
                                         )}
                                     </div>
                                     <div className="card-name">{myPlayer.nextCard.name}</div>
@@ -3207,34 +5274,196 @@ const Game = () => {
                                     <span className="stat-label">Cost:</span>
                                     <span className="stat-value">{hoveredCard.cost} ⚡</span>
                                 </div>
-                                <div className="stat-row">
-                                    <span className="stat-label">Health:</span>
-                                    <span className="stat-value">{hoveredCard.hp} ❤️</span>
-                                </div>
-                                <div className="stat-row">
-                                    <span className="stat-label">Damage:</span>
-                                    <span className="stat-value">{hoveredCard.damage} ⚔️</span>
+                                {hoveredCard.type === 'spell' ? (
+                                    <div className="stat-row special">
+                                        <span className="stat-value">{describeSpell(hoveredCard.spell)}</span>
+                                    </div>
+                                ) : (
+                                    <>
+                                        <div className="stat-row">
+                                            <span className="stat-label">Health:</span>
+                                            <span className="stat-value">{hoveredCard.hp} ❤️</span>
+                                        </div>
+                                        <div className="stat-row">
+                                            <span className="stat-label">Damage:</span>
+                                            <span className="stat-value">{hoveredCard.damage} ⚔️</span>
+                                        </div>
+                                        <div className="stat-row">
+                                            <span className="stat-label">Speed:</span>
+                                            <span className="stat-value">{hoveredCard.speed} 🏃</span>
+                                        </div>
+                                        <div className="stat-row">
+                                            <span className="stat-label">Range:</span>
+                                            <span className="stat-value">{hoveredCard.range} 📏</span>
+                                        </div>
+                                        {hoveredCard.isWall && (
+                                            <div className="stat-row special">
+                                                <span className="stat-label">Special:</span>
+                                                <span className="stat-value">Wall (Immobile)</span>
+                                            </div>
+                                        )}
+                                        {describeAbilities(hoveredCard) && (
+                                            <div className="stat-row special">
+                                                <span className="stat-value">{describeAbilities(hoveredCard)}</span>
+                                            </div>
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="side-panels">
+                    {isSimultaneous && gameState.round && !myPlayer.eliminated && (
+                        <div className="round-orders">
+                            <div className="round-orders-title">
+                                Orders · Round {gameState.round.number}
+                                {gameState.round.initiative?.[0] && (
+                                    <span className="round-initiative">
+                                        {' '}· initiative: {gameState.players[gameState.round.initiative[0]]?.username || 'Player'}
+                                    </span>
+                                )}
+                            </div>
+                            {plannedOrders.length === 0 && (
+                                <div className="round-orders-empty">
+                                    {canAct ? 'Play cards or drag troops to plan' : 'No orders this round'}
                                 </div>
-                                <div className="stat-row">
-                                    <span className="stat-label">Speed:</span>
-                                    <span className="stat-value">{hoveredCard.speed} 🏃</span>
+                            )}
+                            {plannedOrders.map((order, idx) => (
+                                <div key={idx} className="round-order">
+                                    <span>{describeOrder(order)}</span>
+                                    {canAct && (
+                                        <button
+                                            className="round-order-remove"
+                                            title="Remove this order"
+                                            onClick={() => setPlannedOrders(prev => prev.filter((_, i) => i !== idx))}
+                                        >
+                                            ✕
+                                        </button>
+                                    )}
                                 </div>
-                                <div className="stat-row">
-                                    <span className="stat-label">Range:</span>
-                                    <span className="stat-value">{hoveredCard.range} 📏</span>
+                            ))}
+                        </div>
+                    )}
+
+                    {selectedTroop && gameState.status === 'playing' && !myPlayer.eliminated && (
+                        <div className="round-orders troop-orders">
+                            <div className="round-orders-title">
+                                {selectedTroop.name} · Standing orders
+                                <button
+                                    className="round-order-remove troop-orders-close"
+                                    title="Deselect"
+                                    onClick={() => setSelectedTroopIds([])}
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                            {(selectedTroop.orders || []).length === 0 && (
+                                <div className="round-orders-empty">Moving on its own. Shift-click the map to add waypoints.</div>
+                            )}
+                            {(selectedTroop.orders || []).map((order, idx) => (
+                                <div key={idx} className="round-order">
+                                    <span>{idx + 1}. {describeTroopOrder(order)}</span>
+                                    <button
+                                        className="round-order-remove"
+                                        title="Remove this order"
+                                        onClick={() => sendTroopOrders(selectedTroop, selectedTroop.orders.filter((_, i) => i !== idx))}
+                                    >
+                                        ✕
+                                    </button>
                                 </div>
-                                {hoveredCard.isWall && (
-                                    <div className="stat-row special">
-                                        <span className="stat-label">Special:</span>
-                                        <span className="stat-value">Wall (Immobile)</span>
-                                    </div>
+                            ))}
+                            <div className="troop-order-buttons">
+                                <button className="setting-btn small" onClick={() => sendTroopOrders(selectedTroop, [{ type: 'hold' }], true)}>
+                                    {TROOP_ORDER_ICONS.hold} Hold
+                                </button>
+                                {(gameState.terrain?.bridges || []).map(bridge => (
+                                    <button
+                                        key={bridge.name}
+                                        className="setting-btn small"
+                                        onClick={() => sendTroopOrders(selectedTroop, [{ type: 'guard', bridge: bridge.name }], true)}
+                                    >
+                                        {TROOP_ORDER_ICONS.guard} Guard {bridge.name}
+                                    </button>
+                                ))}
+                                <button className="setting-btn small" onClick={() => sendTroopOrders(selectedTroop, [{ type: 'retreat' }], true)}>
+                                    {TROOP_ORDER_ICONS.retreat} Retreat
+                                </button>
+                                {(selectedTroop.orders || []).length > 0 && (
+                                    <button className="setting-btn small" onClick={() => sendTroopOrders(selectedTroop, [])}>
+                                        🗑️ Clear
+                                    </button>
                                 )}
                             </div>
                         </div>
                     )}
 
-                    {gameState.currentTurn === socket.id && (
-                        <button className="end-turn-btn" onClick={handleEndTurn}>
+                    {selectedTroops.length > 1 && gameState.status === 'playing' && !myPlayer.eliminated && (
+                        <div className="round-orders troop-orders">
+                            <div className="round-orders-title">
+                                {selectedTroops.length} troops selected
+                                <button
+                                    className="round-order-remove troop-orders-close"
+                                    title="Deselect"
+                                    onClick={() => setSelectedTroopIds([])}
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                            <div className="round-orders-empty">
+                                {isSimultaneous
+                                    ? 'Group moves are for turn-based games; plan each troop\'s move here.'
+                                    : 'Drag one of them to move the group.'} Shift-click the map to add a waypoint for each, Shift+1–9 to save the group.
+                            </div>
+                            <div className="troop-order-buttons">
+                                {FORMATIONS.map(f => (
+                                    <button
+                                        key={f.id}
+                                        className={`setting-btn small ${formation === f.id ? 'active' : ''}`}
+                                        onClick={() => setFormation(f.id)}
+                                    >
+                                        {f.icon} {f.name}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {isManual && gameState.status === 'playing' && Object.keys(controlGroups).length > 0 && (
+                        <div className="round-orders control-groups">
+                            <span className="round-orders-empty">Groups</span>
+                            {Object.entries(controlGroups).map(([digit, ids]) => (
+                                <button
+                                    key={digit}
+                                    className="setting-btn small"
+                                    title={`Press ${digit} to select`}
+                                    onClick={() => setSelectedTroopIds(ids)}
+                                >
+                                    {digit} · {gameState.troops.filter(t => ids.includes(t.id)).length}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    </div>
+
+                    {isSimultaneous && canAct && (
+                        <button
+                            className="end-turn-btn"
+                            onClick={handleSubmitOrders}
+                            onMouseEnter={forecastEndOfTurn}
+                            onMouseLeave={clearForecast}
+                        >
+                            LOCK IN ORDERS
+                        </button>
+                    )}
+
+                    {!isSimultaneous && gameState.currentTurn === socket.id && (
+                        <button
+                            className="end-turn-btn"
+                            onClick={handleEndTurn}
+                            onMouseEnter={forecastEndOfTurn}
+                            onMouseLeave={clearForecast}
+                        >
                             END TURN
                         </button>
                     )}
@@ -3244,10 +5473,16 @@ const Game = () => {
             {gameState.status === 'ended' && endState && (
                 <div className="end-overlay">
                     <div className="end-panel">
-                        <h2 className={`end-title ${endState.outcome === 'win' ? 'victory' : 'defeat'}`}>
-                            {endState.outcome === 'win' ? 'VICTORY' : 'DEFEAT'}
+                        <h2 className={`end-title ${endState.outcome === 'win' || endState.outcome === 'spectator' ? 'victory' : 'defeat'}`}>
+                            {endState.outcome === 'spectator' ? 'GAME OVER' : endState.outcome === 'win' ? 'VICTORY' : 'DEFEAT'}
                         </h2>
-                        {endState.winnerId && (
+                        {endState.winnerId && endState.winningTeam !== null && endState.winningTeam !== undefined && (
+                            <p className="end-subtitle">
+                                {teamLabel(endState.winningTeam)} wins:{' '}
+                                <span>{endState.winnerName}</span>
+                            </p>
+                        )}
+                        {endState.winnerId && (endState.winningTeam === null || endState.winningTeam === undefined) && (
                             <p className="end-subtitle">
                                 Winner:{' '}
                                 <span>
@@ -3262,8 +5497,8 @@ const Game = () => {
                                 You have been eliminated.
                             </p>
                         )}
-                        <button className="end-button" onClick={handlePlayAgain}>
-                            Play Again
+                        <button className="end-button" onClick={spectating ? handleStopSpectating : handlePlayAgain}>
+                            {spectating ? 'Back to Lobby' : 'Play Again'}
                         </button>
                     </div>
                 </div>
@@ -0,0 +1,465 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import './MapEditor.css';
+import {
+    MIN_GRID_SIZE,
+    MAX_GRID_SIZE,
+    MAX_SEATS,
+    SEAT_COLORS,
+    createBlankMap,
+    setTile,
+    resizeMap,
+    removeLastSeat,
+    findMapProblems,
+    exportMap,
+    importMap
+} from '../utils/mapEditor';
+import { TERRAIN_FEATURES, drawFeature } from '../utils/terrain';
+
+const CANVAS_SIZE = 640;
+
+const CURRENT_DIRECTIONS = { '^': 'North', '>': 'East', v: 'South', '<': 'West' };
+
+// Paints a map in the server's format: tiles and terrain features with a brush,
+// bridges and bases by clicking, routes in the list below. Export saves the JSON for server/engine/maps.
+const MapEditor = ({ showToast }) => {
+    const canvasRef = useRef(null);
+    const paintingRef = useRef(false);
+    const fileInputRef = useRef(null);
+    const [map, setMap] = useState(() => createBlankMap());
+    const [brush, setBrush] = useState('#'); // '#', '.', a seat digit, a feature, 'nofeature', 'bridge' or 'base'
+    const [baseSeat, setBaseSeat] = useState(0);
+    const [currentDirection, setCurrentDirection] = useState('>');
+    const problems = useMemo(() => findMapProblems(map), [map]);
+    const cellSize = CANVAS_SIZE / map.gridSize;
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#001e3c';
+        ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+
+        map.tiles.forEach((row, gy) => {
+            [...row].forEach((cell, gx) => {
+                if (cell === '#') {
+                    ctx.fillStyle = '#4A4A4A';
+                } else if (map.spawns[cell]) {
+                    ctx.fillStyle = `${map.spawns[cell].color}55`;
+                } else {
+                    return;
+                }
+                ctx.fillRect(gx * cellSize, gy * cellSize, cellSize, cellSize);
+            });
+        });
+
+        map.features.forEach((row, gy) => {
+            [...row].forEach((feature, gx) => {
+                if (feature !== '.') drawFeature(ctx, feature, gx * cellSize, gy * cellSize, cellSize);
+            });
+        });
+
+        ctx.strokeStyle = 'rgba(0, 150, 200, 0.3)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= map.gridSize; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * cellSize, 0);
+            ctx.lineTo(i * cellSize, CANVAS_SIZE);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(0, i * cellSize);
+            ctx.lineTo(CANVAS_SIZE, i * cellSize);
+            ctx.stroke();
+        }
+
+        // Bridges: the 3x3 deck troops may stand on, and the name
+        map.bridges.forEach(bridge => {
+            ctx.fillStyle = 'rgba(139, 69, 19, 0.6)';
+            ctx.fillRect((bridge.x - 1) * cellSize, (bridge.y - 1) * cellSize, cellSize * 3, cellSize * 3);
+            ctx.fillStyle = '#8B4513';
+            ctx.fillRect(bridge.x * cellSize, bridge.y * cellSize, cellSize, cellSize);
+            ctx.fillStyle = '#fff';
+            ctx.font = `${Math.max(9, cellSize * 0.6)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.fillText(bridge.name, (bridge.x + 0.5) * cellSize, (bridge.y - 1.2) * cellSize);
+        });
+
+        map.spawns.forEach((spawn, i) => {
+            const cx = (spawn.gridX + 0.5) * cellSize;
+            const cy = (spawn.gridY + 0.5) * cellSize;
+            ctx.fillStyle = spawn.color;
+            ctx.beginPath();
+            ctx.arc(cx, cy, cellSize * 0.9, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.fillStyle = '#000';
+            ctx.font = `bold ${Math.max(10, cellSize * 0.8)}px sans-serif`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(i + 1), cx, cy);
+            ctx.textBaseline = 'alphabetic';
+        });
+    }, [map, cellSize]);
+
+    const cellFromEvent = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        const gx = Math.floor((e.clientX - rect.left) / (rect.width / map.gridSize));
+        const gy = Math.floor((e.clientY - rect.top) / (rect.height / map.gridSize));
+        if (gx < 0 || gy < 0 || gx >= map.gridSize || gy >= map.gridSize) return null;
+        return { gx, gy };
+    };
+
+    const paint = (e) => {
+        const cell = cellFromEvent(e);
+        if (!cell) return;
+        setMap(current => {
+            if (brush === 'nofeature' || TERRAIN_FEATURES[brush]) {
+                if (current.tiles[cell.gy][cell.gx] === '#') return current; // trenches have no features
+                const feature = brush === 'nofeature' ? '.' : brush;
+                return { ...current, features: setTile(current.features, cell.gx, cell.gy, feature) };
+            }
+            return {
+                ...current,
+                tiles: setTile(current.tiles, cell.gx, cell.gy, brush),
+                features: brush === '#' ? setTile(current.features, cell.gx, cell.gy, '.') : current.features
+            };
+        });
+    };
+
+    const pickCurrent = (direction) => {
+        setCurrentDirection(direction);
+        setBrush(direction);
+    };
+
+    // Click a bridge to remove it, anywhere else to add one
+    const toggleBridge = ({ gx, gy }) => {
+        setMap(current => {
+            const existing = current.bridges.find(b => b.x === gx && b.y === gy);
+            if (existing) {
+                return {
+                    ...current,
+                    bridges: current.bridges.filter(b => b !== existing),
+                    routes: current.routes.map(r => ({
+                        ...r,
+                        bridges: (r.bridges || []).filter(name => name !== existing.name)
+                    }))
+                };
+            }
+            let n = current.bridges.length + 1;
+            while (current.bridges.some(b => b.name === `bridge${n}`)) n++;
+            return { ...current, bridges: [...current.bridges, { name: `bridge${n}`, x: gx, y: gy }] };
+        });
+    };
+
+    // Move a seat's base; the cell under it joins that seat's territory
+    const placeBase = ({ gx, gy }) => {
+        setMap(current => ({
+            ...current,
+            tiles: setTile(current.tiles, gx, gy, String(baseSeat)),
+            spawns: current.spawns.map((s, i) => (i === baseSeat ? { ...s, gridX: gx, gridY: gy } : s))
+        }));
+    };
+
+    const handleMouseDown = (e) => {
+        const cell = cellFromEvent(e);
+        if (!cell) return;
+        if (brush === 'bridge') return toggleBridge(cell);
+        if (brush === 'base') return placeBase(cell);
+        paintingRef.current = true;
+        paint(e);
+    };
+
+    const addSeat = () => {
+        setMap(current => {
+            const seat = current.spawns.length;
+            const gx = Math.floor(current.gridSize / 2);
+            const gy = Math.floor(current.gridSize / 2);
+            return {
+                ...current,
+                tiles: setTile(current.tiles, gx, gy, String(seat)),
+                spawns: [...current.spawns, { gridX: gx, gridY: gy, color: SEAT_COLORS[seat] }]
+            };
+        });
+    };
+
+    const dropLastSeat = () => {
+        const last = String(map.spawns.length - 1);
+        if (brush === last) setBrush('.');
+        if (baseSeat >= map.spawns.length - 1) setBaseSeat(0);
+        setMap(removeLastSeat);
+    };
+
+    const findRoute = (a, b) => map.routes.find(r => r.between.includes(a) && r.between.includes(b));
+
+    const updateRoute = (a, b, changes) => {
+        setMap(current => {
+            const existing = current.routes.find(r => r.between.includes(a) && r.between.includes(b));
+            if (changes === null) {
+                return { ...current, routes: current.routes.filter(r => r !== existing) };
+            }
+            if (!existing) {
+                return { ...current, routes: [...current.routes, { between: [a, b], ...changes }] };
+            }
+            return { ...current, routes: current.routes.map(r => (r === existing ? { ...r, ...changes } : r)) };
+        });
+    };
+
+    const renameBridge = (index, name) => {
+        const clean = name.toLowerCase().replace(/[^a-z0-9_]/g, '');
+        setMap(current => {
+            const old = current.bridges[index].name;
+            return {
+                ...current,
+                bridges: current.bridges.map((b, i) => (i === index ? { ...b, name: clean } : b)),
+                routes: current.routes.map(r => ({
+                    ...r,
+                    bridges: (r.bridges || []).map(n => (n === old ? clean : n))
+                }))
+            };
+        });
+    };
+
+    const handleImport = (e) => {
+        const file = e.target.files && e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text()
+            .then(text => {
+                setMap(importMap(text));
+                setBrush('#');
+                setBaseSeat(0);
+                showToast(`Loaded ${file.name}`, 'success');
+            })
+            .catch(err => showToast(`Could not load map: ${err.message}`, 'error'));
+    };
+
+    const handleDownload = () => {
+        const blob = new Blob([exportMap(map)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${map.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleCopy = () => {
+        navigator.clipboard.writeText(exportMap(map))
+            .then(() => showToast('Map JSON copied', 'success'))
+            .catch(() => showToast('Clipboard unavailable; use Download instead', 'error'));
+    };
+
+    const seatPairs = [];
+    for (let a = 0; a < map.spawns.length; a++) {
+        for (let b = a + 1; b < map.spawns.length; b++) seatPairs.push([a, b]);
+    }
+
+    return (
+        <div className="map-editor">
+            <div className="map-editor-fields">
+                <label>
+                    Id
+                    <input
+                        type="text"
+                        value={map.id}
+                        maxLength={32}
+                        onChange={(e) => setMap({ ...map, id: e.target.value.toLowerCase().replace(/[^a-z0-9_]/g, '') })}
+                    />
+                </label>
+                <label>
+                    Name
+                    <input
+                        type="text"
+                        value={map.name}
+                        maxLength={32}
+                        onChange={(e) => setMap({ ...map, name: e.target.value })}
+                    />
+                </label>
+                <label>
+                    Size
+                    <select
+                        value={map.gridSize}
+                        onChange={(e) => setMap(resizeMap(map, Number(e.target.value)))}
+                    >
+                        {Array.from({ length: (MAX_GRID_SIZE - MIN_GRID_SIZE) / 4 + 1 }, (_, i) => MIN_GRID_SIZE + i * 4).map(size => (
+                            <option key={size} value={size}>{size}×{size}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <input
+                type="text"
+                className="map-editor-description"
+                placeholder="Description shown in the map picker"
+                value={map.description}
+                maxLength={200}
+                onChange={(e) => setMap({ ...map, description: e.target.value })}
+            />
+
+            <div className="map-editor-brushes">
+                <button className={`setting-btn small ${brush === '#' ? 'active' : ''}`} onClick={() => setBrush('#')}>
+                    ⛰️ Trench
+                </button>
+                <button className={`setting-btn small ${brush === '.' ? 'active' : ''}`} onClick={() => setBrush('.')}>
+                    🌊 Open water
+                </button>
+                {map.spawns.map((spawn, i) => (
+                    <button
+                        key={i}
+                        className={`setting-btn small ${brush === String(i) ? 'active' : ''}`}
+                        style={{ borderColor: spawn.color }}
+                        onClick={() => setBrush(String(i))}
+                    >
+                        Seat {i + 1} territory
+                    </button>
+                ))}
+                {['k', 'r', 'd'].map(feature => (
+                    <button
+                        key={feature}
+                        className={`setting-btn small ${brush === feature ? 'active' : ''}`}
+                        title={TERRAIN_FEATURES[feature].description}
+                        onClick={() => setBrush(feature)}
+                    >
+                        {{ k: '🌿', r: '🪸', d: '🌑' }[feature]} {TERRAIN_FEATURES[feature].name}
+                    </button>
+                ))}
+                <button
+                    className={`setting-btn small ${CURRENT_DIRECTIONS[brush] ? 'active' : ''}`}
+                    title="Pushes troops one cell downstream each turn"
+                    onClick={() => setBrush(currentDirection)}
+                >
+                    🌀 Current
+                </button>
+                {CURRENT_DIRECTIONS[brush] && (
+                    <select value={currentDirection} onChange={(e) => pickCurrent(e.target.value)}>
+                        {Object.entries(CURRENT_DIRECTIONS).map(([direction, label]) => (
+                            <option key={direction} value={direction}>{label}</option>
+                        ))}
+                    </select>
+                )}
+                <button className={`setting-btn small ${brush === 'nofeature' ? 'active' : ''}`} onClick={() => setBrush('nofeature')}>
+                    ✖ No feature
+                </button>
+                <button className={`setting-btn small ${brush === 'bridge' ? 'active' : ''}`} onClick={() => setBrush('bridge')}>
+                    🌉 Bridge
+                </button>
+                <button className={`setting-btn small ${brush === 'base' ? 'active' : ''}`} onClick={() => setBrush('base')}>
+                    🏰 Base
+                </button>
+                {brush === 'base' && (
+                    <select value={baseSeat} onChange={(e) => setBaseSeat(Number(e.target.value))}>
+                        {map.spawns.map((_, i) => <option key={i} value={i}>Seat {i + 1}</option>)}
+                    </select>
+                )}
+            </div>
+
+            <canvas
+                ref={canvasRef}
+                className="map-editor-canvas"
+                width={CANVAS_SIZE}
+                height={CANVAS_SIZE}
+                onMouseDown={handleMouseDown}
+                onMouseMove={(e) => paintingRef.current && paint(e)}
+                onMouseUp={() => { paintingRef.current = false; }}
+                onMouseLeave={() => { paintingRef.current = false; }}
+            />
+
+            <div className="map-editor-seats">
+                <span>{map.spawns.length} seats</span>
+                <button className="setting-btn small" onClick={addSeat} disabled={map.spawns.length >= MAX_SEATS}>
+                    + Seat
+                </button>
+                <button className="setting-btn small" onClick={dropLastSeat} disabled={map.spawns.length <= 2}>
+                    − Seat
+                </button>
+            </div>
+
+            {map.bridges.length > 0 && (
+                <div className="map-editor-list">
+                    <label>Bridges</label>
+                    {map.bridges.map((bridge, i) => (
+                        <div key={i} className="map-editor-row">
+                            <input type="text" value={bridge.name} maxLength={24} onChange={(e) => renameBridge(i, e.target.value)} />
+                            <span>({bridge.x}, {bridge.y})</span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="map-editor-list">
+                <label>Attack routes</label>
+                {seatPairs.map(([a, b]) => {
+                    const route = findRoute(a, b);
+                    const routeBridges = (route && route.bridges) || [];
+                    return (
+                        <div key={`${a}-${b}`} className="map-editor-row">
+                            <label className="map-editor-check">
+                                <input
+                                    type="checkbox"
+                                    checked={!!route}
+                                    onChange={(e) => updateRoute(a, b, e.target.checked ? {} : null)}
+                                />
+                                Seat {a + 1} ⚔️ Seat {b + 1}
+                            </label>
+                            {route && [0, 1].map(slot => (
+                                <select
+                                    key={slot}
+                                    value={routeBridges[slot] || ''}
+                                    onChange={(e) => {
+                                        const next = [...routeBridges];
+                                        next[slot] = e.target.value;
+                                        updateRoute(a, b, { bridges: next.filter(Boolean) });
+                                    }}
+                                >
+                                    <option value="">{slot === 0 ? 'Any path' : 'No second bridge'}</option>
+                                    {map.bridges.map(bridge => (
+                                        <option key={bridge.name} value={bridge.name}>{bridge.name}</option>
+                                    ))}
+                                </select>
+                            ))}
+                            {route && (
+                                <label className="map-editor-check">
+                                    <input
+                                        type="checkbox"
+                                        checked={!!route.opposite}
+                                        onChange={(e) => updateRoute(a, b, { opposite: e.target.checked })}
+                                    />
+                                    Facing
+                                </label>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {problems.length > 0 ? (
+                <ul className="map-editor-problems">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            ) : (
+                <div className="map-editor-ok">
+                    ✅ Ready. Save it as server/engine/maps/{map.id}.json and restart the server.
+                </div>
+            )}
+
+            <div className="map-editor-actions">
+                <button className="setting-btn small" onClick={() => fileInputRef.current && fileInputRef.current.click()}>
+                    📂 Import
+                </button>
+                <button className="setting-btn small" onClick={handleDownload} disabled={problems.length > 0}>
+                    💾 Download
+                </button>
+                <button className="setting-btn small" onClick={handleCopy} disabled={problems.length > 0}>
+                    📋 Copy JSON
+                </button>
+                <button className="setting-btn small" onClick={() => setMap(createBlankMap(map.gridSize, map.spawns.length))}>
+                    🗑️ Clear
+                </button>
+                <input ref={fileInputRef} type="file" accept="application/json,.json" hidden onChange={handleImport} />
+            </div>
+        </div>
+    );
+};
+
+export default MapEditor;
@@ -0,0 +1,60 @@
+// Deck rules come from the server's card catalog (catalog.deckRules); the server
+// checks the same rules again when a deck is sent with joinGame.
+
+const SAVED_DECKS_KEY = 'oceanic.decks';
+
+// Why a list of card ids is not a legal deck, or null when it is
+export function findDeckProblem(cardIds, catalog) {
+  if (!catalog || !catalog.deckRules) return 'Card catalog not loaded yet';
+  const { size, maxCopies, maxLegendaries, minPerType } = catalog.deckRules;
+  if (!Array.isArray(cardIds) || cardIds.length !== size) return `A deck needs exactly ${size} cards`;
+
+  const copies = {};
+  const perType = { offense: 0, defense: 0 };
+  let legendaries = 0;
+  for (const cardId of cardIds) {
+    const card = catalog.cards.find((c) => c.id === cardId);
+    if (!card) return `Unknown card "${cardId}"`;
+    copies[cardId] = (copies[cardId] || 0) + 1;
+    if (copies[cardId] > maxCopies) return `At most ${maxCopies} copies of ${card.name}`;
+    if (card.isLegendary) legendaries++;
+    if (card.type in perType) perType[card.type]++;
+  }
+
+  if (legendaries > maxLegendaries) return `Only ${maxLegendaries} legendary card per deck`;
+  for (const type of Object.keys(perType)) {
+    if (perType[type] < minPerType) return `A deck needs at least ${minPerType} ${type} cards`;
+  }
+  return null;
+}
+
+// Whether one more copy of this card still fits (size, copies, legendary slot)
+export function canAddToDeck(cardIds, card, catalog) {
+  if (!catalog || !catalog.deckRules || !card) return false;
+  const { size, maxCopies, maxLegendaries } = catalog.deckRules;
+  if (cardIds.length >= size) return false;
+  if (cardIds.filter((id) => id === card.id).length >= maxCopies) return false;
+  if (card.isLegendary) {
+    const legendaries = cardIds.filter((id) => catalog.cards.find((c) => c.id === id)?.isLegendary).length;
+    if (legendaries >= maxLegendaries) return false;
+  }
+  return true;
+}
+
+// Saved decks live in this browser only: { [name]: cardIds }
+export function loadSavedDecks() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SAVED_DECKS_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function storeSavedDecks(decks) {
+  try {
+    window.localStorage.setItem(SAVED_DECKS_KEY, JSON.stringify(decks));
+  } catch {
+    // Storage unavailable (private mode): decks last for this page only
+  }
+}
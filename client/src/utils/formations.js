@@ -0,0 +1,38 @@
+// Formations for group moves (server engine/formations.js places the troops;
+// this mirrors its shapes so a drag can show where the group will stand).
+
+export const FORMATIONS = [
+  { id: 'line', name: 'Line', icon: '↔️' },
+  { id: 'wedge', name: 'Wedge', icon: '🔺' },
+  { id: 'column', name: 'Column', icon: '↕️' },
+];
+
+export const MAX_GROUP_SIZE = 12; // server engine/formations.js
+
+// Place i of a formation: cells across the facing and behind the target
+function getFormationOffset(formation, i) {
+  if (formation === 'column') return { side: 0, back: i };
+  const rank = Math.ceil(i / 2);
+  const side = i % 2 === 1 ? -rank : rank;
+  return { side, back: formation === 'wedge' ? rank : 0 };
+}
+
+// The cells a group of troops lines up on around (targetX, targetY), facing
+// along the longer axis of the move from the group's middle
+export function getFormationCells(troops, targetX, targetY, formation) {
+  if (troops.length === 0) return [];
+  const dx = targetX - troops.reduce((sum, t) => sum + t.gridX, 0) / troops.length;
+  const dy = targetY - troops.reduce((sum, t) => sum + t.gridY, 0) / troops.length;
+  let facing = { x: 0, y: -1 };
+  if (dx !== 0 || dy !== 0) {
+    facing = Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx), y: 0 } : { x: 0, y: Math.sign(dy) };
+  }
+
+  return troops.map((_, i) => {
+    const { side, back } = getFormationOffset(formation, i);
+    return {
+      x: targetX - facing.y * side - facing.x * back,
+      y: targetY + facing.x * side - facing.y * back,
+    };
+  });
+}
@@ -0,0 +1,167 @@
+// Maps in the server's format (server/engine/maps/map.schema.json). The editor
+// catches the common mistakes here; the server validates the file again when
+// it is dropped into server/engine/maps and loaded at startup.
+
+export const MIN_GRID_SIZE = 16;
+export const MAX_GRID_SIZE = 40;
+export const MAX_SEATS = 6;
+export const SEAT_COLORS = ['#00BFFF', '#FF4500', '#32CD32', '#FFD700', '#FF69B4', '#9370DB'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const blankRows = (gridSize) => Array.from({ length: gridSize }, () => '.'.repeat(gridSize));
+
+// Open water everywhere, seats in the middle of opposite edges (then the other two)
+export function createBlankMap(gridSize = 32, seats = 2) {
+  const mid = Math.floor(gridSize / 2);
+  const edge = 3;
+  const positions = [
+    [mid, edge],
+    [mid, gridSize - 1 - edge],
+    [gridSize - 1 - edge, mid],
+    [edge, mid],
+  ];
+  const tiles = blankRows(gridSize);
+  const map = {
+    id: 'new_map',
+    name: 'New Map',
+    description: '',
+    gridSize,
+    tiles,
+    features: blankRows(gridSize),
+    bridges: [],
+    spawns: [],
+    routes: [],
+  };
+  for (let seat = 0; seat < seats; seat++) {
+    const [gridX, gridY] = positions[seat];
+    map.spawns.push({ gridX, gridY, color: SEAT_COLORS[seat] });
+    map.tiles = setTile(map.tiles, gridX, gridY, String(seat));
+  }
+  map.routes = seats === 2 ? [{ between: [0, 1], opposite: true }] : [];
+  return map;
+}
+
+// A copy of `tiles` (or the features layer) with one cell changed
+export function setTile(tiles, x, y, cell) {
+  if (!tiles[y] || x < 0 || x >= tiles[y].length || tiles[y][x] === cell) return tiles;
+  const next = tiles.slice();
+  next[y] = tiles[y].slice(0, x) + cell + tiles[y].slice(x + 1);
+  return next;
+}
+
+// Grow or crop the board; new cells are open water and anything left outside is dropped
+export function resizeMap(map, gridSize) {
+  const fit = (rows) => Array.from({ length: gridSize }, (_, y) => (rows[y] || '').slice(0, gridSize).padEnd(gridSize, '.'));
+  const tiles = fit(map.tiles);
+  const inside = (x, y) => x < gridSize && y < gridSize;
+  const bridges = map.bridges.filter((b) => inside(b.x, b.y));
+  const bridgeNames = new Set(bridges.map((b) => b.name));
+  return {
+    ...map,
+    gridSize,
+    tiles,
+    features: fit(map.features || []),
+    bridges,
+    spawns: map.spawns.map((s) => ({
+      ...s,
+      gridX: Math.min(s.gridX, gridSize - 1),
+      gridY: Math.min(s.gridY, gridSize - 1),
+    })),
+    routes: map.routes.map((r) => ({ ...r, bridges: (r.bridges || []).filter((n) => bridgeNames.has(n)) })),
+  };
+}
+
+// Drop the last seat: its territory becomes open water and its routes go
+export function removeLastSeat(map) {
+  const seat = map.spawns.length - 1;
+  const digit = String(seat);
+  return {
+    ...map,
+    tiles: map.tiles.map((row) => row.split(digit).join('.')),
+    spawns: map.spawns.slice(0, seat),
+    routes: map.routes.filter((r) => !r.between.includes(seat)),
+  };
+}
+
+// Why the map would be rejected by the server, or an empty list
+export function findMapProblems(map) {
+  const problems = [];
+  const size = map.gridSize;
+  if (!ID_PATTERN.test(map.id || '')) problems.push('Id must be lowercase letters, digits and _ (starting with a letter)');
+  if (!map.name || !map.name.trim()) problems.push('The map needs a name');
+  if (map.spawns.length < 2) problems.push('A map needs at least 2 seats');
+
+  map.spawns.forEach((spawn, i) => {
+    if (map.tiles[spawn.gridY]?.[spawn.gridX] !== String(i)) {
+      problems.push(`Seat ${i + 1}'s base must stand on its own territory`);
+    } else if (/[d^v<>]/.test(map.features[spawn.gridY][spawn.gridX])) {
+      problems.push(`Seat ${i + 1}'s base can't stand in deep water or a current`);
+    }
+  });
+
+  if (map.tiles.some((row, y) => [...row].some((cell, x) => cell === '#' && map.features[y][x] !== '.'))) {
+    problems.push('Kelp, reefs, deep water and currents can\'t be on trench tiles');
+  }
+
+  const names = new Set();
+  map.bridges.forEach((bridge) => {
+    if (names.has(bridge.name)) problems.push(`Two bridges are named "${bridge.name}"`);
+    names.add(bridge.name);
+    if (bridge.x >= size || bridge.y >= size) problems.push(`Bridge "${bridge.name}" is outside the map`);
+    else if (map.tiles[bridge.y][bridge.x] === '#') problems.push(`Bridge "${bridge.name}" stands on a trench tile`);
+  });
+
+  const routed = new Set();
+  map.routes.forEach((route) => route.between.forEach((seat) => routed.add(seat)));
+  map.spawns.forEach((_, i) => {
+    if (!routed.has(i)) problems.push(`Seat ${i + 1} has no route to attack anyone`);
+  });
+  return problems;
+}
+
+// The JSON to save as server/engine/maps/<id>.json
+export function exportMap(map) {
+  const out = {
+    id: map.id,
+    name: map.name,
+    ...(map.description ? { description: map.description } : {}),
+    gridSize: map.gridSize,
+    ...(map.background ? { background: map.background } : {}),
+    tiles: map.tiles,
+    ...(map.features.some((row) => /[^.]/.test(row)) ? { features: map.features } : {}),
+    bridges: map.bridges,
+    spawns: map.spawns,
+    routes: map.routes.map((r) => ({
+      between: r.between,
+      ...(r.bridges && r.bridges.length > 0 ? { bridges: r.bridges } : {}),
+      ...(r.opposite ? { opposite: true } : {}),
+    })),
+  };
+  return JSON.stringify(out, null, 4);
+}
+
+// Parse an exported map back into the editor. Throws with a readable message.
+export function importMap(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.tiles) || !Array.isArray(data.spawns)) {
+    throw new Error('Not a map file: expected tiles and spawns');
+  }
+  const gridSize = Number(data.gridSize) || data.tiles.length;
+  if (gridSize < MIN_GRID_SIZE || gridSize > MAX_GRID_SIZE) {
+    throw new Error(`Grid size must be between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}`);
+  }
+  if (data.spawns.length > MAX_SEATS) throw new Error(`At most ${MAX_SEATS} seats`);
+  return resizeMap({
+    id: data.id || 'new_map',
+    name: data.name || '',
+    description: data.description || '',
+    background: data.background,
+    gridSize,
+    tiles: data.tiles.map(String),
+    features: Array.isArray(data.features) ? data.features.map(String) : [],
+    bridges: Array.isArray(data.bridges) ? data.bridges : [],
+    spawns: data.spawns,
+    routes: Array.isArray(data.routes) ? data.routes : [],
+  }, gridSize);
+}
@@ -0,0 +1,73 @@
+// Terrain features: a map's optional `features` layer, one string per row like
+// its tiles (server engine/map.js and engine/terrain.js have the rules).
+
+export const KELP_MOVE_COST = 2; // server engine/constants.js
+
+export const TERRAIN_FEATURES = {
+  k: { name: 'Kelp', color: 'rgba(46, 125, 50, 0.55)', description: `Takes ${KELP_MOVE_COST} moves to enter` },
+  r: { name: 'Healing reef', color: 'rgba(255, 112, 67, 0.45)', description: 'Heals friendly troops standing on it each turn' },
+  d: { name: 'Deep water', color: 'rgba(0, 24, 72, 0.6)', description: 'Defensive units cannot enter' },
+  '^': { name: 'Current (north)', color: 'rgba(129, 212, 250, 0.3)', description: 'Pushes troops one cell north each turn' },
+  v: { name: 'Current (south)', color: 'rgba(129, 212, 250, 0.3)', description: 'Pushes troops one cell south each turn' },
+  '<': { name: 'Current (west)', color: 'rgba(129, 212, 250, 0.3)', description: 'Pushes troops one cell west each turn' },
+  '>': { name: 'Current (east)', color: 'rgba(129, 212, 250, 0.3)', description: 'Pushes troops one cell east each turn' },
+};
+
+const CURRENT_ANGLES = { '>': 0, v: Math.PI / 2, '<': Math.PI, '^': -Math.PI / 2 };
+
+// The feature at a cell, '.' for none (maps without a features layer have none anywhere)
+export function getFeature(terrain, x, y) {
+  const row = terrain && terrain.features && terrain.features[y];
+  return (row && row[x]) || '.';
+}
+
+// What entering (x, y) costs a troop of this type, Infinity where it can't go
+export function getStepCost(terrain, troopType, gridSize) {
+  const trench = new Set((terrain.trench || []).map((t) => `${t.x},${t.y}`));
+  return (x, y) => {
+    if (x < 0 || y < 0 || x >= gridSize || y >= gridSize || trench.has(`${x},${y}`)) return Infinity;
+    const feature = getFeature(terrain, x, y);
+    if (feature === 'd' && troopType === 'defense') return Infinity;
+    return feature === 'k' ? KELP_MOVE_COST : 1;
+  };
+}
+
+// Paint one feature into the cell whose top-left corner is (px, py)
+export function drawFeature(ctx, feature, px, py, size) {
+  const style = TERRAIN_FEATURES[feature];
+  if (!style) return;
+  ctx.save();
+  ctx.fillStyle = style.color;
+  ctx.fillRect(px, py, size, size);
+
+  if (feature === 'k') {
+    // A few swaying fronds
+    ctx.strokeStyle = 'rgba(129, 199, 132, 0.9)';
+    ctx.lineWidth = Math.max(1, size / 20);
+    for (let i = 1; i <= 3; i++) {
+      const x = px + (size * i) / 4;
+      ctx.beginPath();
+      ctx.moveTo(x, py + size * 0.9);
+      ctx.quadraticCurveTo(x - size / 8, py + size / 2, x, py + size * 0.15);
+      ctx.stroke();
+    }
+  } else if (feature === 'r') {
+    ctx.fillStyle = 'rgba(255, 241, 118, 0.95)';
+    ctx.font = `bold ${Math.round(size * 0.6)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('+', px + size / 2, py + size / 2);
+  } else if (feature in CURRENT_ANGLES) {
+    // A chevron pointing downstream
+    ctx.translate(px + size / 2, py + size / 2);
+    ctx.rotate(CURRENT_ANGLES[feature]);
+    ctx.strokeStyle = 'rgba(225, 245, 254, 0.9)';
+    ctx.lineWidth = Math.max(1, size / 12);
+    ctx.beginPath();
+    ctx.moveTo(-size / 6, -size / 4);
+    ctx.lineTo(size / 6, 0);
+    ctx.lineTo(-size / 6, size / 4);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
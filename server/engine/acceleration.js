@@ -0,0 +1,180 @@
+const { randomInt, randomItem } = require('./random');
+const { getRules } = require('./rules');
+
+// Last turn of each phase before the endgame, from the game's rules
+// (Classic: 80, 120, 160 and 190)
+function getPhaseEnds(game) {
+    const [calm, escalation, pressure, crisis] = getRules(game).accelerationTurns;
+    return { calm, escalation, pressure, crisis };
+}
+
+// Get current game phase info for UI display
+function getGamePhase(game) {
+    const turn = game.turnNumber || 0;
+    const ends = getPhaseEnds(game);
+    if (turn <= ends.calm) {
+        return { phase: 1, name: 'Early Game', color: '#4CAF50', description: 'Normal gameplay' };
+    }
+    if (turn <= ends.escalation) {
+        return { phase: 2, name: 'Escalation', color: '#FFC107', description: 'Troop damage +10%' };
+    }
+    if (turn <= ends.pressure) {
+        return { phase: 3, name: 'Pressure', color: '#FF9800', description: 'Troop damage +25%, Random events' };
+    }
+    if (turn <= ends.crisis) {
+        return { phase: 4, name: 'Crisis', color: '#FF5722', description: 'Troop damage +50%, Base erosion' };
+    }
+    return { phase: 5, name: 'ENDGAME', color: '#F44336', description: 'Troop damage +100%, Forced conclusion' };
+}
+
+// Smart game acceleration system to keep games short (Classic: under 200 turns, ~30 minutes)
+// Uses escalating mechanics based on the rules' turn thresholds to force decisive gameplay
+function applyGameAcceleration(game) {
+    const turn = game.turnNumber || 0;
+    const ends = getPhaseEnds(game);
+
+    // PHASE 1 (Classic turns 1-80): Normal gameplay, no intervention
+    if (turn <= ends.calm) {
+        return;
+    }
+
+    // PHASE 2 (Classic turns 81-120): Mild pressure
+    // - Slightly boost all troop damage (+10%)
+    if (turn <= ends.escalation) {
+        if (turn === ends.calm + 1) {
+            console.log(`⚡ [Turn ${turn}] PHASE 2: Mild pressure activated - Troop damage +10%`);
+        }
+        game.troops.forEach(troop => {
+            if (!troop.damageBoostApplied) {
+                troop.damage = Math.floor(troop.damage * 1.1);
+                troop.damageBoostApplied = true;
+            }
+        });
+        return;
+    }
+
+    // PHASE 3 (Classic turns 121-160): Moderate pressure
+    // - Boost troop damage (+25% total)
+    // - Randomly damage a player's base every 5 turns
+    if (turn <= ends.pressure) {
+        if (turn === ends.escalation + 1) {
+            console.log(`⚡ [Turn ${turn}] PHASE 3: Moderate pressure - Troop damage +25%, Random base damage`);
+        }
+
+        // Boost existing troops
+        game.troops.forEach(troop => {
+            if (!troop.damageBoostApplied || troop.damageBoostApplied < 1.25) {
+                const baseDamage = troop.baseDamage || troop.damage;
+                troop.baseDamage = baseDamage;
+                troop.damage = Math.floor(baseDamage * 1.25);
+                troop.damageBoostApplied = 1.25;
+            }
+        });
+
+        // Random base damage every 5 turns
+        if (turn % 5 === 0) {
+            const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
+            if (activePlayers.length > 1) {
+                const randomPlayer = randomItem(game, activePlayers);
+                const damage = 50 + randomInt(game, 50); // 50-100 damage
+                randomPlayer.baseHp = Math.max(0, randomPlayer.baseHp - damage);
+                console.log(`💥 [Turn ${turn}] Random event: ${randomPlayer.username}'s base takes ${damage} damage!`);
+            }
+        }
+        return;
+    }
+
+    // PHASE 4 (Classic turns 161-190): Heavy pressure
+    // - Boost troop damage (+50% total)
+    // - Reduce ALL base HP by 2% per turn (erosion)
+    // - Random catastrophic damage every 3 turns
+    if (turn <= ends.crisis) {
+        if (turn === ends.pressure + 1) {
+            console.log(`⚡ [Turn ${turn}] PHASE 4: Heavy pressure - Troop damage +50%, Base erosion, Catastrophic events`);
+        }
+
+        // Boost existing troops
+        game.troops.forEach(troop => {
+            if (!troop.damageBoostApplied || troop.damageBoostApplied < 1.5) {
+                const baseDamage = troop.baseDamage || troop.damage;
+                troop.baseDamage = baseDamage;
+                troop.damage = Math.floor(baseDamage * 1.5);
+                troop.damageBoostApplied = 1.5;
+            }
+        });
+
+        // Base erosion: all active bases lose 2% HP per turn
+        const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
+        activePlayers.forEach(player => {
+            const erosionDamage = Math.ceil(player.baseHp * 0.02);
+            player.baseHp = Math.max(0, player.baseHp - erosionDamage);
+        });
+
+        // Catastrophic damage every 3 turns
+        if (turn % 3 === 0) {
+            if (activePlayers.length > 1) {
+                // Pick the player with highest HP (rubber-banding)
+                activePlayers.sort((a, b) => b.baseHp - a.baseHp);
+                const target = activePlayers[0];
+                const damage = 150 + randomInt(game, 100); // 150-250 damage
+                target.baseHp = Math.max(0, target.baseHp - damage);
+                console.log(`🌊 [Turn ${turn}] Catastrophe: ${target.username}'s base takes ${damage} damage!`);
+            }
+        }
+        return;
+    }
+
+    // PHASE 5 (Classic turns 191+): ENDGAME FORCED
+    // - Boost troop damage (+100% total)
+    // - Reduce ALL base HP by 5% per turn
+    // - Attack weakest player's base every turn
+    if (turn > ends.crisis) {
+        if (turn === ends.crisis + 1) {
+            console.log(`💀 [Turn ${turn}] PHASE 5: ENDGAME - Troop damage +100%, Rapid base erosion, Forced conclusion`);
+        }
+
+        // Massive boost to troops
+        game.troops.forEach(troop => {
+            if (!troop.damageBoostApplied || troop.damageBoostApplied < 2.0) {
+                const baseDamage = troop.baseDamage || troop.damage;
+                troop.baseDamage = baseDamage;
+                troop.damage = Math.floor(baseDamage * 2.0);
+                troop.damageBoostApplied = 2.0;
+            }
+        });
+
+        // Severe base erosion: all bases lose 5% HP per turn
+        const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
+        activePlayers.forEach(player => {
+            const erosionDamage = Math.ceil(player.baseHp * 0.05);
+            player.baseHp = Math.max(0, player.baseHp - erosionDamage);
+        });
+
+        // Attack weakest player every turn to force elimination
+        if (activePlayers.length > 1) {
+            activePlayers.sort((a, b) => a.baseHp - b.baseHp);
+            const weakest = activePlayers[0];
+            const damage = 100 + randomInt(game, 100); // 100-200 damage
+            weakest.baseHp = Math.max(0, weakest.baseHp - damage);
+            console.log(`⚔️ [Turn ${turn}] Targeting weakest: ${weakest.username}'s base takes ${damage} damage!`);
+        }
+
+    }
+}
+
+// Get current damage multiplier based on turn number
+function getCurrentDamageMultiplier(game) {
+    const turn = game.turnNumber || 0;
+    const ends = getPhaseEnds(game);
+    if (turn <= ends.calm) return 1.0;
+    if (turn <= ends.escalation) return 1.1;
+    if (turn <= ends.pressure) return 1.25;
+    if (turn <= ends.crisis) return 1.5;
+    return 2.0; // Endgame
+}
+
+module.exports = {
+    getGamePhase,
+    applyGameAcceleration,
+    getCurrentDamageMultiplier
+};
@@ -0,0 +1,610 @@
+const { CELL_SIZE, TROOP_VISION_RADIUS } = require('./constants');
+const { getCard, getBalancedCard } = require('./cards');
+const { cycleDeck } = require('./decks');
+const { getGridSize, getFeature, canStandOn, findNearestUnoccupiedPosition, canAttackBase } = require('./map');
+const { findPath, getPathCost } = require('./pathfinding');
+const { applyCombatDamage, applyDefensiveTroopDamage } = require('./combat');
+const { applyGameAcceleration, getCurrentDamageMultiplier } = require('./acceleration');
+const { getRules } = require('./rules');
+const { moveTroopsOnTurnEnd } = require('./movement');
+const { applyTerrainEffects } = require('./terrain');
+const { validateSpellTarget, castSpell, tickShield } = require('./spells');
+const { createTraitEffects, getMovesPerTurn, getMovementBlocker, startTurnEffects, endTurnEffects } = require('./effects');
+const { getActivePlayers } = require('./state');
+const { createRound, allOrdersIn, getOrderQueue, normalizeOrder, findOrdersProblem } = require('./rounds');
+const { buildTroopOrders } = require('./waypoints');
+const { FORMATIONS, DEFAULT_FORMATION, MAX_GROUP_SIZE, planFormation } = require('./formations');
+const { areAllies, getStandingSides, getWinners } = require('./teams');
+const { nextRandom, randomId } = require('./random');
+const { validateCardId, validateCoordinates, validateTroopId, validateGameState, clamp } = require('./validation');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+// ============================================================================
+// ACTIONS: every rule change to a game goes through applyAction().
+// Handlers mutate the state in place and return an array of engine events,
+// or an actionError({ code, message }) rejection for the acting player.
+// ============================================================================
+
+// Deploys, moves and ending a turn: in turn-based games only the current player
+// acts; in simultaneous games orders only play while a round resolves (./rounds)
+function checkActingPlayer(game, playerId) {
+    if (game.gameMode === 'simultaneous') {
+        return game.round && game.round.resolving
+            ? null
+            : actionError(E.WRONG_GAME_MODE, 'Everyone plans at once in this game: submit your orders for the round');
+    }
+    return playerId === game.currentTurn ? null : actionError(E.NOT_YOUR_TURN, 'Not your turn');
+}
+
+function getDefensiveCount(game, playerId) {
+    return game.troops.filter(t => t.ownerId === playerId && t.type === 'defense').length;
+}
+
+// Build a troop for a card at a grid position (damage scaled to the current phase)
+function createTroop(game, card, ownerId, spawnPos, targetBaseId) {
+    const damageMultiplier = getCurrentDamageMultiplier(game);
+    const baseDamage = card.damage;
+    const actualDamage = Math.floor(baseDamage * damageMultiplier);
+
+    return {
+        id: randomId(game),
+        ownerId,
+        type: card.type,
+        name: card.name,
+        cardId: card.id,
+        hp: card.hp,
+        maxHp: card.hp,
+        damage: actualDamage,
+        baseDamage: baseDamage,
+        damageBoostApplied: damageMultiplier,
+        speed: card.speed,
+        range: card.range,
+        vision: card.vision || TROOP_VISION_RADIUS,
+        color: card.color,
+        isWall: card.isWall || false,
+        isTurret: card.isTurret || false,
+        effects: createTraitEffects(card),
+        onHit: card.onHit || [],
+        gridX: spawnPos.gridX,
+        gridY: spawnPos.gridY,
+        x: spawnPos.gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: spawnPos.gridY * CELL_SIZE + CELL_SIZE / 2,
+        target: null,
+        state: card.type === 'defense' ? 'guarding' : 'moving_to_bridge',
+        targetBaseId: targetBaseId || null, // Player-selected target
+        lockedTargetBaseId: card.type === 'offense' ? (targetBaseId || null) : undefined,
+        path: [], // A* pathfinding path
+        orders: [], // standing orders in manual movement mode (./waypoints)
+        patrolAngle: nextRandom(game) * Math.PI * 2,
+        patrolRadius: 3, // grid cells
+        patrolDir: nextRandom(game) > 0.5 ? 1 : -1,
+        patrolSpeed: 0.6
+    };
+}
+
+function deployCard(game, { playerId, cardId, gridX, gridY, targetBaseId }) {
+    if (!cardId) return actionError(E.INVALID_PAYLOAD, 'Missing required parameters');
+    if (!validateCardId(cardId)) return actionError(E.INVALID_CARD, 'Invalid card ID');
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (!validateGameState(game)) return actionError(E.INVALID_STATE, 'Game state is invalid');
+
+    const turnError = checkActingPlayer(game, playerId);
+    if (turnError) return turnError;
+
+    const player = game.players[playerId];
+    if (!player) return actionError(E.NOT_IN_GAME, 'You are not in this game');
+    if (player.eliminated) return actionError(E.ELIMINATED, 'You have been eliminated');
+
+    const card = getCard(cardId);
+    if (!card) return actionError(E.INVALID_CARD, 'Card not found');
+    const handIndex = player.hand.findIndex(c => c.id === cardId);
+    if (handIndex === -1) return actionError(E.INVALID_CARD, 'That card is not in your hand');
+    if (player.elixir < card.cost) return actionError(E.NOT_ENOUGH_ELIXIR, 'Not enough elixir');
+
+    if (card.type === 'spell') {
+        const targetError = validateSpellTarget(game, player, card, gridX, gridY);
+        if (targetError) return targetError;
+    }
+
+    // Validate coordinates if provided (for defensive units)
+    if (card.type === 'defense') {
+        if (gridX !== undefined && gridY !== undefined && !validateCoordinates(gridX, gridY, getGridSize(game))) {
+            return actionError(E.INVALID_POSITION, 'Invalid deployment coordinates');
+        }
+        if (gridX !== undefined && gridY !== undefined && getFeature(game, gridX, gridY) === 'd') {
+            return actionError(E.INVALID_POSITION, 'Defensive units cannot be placed in deep water');
+        }
+
+        // Check defensive unit cap
+        const { maxDefensiveUnits } = getRules(game);
+        if (getDefensiveCount(game, playerId) >= maxDefensiveUnits) {
+            return actionError(E.DEFENSE_LIMIT, `Maximum defensive units reached (${maxDefensiveUnits})`);
+        }
+    }
+
+    // Validate target base for offensive units
+    // If only one enemy base remains, auto-target it
+    if (card.type === 'offense') {
+        const enemies = getActivePlayers(game).filter(p => !areAllies(game, p.id, playerId));
+        if (enemies.length === 1) {
+            targetBaseId = enemies[0].id;
+        } else if (targetBaseId) {
+            const targetPlayer = game.players[targetBaseId];
+            if (!targetPlayer || targetPlayer.eliminated || targetPlayer.id === playerId) {
+                return actionError(E.INVALID_TARGET, 'Invalid target');
+            }
+            if (areAllies(game, targetBaseId, playerId)) {
+                return actionError(E.INVALID_TARGET, 'You cannot attack a teammate');
+            }
+            // The map's routes decide which seats may attack each other
+            if (!canAttackBase(game, player, targetPlayer)) {
+                return actionError(E.INVALID_TARGET, 'This map has no route from your base to that target');
+            }
+        }
+    }
+
+    player.elixir -= card.cost;
+
+    const events = card.type === 'spell'
+        ? castSpell(game, player, card, gridX, gridY)
+        : spawnTroop(game, player, card, { gridX, gridY, targetBaseId });
+
+    // Track card usage for statistics
+    if (!game.cardUsage[playerId]) {
+        game.cardUsage[playerId] = {};
+    }
+    game.cardUsage[playerId][cardId] = (game.cardUsage[playerId][cardId] || 0) + 1;
+
+    // Cycle card: deck players draw the next card of their own deck; everyone
+    // else gets a balanced draw, where the defensive count keeps defensive
+    // cards out of the queue once the cap is reached.
+    if (player.deck) {
+        cycleDeck(player, handIndex);
+    } else {
+        player.hand[handIndex] = player.nextCard;
+        player.nextCard = getBalancedCard(game, player.hand, getDefensiveCount(game, playerId));
+    }
+
+    return events;
+}
+
+function spawnTroop(game, player, card, { gridX, gridY, targetBaseId }) {
+    // Defensive units can be placed in custom positions within quadrant;
+    // offensive units spawn at base
+    const customSpawn = card.type === 'defense' && gridX !== undefined && gridY !== undefined;
+    const spawnGridX = customSpawn ? gridX : player.gridX;
+    const spawnGridY = customSpawn ? gridY : player.gridY;
+
+    // Prevent multiple troops from spawning on the same tile by finding
+    // the nearest free position around the intended spawn location.
+    const spawnPos = findNearestUnoccupiedPosition(game, spawnGridX, spawnGridY, 5, card.type);
+    const troop = createTroop(game, card, player.id, spawnPos, targetBaseId);
+    game.troops.push(troop);
+
+    return [{ type: 'troopDeployed', playerId: player.id, cardId: card.id, troopId: troop.id, gridX: troop.gridX, gridY: troop.gridY }];
+}
+
+// Why a troop can't be moved by hand to (targetGridX, targetGridY) this turn,
+// or null. Staying where it is always fits.
+function checkTroopMove(game, troop, targetGridX, targetGridY) {
+    if (troop.isWall || troop.isTurret) return actionError(E.TROOP_IMMOBILE, 'Walls and turrets cannot be moved');
+    const blocker = getMovementBlocker(troop);
+    if (blocker) return actionError(E.TROOP_IMMOBILE, `This troop is ${blocker.toLowerCase()}`);
+    if (game.movedTroops.has(troop.id)) return actionError(E.ALREADY_MOVED, 'This troop has already moved this turn');
+
+    // Validate move is within speed range
+    const movesPerTurn = getMovesPerTurn(troop);
+    const distance = Math.abs(troop.gridX - targetGridX) + Math.abs(troop.gridY - targetGridY);
+    if (distance > movesPerTurn) return actionError(E.OUT_OF_RANGE, 'Target is out of range');
+    if (distance === 0) return null;
+
+    if (!canStandOn(game, troop.type, targetGridX, targetGridY)) return actionError(E.INVALID_POSITION, 'Cannot move to impassable terrain');
+
+    // The cheapest way there must fit in the troop's moves (kelp costs extra);
+    // like automatic movement, a single step is always allowed
+    const path = findPath(game, troop.type, troop.gridX, troop.gridY, targetGridX, targetGridY);
+    if (path.length === 0 || (path.length > 1 && getPathCost(game, troop.type, path) > movesPerTurn)) {
+        return actionError(E.OUT_OF_RANGE, 'Target is out of range');
+    }
+    return null;
+}
+
+// Move a troop whose move checkTroopMove passed; returns its event
+function walkTroop(game, troop, playerId, targetGridX, targetGridY) {
+    const troopId = troop.id;
+    const oldGridX = troop.gridX;
+    const oldGridY = troop.gridY;
+
+    // Moving away from enemy defenders costs a hit; the troop may not survive it
+    applyDefensiveTroopDamage(game, troop, oldGridX, oldGridY, targetGridX, targetGridY);
+    game.movedTroops.add(troopId);
+
+    if (!game.troops.find(t => t.id === troopId)) {
+        return { type: 'troopKilled', troopId, playerId };
+    }
+
+    troop.gridX = targetGridX;
+    troop.gridY = targetGridY;
+    troop.x = targetGridX * CELL_SIZE + CELL_SIZE / 2;
+    troop.y = targetGridY * CELL_SIZE + CELL_SIZE / 2;
+
+    return { type: 'troopMoved', troopId, playerId, fromX: oldGridX, fromY: oldGridY, toX: targetGridX, toY: targetGridY };
+}
+
+function moveTroop(game, { playerId, troopId, targetGridX, targetGridY }) {
+    if (!troopId || targetGridX === undefined || targetGridY === undefined) return actionError(E.INVALID_PAYLOAD, 'Missing required parameters');
+    if (!validateTroopId(troopId)) return actionError(E.INVALID_PAYLOAD, 'Invalid troop ID');
+    if (!validateCoordinates(targetGridX, targetGridY, getGridSize(game))) return actionError(E.INVALID_POSITION, 'Invalid target coordinates');
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (game.movementMode !== 'manual') return actionError(E.MOVEMENT_DISABLED, 'Manual movement is not enabled');
+    const turnError = checkActingPlayer(game, playerId);
+    if (turnError) return turnError;
+
+    const troop = game.troops.find(t => t.id === troopId);
+    if (!troop) return actionError(E.TROOP_NOT_FOUND, 'Troop not found');
+    if (troop.ownerId !== playerId) return actionError(E.NOT_YOUR_TROOP, 'You do not own this troop');
+
+    const moveError = checkTroopMove(game, troop, targetGridX, targetGridY);
+    if (moveError) return moveError;
+    if (troop.gridX === targetGridX && troop.gridY === targetGridY) {
+        return actionError(E.INVALID_POSITION, 'Cannot move to the same position');
+    }
+    return [walkTroop(game, troop, playerId, targetGridX, targetGridY)];
+}
+
+// Move a group of troops at once into a formation (./formations) around the
+// target cell. Every troop's place is checked before any of them moves, so
+// either the whole group moves or none of it does; a troop already in its
+// place stays there and counts as moved.
+function moveTroops(game, { playerId, troopIds, targetGridX, targetGridY, formation }) {
+    if (!Array.isArray(troopIds) || troopIds.length === 0 || targetGridX === undefined || targetGridY === undefined) {
+        return actionError(E.INVALID_PAYLOAD, 'Missing required parameters');
+    }
+    if (troopIds.length > MAX_GROUP_SIZE) return actionError(E.INVALID_PAYLOAD, `A group can have at most ${MAX_GROUP_SIZE} troops`);
+    if (!troopIds.every(validateTroopId)) return actionError(E.INVALID_PAYLOAD, 'Invalid troop ID');
+    if (new Set(troopIds).size !== troopIds.length) return actionError(E.INVALID_PAYLOAD, 'A troop is listed twice');
+    formation = formation || DEFAULT_FORMATION;
+    if (!FORMATIONS.includes(formation)) return actionError(E.INVALID_PAYLOAD, `Formations are ${FORMATIONS.join(', ')}`);
+    if (!validateCoordinates(targetGridX, targetGridY, getGridSize(game))) return actionError(E.INVALID_POSITION, 'Invalid target coordinates');
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (game.movementMode !== 'manual') return actionError(E.MOVEMENT_DISABLED, 'Manual movement is not enabled');
+    const turnError = checkActingPlayer(game, playerId);
+    if (turnError) return turnError;
+
+    const troops = [];
+    for (const troopId of troopIds) {
+        const troop = game.troops.find(t => t.id === troopId);
+        if (!troop) return actionError(E.TROOP_NOT_FOUND, 'Troop not found');
+        if (troop.ownerId !== playerId) return actionError(E.NOT_YOUR_TROOP, 'You do not own this troop');
+        if (troop.isWall || troop.isTurret) return actionError(E.TROOP_IMMOBILE, 'Walls and turrets cannot be moved');
+        troops.push(troop);
+    }
+
+    const placements = planFormation(game, troops, targetGridX, targetGridY, formation);
+    for (const { troop, x, y } of placements) {
+        if (x === null) return actionError(E.INVALID_POSITION, `There is no room for ${troop.name} in the formation`);
+        const moveError = checkTroopMove(game, troop, x, y);
+        if (moveError) return actionError(moveError.code, `${troop.name}: ${moveError.message}`);
+    }
+
+    const events = [];
+    placements.forEach(({ troop, x, y }) => {
+        if (troop.gridX === x && troop.gridY === y) {
+            game.movedTroops.add(troop.id);
+        } else {
+            events.push(walkTroop(game, troop, playerId, x, y));
+        }
+    });
+    return events;
+}
+
+function setTarget(game, { playerId, troopId, targetBaseId }) {
+    if (!troopId || !targetBaseId) return actionError(E.INVALID_PAYLOAD, 'Missing required parameters');
+    if (!validateTroopId(troopId)) return actionError(E.INVALID_PAYLOAD, 'Invalid troop ID');
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+
+    const troop = game.troops.find(t => t.id === troopId);
+    if (!troop) return actionError(E.TROOP_NOT_FOUND, 'Troop not found');
+    if (troop.ownerId !== playerId) return actionError(E.NOT_YOUR_TROOP, 'You do not own this troop');
+
+    const targetPlayer = game.players[targetBaseId];
+    if (!targetPlayer) return actionError(E.INVALID_TARGET, 'Target player not found');
+    if (targetPlayer.eliminated) return actionError(E.INVALID_TARGET, 'Target player has been eliminated');
+    if (targetPlayer.id === playerId) return actionError(E.INVALID_TARGET, 'Cannot target yourself');
+    if (areAllies(game, targetBaseId, playerId)) return actionError(E.INVALID_TARGET, 'You cannot attack a teammate');
+
+    // Set the target for this offensive unit
+    troop.targetBaseId = targetBaseId;
+    troop.lockedTargetBaseId = targetBaseId;
+    troop.state = 'moving_to_bridge';
+    troop.path = []; // force immediate repath to new target
+
+    return [{ type: 'targetSet', troopId, playerId, targetBaseId }];
+}
+
+// Give a troop standing orders (./waypoints), replacing its queue or adding to
+// it with `append`; an empty list hands it back to automatic movement. Like a
+// target, orders can be given at any time and are carried out at the end of
+// the owner's turn.
+function setTroopOrders(game, { playerId, troopId, orders, append }) {
+    if (!troopId || !Array.isArray(orders)) return actionError(E.INVALID_PAYLOAD, 'Missing required parameters');
+    if (!validateTroopId(troopId)) return actionError(E.INVALID_PAYLOAD, 'Invalid troop ID');
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (game.movementMode !== 'manual') return actionError(E.MOVEMENT_DISABLED, 'Manual movement is not enabled');
+
+    const troop = game.troops.find(t => t.id === troopId);
+    if (!troop) return actionError(E.TROOP_NOT_FOUND, 'Troop not found');
+    if (troop.ownerId !== playerId) return actionError(E.NOT_YOUR_TROOP, 'You do not own this troop');
+    if (troop.isWall || troop.isTurret) return actionError(E.TROOP_IMMOBILE, 'Walls and turrets cannot be moved');
+
+    const queue = buildTroopOrders(game, troop, orders, !!append);
+    if (typeof queue === 'string') return actionError(E.INVALID_ORDERS, queue);
+
+    troop.orders = queue;
+    troop.path = []; // find the way to the new orders
+    return [{ type: 'troopOrdersSet', troopId, playerId, orders: queue }];
+}
+
+function endTurn(game, { playerId }) {
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    const turnError = checkActingPlayer(game, playerId);
+    if (turnError) return turnError;
+
+    return advanceTurn(game);
+}
+
+// A player's orders for the current simultaneous round. Once everyone still in
+// the game has sent theirs the round locks in and resolves straight away.
+function submitOrders(game, { playerId, orders }) {
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (game.gameMode !== 'simultaneous') return actionError(E.WRONG_GAME_MODE, 'This game takes turns: play your cards on your turn');
+
+    const player = game.players[playerId];
+    if (!player) return actionError(E.NOT_IN_GAME, 'You are not in this game');
+    if (player.eliminated) return actionError(E.ELIMINATED, 'You have been eliminated');
+    if (Array.isArray(game.round.orders[playerId])) return actionError(E.ORDERS_LOCKED, 'Your orders for this round are already in');
+    if (!Array.isArray(orders)) return actionError(E.INVALID_PAYLOAD, 'Missing orders');
+
+    const normalized = orders.map(normalizeOrder);
+    if (normalized.includes(null)) return actionError(E.INVALID_ORDERS, 'Orders are deployCard or moveTroop');
+    const problem = findOrdersProblem(game, player, normalized);
+    if (problem) return problem;
+
+    game.round.orders[playerId] = normalized;
+    const events = [{ type: 'ordersSubmitted', playerId, round: game.round.number }];
+    return allOrdersIn(game) ? events.concat(resolveRound(game)) : events;
+}
+
+// Resolve the round with whatever orders are in (the round timer ran out)
+function lockInRound(game) {
+    if (game.status !== 'playing') return actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+    if (game.gameMode !== 'simultaneous') return actionError(E.WRONG_GAME_MODE, 'This game takes turns');
+
+    return resolveRound(game);
+}
+
+// `side`: the players left standing (one, or the surviving members of a team).
+// winnerIds lists everyone who shares the win; winnerId is the first of them.
+function finishGame(game, side, events) {
+    const winners = getWinners(game, side);
+    game.status = 'ended';
+    events.push({
+        type: 'gameOver',
+        winnerId: winners.length > 0 ? winners[0].id : null,
+        winnerIds: winners.map(p => p.id),
+        teamMode: !!game.teamMode
+    });
+    return events;
+}
+
+// The end of a turn for the whole board: acceleration, combat, then troop
+// movement. Returns false when the game ended on the way (events has gameOver).
+function resolveBoard(game, events) {
+    // Check for winner before proceeding (the last player, or team, standing)
+    const sides = getStandingSides(game);
+    if (sides.length <= 1) {
+        finishGame(game, sides[0], events);
+        return false;
+    }
+
+    // Apply game acceleration mechanics to keep games short (see the rules' accelerationTurns)
+    applyGameAcceleration(game);
+
+    // Apply combat damage at end of turn
+    events.push(...applyCombatDamage(game));
+
+    // Check for winner after combat
+    const sidesAfterCombat = getStandingSides(game);
+    if (sidesAfterCombat.length <= 1) {
+        finishGame(game, sidesAfterCombat[0], events);
+        return false;
+    }
+
+    // Move troops based on their speed
+    // - Automatic mode: all troops move.
+    // - Manual mode: the current player may manually move troops, but any troops
+    //   not moved are auto-moved at turn end so that every movable troop advances.
+    if (game.movementMode === 'automatic') {
+        moveTroopsOnTurnEnd(game, false); // Move all troops
+    } else {
+        moveTroopsOnTurnEnd(game, false, { onlyUnmoved: true }); // Auto-move any unmoved troops
+    }
+
+    // Currents and healing reefs act on wherever the troops ended up
+    events.push(...applyTerrainEffects(game));
+
+    // Clear moved troops set for new turn
+    game.movedTroops = new Set();
+    return true;
+}
+
+// Resolve the end of the current turn and hand play to the next active player:
+// acceleration, combat, troop movement, then elixir for the incoming player.
+// Also used by the adapter when the turn timer runs out or the current player leaves.
+function advanceTurn(game) {
+    const events = [];
+    if (!game || game.status !== 'playing') return events;
+
+    // Validate game state
+    if (!validateGameState(game)) {
+        console.error(`Invalid game state in advanceTurn for ${game.id}`);
+        return events;
+    }
+
+    // Increment turn counter
+    game.turnNumber = (game.turnNumber || 0) + 1;
+
+    if (!resolveBoard(game, events)) return events;
+
+    // Status effects on the outgoing player's troops wear down by a turn
+    endTurnEffects(game, game.currentTurn);
+
+    // Validate turn order
+    if (!Array.isArray(game.turnOrder) || game.turnOrder.length === 0) {
+        console.error(`Invalid turn order for game ${game.id}`);
+        game.turnOrder = Object.keys(game.players).filter(id => game.players[id] && !game.players[id].eliminated);
+        if (game.turnOrder.length === 0) {
+            return finishGame(game, null, events);
+        }
+    }
+
+    // Find next active player
+    const currentIndex = game.turnOrder.indexOf(game.currentTurn);
+    let nextIndex = currentIndex >= 0 ? (currentIndex + 1) % game.turnOrder.length : 0;
+    let attempts = 0;
+    const maxAttempts = game.turnOrder.length * 2; // Safety limit
+
+    // Skip eliminated players and validate player exists
+    while (attempts < maxAttempts) {
+        const nextPlayer = game.players[game.turnOrder[nextIndex]];
+        if (nextPlayer && !nextPlayer.eliminated) {
+            break; // Found valid player
+        }
+
+        nextIndex = (nextIndex + 1) % game.turnOrder.length;
+        attempts++;
+    }
+
+    if (attempts >= maxAttempts) {
+        // All players eliminated or invalid state
+        console.error(`Could not find next player for game ${game.id}`);
+        return finishGame(game, null, events);
+    }
+
+    const rules = getRules(game);
+    game.currentTurn = game.turnOrder[nextIndex];
+    game.turnTimeRemaining = rules.turnDuration;
+    game.turnNumber = (game.turnNumber || 0) + 1;
+
+    // Give elixir to the player whose turn it is (same rate for humans and AI)
+    const currentPlayer = game.players[game.currentTurn];
+    if (currentPlayer) {
+        currentPlayer.elixir = clamp((currentPlayer.elixir || 0) + rules.elixirPerTurn, 0, rules.maxElixir);
+        tickShield(currentPlayer);
+        events.push(...startTurnEffects(game, currentPlayer.id));
+    }
+
+    events.push({ type: 'turnStarted', playerId: game.currentTurn, turnNumber: game.turnNumber });
+    return events;
+}
+
+// One order played during a round; a rejected order is skipped, not an error
+function playOrder(game, playerId, order, handler) {
+    const result = handler(game, { ...order, playerId });
+    return Array.isArray(result) ? result : [{ type: 'orderSkipped', playerId, order, reason: result.message }];
+}
+
+// Play a simultaneous round: everyone's deploys, then everyone's moves, in the
+// order and with the tie-breaks set out in ./rounds; then the end of a turn for
+// the whole board, status effects and elixir for every player, and a new round.
+// A round moves the turn counter on as much as one turn does, so the rules'
+// acceleration turns stay the same number of combat steps into the game.
+function resolveRound(game) {
+    const events = [];
+    if (!validateGameState(game)) {
+        console.error(`Invalid game state in resolveRound for ${game.id}`);
+        return events;
+    }
+
+    const round = game.round;
+    game.turnNumber = (game.turnNumber || 0) + 1;
+
+    const played = [];
+    round.resolving = true;
+    getOrderQueue(game, 'deployCard').forEach(({ playerId, order }) => {
+        played.push(...playOrder(game, playerId, order, deployCard));
+    });
+    const claimedCells = new Set();
+    getOrderQueue(game, 'moveTroop').forEach(({ playerId, order }) => {
+        const cell = `${order.targetGridX},${order.targetGridY}`;
+        if (claimedCells.has(cell)) {
+            played.push({ type: 'orderSkipped', playerId, order, reason: 'Another troop moved there first' });
+            return;
+        }
+        const result = playOrder(game, playerId, order, moveTroop);
+        if (result.some(event => event.type === 'troopMoved')) claimedCells.add(cell);
+        played.push(...result);
+    });
+    round.resolving = false;
+
+    // Spells report through 'combat'; the rest is the round's deploys and moves as they happened
+    events.push(...played, {
+        type: 'roundResolved',
+        round: round.number,
+        steps: played.filter(event => event.type !== 'combat')
+    });
+
+    if (!resolveBoard(game, events)) return events;
+
+    const players = getActivePlayers(game);
+    players.forEach(player => endTurnEffects(game, player.id));
+
+    const rules = getRules(game);
+    game.round = createRound(round.number + 1);
+    game.turnTimeRemaining = rules.turnDuration;
+    game.turnNumber = (game.turnNumber || 0) + 1;
+
+    players.forEach(player => {
+        player.elixir = clamp((player.elixir || 0) + rules.elixirPerTurn, 0, rules.maxElixir);
+        tickShield(player);
+        events.push(...startTurnEffects(game, player.id));
+    });
+
+    events.push({ type: 'roundStarted', round: game.round.number, turnNumber: game.turnNumber });
+    return events;
+}
+
+const ACTION_HANDLERS = {
+    deployCard,
+    moveTroop,
+    moveTroops,
+    setTarget,
+    setTroopOrders,
+    endTurn,
+    submitOrders,
+    lockInRound
+};
+
+// Apply one player action to a game.
+// action: { type: 'deployCard'|'moveTroop'|'moveTroops'|'setTarget'|'setTroopOrders'|'endTurn', playerId, ...payload },
+// or in simultaneous games { type: 'submitOrders', playerId, orders } and { type: 'lockInRound' }
+// Returns { state, events, error }; error is { code, message } (see ./errors)
+// and on error the state is left untouched.
+function applyAction(state, action) {
+    const handler = action && ACTION_HANDLERS[action.type];
+    if (!handler) {
+        return { state, events: [], error: actionError(E.UNKNOWN_ACTION, 'Unknown action') };
+    }
+
+    const result = handler(state, action);
+    if (!Array.isArray(result)) {
+        return { state, events: [], error: result };
+    }
+
+    return { state, events: result, error: null };
+}
+
+module.exports = {
+    applyAction,
+    advanceTurn
+};
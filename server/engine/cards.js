@@ -0,0 +1,237 @@
+// Card definitions come from cards.json (shape in cards.schema.json) so stats
+// can be rebalanced without touching code. CARDS is a live array: reloading a
+// catalog replaces its contents in place, so modules holding a reference see
+// the new cards. Hands already dealt keep the card objects they were dealt.
+const fs = require('fs');
+const path = require('path');
+const {
+    DECK_SIZE,
+    DECK_MAX_COPIES,
+    DECK_MAX_LEGENDARIES,
+    DECK_MIN_PER_TYPE
+} = require('./constants');
+const { nextRandom, randomInt } = require('./random');
+const { validateSchema } = require('./schema');
+const { getRules } = require('./rules');
+const CARD_SCHEMA = require('./cards.schema.json');
+
+const CARD_CATALOG_PATH = path.join(__dirname, 'cards.json');
+
+const CARDS = [];
+const catalog = {
+    version: 0,
+    legendaryChance: 0,
+    aiDecks: {}, // AI skill -> preset deck (card ids)
+    file: null
+};
+
+// Stats every troop card (offense or defense) needs; spells carry `spell` instead
+const TROOP_STATS = ['hp', 'damage', 'speed', 'range'];
+
+// Why a list of card ids is not a legal deck, or null when it is. Checked
+// against the live catalog unless another card list is given.
+function findDeckProblem(cardIds, cards = CARDS) {
+    if (!Array.isArray(cardIds) || cardIds.length !== DECK_SIZE) {
+        return `A deck needs exactly ${DECK_SIZE} cards`;
+    }
+
+    const copies = {};
+    const perType = { offense: 0, defense: 0 };
+    let legendaries = 0;
+    for (const cardId of cardIds) {
+        const card = cards.find(c => c.id === cardId);
+        if (!card) return `Unknown card "${String(cardId).slice(0, 32)}"`;
+        copies[cardId] = (copies[cardId] || 0) + 1;
+        if (copies[cardId] > DECK_MAX_COPIES) return `At most ${DECK_MAX_COPIES} copies of ${card.name}`;
+        if (card.isLegendary) legendaries++;
+        if (card.type in perType) perType[card.type]++;
+    }
+
+    if (legendaries > DECK_MAX_LEGENDARIES) return `Only ${DECK_MAX_LEGENDARIES} legendary card per deck`;
+    for (const type of Object.keys(perType)) {
+        if (perType[type] < DECK_MIN_PER_TYPE) return `A deck needs at least ${DECK_MIN_PER_TYPE} ${type} cards`;
+    }
+    return null;
+}
+
+// Rules the schema can't express. Dealing needs a non-empty regular pool of
+// each type, and the legendary flag and rarity must agree.
+function checkCatalogRules(data) {
+    const errors = [];
+    const seen = new Set();
+    data.cards.forEach((card, i) => {
+        if (seen.has(card.id)) errors.push(`cards[${i}]: duplicate id "${card.id}"`);
+        seen.add(card.id);
+        if (!!card.isLegendary !== (card.rarity === 'legendary')) {
+            errors.push(`cards[${i}]: isLegendary must be set exactly when rarity is "legendary"`);
+        }
+        if (card.isWall && card.speed !== 0) errors.push(`cards[${i}]: walls must have speed 0`);
+        if (card.type === 'spell') {
+            if (!card.spell) errors.push(`cards[${i}]: spells need a "spell" definition`);
+            if (card.isWall || card.isTurret) errors.push(`cards[${i}]: spells can't be walls or turrets`);
+            if (card.traits || card.onHit) errors.push(`cards[${i}]: spells can't have traits or onHit effects`);
+            if ('vision' in card) errors.push(`cards[${i}]: spells have no vision`);
+        } else {
+            TROOP_STATS.filter(stat => !(stat in card))
+                .forEach(stat => errors.push(`cards[${i}]: troop cards need "${stat}"`));
+            if (card.spell) errors.push(`cards[${i}]: only spell cards have a "spell" definition`);
+        }
+    });
+    ['offense', 'defense'].forEach(type => {
+        const weight = data.cards
+            .filter(c => c.type === type && !c.isLegendary)
+            .reduce((sum, c) => sum + c.drawWeight, 0);
+        if (weight <= 0) errors.push(`cards: no drawable ${type} card (non-legendary with drawWeight > 0)`);
+    });
+    Object.entries(data.aiDecks || {}).forEach(([skill, deck]) => {
+        const problem = findDeckProblem(deck, data.cards);
+        if (problem) errors.push(`aiDecks.${skill}: ${problem}`);
+    });
+    return errors;
+}
+
+// Returns a list of problems; empty when the catalog can be loaded
+function validateCardCatalog(data) {
+    const errors = validateSchema(data, CARD_SCHEMA);
+    return errors.length > 0 ? errors : checkCatalogRules(data);
+}
+
+// Read, validate and install a catalog file. Throws (leaving the current
+// catalog untouched) when the file is unreadable or invalid, or when it drops
+// one of keepIds: cards still held by running games can't be played without
+// their definition.
+function loadCardCatalog(file = CARD_CATALOG_PATH, { keepIds = [] } = {}) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateCardCatalog(data);
+    if (errors.length === 0) {
+        const ids = new Set(data.cards.map(card => card.id));
+        new Set(keepIds).forEach(id => {
+            if (!ids.has(id)) errors.push(`cards: "${id}" is still in use and cannot be removed`);
+        });
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid card catalog ${file}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const cards = data.cards.map(card => ({
+        ...card,
+        isWall: !!card.isWall,
+        isTurret: !!card.isTurret,
+        isLegendary: !!card.isLegendary
+    }));
+    CARDS.splice(0, CARDS.length, ...cards);
+    catalog.version = data.version;
+    catalog.legendaryChance = data.legendaryChance;
+    catalog.aiDecks = data.aiDecks || {};
+    catalog.file = file;
+    return getCardCatalog();
+}
+
+// What clients get: everything they need to draw and describe cards
+function getCardCatalog() {
+    return {
+        version: catalog.version,
+        legendaryChance: catalog.legendaryChance,
+        deckRules: {
+            size: DECK_SIZE,
+            maxCopies: DECK_MAX_COPIES,
+            maxLegendaries: DECK_MAX_LEGENDARIES,
+            minPerType: DECK_MIN_PER_TYPE
+        },
+        cards: CARDS.map(card => ({ ...card }))
+    };
+}
+
+function getAIDeckPreset(skill) {
+    const deck = catalog.aiDecks[skill];
+    return deck ? [...deck] : null;
+}
+
+function getCard(cardId) {
+    return CARDS.find(c => c.id === cardId) || null;
+}
+
+// One roll per pick, weighted by drawWeight. With equal weights this picks
+// exactly what randomItem would, so older replays still deal the same cards.
+function pickWeighted(game, cards) {
+    const total = cards.reduce((sum, c) => sum + c.drawWeight, 0);
+    let roll = nextRandom(game) * total;
+    for (const card of cards) {
+        if (roll < card.drawWeight) return card;
+        roll -= card.drawWeight;
+    }
+    return cards.filter(c => c.drawWeight > 0).pop();
+}
+
+function regularCards(type) {
+    return CARDS.filter(c => !c.isLegendary && (!type || c.type === type));
+}
+
+function getRandomHand(game) {
+    const hand = [];
+    const offensiveCards = regularCards('offense');
+    const defensiveCards = regularCards('defense');
+
+    // Ensure balanced distribution: 2 offensive, 2 defensive
+    for (let i = 0; i < 2; i++) {
+        hand.push(pickWeighted(game, offensiveCards));
+        hand.push(pickWeighted(game, defensiveCards));
+    }
+
+    // Shuffle the hand
+    for (let i = hand.length - 1; i > 0; i--) {
+        const j = randomInt(game, i + 1);
+        [hand[i], hand[j]] = [hand[j], hand[i]];
+    }
+
+    return hand;
+}
+
+// Get a balanced random card based on player's current hand
+// If defensiveCount is provided and >= 10, only return offensive cards
+function getBalancedCard(game, playerHand, defensiveCount = null) {
+    // Legendary drop (catalog.legendaryChance). Which legendary takes a second
+    // roll only when there is more than one to choose from.
+    if (nextRandom(game) < catalog.legendaryChance) {
+        const legendaries = CARDS.filter(c => c.isLegendary && c.drawWeight > 0);
+        if (legendaries.length === 1) return legendaries[0];
+        if (legendaries.length > 1) return pickWeighted(game, legendaries);
+    }
+
+    const offensiveCards = regularCards('offense');
+    const defensiveCards = regularCards('defense');
+
+    // If defensive limit is reached, only return offensive cards
+    if (defensiveCount !== null && defensiveCount >= getRules(game).maxDefensiveUnits) {
+        return pickWeighted(game, offensiveCards);
+    }
+
+    // Count current hand composition
+    const offensiveCount = playerHand.filter(c => c.type === 'offense').length;
+    const handDefensiveCount = playerHand.filter(c => c.type === 'defense').length;
+
+    // If imbalanced, favor the underrepresented type (70% chance)
+    if (offensiveCount > handDefensiveCount && nextRandom(game) < 0.7) {
+        return pickWeighted(game, defensiveCards);
+    } else if (handDefensiveCount > offensiveCount && nextRandom(game) < 0.7) {
+        return pickWeighted(game, offensiveCards);
+    }
+
+    // Otherwise random
+    return pickWeighted(game, regularCards());
+}
+
+loadCardCatalog();
+
+module.exports = {
+    CARDS,
+    CARD_CATALOG_PATH,
+    validateCardCatalog,
+    loadCardCatalog,
+    getCardCatalog,
+    getAIDeckPreset,
+    findDeckProblem,
+    getCard,
+    getRandomHand,
+    getBalancedCard
+};
@@ -0,0 +1,181 @@
+const { absorbBaseDamage } = require('./spells');
+const { canAttack, dealDamage } = require('./effects');
+const { areAllies } = require('./teams');
+
+// Resolve end-of-turn combat: troops hit enemy bases and enemy troops in range.
+// Returns engine events ('baseEliminated' per destroyed base, then one 'combat'
+// batch with the attack/projectile/death animations for the client).
+function applyCombatDamage(game) {
+    const events = [];
+    const combatEvents = []; // { type: 'attack'|'projectile'|'statusApplied'|'statusDamage'|'death', ... }
+
+    // REMOVE troops belonging to eliminated players before combat
+    const troopsBeforeCombatCleanup = game.troops.length;
+    game.troops = game.troops.filter(troop => {
+        const owner = game.players[troop.ownerId];
+        return owner && !owner.eliminated;
+    });
+    const troopsRemovedBeforeCombat = troopsBeforeCombatCleanup - game.troops.length;
+    if (troopsRemovedBeforeCombat > 0) {
+        console.log(`🧹 Combat cleanup: Removed ${troopsRemovedBeforeCombat} troops from eliminated players.`);
+    }
+
+    // Combat happens at end of turn
+    game.troops.forEach(troop => {
+        // Stunned troops sit the round out
+        if (!canAttack(troop)) return;
+
+        // Check if troop is attacking an enemy base
+        if (troop.targetBaseId) {
+            const targetBase = game.players[troop.targetBaseId];
+            if (targetBase && !targetBase.eliminated && !areAllies(game, troop.ownerId, targetBase.id)) {
+                const dist = Math.abs(targetBase.gridX - troop.gridX) + Math.abs(targetBase.gridY - troop.gridY);
+
+                // If adjacent to base, deal damage
+                if (dist <= troop.range + 1) {
+                    targetBase.baseHp -= absorbBaseDamage(targetBase, troop.damage);
+
+                    if (targetBase.baseHp <= 0) {
+                        targetBase.baseHp = 0;
+                        targetBase.eliminated = true;
+                        targetBase.eliminatedOnTurn = game.turnNumber; // placement for ratings
+
+                        // REMOVE ALL TROOPS belonging to eliminated player
+                        const troopsBeforeRemoval = game.troops.length;
+                        game.troops = game.troops.filter(t => t.ownerId !== troop.targetBaseId);
+                        const troopsRemoved = troopsBeforeRemoval - game.troops.length;
+                        console.log(`🔥 Base ${troop.targetBaseId} eliminated! Removed ${troopsRemoved} troops.`);
+
+                        // The winner check happens after combat (see advanceTurn)
+                        events.push({ type: 'baseEliminated', playerId: troop.targetBaseId });
+                    }
+                }
+            }
+        }
+
+        // Check for troop vs troop combat
+        // Turrets: shoot ONE target per combat tick (prevents "spray" and fixes animation spam).
+        if (troop.isTurret) {
+            let bestTarget = null;
+            let bestDist = Infinity;
+            for (const other of game.troops) {
+                if (areAllies(game, other.ownerId, troop.ownerId)) continue;
+                const dist = Math.abs(other.gridX - troop.gridX) + Math.abs(other.gridY - troop.gridY);
+                if (dist <= troop.range && dist < bestDist) {
+                    bestDist = dist;
+                    bestTarget = other;
+                }
+            }
+
+            if (bestTarget) {
+                const turretDamage = dealDamage(troop, bestTarget, troop.damage * 2, combatEvents); // Double turret damage
+                combatEvents.push({
+                    type: 'projectile',
+                    attackerId: troop.id,
+                    targetId: bestTarget.id,
+                    damage: turretDamage,
+                    fromX: troop.x,
+                    fromY: troop.y,
+                    toX: bestTarget.x,
+                    toY: bestTarget.y,
+                    isBase: false
+                });
+            }
+
+            return; // Turret only shoots one target per tick
+        }
+
+        // Non-turrets: current behavior (can hit multiple enemies in range)
+        game.troops.forEach(other => {
+            if (areAllies(game, other.ownerId, troop.ownerId)) return;
+
+            const dist = Math.abs(other.gridX - troop.gridX) + Math.abs(other.gridY - troop.gridY);
+            if (dist <= troop.range) {
+                const damage = dealDamage(troop, other, troop.damage, combatEvents);
+                combatEvents.push({
+                    type: 'attack',
+                    attackerId: troop.id,
+                    targetId: other.id,
+                    damage,
+                    x: other.x,
+                    y: other.y,
+                    isBase: false
+                });
+            }
+        });
+    });
+
+    // Remove dead troops and record deaths
+    game.troops = game.troops.filter(t => {
+        if (t.hp <= 0) {
+            combatEvents.push({
+                type: 'death',
+                targetId: t.id,
+                x: t.x,
+                y: t.y
+            });
+            return false;
+        }
+        return true;
+    });
+
+    if (combatEvents.length > 0) {
+        events.push({ type: 'combat', events: combatEvents });
+    }
+
+    return events;
+}
+
+// Check if a troop is in range of defensive troops and apply damage if moving away
+function applyDefensiveTroopDamage(game, movingTroop, oldGridX, oldGridY, newGridX, newGridY) {
+    if (!movingTroop || !game.troops || !Array.isArray(game.troops)) return;
+
+    // Only apply to offensive troops moving away from defensive troops
+    if (movingTroop.type === 'defense') return;
+
+    // Find all defensive troops that could attack this troop
+    const defensiveTroops = game.troops.filter(t =>
+        t &&
+        t.type === 'defense' &&
+        !areAllies(game, t.ownerId, movingTroop.ownerId) &&
+        !t.isWall && // Walls don't attack
+        canAttack(t) &&
+        game.players[t.ownerId] &&
+        !game.players[t.ownerId].eliminated
+    );
+
+    for (const defensiveTroop of defensiveTroops) {
+        // Calculate distance from old position to defensive troop
+        const oldDistance = Math.abs(oldGridX - defensiveTroop.gridX) + Math.abs(oldGridY - defensiveTroop.gridY);
+
+        // Check if troop was in range before moving
+        if (oldDistance <= defensiveTroop.range + 1) {
+            // Calculate distance from new position to defensive troop
+            const newDistance = Math.abs(newGridX - defensiveTroop.gridX) + Math.abs(newGridY - defensiveTroop.gridY);
+
+            // If moving away (distance increased), apply damage
+            if (newDistance > oldDistance) {
+                // Apply damage
+                dealDamage(defensiveTroop, movingTroop, defensiveTroop.damage);
+                movingTroop.hp = Math.max(0, movingTroop.hp);
+
+                // Remove troop if dead
+                if (movingTroop.hp <= 0) {
+                    const index = game.troops.findIndex(t => t.id === movingTroop.id);
+                    if (index !== -1) {
+                        game.troops.splice(index, 1);
+                    }
+                }
+
+                // Only apply damage from one defensive troop per move (first one found)
+                break;
+            }
+        }
+    }
+}
+
+
+module.exports = {
+    applyCombatDamage,
+    applyDefensiveTroopDamage
+};
@@ -0,0 +1,48 @@
+// Grid configuration
+const GRID_SIZE = 40; // largest map side in cells; each map sets its own gridSize
+const CELL_SIZE = 50; // 50px per cell
+const TURN_DURATION = 30; // 30 seconds per turn
+
+// Economy and base rules
+const STARTING_ELIXIR = 8; // Increased starting elixir from 5 to 8 for faster gameplay
+const ELIXIR_PER_TURN = 6; // Increased from +4 to +6 for faster gameplay
+const MAX_ELIXIR = 15;
+const BASE_HP = 1000;
+const MAX_DEFENSIVE_UNITS = 10;
+const MAX_PLAYERS = 6; // most seats any map may have
+
+// Fog of war: how far (in cells) bases and troops see when the rule is on
+const BASE_VISION_RADIUS = 7;
+const TROOP_VISION_RADIUS = 4; // unless the card sets its own `vision`
+
+// Terrain features (a map's optional `features` layer, see ./terrain)
+const KELP_MOVE_COST = 2; // moves it takes to enter a kelp cell
+const REEF_HEAL = 40; // HP a healing reef gives a friendly troop standing on it, per turn
+
+// Decks (players may also play without one and draw from the whole catalog)
+const HAND_SIZE = 4;
+const DECK_SIZE = 8;
+const DECK_MAX_COPIES = 2; // of any one card
+const DECK_MAX_LEGENDARIES = 1;
+const DECK_MIN_PER_TYPE = 2; // offense and defense cards each
+
+module.exports = {
+    GRID_SIZE,
+    CELL_SIZE,
+    TURN_DURATION,
+    STARTING_ELIXIR,
+    ELIXIR_PER_TURN,
+    MAX_ELIXIR,
+    BASE_HP,
+    MAX_DEFENSIVE_UNITS,
+    MAX_PLAYERS,
+    BASE_VISION_RADIUS,
+    TROOP_VISION_RADIUS,
+    KELP_MOVE_COST,
+    REEF_HEAL,
+    HAND_SIZE,
+    DECK_SIZE,
+    DECK_MAX_COPIES,
+    DECK_MAX_LEGENDARIES,
+    DECK_MIN_PER_TYPE
+};
@@ -0,0 +1,64 @@
+// Decks: a player can bring DECK_SIZE cards of their own choosing. Their hand
+// is dealt from a shuffled queue of that deck and every played card goes to
+// the back of the queue, so the same cards keep cycling. Players without a
+// deck keep drawing from the whole catalog (see cards.js).
+const { HAND_SIZE, DECK_SIZE, DECK_MAX_COPIES } = require('./constants');
+const { CARDS, getCard, getAIDeckPreset, findDeckProblem } = require('./cards');
+const { randomInt } = require('./random');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+function validateDeck(cardIds) {
+    const problem = findDeckProblem(cardIds);
+    return problem ? actionError(E.INVALID_DECK, problem) : null;
+}
+
+// Regular cards in catalog order, alternating offense and defense, then the
+// same again as second copies. Null when the catalog is too small for a deck.
+function buildDefaultDeck() {
+    const pools = ['offense', 'defense'].map(type => CARDS.filter(c => c.type === type && !c.isLegendary));
+    const longest = Math.max(...pools.map(pool => pool.length));
+    const deck = [];
+    for (let copy = 0; copy < DECK_MAX_COPIES; copy++) {
+        for (let i = 0; i < longest; i++) {
+            pools.forEach(pool => {
+                if (pool[i] && deck.length < DECK_SIZE) deck.push(pool[i].id);
+            });
+        }
+    }
+    return findDeckProblem(deck) ? null : deck;
+}
+
+// The catalog's preset for this skill, or the default deck when there is none
+// (or it no longer fits the catalog after a reload)
+function getAIDeck(skill) {
+    const preset = getAIDeckPreset(skill);
+    return preset && !findDeckProblem(preset) ? preset : buildDefaultDeck();
+}
+
+// Shuffle the deck into a draw queue and deal the hand and next card from it
+function dealFromDeck(game, player) {
+    const queue = [...player.deck];
+    for (let i = queue.length - 1; i > 0; i--) {
+        const j = randomInt(game, i + 1);
+        [queue[i], queue[j]] = [queue[j], queue[i]];
+    }
+
+    player.hand = queue.splice(0, HAND_SIZE).map(getCard);
+    player.nextCard = getCard(queue.shift());
+    player.deckQueue = queue;
+}
+
+// The played card goes to the back of the queue; the next card takes its place
+function cycleDeck(player, handIndex) {
+    const played = player.hand[handIndex];
+    player.hand[handIndex] = player.nextCard;
+    player.deckQueue.push(played.id);
+    player.nextCard = getCard(player.deckQueue.shift());
+}
+
+module.exports = {
+    validateDeck,
+    getAIDeck,
+    dealFromDeck,
+    cycleDeck
+};
@@ -0,0 +1,200 @@
+// Status effects on troops. Each troop carries
+//   effects: [{ id, turns, amount, stacks }]
+// where `turns` counts down at the end of each of its owner's turns and null
+// means permanent (a card trait such as Turtle armor). Cards describe theirs as
+//   traits: [{ effect, amount }]           present from the moment the troop spawns
+//   onHit:  [{ effect, amount, turns }]    applied to every troop it damages
+//
+// Each entry in STATUS_EFFECTS declares how repeat applications combine
+// ('refresh': one instance, longest duration and strongest amount win;
+// 'stack': up to maxStacks copies of the amount) and which hooks it uses:
+//   modifyMoves(moves, effect)                           movement (moveTroopsOnTurnEnd, moveTroop)
+//   preventsAttack                                       combat: the troop deals no damage
+//   modifyIncomingDamage(damage, effect)                 combat and spells, before hp is lost
+//   onDamaged(troop, attacker, damage, effect, events)   combat, after hp is lost
+//   onTurnStart(troop, effect, events)                   start of the owner's turn
+const STATUS_EFFECTS = {
+    // Half the cells per turn, at least one
+    slow: {
+        label: 'Slowed',
+        stacking: 'refresh',
+        modifyMoves: moves => Math.max(1, Math.floor(moves / 2))
+    },
+    // Held in place but still fights (Frost Bubble)
+    freeze: {
+        label: 'Frozen',
+        stacking: 'refresh',
+        modifyMoves: () => 0
+    },
+    // Neither moves nor attacks
+    stun: {
+        label: 'Stunned',
+        stacking: 'refresh',
+        modifyMoves: () => 0,
+        preventsAttack: true
+    },
+    // `amount` damage per stack at the start of the owner's turn (Jellyfish sting)
+    poison: {
+        label: 'Poisoned',
+        stacking: 'stack',
+        maxStacks: 3,
+        onTurnStart(troop, effect, events) {
+            const damage = effect.amount * effect.stacks;
+            troop.hp -= damage;
+            events.push({ type: 'statusDamage', effect: 'poison', targetId: troop.id, amount: damage, x: troop.x, y: troop.y });
+        }
+    },
+    // Takes `amount` percent less damage from every source (Turtle)
+    armor: {
+        label: 'Armored',
+        stacking: 'refresh',
+        modifyIncomingDamage: (damage, effect) => Math.round(damage * (1 - Math.min(effect.amount, 100) / 100))
+    },
+    // Melee attackers (range 1) take `amount` percent of what they dealt back (Sea Urchin)
+    thorns: {
+        label: 'Thorns',
+        stacking: 'refresh',
+        onDamaged(troop, attacker, damage, effect, events) {
+            if (!attacker || attacker.range > 1) return;
+            const reflected = Math.round(damage * effect.amount / 100);
+            if (reflected <= 0) return;
+            attacker.hp -= reflected;
+            events.push({ type: 'statusDamage', effect: 'thorns', targetId: attacker.id, amount: reflected, x: attacker.x, y: attacker.y });
+        }
+    }
+};
+
+const STATUS_EFFECT_IDS = Object.keys(STATUS_EFFECTS);
+
+function eachEffect(troop, hook, fn) {
+    (troop.effects || []).forEach(effect => {
+        const def = STATUS_EFFECTS[effect.id];
+        if (def && def[hook]) fn(def, effect);
+    });
+}
+
+// Apply an effect to a troop following its stacking rule. Returns true when
+// something changed (a new effect, a longer duration, another stack).
+function addStatusEffect(troop, id, { turns = null, amount = 0 } = {}) {
+    const def = STATUS_EFFECTS[id];
+    if (!def) return false;
+    if (!troop.effects) troop.effects = [];
+
+    const existing = troop.effects.find(e => e.id === id);
+    if (!existing) {
+        troop.effects.push({ id, turns, amount, stacks: 1 });
+        return true;
+    }
+
+    const before = `${existing.turns}/${existing.amount}/${existing.stacks}`;
+    if (existing.turns !== null) {
+        existing.turns = turns === null ? null : Math.max(existing.turns, turns);
+    }
+    existing.amount = Math.max(existing.amount, amount);
+    if (def.stacking === 'stack') {
+        existing.stacks = Math.min(def.maxStacks || 1, existing.stacks + 1);
+    }
+    return before !== `${existing.turns}/${existing.amount}/${existing.stacks}`;
+}
+
+function hasStatusEffect(troop, id) {
+    return !!(troop.effects && troop.effects.some(e => e.id === id));
+}
+
+// A new troop's permanent effects, from its card's traits
+function createTraitEffects(card) {
+    const troop = { effects: [] };
+    (card.traits || []).forEach(trait => addStatusEffect(troop, trait.effect, { amount: trait.amount || 0 }));
+    return troop.effects;
+}
+
+// Cells a troop may move this turn: its speed (at least 1 unless it is 0), after effects
+function getMovesPerTurn(troop) {
+    let moves = troop.speed > 0 ? Math.max(1, Math.floor(troop.speed)) : 0;
+    eachEffect(troop, 'modifyMoves', (def, effect) => {
+        moves = def.modifyMoves(moves, effect);
+    });
+    return moves;
+}
+
+// The label of the effect holding a troop in place ('Frozen', 'Stunned'), or null
+function getMovementBlocker(troop) {
+    let blocker = null;
+    eachEffect(troop, 'modifyMoves', (def, effect) => {
+        if (!blocker && def.modifyMoves(1, effect) === 0) blocker = def.label;
+    });
+    return blocker;
+}
+
+function canAttack(troop) {
+    return !(troop.effects || []).some(e => STATUS_EFFECTS[e.id] && STATUS_EFFECTS[e.id].preventsAttack);
+}
+
+// Hit a troop for `damage`: the target's effects adjust it, the attacker's
+// onHit effects land on the target, and reactions such as thorns fire.
+// `attacker` is null for spell damage. Animation events go into `events`;
+// the caller removes troops that drop to 0 hp. Returns the damage dealt.
+function dealDamage(attacker, target, damage, events = []) {
+    let dealt = damage;
+    eachEffect(target, 'modifyIncomingDamage', (def, effect) => {
+        dealt = def.modifyIncomingDamage(dealt, effect);
+    });
+    target.hp -= dealt;
+
+    if (attacker) {
+        (attacker.onHit || []).forEach(({ effect, amount, turns }) => {
+            if (addStatusEffect(target, effect, { amount: amount || 0, turns: turns || 1 })) {
+                events.push({ type: 'statusApplied', effect, targetId: target.id, x: target.x, y: target.y });
+            }
+        });
+        eachEffect(target, 'onDamaged', (def, effect) => {
+            def.onDamaged(target, attacker, dealt, effect, events);
+        });
+    }
+    return dealt;
+}
+
+// Start-of-turn hooks (poison) for one player's troops. Returns engine events:
+// a 'combat' batch with the damage and any deaths, when something happened.
+function startTurnEffects(game, playerId) {
+    const combatEvents = [];
+    game.troops
+        .filter(t => t.ownerId === playerId)
+        .forEach(troop => eachEffect(troop, 'onTurnStart', (def, effect) => {
+            def.onTurnStart(troop, effect, combatEvents);
+        }));
+
+    game.troops = game.troops.filter(t => {
+        if (t.hp > 0) return true;
+        combatEvents.push({ type: 'death', targetId: t.id, x: t.x, y: t.y });
+        return false;
+    });
+
+    return combatEvents.length > 0 ? [{ type: 'combat', events: combatEvents }] : [];
+}
+
+// Count down one player's timed effects as their turn ends; expired ones drop off
+function endTurnEffects(game, playerId) {
+    game.troops
+        .filter(t => t.ownerId === playerId && t.effects && t.effects.length > 0)
+        .forEach(troop => {
+            troop.effects.forEach(effect => {
+                if (effect.turns !== null) effect.turns -= 1;
+            });
+            troop.effects = troop.effects.filter(effect => effect.turns === null || effect.turns > 0);
+        });
+}
+
+module.exports = {
+    STATUS_EFFECTS,
+    STATUS_EFFECT_IDS,
+    addStatusEffect,
+    hasStatusEffect,
+    createTraitEffects,
+    getMovesPerTurn,
+    getMovementBlocker,
+    canAttack,
+    dealDamage,
+    startTurnEffects,
+    endTurnEffects
+};
@@ -0,0 +1,48 @@
+// Typed rejections. Every refused action or command carries a stable `code`
+// that clients can switch on and a `message` meant for people.
+
+const ERROR_CODES = {
+    // Adapter (socket command pipeline)
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+    SPECTATOR: 'SPECTATOR',
+    NOT_ROOM_LEADER: 'NOT_ROOM_LEADER',
+    GAME_ALREADY_STARTED: 'GAME_ALREADY_STARTED',
+    INTERNAL: 'INTERNAL', // the server failed while running the command
+
+    // Engine rules
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    INVALID_STATE: 'INVALID_STATE',
+    GAME_NOT_IN_PROGRESS: 'GAME_NOT_IN_PROGRESS',
+    NOT_IN_GAME: 'NOT_IN_GAME',
+    NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+    ELIMINATED: 'ELIMINATED',
+    INVALID_CARD: 'INVALID_CARD',
+    INVALID_DECK: 'INVALID_DECK',
+    INVALID_MAP: 'INVALID_MAP',
+    INVALID_TEAMS: 'INVALID_TEAMS',
+    INVALID_RULES: 'INVALID_RULES',
+    NOT_ENOUGH_ELIXIR: 'NOT_ENOUGH_ELIXIR',
+    DEFENSE_LIMIT: 'DEFENSE_LIMIT',
+    INVALID_POSITION: 'INVALID_POSITION',
+    INVALID_TARGET: 'INVALID_TARGET',
+    TROOP_NOT_FOUND: 'TROOP_NOT_FOUND',
+    NOT_YOUR_TROOP: 'NOT_YOUR_TROOP',
+    TROOP_IMMOBILE: 'TROOP_IMMOBILE',
+    ALREADY_MOVED: 'ALREADY_MOVED',
+    OUT_OF_RANGE: 'OUT_OF_RANGE',
+    MOVEMENT_DISABLED: 'MOVEMENT_DISABLED',
+    WRONG_GAME_MODE: 'WRONG_GAME_MODE',
+    INVALID_ORDERS: 'INVALID_ORDERS',
+    ORDERS_LOCKED: 'ORDERS_LOCKED'
+};
+
+function actionError(code, message) {
+    return { code, message };
+}
+
+module.exports = {
+    ERROR_CODES,
+    actionError
+};
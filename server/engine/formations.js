@@ -0,0 +1,95 @@
+// Formations for group moves (the moveTroops action in manual movement mode).
+// A group faces from where it stands towards the target cell, along whichever
+// axis the move is longer in, and lines up around the target:
+//
+//   line    side by side across the facing, centred on the target
+//   wedge   the target at the point, then pairs of troops further back
+//   column  one behind the other, the first on the target
+//
+// The nearest troop takes the first place, the nearest of the rest the next,
+// and so on. A place a troop can't stand on, or one taken by a troop outside
+// the group, moves to the nearest free cell around it.
+const { getGridSize, canStandOn, isPositionOccupied } = require('./map');
+
+const FORMATIONS = ['line', 'wedge', 'column'];
+const DEFAULT_FORMATION = 'line';
+const MAX_GROUP_SIZE = 12;
+const MAX_PLACE_SHIFT = 2; // how far a blocked place may move, in cells
+
+// Place i of a formation as { side, back }: cells across the facing and
+// behind the target
+function getFormationOffset(formation, i) {
+    if (formation === 'column') return { side: 0, back: i };
+    const rank = Math.ceil(i / 2);
+    const side = i % 2 === 1 ? -rank : rank;
+    return { side, back: formation === 'wedge' ? rank : 0 };
+}
+
+// Unit vector the group faces: along the longer axis of the move from the
+// group's middle to the target, north when it is already there
+function getFacing(troops, targetX, targetY) {
+    const dx = targetX - troops.reduce((sum, t) => sum + t.gridX, 0) / troops.length;
+    const dy = targetY - troops.reduce((sum, t) => sum + t.gridY, 0) / troops.length;
+    if (dx === 0 && dy === 0) return { x: 0, y: -1 };
+    return Math.abs(dx) >= Math.abs(dy) ? { x: Math.sign(dx), y: 0 } : { x: 0, y: Math.sign(dy) };
+}
+
+// The formation's cells around the target, in the order they are filled
+function getFormationCells(formation, count, facing, targetX, targetY) {
+    const cells = [];
+    for (let i = 0; i < count; i++) {
+        const { side, back } = getFormationOffset(formation, i);
+        // "Across" is the facing turned a quarter to the right
+        cells.push({
+            x: targetX - facing.y * side - facing.x * back,
+            y: targetY + facing.x * side - facing.y * back
+        });
+    }
+    return cells;
+}
+
+// Where each troop of the group goes: [{ troop, x, y }], with x and y null
+// for a troop that has nowhere free to stand near its place
+function planFormation(game, troops, targetX, targetY, formation) {
+    const gridSize = getGridSize(game);
+    const groupIds = new Set(troops.map(t => t.id));
+    const cells = getFormationCells(formation, troops.length, getFacing(troops, targetX, targetY), targetX, targetY);
+    const taken = new Set();
+    const free = (troop, x, y) => x >= 0 && y >= 0 && x < gridSize && y < gridSize &&
+        !taken.has(`${x},${y}`) &&
+        canStandOn(game, troop.type, x, y) &&
+        !isPositionOccupied(game, x, y, groupIds);
+
+    const remaining = [...troops];
+    return cells.map(cell => {
+        // The nearest troop still without a place (the earliest listed on a tie)
+        let best = 0;
+        remaining.forEach((troop, i) => {
+            const distance = Math.abs(troop.gridX - cell.x) + Math.abs(troop.gridY - cell.y);
+            const bestDistance = Math.abs(remaining[best].gridX - cell.x) + Math.abs(remaining[best].gridY - cell.y);
+            if (distance < bestDistance) best = i;
+        });
+        const troop = remaining.splice(best, 1)[0];
+
+        let place = free(troop, cell.x, cell.y) ? cell : null;
+        for (let radius = 1; !place && radius <= MAX_PLACE_SHIFT; radius++) {
+            for (let dy = -radius; dy <= radius && !place; dy++) {
+                for (let dx = -radius; dx <= radius && !place; dx++) {
+                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+                    if (free(troop, cell.x + dx, cell.y + dy)) place = { x: cell.x + dx, y: cell.y + dy };
+                }
+            }
+        }
+        if (!place) return { troop, x: null, y: null };
+        taken.add(`${place.x},${place.y}`);
+        return { troop, x: place.x, y: place.y };
+    });
+}
+
+module.exports = {
+    FORMATIONS,
+    DEFAULT_FORMATION,
+    MAX_GROUP_SIZE,
+    getFormationCells,
+    planFormation
+};
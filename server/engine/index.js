@@ -0,0 +1,92 @@
+// Headless game engine: rules only, no sockets or timers.
+// The Socket.IO server (../index.js) is an adapter over this module; the
+// training loop and any simulation can drive it directly.
+const constants = require('./constants');
+const {
+    CARDS,
+    CARD_CATALOG_PATH,
+    validateCardCatalog,
+    loadCardCatalog,
+    getCardCatalog,
+    getCard,
+    getRandomHand,
+    getBalancedCard
+} = require('./cards');
+const { validateDeck, getAIDeck } = require('./decks');
+const { STATUS_EFFECTS, STATUS_EFFECT_IDS, hasStatusEffect } = require('./effects');
+const { createGame, getFreeSlot, addPlayer, setGameMap, startGame, removePlayer, rejoinPlayer, cloneState, getActivePlayers } = require('./state');
+const { setTeams, getTeam, areAllies } = require('./teams');
+const { getVisionGrid, getSpectatorVisionGrid, isCellVisible, getVisibleTroops, getFoggedState, getVisibleCombatEvents } = require('./vision');
+const { RULE_LIMITS, getRules, setRules, listRulePresets } = require('./rules');
+const { DEFAULT_MAP_ID, validateMap, loadMaps, getMap, getMapIdForSeats, listMaps } = require('./maps');
+const { applyAction, advanceTurn } = require('./actions');
+const { previewTurn } = require('./preview');
+const { GAME_MODES, MAX_ORDERS_PER_ROUND, allOrdersIn, getInitiativeOrder } = require('./rounds');
+const { getGamePhase, getCurrentDamageMultiplier } = require('./acceleration');
+const { MAX_SEED, normalizeSeed, seedGame } = require('./random');
+const { ERROR_CODES, actionError } = require('./errors');
+const replay = require('./replay');
+const map = require('./map');
+const validation = require('./validation');
+
+module.exports = {
+    ...constants,
+    CARDS,
+    CARD_CATALOG_PATH,
+    validateCardCatalog,
+    loadCardCatalog,
+    getCardCatalog,
+    getCard,
+    getRandomHand,
+    getBalancedCard,
+    validateDeck,
+    getAIDeck,
+    STATUS_EFFECTS,
+    STATUS_EFFECT_IDS,
+    hasStatusEffect,
+    createGame,
+    getFreeSlot,
+    addPlayer,
+    setGameMap,
+    setTeams,
+    getTeam,
+    areAllies,
+    getVisionGrid,
+    getSpectatorVisionGrid,
+    isCellVisible,
+    getVisibleTroops,
+    getFoggedState,
+    getVisibleCombatEvents,
+    RULE_LIMITS,
+    getRules,
+    setRules,
+    listRulePresets,
+    DEFAULT_MAP_ID,
+    validateMap,
+    loadMaps,
+    getMap,
+    getMapIdForSeats,
+    listMaps,
+    startGame,
+    removePlayer,
+    rejoinPlayer,
+    cloneState,
+    getActivePlayers,
+    applyAction,
+    advanceTurn,
+    previewTurn,
+    GAME_MODES,
+    MAX_ORDERS_PER_ROUND,
+    allOrdersIn,
+    getInitiativeOrder,
+    getGamePhase,
+    getCurrentDamageMultiplier,
+    MAX_SEED,
+    normalizeSeed,
+    seedGame,
+    ERROR_CODES,
+    actionError,
+    ...replay,
+    ...map,
+    ...validation
+};
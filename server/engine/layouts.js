@@ -0,0 +1,123 @@
+// Generated symmetric maps for player counts the hand-drawn maps don't cover.
+// The board is cut into one wedge per seat around an open central plaza:
+// trenches run out from the plaza between neighbouring wedges, each with a
+// bridge gap half way along, so neighbours meet at their shared bridge or in
+// the plaza and everyone else only through the plaza. The result is an
+// ordinary map definition, validated and loaded like the files in ./maps.
+const { GRID_SIZE } = require('./constants');
+
+const SEAT_COLORS = ['#00BFFF', '#FF4500', '#32CD32', '#FFD700', '#FF69B4', '#9370DB'];
+
+// id, name and seat count of each generated map
+const LAYOUTS = [
+    { id: 'duel', name: 'Duel', seats: 2, description: 'Head to head: two bases facing each other across one lane' },
+    { id: 'triangle', name: 'Triangle', seats: 3, description: 'Three bases, every one a neighbour' },
+    { id: 'pentagon', name: 'Pentagon', seats: 5, description: 'Five bases round a central plaza' },
+    { id: 'hexagon', name: 'Hexagon', seats: 6, description: 'Six bases round a central plaza' }
+];
+
+const COMPASS = ['east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'north', 'northeast'];
+
+// Smallest difference between two angles, in radians
+function angleBetween(a, b) {
+    const d = Math.abs(a - b) % (2 * Math.PI);
+    return d > Math.PI ? 2 * Math.PI - d : d;
+}
+
+function compassName(angle, taken) {
+    const base = COMPASS[((Math.round(angle / (Math.PI / 4)) % 8) + 8) % 8];
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}${n}`;
+    taken.add(name);
+    return name;
+}
+
+function generateLayout({ id, name, seats, description }, gridSize = GRID_SIZE) {
+    const center = (gridSize - 1) / 2;
+    const plazaRadius = gridSize * 0.14;
+    const bridgeRadius = gridSize * 0.3;
+    const spawnRadius = gridSize / 2 - 4;
+
+    // Seat 0 at the top, the rest clockwise; boundary i lies between seats i and i + 1
+    const seatAngles = Array.from({ length: seats }, (_, i) => -Math.PI / 2 + i * 2 * Math.PI / seats);
+    const boundaryAngles = seatAngles.map(angle => angle + Math.PI / seats);
+    const cellAt = (radius, angle) => ({
+        x: Math.round(center + radius * Math.cos(angle)),
+        y: Math.round(center + radius * Math.sin(angle))
+    });
+
+    const taken = new Set(['center']);
+    const bridges = boundaryAngles.map(angle => ({ name: compassName(angle, taken), ...cellAt(bridgeRadius, angle) }));
+
+    const rows = [];
+    for (let y = 0; y < gridSize; y++) {
+        let row = '';
+        for (let x = 0; x < gridSize; x++) {
+            const dx = x - center;
+            const dy = y - center;
+            const radius = Math.hypot(dx, dy);
+            const angle = Math.atan2(dy, dx);
+
+            const onBridge = bridges.some(b => Math.abs(b.x - x) <= 1 && Math.abs(b.y - y) <= 1);
+            const inTrench = radius > plazaRadius && boundaryAngles.some(b => {
+                const d = angleBetween(angle, b);
+                return d < Math.PI / 2 && radius * Math.sin(d) < 1;
+            });
+
+            if (radius <= plazaRadius || onBridge) {
+                row += '.';
+            } else if (inTrench) {
+                row += '#';
+            } else {
+                let seat = 0;
+                seatAngles.forEach((seatAngle, i) => {
+                    if (angleBetween(angle, seatAngle) < angleBetween(angle, seatAngles[seat])) seat = i;
+                });
+                row += String(seat);
+            }
+        }
+        rows.push(row);
+    }
+
+    const middle = Math.round(center);
+    bridges.push({ name: 'center', x: middle, y: middle });
+
+    // Neighbours split their attacks between their shared bridge and the plaza;
+    // with two seats both bridges lie between them.
+    const routes = [];
+    for (let a = 0; a < seats; a++) {
+        for (let b = a + 1; b < seats; b++) {
+            const route = { between: [a, b] };
+            if (seats === 2) {
+                route.bridges = [bridges[0].name, bridges[1].name];
+            } else if (b === a + 1 || (a === 0 && b === seats - 1)) {
+                const shared = b === a + 1 ? a : b;
+                route.bridges = [bridges[shared].name, 'center'];
+            } else {
+                route.bridges = ['center'];
+            }
+            if (seats % 2 === 0 && b - a === seats / 2) route.opposite = true;
+            routes.push(route);
+        }
+    }
+
+    return {
+        id,
+        name,
+        description,
+        gridSize,
+        tiles: rows,
+        bridges,
+        spawns: seatAngles.map((angle, i) => {
+            const { x, y } = cellAt(spawnRadius, angle);
+            return { gridX: x, gridY: y, color: SEAT_COLORS[i] };
+        }),
+        routes
+    };
+}
+
+module.exports = {
+    SEAT_COLORS,
+    LAYOUTS,
+    generateLayout
+};
@@ -0,0 +1,174 @@
+const { GRID_SIZE } = require('./constants');
+const { areAllies } = require('./teams');
+
+// Everything about the board comes from the game's map (game.terrain, built
+// from a map definition by ./maps): its size, trench tiles, terrain features,
+// the territory of each seat and the routes between seats.
+
+// Cells per side of this game's map
+function getGridSize(game) {
+    return (game && game.terrain && game.terrain.gridSize) || GRID_SIZE;
+}
+
+// Trench tiles as "x,y" keys for quick passability checks, built once per
+// terrain (a game's terrain is replaced, never edited, when its map changes)
+const trenchSets = new WeakMap();
+function getTrenchSet(game) {
+    let trenchSet = trenchSets.get(game.terrain);
+    if (!trenchSet) {
+        trenchSet = new Set(game.terrain.trench.map(t => `${t.x},${t.y}`));
+        trenchSets.set(game.terrain, trenchSet);
+    }
+    return trenchSet;
+}
+
+function isPassable(x, y, trenchSet, gridSize = GRID_SIZE) {
+    if (x < 0 || x >= gridSize || y < 0 || y >= gridSize) return false;
+    const key = `${x},${y}`;
+    return !trenchSet.has(key);
+}
+
+// A cell's terrain feature: game.terrain.features has one string per row like
+// tiles (null on maps without any). '.' none, 'k' kelp, 'r' healing reef,
+// 'd' deep water, '^' 'v' '<' '>' a current flowing that way (see ./terrain).
+function getFeature(game, x, y) {
+    const row = game.terrain.features && game.terrain.features[y];
+    return (row && row[x]) || '.';
+}
+
+// Where a troop of this type may stand: never in a trench, and defensive units
+// never in deep water. A null type only checks the trench.
+function canStandOn(game, troopType, x, y, trenchSet = getTrenchSet(game)) {
+    if (!isPassable(x, y, trenchSet, getGridSize(game))) return false;
+    return troopType !== 'defense' || getFeature(game, x, y) !== 'd';
+}
+
+// Check if a position is on a bridge (within 3x3 area of any bridge)
+function isOnBridge(x, y, bridges) {
+    if (!bridges || !Array.isArray(bridges)) return false;
+    return bridges.some(bridge => {
+        const dx = Math.abs(x - bridge.x);
+        const dy = Math.abs(y - bridge.y);
+        return dx <= 1 && dy <= 1; // Within 3x3 area
+    });
+}
+
+// Check if a position is occupied by any troop other than excludeTroopId
+// (an id, or a Set of ids such as a group moving together)
+function isPositionOccupied(game, x, y, excludeTroopId = null) {
+    if (!game || !game.troops || !Array.isArray(game.troops)) return false;
+    const isExcluded = excludeTroopId instanceof Set ? id => excludeTroopId.has(id) : id => id === excludeTroopId;
+    return game.troops.some(t =>
+        t &&
+        t.gridX === x &&
+        t.gridY === y &&
+        !isExcluded(t.id)
+    );
+}
+
+// Find nearest unoccupied position a troop of troopType may stand on (see canStandOn)
+function findNearestUnoccupiedPosition(game, startX, startY, maxDistance = 5, troopType = null) {
+    if (!isPositionOccupied(game, startX, startY)) {
+        return { gridX: startX, gridY: startY };
+    }
+
+    const trenchSet = getTrenchSet(game);
+    const gridSize = getGridSize(game);
+
+    // Search in expanding radius
+    for (let radius = 1; radius <= maxDistance; radius++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                // Only check positions on the edge of the radius
+                if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
+
+                const x = startX + dx;
+                const y = startY + dy;
+
+                // Check bounds
+                if (x < 0 || x >= gridSize || y < 0 || y >= gridSize) continue;
+
+                // Check if passable and unoccupied
+                if (!canStandOn(game, troopType, x, y, trenchSet)) continue;
+
+                if (!isPositionOccupied(game, x, y)) {
+                    return { gridX: x, gridY: y };
+                }
+            }
+        }
+    }
+
+    // If no position found, return original (will fail validation)
+    return { gridX: startX, gridY: startY };
+}
+
+function isValidSpawn(game, x, y) {
+    const gridSize = getGridSize(game);
+    if (x < 0 || x >= gridSize || y < 0 || y >= gridSize) return false;
+    if (getTrenchSet(game).has(`${x},${y}`)) return false;
+
+    return true;
+}
+
+// The seat whose territory a cell belongs to, or null for trench and open water
+function getTerritory(game, x, y) {
+    const row = game.terrain.tiles && game.terrain.tiles[y];
+    const cell = row ? row[x] : undefined;
+    return cell !== undefined && /[0-9]/.test(cell) ? Number(cell) : null;
+}
+
+// Whether two troops (or a troop and a base) stand in the same seat's territory
+function isInSameTerritory(game, a, b) {
+    const territory = getTerritory(game, a.gridX, a.gridY);
+    return territory !== null && territory === getTerritory(game, b.gridX, b.gridY);
+}
+
+// The map route joining two players' seats, or null when neither may attack the other
+function findRoute(game, fromPlayer, toPlayer) {
+    if (!fromPlayer || !toPlayer) return null;
+    const routes = game.terrain.routes || [];
+    return routes.find(route =>
+        route.between.includes(fromPlayer.slot) &&
+        route.between.includes(toPlayer.slot) &&
+        fromPlayer.slot !== toPlayer.slot
+    ) || null;
+}
+
+// The map has to route the two seats, and teammates never attack each other
+function canAttackBase(game, fromPlayer, toPlayer) {
+    return !!findRoute(game, fromPlayer, toPlayer) && !areAllies(game, fromPlayer.id, toPlayer.id);
+}
+
+// Bases facing each other across the map (the route is marked opposite)
+function isAcrossFromBase(game, fromPlayer, toPlayer) {
+    const route = findRoute(game, fromPlayer, toPlayer);
+    return !!(route && route.opposite);
+}
+
+// The bridges an attack between two seats splits across (up to two)
+function getRouteBridges(game, fromPlayer, toPlayer) {
+    const route = findRoute(game, fromPlayer, toPlayer);
+    if (!route) return [];
+    const bridges = game.terrain.bridges || [];
+    return route.bridges
+        .map(name => bridges.find(bridge => bridge.name === name))
+        .filter(Boolean);
+}
+
+module.exports = {
+    getGridSize,
+    getTrenchSet,
+    isPassable,
+    getFeature,
+    canStandOn,
+    isOnBridge,
+    isPositionOccupied,
+    findNearestUnoccupiedPosition,
+    isValidSpawn,
+    getTerritory,
+    isInSameTerritory,
+    findRoute,
+    canAttackBase,
+    isAcrossFromBase,
+    getRouteBridges
+};
@@ -0,0 +1,197 @@
+// Maps are data: each maps/<id>.json (shape in maps/map.schema.json) lays out
+// one board's tiles, bridges, spawn points and attack routes. Passability,
+// territories and who may attack whom are all derived from the chosen map
+// (see ./map); a game keeps its own copy of the map as game.terrain.
+// Player counts no file covers get a generated layout (see ./layouts).
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./schema');
+const { LAYOUTS, generateLayout } = require('./layouts');
+const MAP_SCHEMA = require('./maps/map.schema.json');
+
+const MAPS_DIR = path.join(__dirname, 'maps');
+const DEFAULT_MAP_ID = 'trench_x';
+
+const MAPS = {}; // id -> map definition, replaced as a whole by loadMaps()
+
+// Rules the schema can't express: the tile grid matches gridSize, every
+// spawn stands on its own territory, and routes point at real seats and bridges.
+function checkMapRules(data) {
+    const errors = [];
+    const size = data.gridSize;
+    const inBounds = (x, y) => x >= 0 && y >= 0 && x < size && y < size;
+
+    if (data.tiles.length !== size) errors.push(`tiles: expected ${size} rows, found ${data.tiles.length}`);
+    data.tiles.forEach((row, y) => {
+        if (row.length !== size) errors.push(`tiles[${y}]: expected ${size} cells, found ${row.length}`);
+        [...row].forEach((cell, x) => {
+            if (/[0-9]/.test(cell) && Number(cell) >= data.spawns.length) {
+                errors.push(`tiles[${y}][${x}]: territory ${cell} has no spawn`);
+            }
+        });
+    });
+    if (errors.length > 0) return errors; // the checks below read the grid
+
+    const tileAt = (x, y) => data.tiles[y][x];
+
+    if (data.features) {
+        if (data.features.length !== size) errors.push(`features: expected ${size} rows, found ${data.features.length}`);
+        data.features.forEach((row, y) => {
+            if (row.length !== size) {
+                errors.push(`features[${y}]: expected ${size} cells, found ${row.length}`);
+                return;
+            }
+            [...row].forEach((feature, x) => {
+                if (feature !== '.' && data.tiles[y] && data.tiles[y][x] === '#') {
+                    errors.push(`features[${y}][${x}]: "${feature}" on a trench tile`);
+                }
+            });
+        });
+        if (errors.length > 0) return errors;
+    }
+    const featureAt = (x, y) => (data.features ? data.features[y][x] : '.');
+
+    data.spawns.forEach((spawn, i) => {
+        if (!inBounds(spawn.gridX, spawn.gridY)) {
+            errors.push(`spawns[${i}]: outside the map`);
+        } else if (tileAt(spawn.gridX, spawn.gridY) !== String(i)) {
+            errors.push(`spawns[${i}]: must stand on a tile of its own territory ("${i}")`);
+        } else if (/[d^v<>]/.test(featureAt(spawn.gridX, spawn.gridY))) {
+            errors.push(`spawns[${i}]: a base can't stand in deep water or a current`);
+        }
+    });
+
+    const bridgeNames = new Set();
+    data.bridges.forEach((bridge, i) => {
+        if (bridgeNames.has(bridge.name)) errors.push(`bridges[${i}]: duplicate name "${bridge.name}"`);
+        bridgeNames.add(bridge.name);
+        if (!inBounds(bridge.x, bridge.y)) {
+            errors.push(`bridges[${i}]: outside the map`);
+        } else if (tileAt(bridge.x, bridge.y) === '#') {
+            errors.push(`bridges[${i}]: stands on a trench tile`);
+        }
+    });
+
+    const pairs = new Set();
+    const routed = new Set();
+    data.routes.forEach((route, i) => {
+        const [a, b] = route.between;
+        if (a === b || a >= data.spawns.length || b >= data.spawns.length) {
+            errors.push(`routes[${i}]: must join two different spawns`);
+            return;
+        }
+        const pair = `${Math.min(a, b)}-${Math.max(a, b)}`;
+        if (pairs.has(pair)) errors.push(`routes[${i}]: spawns ${a} and ${b} already have a route`);
+        pairs.add(pair);
+        routed.add(a);
+        routed.add(b);
+        (route.bridges || []).forEach(name => {
+            if (!bridgeNames.has(name)) errors.push(`routes[${i}]: unknown bridge "${name}"`);
+        });
+    });
+    data.spawns.forEach((_, i) => {
+        if (!routed.has(i)) errors.push(`spawns[${i}]: no route lets this seat attack anyone`);
+    });
+
+    return errors;
+}
+
+// Returns a list of problems; empty when the map can be played
+function validateMap(data) {
+    const errors = validateSchema(data, MAP_SCHEMA);
+    return errors.length > 0 ? errors : checkMapRules(data);
+}
+
+// Read and validate every map in `dir`, then add the generated layouts whose
+// id no file uses. Throws (leaving the loaded maps untouched) when any map is
+// invalid or the default map is missing.
+function loadMaps(dir = MAPS_DIR) {
+    const loaded = {};
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') && file !== 'map.schema.json')
+        .sort()
+        .forEach(file => {
+            const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            const errors = validateMap(data);
+            if (data.id !== path.basename(file, '.json')) errors.push(`id: "${data.id}" does not match the file name`);
+            if (errors.length > 0) {
+                throw new Error(`Invalid map ${path.join(dir, file)}:\n  - ${errors.join('\n  - ')}`);
+            }
+            loaded[data.id] = data;
+        });
+
+    LAYOUTS.filter(layout => !loaded[layout.id]).forEach(layout => {
+        const data = generateLayout(layout);
+        const errors = validateMap(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid generated layout ${layout.id}:\n  - ${errors.join('\n  - ')}`);
+        }
+        loaded[data.id] = data;
+    });
+
+    if (!loaded[DEFAULT_MAP_ID]) throw new Error(`Default map "${DEFAULT_MAP_ID}" not found in ${dir}`);
+
+    Object.keys(MAPS).forEach(id => delete MAPS[id]);
+    Object.assign(MAPS, loaded);
+    return listMaps();
+}
+
+function getMap(mapId) {
+    return MAPS[mapId] || null;
+}
+
+// The map a room switches to when its player count changes: the default map
+// if it seats that many, otherwise the first map that does
+function getMapIdForSeats(seats) {
+    if (MAPS[DEFAULT_MAP_ID] && MAPS[DEFAULT_MAP_ID].spawns.length === seats) return DEFAULT_MAP_ID;
+    const map = Object.values(MAPS).find(m => m.spawns.length === seats);
+    return map ? map.id : null;
+}
+
+// What the map picker shows
+function listMaps() {
+    return Object.values(MAPS).map(map => ({
+        id: map.id,
+        name: map.name,
+        description: map.description || '',
+        gridSize: map.gridSize,
+        seats: map.spawns.length
+    }));
+}
+
+// A game's own copy of a map. `trench` lists the impassable cells for
+// pathfinding and drawing; `tiles` keeps the territories.
+function buildTerrain(map) {
+    const trench = [];
+    map.tiles.forEach((row, y) => {
+        [...row].forEach((cell, x) => {
+            if (cell === '#') trench.push({ x, y });
+        });
+    });
+
+    return {
+        mapId: map.id,
+        name: map.name,
+        gridSize: map.gridSize,
+        background: map.background || null,
+        tiles: [...map.tiles],
+        features: map.features ? [...map.features] : null,
+        trench,
+        bridges: map.bridges.map(bridge => ({ ...bridge })),
+        spawns: map.spawns.map(spawn => ({ ...spawn })),
+        routes: map.routes.map(route => ({ ...route, bridges: [...(route.bridges || [])] }))
+    };
+}
+
+loadMaps();
+
+module.exports = {
+    MAPS_DIR,
+    DEFAULT_MAP_ID,
+    validateMap,
+    loadMaps,
+    getMap,
+    getMapIdForSeats,
+    listMaps,
+    buildTerrain
+};
@@ -0,0 +1,429 @@
+const { CELL_SIZE } = require('./constants');
+const { getGridSize, isInSameTerritory, canAttackBase, getRouteBridges, canStandOn } = require('./map');
+const { BLOCKED, getMoveCosts, getEnemyCells, findPath, findOffensivePath } = require('./pathfinding');
+const { applyDefensiveTroopDamage } = require('./combat');
+const { getMovesPerTurn } = require('./effects');
+const { isStandingOrder, getOrderDestination } = require('./waypoints');
+const { areAllies } = require('./teams');
+const { nextRandom, randomInt, randomItem } = require('./random');
+
+// ============================================================================
+// OFFENSE TARGETING: sticky targets per troop
+// ============================================================================
+function isValidEnemyBaseId(game, ownerId, targetBaseId) {
+    if (!targetBaseId) return false;
+    const p = game.players && game.players[targetBaseId];
+    if (!p) return false;
+    if (p.eliminated) return false;
+    if (p.id === ownerId) return false;
+    return canAttackBase(game, game.players[ownerId], p);
+}
+
+// Enemy bases the map has a route to from this owner's seat
+function getActiveEnemyBases(game, ownerId) {
+    const owner = game.players[ownerId];
+    return Object.values(game.players || {}).filter(p => p && !p.eliminated && p.id !== ownerId && canAttackBase(game, owner, p));
+}
+
+function pickClosestEnemyBase(game, ownerId, fromGridX, fromGridY) {
+    const enemies = getActiveEnemyBases(game, ownerId);
+    if (enemies.length === 0) return null;
+
+    let best = enemies[0];
+    let bestDist = Math.abs(fromGridX - best.gridX) + Math.abs(fromGridY - best.gridY);
+    for (const e of enemies) {
+        const d = Math.abs(fromGridX - e.gridX) + Math.abs(fromGridY - e.gridY);
+        if (d < bestDist) {
+            bestDist = d;
+            best = e;
+        }
+    }
+    return best.id;
+}
+
+// Ensures an offensive troop has a stable target. Only changes when the target is invalid/eliminated.
+function ensureLockedOffenseTarget(game, troop) {
+    if (!troop || troop.type !== 'offense') return null;
+
+    const prevLocked = troop.lockedTargetBaseId || null;
+
+    // Prefer locked target if still valid
+    if (isValidEnemyBaseId(game, troop.ownerId, troop.lockedTargetBaseId)) {
+        troop.targetBaseId = troop.lockedTargetBaseId;
+        return { targetBaseId: troop.lockedTargetBaseId, changed: false };
+    }
+
+    // If targetBaseId is valid, lock onto it
+    if (isValidEnemyBaseId(game, troop.ownerId, troop.targetBaseId)) {
+        troop.lockedTargetBaseId = troop.targetBaseId;
+        return { targetBaseId: troop.targetBaseId, changed: prevLocked !== troop.targetBaseId };
+    }
+
+    // Otherwise assign a new target (closest enemy to minimize "backtracking" vibes)
+    const next = pickClosestEnemyBase(game, troop.ownerId, troop.gridX, troop.gridY);
+    if (!next) return null;
+
+    troop.lockedTargetBaseId = next;
+    troop.targetBaseId = next;
+    return { targetBaseId: next, changed: prevLocked !== next };
+}
+
+function getOrAssignSplitBridgeIndex(game, troop) {
+    // Ensure a stable split index per troop+target; reset if target changed.
+    if (troop._lastTargetBaseId !== troop.targetBaseId) {
+        troop.attackPathIndex = undefined;
+        troop._lastTargetBaseId = troop.targetBaseId;
+    }
+
+    if (troop.attackPathIndex === undefined) {
+        const troopsOnTarget = game.troops.filter(t =>
+            t.id !== troop.id &&
+            t.type === 'offense' &&
+            t.ownerId === troop.ownerId &&
+            t.targetBaseId === troop.targetBaseId
+        );
+        troop.attackPathIndex = troopsOnTarget.length % 2; // 0,1 alternating
+    }
+
+    return troop.attackPathIndex;
+}
+
+// ============================================================================
+// STANDING ORDERS: a troop with orders (./waypoints) works through them
+// instead of moving on its own, spending its moves on one leg after another
+// ============================================================================
+function followOrders(game, troop, movesPerTurn) {
+    const gridSize = getGridSize(game);
+    const moveCosts = getMoveCosts(game, troop.type);
+    let movesLeft = movesPerTurn;
+    let moved = false;
+
+    while (troop.orders.length > 0) {
+        const order = troop.orders[0];
+        const destination = getOrderDestination(game, troop, order);
+        if (!destination) return; // hold
+
+        if (troop.gridX === destination.x && troop.gridY === destination.y) {
+            if (isStandingOrder(order)) return; // guarding, or back at base
+            troop.orders.shift();
+            troop.path = [];
+            continue;
+        }
+
+        const last = troop.path && troop.path[troop.path.length - 1];
+        if (!last || last.x !== destination.x || last.y !== destination.y) {
+            troop.path = findPath(game, troop.type, troop.gridX, troop.gridY, destination.x, destination.y);
+        }
+        if (troop.path.length === 0) {
+            // No way there (any more): a waypoint is dropped, a standing order waits
+            if (isStandingOrder(order)) return;
+            troop.orders.shift();
+            continue;
+        }
+
+        while (troop.path.length > 0) {
+            const nextStep = troop.path[0];
+            const cost = moveCosts[nextStep.y * gridSize + nextStep.x];
+            if (cost === BLOCKED) {
+                troop.path = [];
+                return;
+            }
+            // As in automatic movement, the first step is always allowed
+            if (cost > movesLeft && moved) return;
+            movesLeft -= cost;
+
+            applyDefensiveTroopDamage(game, troop, troop.gridX, troop.gridY, nextStep.x, nextStep.y);
+            if (!game.troops.includes(troop)) return;
+
+            troop.gridX = nextStep.x;
+            troop.gridY = nextStep.y;
+            troop.x = troop.gridX * CELL_SIZE + CELL_SIZE / 2;
+            troop.y = troop.gridY * CELL_SIZE + CELL_SIZE / 2;
+            troop.path.shift();
+            moved = true;
+        }
+    }
+}
+
+function moveTroopsOnTurnEnd(game, aiOnly = false, options = {}) {
+    const gridSize = getGridSize(game);
+    const onlyUnmoved = !!options.onlyUnmoved;
+
+    // REMOVE troops belonging to eliminated players before moving
+    const troopsBeforeCleanup = game.troops.length;
+    game.troops = game.troops.filter(troop => {
+        const owner = game.players[troop.ownerId];
+        return owner && !owner.eliminated;
+    });
+    const troopsRemoved = troopsBeforeCleanup - game.troops.length;
+    if (troopsRemoved > 0) {
+        console.log(`🧹 Cleaned up ${troopsRemoved} troops from eliminated players.`);
+    }
+
+    game.troops.forEach(troop => {
+        // In manual mode with aiOnly=true, only move AI-owned troops
+        if (aiOnly) {
+            const owner = game.players[troop.ownerId];
+            if (!owner || !owner.isAI) {
+                return; // Skip ALL human-owned troops in manual mode
+            }
+        }
+
+        // In manual mode, if the player already moved this troop manually,
+        // do not auto-move it again. (We still ensure every troop moves by
+        // auto-moving any troops that were NOT manually moved.)
+        if (onlyUnmoved && game.movedTroops && game.movedTroops.has(troop.id)) {
+            return;
+        }
+
+        // In turn-based mode, only move troops belonging to the current player
+        if (game.gameMode === 'turns' && troop.ownerId !== game.currentTurn) {
+            return;
+        }
+        // Each troop moves a number of cells equal to their speed (at least 1 if speed > 0),
+        // less whatever its status effects take away
+        const movesPerTurn = getMovesPerTurn(troop);
+
+        if (movesPerTurn === 0) return; // Don't move if speed is 0 (walls, turrets) or frozen/stunned
+
+        const moveCosts = getMoveCosts(game, troop.type);
+
+        // Standing orders (waypoints, hold, guard, retreat) take over from automatic movement
+        if (troop.orders && troop.orders.length > 0) {
+            followOrders(game, troop, movesPerTurn);
+            return;
+        }
+
+        const ownerBase = game.players[troop.ownerId];
+
+        // Determine target based on troop type
+        let targetGridX, targetGridY;
+
+        if (troop.type === 'defense' && ownerBase) {
+            // Walls and turrets don't move
+            if (troop.isWall || troop.isTurret) {
+                return;
+            }
+
+            // Non-wall defensive units automatically patrol and engage within their territory
+            // Find ALL enemy troops (not just in quadrant - to intercept)
+            const allEnemyTroops = game.troops.filter(t => !areAllies(game, t.ownerId, troop.ownerId));
+
+            // Prioritize enemies in the same territory
+            const enemyTroopsInTerritory = allEnemyTroops.filter(t =>
+                isInSameTerritory(game, troop, t)
+            );
+
+            // Also check for enemies approaching the territory
+            const approachingEnemies = allEnemyTroops.filter(t => {
+                const distToBase = Math.abs(t.gridX - ownerBase.gridX) + Math.abs(t.gridY - ownerBase.gridY);
+                return distToBase < 8 && t.type === 'offense'; // Enemies within 8 cells of base
+            });
+
+            if (enemyTroopsInTerritory.length > 0) {
+                // Engage closest enemy in territory
+                let closest = enemyTroopsInTerritory[0];
+                let minDist = Math.abs(troop.gridX - closest.gridX) + Math.abs(troop.gridY - closest.gridY);
+
+                for (const enemy of enemyTroopsInTerritory) {
+                    const dist = Math.abs(troop.gridX - enemy.gridX) + Math.abs(troop.gridY - enemy.gridY);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        closest = enemy;
+                    }
+                }
+
+                targetGridX = closest.gridX;
+                targetGridY = closest.gridY;
+            } else if (approachingEnemies.length > 0) {
+                // Move towards approaching threats
+                let closest = approachingEnemies[0];
+                let minDist = Math.abs(troop.gridX - closest.gridX) + Math.abs(troop.gridY - closest.gridY);
+
+                for (const enemy of approachingEnemies) {
+                    const dist = Math.abs(troop.gridX - enemy.gridX) + Math.abs(troop.gridY - enemy.gridY);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        closest = enemy;
+                    }
+                }
+
+                // Move towards the direction of the threat (but stay in territory)
+                const dx = closest.gridX - troop.gridX;
+                const dy = closest.gridY - troop.gridY;
+                targetGridX = troop.gridX + Math.sign(dx);
+                targetGridY = troop.gridY + Math.sign(dy);
+            } else {
+                // Active patrol pattern when no threats
+                // Create a patrol pattern around the base
+                if (!troop.patrolTarget || nextRandom(game) < 0.1) {
+                    // Pick a random patrol point within 2-6 cells of base
+                    const patrolDist = 2 + randomInt(game, 5);
+                    const angle = nextRandom(game) * Math.PI * 2;
+                    troop.patrolTarget = {
+                        x: Math.round(ownerBase.gridX + Math.cos(angle) * patrolDist),
+                        y: Math.round(ownerBase.gridY + Math.sin(angle) * patrolDist)
+                    };
+                }
+
+                targetGridX = troop.patrolTarget.x;
+                targetGridY = troop.patrolTarget.y;
+
+                // If reached patrol target, pick new one
+                if (troop.gridX === targetGridX && troop.gridY === targetGridY) {
+                    troop.patrolTarget = null;
+                }
+            }
+        } else {
+            // Offensive units: pathfind to target base
+            const ensured = ensureLockedOffenseTarget(game, troop);
+            if (!ensured) return;
+
+            if (ensured.changed) {
+                // Target changed (only when prior target is invalid/eliminated or user retargets)
+                troop.path = [];
+            }
+
+            const targetBase = game.players[ensured.targetBaseId];
+            if (!targetBase || targetBase.eliminated) return;
+
+            targetGridX = targetBase.gridX;
+            targetGridY = targetBase.gridY;
+        }
+
+        if (targetGridX === undefined || targetGridY === undefined) return;
+
+        // If the target is the current tile (common for patrol units), force a 1-tile move
+        // so defensive units don't "stall". Offensive units should NOT do this: when they
+        // reach an enemy base they should stay and stack while attacking.
+        if (troop.type === 'defense' && troop.gridX === targetGridX && troop.gridY === targetGridY) {
+            const candidates = [
+                { x: troop.gridX + 1, y: troop.gridY },
+                { x: troop.gridX - 1, y: troop.gridY },
+                { x: troop.gridX, y: troop.gridY + 1 },
+                { x: troop.gridX, y: troop.gridY - 1 }
+            ].filter(p => canStandOn(game, troop.type, p.x, p.y));
+            if (candidates.length > 0) {
+                const pick = randomItem(game, candidates);
+                targetGridX = pick.x;
+                targetGridY = pick.y;
+                troop.path = []; // force recalc
+            }
+        }
+
+        // Calculate path if we don't have one
+        if (!troop.path || troop.path.length === 0) {
+            // Offensive troops: recoded pathfinding (simple BFS, no heuristics)
+            if (troop.type === 'offense') {
+                if (troop.gridX === targetGridX && troop.gridY === targetGridY) {
+                    troop.path = [];
+                    return;
+                }
+
+                let path = null;
+
+                // Split-bridge behavior: when the map routes this attack over two bridges,
+                // alternate offensive troops across them.
+                const ownerBase = game.players[troop.ownerId];
+                const targetBase = troop.targetBaseId ? game.players[troop.targetBaseId] : null;
+                const twoBridges = ownerBase && targetBase ? getRouteBridges(game, ownerBase, targetBase) : [];
+
+                if (twoBridges.length >= 2) {
+                    const idx = getOrAssignSplitBridgeIndex(game, troop);
+                    const bridgeToUse = twoBridges[idx] || twoBridges[0];
+                    if (bridgeToUse) {
+                        const pathToBridge = findOffensivePath(game, troop.gridX, troop.gridY, bridgeToUse.x, bridgeToUse.y);
+                        const pathBridgeToBase = findOffensivePath(game, bridgeToUse.x, bridgeToUse.y, targetGridX, targetGridY);
+                        if (pathToBridge.length > 0 && pathBridgeToBase.length > 0) {
+                            path = [...pathToBridge, ...pathBridgeToBase];
+                        }
+                    }
+                }
+
+                // Fallback: direct shortest path to base
+                if (!path || path.length === 0) {
+                    path = findOffensivePath(game, troop.gridX, troop.gridY, targetGridX, targetGridY);
+                }
+
+                if (!path || path.length === 0) {
+                    console.log(`⚠️ Offense troop ${troop.id} (${troop.name}) has no path to target (${targetGridX}, ${targetGridY})!`);
+                    return;
+                }
+
+                troop.path = path;
+            } else {
+                // Defensive troops: A* around the cells enemies hold (the one
+                // they are going for aside), so they don't walk through a stack
+                const path = findPath(game, 'defense', troop.gridX, troop.gridY, targetGridX, targetGridY, {
+                    avoid: getEnemyCells(game, troop.ownerId)
+                });
+                if (!path || path.length === 0) {
+                    return;
+                }
+                troop.path = path;
+            }
+        }
+
+        // Move along the path, spending a move per cell (more for kelp). A troop
+        // always gets its first step, however much that cell costs.
+        let movesLeft = movesPerTurn;
+        while (troop.path && troop.path.length > 0) {
+            const nextStep = troop.path[0];
+            const cost = moveCosts[nextStep.y * gridSize + nextStep.x];
+            if (cost === BLOCKED) {
+                troop.path = [];
+                break;
+            }
+            if (cost > movesLeft && movesLeft < movesPerTurn) break;
+            movesLeft -= cost;
+
+            // REMOVED RETREAT CHECK - Offensive troops should always follow their calculated path
+            // The pathfinding algorithm will handle routing to the target efficiently
+
+            // Store old position for defensive troop damage check
+            const oldGridX = troop.gridX;
+            const oldGridY = troop.gridY;
+
+            // Check if moving away from defensive troops and apply damage
+            applyDefensiveTroopDamage(game, troop, oldGridX, oldGridY, nextStep.x, nextStep.y);
+
+            // If troop died from defensive damage, stop moving
+            const troopStillExists = game.troops.find(t => t.id === troop.id);
+            if (!troopStillExists) {
+                break;
+            }
+
+            // Move to next step
+            troop.gridX = nextStep.x;
+            troop.gridY = nextStep.y;
+            troop.x = troop.gridX * CELL_SIZE + CELL_SIZE / 2;
+            troop.y = troop.gridY * CELL_SIZE + CELL_SIZE / 2;
+
+            // Remove this step from path
+            troop.path.shift();
+
+            // If we're getting close to the end, defensive units may recalculate their path.
+            // Offensive units use the recoded pathfinder and do not need mid-move heuristics.
+            if (troop.type === 'defense' && troop.path.length < 3) {
+                const dist = Math.abs(troop.gridX - targetGridX) + Math.abs(troop.gridY - targetGridY);
+                if (dist > 1) {
+                    const path = findPath(game, 'defense', troop.gridX, troop.gridY, targetGridX, targetGridY, {
+                        avoid: getEnemyCells(game, troop.ownerId)
+                    });
+                    if (path && path.length > 0) {
+                        troop.path = path;
+                    }
+                }
+            }
+        }
+    });
+}
+
+module.exports = {
+    isValidEnemyBaseId,
+    getActiveEnemyBases,
+    pickClosestEnemyBase,
+    ensureLockedOffenseTarget,
+    getOrAssignSplitBridgeIndex,
+    moveTroopsOnTurnEnd
+};
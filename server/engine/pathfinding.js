@@ -0,0 +1,296 @@
+const { KELP_MOVE_COST } = require('./constants');
+const { getGridSize, getTrenchSet, getFeature } = require('./map');
+const { areAllies } = require('./teams');
+
+// Pathfinding over a map's navigation grid: what it costs a troop to enter each
+// cell (kelp takes extra moves, trenches and, for defensive units, deep water
+// can't be entered), as one typed array per troop type with cell index
+// y * size + x. The grid only depends on the map, so it is built once and
+// shared by every game played on it, along with distance fields: the cost
+// from every cell to a target, which is all offensive troops need since they
+// head for the same few bases and bridges. Other moves are found with A*.
+//
+// Both follow cheapest paths and break ties the same way every time, so
+// replays play back exactly.
+
+const BLOCKED = 0; // cost of a cell that can't be entered
+const UNREACHABLE = -1; // distance field value of a cell with no way to the target
+const MAX_CACHED_MAPS = 16;
+const MAX_CACHED_FIELDS = 128; // per map; its bases and bridges need far fewer
+
+const navGrids = new Map(); // map signature -> nav grid, oldest first
+const navGridsByTerrain = new WeakMap(); // game.terrain -> its nav grid
+
+// Neighbour order: east, west, south, north
+const NEIGHBOR_DX = [1, -1, 0, 0];
+const NEIGHBOR_DY = [0, 0, 1, -1];
+
+function buildNavGrid(game) {
+    const size = getGridSize(game);
+    const trenchSet = getTrenchSet(game);
+    const offense = new Uint8Array(size * size);
+    const defense = new Uint8Array(size * size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (trenchSet.has(`${x},${y}`)) continue;
+            const feature = getFeature(game, x, y);
+            const cost = feature === 'k' ? KELP_MOVE_COST : 1;
+            offense[y * size + x] = cost;
+            defense[y * size + x] = feature === 'd' ? BLOCKED : cost;
+        }
+    }
+    return { size, costs: { offense, defense }, fields: new Map() };
+}
+
+// The game's nav grid: { size, costs: { offense, defense }, fields }
+function getNavGrid(game) {
+    const terrain = game.terrain;
+    let grid = navGridsByTerrain.get(terrain);
+    if (grid) return grid;
+
+    const signature = [terrain.mapId, getGridSize(game), terrain.tiles.join('/'), (terrain.features || []).join('/')].join('|');
+    grid = navGrids.get(signature);
+    if (!grid) {
+        grid = buildNavGrid(game);
+        navGrids.set(signature, grid);
+        if (navGrids.size > MAX_CACHED_MAPS) navGrids.delete(navGrids.keys().next().value);
+    }
+    navGridsByTerrain.set(terrain, grid);
+    return grid;
+}
+
+// Cost of entering each cell for a troop of this type (BLOCKED where it can't)
+function getMoveCosts(game, troopType) {
+    const { costs } = getNavGrid(game);
+    return troopType === 'defense' ? costs.defense : costs.offense;
+}
+
+// Cells (as y * size + x) that enemies of ownerId stand on, for findPath's avoid option
+function getEnemyCells(game, ownerId) {
+    const size = getGridSize(game);
+    const cells = new Set();
+    game.troops.forEach(troop => {
+        if (!areAllies(game, troop.ownerId, ownerId)) cells.add(troop.gridY * size + troop.gridX);
+    });
+    return cells;
+}
+
+// Work arrays for A*, reused between searches. A cell's entries only count
+// when its stamp matches the current search, so nothing needs clearing.
+let scratch = null;
+function startSearch(cells) {
+    if (!scratch || scratch.cost.length < cells || scratch.stamp === 0xFFFFFFFF) {
+        scratch = { cost: new Int32Array(cells), from: new Int32Array(cells), seen: new Uint32Array(cells), closed: new Uint32Array(cells), stamp: 0 };
+    }
+    scratch.stamp++;
+    return scratch;
+}
+
+// Binary heap of open cells ordered by estimated total cost, then by estimated
+// cost left (finishing the most promising route first), then by insertion
+function createOpenList() {
+    const items = [];
+    let count = 0;
+    const before = (a, b) => a.f - b.f || a.h - b.h || a.seq - b.seq;
+    return {
+        get size() { return items.length; },
+        push(cell, f, h) {
+            const item = { cell, f, h, seq: count++ };
+            let i = items.push(item) - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (before(items[parent], item) <= 0) break;
+                items[i] = items[parent];
+                i = parent;
+            }
+            items[i] = item;
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    if (left >= items.length) break;
+                    const child = left + 1 < items.length && before(items[left + 1], items[left]) < 0 ? left + 1 : left;
+                    if (before(last, items[child]) <= 0) break;
+                    items[i] = items[child];
+                    i = child;
+                }
+                items[i] = last;
+            }
+            return top.cell;
+        }
+    };
+}
+
+// Steps from a cell back to the start, as { x, y } in walking order
+function tracePath(from, start, end, size) {
+    const path = [];
+    for (let cell = end; cell !== start; cell = from[cell]) {
+        path.push({ x: cell % size, y: Math.floor(cell / size) });
+    }
+    return path.reverse();
+}
+
+// Cheapest path for a troop of this type from start to end (A*, Manhattan
+// distance as the estimate). `avoid` is a Set of cells to treat as blocked,
+// such as getEnemyCells; the end cell is never avoided. Returns the steps
+// after the start, or [] when already there or there is no way through.
+function findPath(game, troopType, startX, startY, endX, endY, { avoid = null } = {}) {
+    const { size } = getNavGrid(game);
+    const costs = getMoveCosts(game, troopType);
+    if (startX === endX && startY === endY) return [];
+    if (endX < 0 || endX >= size || endY < 0 || endY >= size) return [];
+
+    const start = startY * size + startX;
+    const end = endY * size + endX;
+    if (costs[end] === BLOCKED) return [];
+
+    const search = startSearch(size * size);
+    const { cost, from, seen, closed, stamp } = search;
+    const open = createOpenList();
+    const estimate = (cell) => Math.abs(cell % size - endX) + Math.abs(Math.floor(cell / size) - endY);
+
+    cost[start] = 0;
+    seen[start] = stamp;
+    open.push(start, estimate(start), estimate(start));
+
+    while (open.size > 0) {
+        const cell = open.pop();
+        if (closed[cell] === stamp) continue;
+        if (cell === end) return tracePath(from, start, end, size);
+        closed[cell] = stamp;
+
+        const x = cell % size;
+        const y = (cell - x) / size;
+        for (let i = 0; i < 4; i++) {
+            const nx = x + NEIGHBOR_DX[i];
+            const ny = y + NEIGHBOR_DY[i];
+            if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+            const next = ny * size + nx;
+            if (costs[next] === BLOCKED || closed[next] === stamp) continue;
+            if (avoid && next !== end && avoid.has(next)) continue;
+
+            const nextCost = cost[cell] + costs[next];
+            if (seen[next] === stamp && cost[next] <= nextCost) continue;
+            seen[next] = stamp;
+            cost[next] = nextCost;
+            from[next] = cell;
+            const h = estimate(next);
+            open.push(next, nextCost + h, h);
+        }
+    }
+
+    // No path found – caller will handle this and avoid moving the troop
+    return [];
+}
+
+// Cost from every cell to the target cell (UNREACHABLE where there is no way),
+// by Dijkstra outwards from the target with a bucket per distance
+function buildDistanceField(costs, size, target) {
+    const field = new Int32Array(size * size).fill(UNREACHABLE);
+    if (costs[target] === BLOCKED) return field;
+
+    field[target] = 0;
+    const buckets = [[target]];
+    for (let distance = 0; distance < buckets.length; distance++) {
+        const bucket = buckets[distance];
+        if (!bucket) continue;
+        for (let b = 0; b < bucket.length; b++) {
+            const cell = bucket[b];
+            if (field[cell] !== distance) continue; // reached cheaper since
+            // Stepping from a neighbour into this cell costs this cell's cost
+            const through = distance + costs[cell];
+            const x = cell % size;
+            const y = (cell - x) / size;
+            for (let i = 0; i < 4; i++) {
+                const nx = x + NEIGHBOR_DX[i];
+                const ny = y + NEIGHBOR_DY[i];
+                if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+                const next = ny * size + nx;
+                if (costs[next] === BLOCKED) continue;
+                if (field[next] !== UNREACHABLE && field[next] <= through) continue;
+                field[next] = through;
+                (buckets[through] = buckets[through] || []).push(next);
+            }
+        }
+    }
+    return field;
+}
+
+// The cached distance field towards (x, y) for a troop type. Each map keeps
+// its most recently used fields, dropping the least recently used past the cap.
+function getDistanceField(game, troopType, x, y) {
+    const grid = getNavGrid(game);
+    const key = `${troopType === 'defense' ? 'defense' : 'offense'}:${y * grid.size + x}`;
+    let field = grid.fields.get(key);
+    if (field) {
+        grid.fields.delete(key);
+    } else {
+        field = buildDistanceField(getMoveCosts(game, troopType), grid.size, y * grid.size + x);
+        if (grid.fields.size >= MAX_CACHED_FIELDS) grid.fields.delete(grid.fields.keys().next().value);
+    }
+    grid.fields.set(key, field);
+    return field;
+}
+
+// Cheapest path to (endX, endY) read off its distance field: from each cell,
+// the first neighbour (east, west, south, north) that is on a cheapest way there
+function followDistanceField(game, troopType, startX, startY, endX, endY) {
+    const { size } = getNavGrid(game);
+    if (startX === endX && startY === endY) return [];
+    if (endX < 0 || endX >= size || endY < 0 || endY >= size) return [];
+
+    const costs = getMoveCosts(game, troopType);
+    const field = getDistanceField(game, troopType, endX, endY);
+    let cell = startY * size + startX;
+    if (field[cell] === UNREACHABLE) return [];
+
+    const path = [];
+    while (field[cell] > 0) {
+        const x = cell % size;
+        const y = (cell - x) / size;
+        let next = -1;
+        for (let i = 0; i < 4 && next === -1; i++) {
+            const nx = x + NEIGHBOR_DX[i];
+            const ny = y + NEIGHBOR_DY[i];
+            if (nx < 0 || nx >= size || ny < 0 || ny >= size) continue;
+            const candidate = ny * size + nx;
+            if (costs[candidate] !== BLOCKED && field[candidate] !== UNREACHABLE &&
+                field[candidate] + costs[candidate] === field[cell]) {
+                next = candidate;
+            }
+        }
+        if (next === -1) return []; // a troop standing somewhere it can't walk out of
+        path.push({ x: next % size, y: Math.floor(next / size) });
+        cell = next;
+    }
+    return path;
+}
+
+// Offensive pathfinding: the cheapest path to a base or bridge, ignoring other
+// troops entirely (stacking allowed), with no bridge preference or center-routing
+function findOffensivePath(game, startX, startY, endX, endY) {
+    return followDistanceField(game, 'offense', startX, startY, endX, endY);
+}
+
+// What walking a path costs a troop of this type, in moves
+function getPathCost(game, troopType, path) {
+    const size = getGridSize(game);
+    const costs = getMoveCosts(game, troopType);
+    return path.reduce((total, step) => total + costs[step.y * size + step.x], 0);
+}
+
+module.exports = {
+    BLOCKED,
+    UNREACHABLE,
+    MAX_CACHED_FIELDS,
+    getMoveCosts,
+    getEnemyCells,
+    findPath,
+    getDistanceField,
+    findOffensivePath,
+    getPathCost
+};
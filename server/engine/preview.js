@@ -0,0 +1,143 @@
+// Turn forecast ("what if I end my turn now"): plays the end of the current
+// turn, or the current simultaneous round, on a copy of the game and reports
+// what it would do to the troops and bases. The live game is never touched
+// and nothing is recorded, so a preview can be asked for as often as a player
+// likes. Orders being considered (deployCard / moveTroop, as in a round) play
+// first, so hovering a deploy spot can show what that troop would change.
+//
+// A forecast only uses what the player knows: enemy troops hidden by fog of
+// war are left out, and so are other sides' standing and round orders. The
+// dice are not the game's own (those would tell a player what the coming draws
+// and rolls are): every forecast rolls from a fresh seed, so it shows what is
+// likely to happen rather than what will.
+//
+// In a turn-based game it is the player's own turn that is forecast: when it
+// is someone else's, the turns before theirs pass first with nothing played.
+const { MAX_ORDERS_PER_ROUND, normalizeOrder, findOrdersProblem } = require('./rounds');
+const { cloneState } = require('./state');
+const { areAllies } = require('./teams');
+const { getVisibleTroops } = require('./vision');
+const { applyAction, advanceTurn } = require('./actions');
+const { ERROR_CODES: E, actionError } = require('./errors');
+const { createSeed, seedGame } = require('./random');
+
+// The copy a forecast plays on: only the troops and orders playerId knows about
+function cloneForPlayer(game, playerId) {
+    const copy = cloneState(game);
+    copy.troops = getVisibleTroops(copy, playerId).map(troop => (
+        areAllies(copy, troop.ownerId, playerId) ? troop : { ...troop, orders: [] }
+    ));
+    if (copy.round) {
+        Object.keys(copy.round.orders).forEach(id => {
+            if (!areAllies(copy, id, playerId)) delete copy.round.orders[id];
+        });
+    }
+    seedGame(copy, createSeed());
+    return copy;
+}
+
+// Play the orders and the end of the turn (or round) on the copy; returns an
+// actionError when one of the orders can't be played
+function playForecast(copy, playerId, orders) {
+    if (copy.gameMode === 'simultaneous') {
+        const problem = findOrdersProblem(copy, copy.players[playerId], orders);
+        if (problem) return problem;
+        copy.round.orders[playerId] = orders;
+        const { error } = applyAction(copy, { type: 'lockInRound' });
+        return error;
+    }
+
+    for (let passed = 0; copy.currentTurn !== playerId && passed < copy.turnOrder.length; passed++) {
+        advanceTurn(copy);
+        if (copy.status !== 'playing' || copy.players[playerId].eliminated) return null;
+    }
+    for (const order of orders) {
+        const { error } = applyAction(copy, { ...order, playerId });
+        if (error) return error;
+    }
+    advanceTurn(copy);
+    return null;
+}
+
+// What changed between the troops and bases before and after the forecast.
+// troops: one entry per troop that is hit, healed, moved, killed or deployed.
+function describeForecast(before, after) {
+    const afterById = new Map(after.troops.map(troop => [troop.id, troop]));
+    const troops = [];
+    before.troops.forEach(troop => {
+        const next = afterById.get(troop.id);
+        afterById.delete(troop.id);
+        if (next && next.hp === troop.hp && next.gridX === troop.gridX && next.gridY === troop.gridY) return;
+        troops.push({
+            troopId: troop.id,
+            ownerId: troop.ownerId,
+            name: troop.name,
+            hpBefore: troop.hp,
+            hp: next ? next.hp : 0,
+            killed: !next,
+            fromX: troop.gridX,
+            fromY: troop.gridY,
+            gridX: next ? next.gridX : troop.gridX,
+            gridY: next ? next.gridY : troop.gridY
+        });
+    });
+    afterById.forEach(troop => {
+        troops.push({
+            troopId: troop.id,
+            ownerId: troop.ownerId,
+            name: troop.name,
+            hpBefore: null,
+            hp: troop.hp,
+            killed: false,
+            deployed: true,
+            fromX: null,
+            fromY: null,
+            gridX: troop.gridX,
+            gridY: troop.gridY
+        });
+    });
+
+    const bases = Object.values(before.players).map(player => {
+        const next = after.players[player.id] || player;
+        return {
+            playerId: player.id,
+            baseHpBefore: player.baseHp,
+            baseHp: next.baseHp,
+            damage: Math.max(0, player.baseHp - next.baseHp),
+            eliminated: !player.eliminated && !!next.eliminated
+        };
+    });
+
+    return { troops, bases, gameOver: after.status === 'ended' };
+}
+
+// Forecast for playerId of ending their turn (turn-based games) or of the
+// round resolving (simultaneous games) after `orders`. In a simultaneous game
+// with no orders given, the player's submitted orders play.
+// Returns { forecast, error }.
+function previewTurn(game, playerId, orders) {
+    if (!game || game.status !== 'playing') return { forecast: null, error: actionError(E.GAME_NOT_IN_PROGRESS, 'Game is not in progress') };
+    const player = game.players[playerId];
+    if (!player) return { forecast: null, error: actionError(E.NOT_IN_GAME, 'You are not in this game') };
+    if (player.eliminated) return { forecast: null, error: actionError(E.ELIMINATED, 'You have been eliminated') };
+
+    if (orders === undefined || orders === null) {
+        orders = (game.round && game.round.orders[playerId]) || [];
+    }
+    if (!Array.isArray(orders) || orders.length > MAX_ORDERS_PER_ROUND) {
+        return { forecast: null, error: actionError(E.INVALID_ORDERS, `A preview takes at most ${MAX_ORDERS_PER_ROUND} orders`) };
+    }
+    const normalized = orders.map(normalizeOrder);
+    if (normalized.includes(null)) return { forecast: null, error: actionError(E.INVALID_ORDERS, 'Orders are deployCard or moveTroop') };
+
+    const copy = cloneForPlayer(game, playerId);
+    const before = { troops: copy.troops.map(troop => ({ ...troop })), players: game.players };
+    const error = playForecast(copy, playerId, normalized);
+    if (error) return { forecast: null, error };
+
+    return { forecast: { turnNumber: game.turnNumber, ...describeForecast(before, copy) }, error: null };
+}
+
+module.exports = {
+    previewTurn
+};
@@ -0,0 +1,57 @@
+// Seeded random numbers for a single game (mulberry32).
+// The generator state lives on the game object (game.rngState), so a cloned
+// or restored game continues the exact same sequence. Every random roll the
+// rules make must come from here; Math.random() would break replays.
+
+const MAX_SEED = 0xFFFFFFFF;
+
+// Accepts an integer (or numeric string) in 0..2^32-1; returns null otherwise
+function normalizeSeed(seed) {
+    const value = typeof seed === 'string' && seed.trim() !== '' ? Number(seed) : seed;
+    if (typeof value !== 'number' || !Number.isInteger(value)) return null;
+    if (value < 0 || value > MAX_SEED) return null;
+    return value;
+}
+
+// Fresh seed for rooms where the leader did not pick one
+function createSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+function seedGame(game, seed) {
+    game.seed = seed;
+    game.rngState = seed;
+}
+
+// Next float in [0, 1)
+function nextRandom(game) {
+    game.rngState = (game.rngState + 0x6D2B79F5) >>> 0;
+    let t = game.rngState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomInt(game, maxExclusive) {
+    return Math.floor(nextRandom(game) * maxExclusive);
+}
+
+function randomItem(game, items) {
+    return items[randomInt(game, items.length)];
+}
+
+// Short base-36 id, same shape as the ids troops always had
+function randomId(game) {
+    return nextRandom(game).toString(36).substr(2, 9);
+}
+
+module.exports = {
+    MAX_SEED,
+    normalizeSeed,
+    createSeed,
+    seedGame,
+    nextRandom,
+    randomInt,
+    randomItem,
+    randomId
+};
@@ -0,0 +1,168 @@
+// Match replays: a compact log of everything that changed a game, which the
+// engine can play back into the same states because every roll is seeded.
+// A replay is plain JSON; the adapter decides where to keep it.
+
+const { createGame, addPlayer, startGame, removePlayer, rejoinPlayer } = require('./state');
+const { applyAction } = require('./actions');
+const { getGamePhase } = require('./acceleration');
+const { getCardCatalog } = require('./cards');
+
+const REPLAY_VERSION = 1;
+
+// Start a recording for a game that is about to start (before startGame), so the
+// seat list and seed are exactly what startGame will deal from
+function createReplay(game) {
+    return {
+        version: REPLAY_VERSION,
+        gameId: game.id,
+        seed: game.seed,
+        cardCatalogVersion: getCardCatalog().version,
+        mapId: game.terrain.mapId,
+        startedAt: Date.now(),
+        endedAt: null,
+        settings: {
+            movementMode: game.movementMode,
+            gameMode: game.gameMode,
+            aiDifficulty: game.aiDifficulty,
+            aiPlayerCount: game.aiPlayerCount,
+            teamMode: !!game.teamMode,
+            seatTeams: game.seatTeams,
+            fogOfWar: !!game.fogOfWar,
+            rules: game.rules
+        },
+        players: Object.values(game.players).map(p => ({
+            id: p.id,
+            username: p.username,
+            slot: p.slot,
+            isAI: !!p.isAI,
+            aiSkill: p.aiSkill || null,
+            deck: p.deck || null
+        })),
+        actions: [], // { turn, type, playerId, ...payload }
+        combatEvents: [], // { turn, events }
+        winnerId: null,
+        winnerIds: [],
+        turns: 0
+    };
+}
+
+// Log an action that the engine accepted, under the turn it was made in. Besides
+// the engine actions this takes 'leave' { playerId } and
+// 'rejoin' { playerId, previousId } for seat changes. Simultaneous games also log
+// 'lockInRound' (the round timer ran out), which has no player.
+function recordAction(replay, turn, action) {
+    replay.actions.push({ turn, ...action });
+}
+
+// Combat resolved by the action logged for the same turn
+function recordCombat(replay, turn, events) {
+    if (events.length > 0) {
+        replay.combatEvents.push({ turn, events });
+    }
+}
+
+// winnerIds: everyone who shared the win (a whole team in team mode)
+function finishReplay(replay, game, winnerIds = []) {
+    replay.endedAt = Date.now();
+    replay.winnerId = winnerIds[0] || null;
+    replay.winnerIds = winnerIds;
+    replay.turns = game.turnNumber;
+    return replay;
+}
+
+// Listing entry, without the action log
+function summarizeReplay(id, replay) {
+    const winnerIds = replay.winnerIds || (replay.winnerId ? [replay.winnerId] : []); // older replays: one winner
+    const winners = replay.players.filter(p => winnerIds.includes(p.id));
+    return {
+        id,
+        gameId: replay.gameId,
+        seed: replay.seed,
+        startedAt: replay.startedAt,
+        endedAt: replay.endedAt,
+        turns: replay.turns,
+        players: replay.players.map(p => p.username),
+        winnerName: winners.length > 0 ? winners.map(p => p.username).join(' & ') : null
+    };
+}
+
+// What the viewer draws for one step; paths are dropped to keep frames small
+function snapshot(game, action) {
+    const troops = game.troops
+        .filter(t => game.players[t.ownerId] && !game.players[t.ownerId].eliminated)
+        .map(({ path, ...troop }) => troop);
+
+    return structuredClone({
+        turnNumber: game.turnNumber,
+        currentTurn: game.currentTurn,
+        round: game.round ? game.round.number : null,
+        status: game.status,
+        gamePhase: getGamePhase(game),
+        players: game.players,
+        troops,
+        action: action || null
+    });
+}
+
+// Rebuild the match from its log: one frame for the opening position, then one
+// after every recorded action. Terrain never changes, so it is returned once.
+function playReplay(replay) {
+    const catalogVersion = getCardCatalog().version;
+    if (replay.cardCatalogVersion && replay.cardCatalogVersion !== catalogVersion) {
+        // Card stats changed since the match; the log may stop matching partway
+        console.warn(`Replay of ${replay.gameId} used card catalog v${replay.cardCatalogVersion}, playing with v${catalogVersion}`);
+    }
+    const game = createGame(replay.gameId, { seed: replay.seed, mapId: replay.mapId }); // older replays: default map
+    game.movementMode = replay.settings.movementMode;
+    game.gameMode = replay.settings.gameMode || 'turns'; // older replays: turn-based
+    game.fogOfWar = !!replay.settings.fogOfWar;
+    if (replay.settings.rules) game.rules = replay.settings.rules; // older replays: Classic
+    if (replay.settings.teamMode) {
+        game.teamMode = true;
+        game.seatTeams = replay.settings.seatTeams;
+    }
+    replay.players.forEach(p => {
+        addPlayer(game, p.id, {
+            username: p.username,
+            slot: p.slot,
+            deck: p.deck || null,
+            ...(p.isAI ? { isAI: true, aiSkill: p.aiSkill } : {})
+        });
+    });
+    startGame(game);
+
+    const frames = [snapshot(game, null)];
+    const departed = {};
+
+    for (const action of replay.actions) {
+        if (action.type === 'leave') {
+            departed[action.playerId] = removePlayer(game, action.playerId);
+        } else if (action.type === 'rejoin') {
+            const savedPlayer = departed[action.previousId];
+            if (!savedPlayer) break;
+            rejoinPlayer(game, savedPlayer, action.playerId);
+            delete departed[action.previousId];
+        } else {
+            const { turn, ...engineAction } = action;
+            const { error } = applyAction(game, engineAction);
+            if (error) {
+                // The log no longer matches the rules; stop rather than show a made-up game
+                console.error(`Replay of ${replay.gameId} diverged at turn ${turn}: ${error.message}`);
+                break;
+            }
+        }
+        frames.push(snapshot(game, action));
+    }
+
+    return { terrain: game.terrain, frames };
+}
+
+module.exports = {
+    REPLAY_VERSION,
+    createReplay,
+    recordAction,
+    recordCombat,
+    finishReplay,
+    summarizeReplay,
+    playReplay
+};
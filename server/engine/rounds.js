@@ -0,0 +1,132 @@
+// Simultaneous turns (game.gameMode 'simultaneous', "WEGO"): instead of taking
+// turns, every player plans the same round at once and submits their deploy and
+// move orders. The round locks in when everyone still in the game has submitted,
+// or when the adapter's round timer runs out (a 'lockInRound' action), and
+// resolves in one deterministic step (see resolveRound in ./actions):
+//
+//   1. Initiative: the seats still in play in seat order, starting one seat
+//      further round the table every round (round 1 starts at the lowest seat).
+//   2. Deploys (troops and spells) go first, then moves. Within each, orders are
+//      taken one per player per pass in initiative order - the leader's first
+//      order, the next player's first order, ..., then everyone's second order -
+//      so a player's own orders keep the order they were given in.
+//   3. When two spawns want the same cell the earlier one gets it and the later
+//      one takes the nearest free cell, as in the turn-based game. When two moves
+//      end on the same cell the earlier one gets it and the later troop holds.
+//   4. An order that is no longer legal when its turn comes (its troop died, its
+//      target base fell, the defensive cap filled up) is skipped and reported.
+//   5. Then the end of a turn, once for everybody: combat, the winner check,
+//      movement of every troop that had no move order, status effects, and
+//      elixir for every player.
+const { getCard } = require('./cards');
+const { validateCoordinates } = require('./validation');
+const { getGridSize } = require('./map');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+const GAME_MODES = ['turns', 'simultaneous'];
+const MAX_ORDERS_PER_ROUND = 20;
+
+// Order types and the fields each one keeps
+const ORDER_FIELDS = {
+    deployCard: ['cardId', 'gridX', 'gridY', 'targetBaseId'],
+    moveTroop: ['troopId', 'targetGridX', 'targetGridY']
+};
+
+// A fresh planning round; orders[playerId] is set once that player has submitted
+function createRound(number) {
+    return { number, orders: {}, resolving: false };
+}
+
+// Whether everyone still in the game has submitted this round's orders
+function allOrdersIn(game) {
+    if (!game.round) return false;
+    return Object.values(game.players)
+        .filter(p => p && !p.eliminated)
+        .every(p => Array.isArray(game.round.orders[p.id]));
+}
+
+// Active players in this round's initiative order (tie-break rule 1)
+function getInitiativeOrder(game) {
+    const seated = Object.values(game.players)
+        .filter(p => p && !p.eliminated)
+        .sort((a, b) => a.slot - b.slot);
+    if (seated.length === 0) return [];
+    const lead = (game.round.number - 1) % seated.length;
+    return [...seated.slice(lead), ...seated.slice(0, lead)];
+}
+
+// Every submitted order of one type, interleaved one per player per pass (rule 2)
+function getOrderQueue(game, type) {
+    const lists = getInitiativeOrder(game).map(player => ({
+        playerId: player.id,
+        orders: (game.round.orders[player.id] || []).filter(order => order.type === type)
+    }));
+    const queue = [];
+    for (let pass = 0; lists.some(list => pass < list.orders.length); pass++) {
+        lists.forEach(list => {
+            if (pass < list.orders.length) queue.push({ playerId: list.playerId, order: list.orders[pass] });
+        });
+    }
+    return queue;
+}
+
+// The order with only its own fields, or null when it isn't one
+function normalizeOrder(order) {
+    if (!order || typeof order !== 'object' || !ORDER_FIELDS[order.type]) return null;
+    const normalized = { type: order.type };
+    ORDER_FIELDS[order.type].forEach(field => {
+        if (order[field] !== undefined && order[field] !== null) normalized[field] = order[field];
+    });
+    return normalized;
+}
+
+// Why a player's orders can't be accepted, as an actionError, or null. Only
+// what the player's own position decides is checked here: the cards are in
+// hand and paid for together, moves are for their own troops and each troop
+// moves once. The rest depends on the other players' orders and is checked at
+// resolution.
+function findOrdersProblem(game, player, orders) {
+    const invalid = message => actionError(E.INVALID_ORDERS, message);
+    if (orders.length > MAX_ORDERS_PER_ROUND) return invalid(`At most ${MAX_ORDERS_PER_ROUND} orders a round`);
+
+    const hand = player.hand.map(card => card.id);
+    const moved = new Set();
+    let cost = 0;
+    for (const order of orders) {
+        if (order.type === 'deployCard') {
+            const handIndex = hand.indexOf(order.cardId);
+            if (handIndex === -1) return invalid('An order plays a card that is not in your hand');
+            hand.splice(handIndex, 1);
+            const card = getCard(order.cardId);
+            if (!card) return actionError(E.INVALID_CARD, 'An order plays an unknown card');
+            cost += card.cost;
+            if ((order.gridX !== undefined || order.gridY !== undefined) &&
+                !validateCoordinates(order.gridX, order.gridY, getGridSize(game))) {
+                return invalid('An order deploys outside the map');
+            }
+            if (order.targetBaseId !== undefined && typeof order.targetBaseId !== 'string') return invalid('Invalid target');
+        } else {
+            if (game.movementMode !== 'manual') return invalid('Manual movement is not enabled');
+            const troop = game.troops.find(t => t.id === order.troopId);
+            if (!troop || troop.ownerId !== player.id) return invalid('An order moves a troop you do not own');
+            if (moved.has(troop.id)) return invalid('Each troop can only be given one move a round');
+            moved.add(troop.id);
+            if (!validateCoordinates(order.targetGridX, order.targetGridY, getGridSize(game))) {
+                return invalid('An order moves a troop outside the map');
+            }
+        }
+    }
+    if (cost > player.elixir) return invalid('Not enough elixir for these orders');
+    return null;
+}
+
+module.exports = {
+    GAME_MODES,
+    MAX_ORDERS_PER_ROUND,
+    createRound,
+    allOrdersIn,
+    getInitiativeOrder,
+    getOrderQueue,
+    normalizeOrder,
+    findOrdersProblem
+};
@@ -0,0 +1,144 @@
+// Per-game rule set (game.rules): turn timer, elixir economy, base HP, the
+// defensive unit cap and the turns at which game acceleration steps up. The
+// room leader picks a preset and may tweak single values before the game
+// starts; the Classic preset holds the values in ./constants.
+const {
+    TURN_DURATION,
+    STARTING_ELIXIR,
+    ELIXIR_PER_TURN,
+    MAX_ELIXIR,
+    BASE_HP,
+    MAX_DEFENSIVE_UNITS
+} = require('./constants');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+// Accepted range of each number rule, and what it is called in messages
+const RULE_LIMITS = {
+    turnDuration: { min: 10, max: 120, label: 'Turn timer (seconds)' },
+    startingElixir: { min: 0, max: 30, label: 'Starting elixir' },
+    elixirPerTurn: { min: 1, max: 30, label: 'Elixir per turn' },
+    maxElixir: { min: 5, max: 30, label: 'Elixir cap' },
+    baseHp: { min: 100, max: 10000, label: 'Base HP' },
+    maxDefensiveUnits: { min: 1, max: 30, label: 'Defensive unit cap' }
+};
+
+// Last turn of each calm-to-endgame phase: acceleration starts after the first
+// and the endgame after the last (see ./acceleration)
+const ACCELERATION_PHASES = 4;
+const MAX_ACCELERATION_TURN = 1000;
+
+const RULE_PRESETS = {
+    classic: {
+        name: 'Classic',
+        description: '30-second turns, +6 elixir up to 15, 1000 HP bases',
+        turnDuration: TURN_DURATION,
+        startingElixir: STARTING_ELIXIR,
+        elixirPerTurn: ELIXIR_PER_TURN,
+        maxElixir: MAX_ELIXIR,
+        baseHp: BASE_HP,
+        maxDefensiveUnits: MAX_DEFENSIVE_UNITS,
+        accelerationTurns: [80, 120, 160, 190]
+    },
+    blitz: {
+        name: 'Blitz',
+        description: '15-second turns, fast elixir, 600 HP bases and an early endgame',
+        turnDuration: 15,
+        startingElixir: 10,
+        elixirPerTurn: 8,
+        maxElixir: 15,
+        baseHp: 600,
+        maxDefensiveUnits: 6,
+        accelerationTurns: [30, 50, 70, 85]
+    },
+    marathon: {
+        name: 'Marathon',
+        description: '45-second turns, slow elixir up to 20, 1600 HP bases and a late endgame',
+        turnDuration: 45,
+        startingElixir: 6,
+        elixirPerTurn: 5,
+        maxElixir: 20,
+        baseHp: 1600,
+        maxDefensiveUnits: 14,
+        accelerationTurns: [150, 220, 280, 330]
+    }
+};
+
+const DEFAULT_RULE_PRESET = 'classic';
+
+// A fresh rules object from a preset; `preset` becomes 'custom' once a value is changed
+function createRules(presetId = DEFAULT_RULE_PRESET) {
+    const { name, description, accelerationTurns, ...values } = RULE_PRESETS[presetId];
+    return { preset: presetId, ...values, accelerationTurns: [...accelerationTurns] };
+}
+
+// The game's rules; games and replays from before rule sets play Classic
+function getRules(game) {
+    return (game && game.rules) || createRules();
+}
+
+// Presets for the room settings picker
+function listRulePresets() {
+    return Object.entries(RULE_PRESETS).map(([id, { name, description }]) => ({
+        id,
+        name,
+        description,
+        rules: createRules(id)
+    }));
+}
+
+// Why a rules object can't be played, or null
+function findRulesProblem(rules) {
+    for (const [key, { min, max, label }] of Object.entries(RULE_LIMITS)) {
+        const value = rules[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return `${label} must be a whole number from ${min} to ${max}`;
+        }
+    }
+    if (rules.startingElixir > rules.maxElixir) return 'Starting elixir can\'t be above the elixir cap';
+
+    const turns = rules.accelerationTurns;
+    if (!Array.isArray(turns) || turns.length !== ACCELERATION_PHASES ||
+        !turns.every((turn, i) => Number.isInteger(turn) && turn >= 1 && turn <= MAX_ACCELERATION_TURN && (i === 0 || turn > turns[i - 1]))) {
+        return `Acceleration needs ${ACCELERATION_PHASES} increasing turn numbers from 1 to ${MAX_ACCELERATION_TURN}`;
+    }
+    return null;
+}
+
+// Switch a waiting game to a preset and/or change single rules (`changes`
+// holds any of the rule keys). Seated players get the new starting elixir and
+// base HP. Returns an actionError when the result breaks a limit.
+function setRules(game, { preset, changes }) {
+    if (game.status !== 'waiting') return actionError(E.GAME_ALREADY_STARTED, 'Rules can only change before the game starts');
+    if (preset !== undefined && !Object.prototype.hasOwnProperty.call(RULE_PRESETS, preset)) {
+        return actionError(E.INVALID_RULES, 'Unknown rules preset');
+    }
+
+    const next = preset !== undefined ? createRules(preset) : { ...getRules(game) };
+    if (changes) {
+        if (typeof changes !== 'object') return actionError(E.INVALID_RULES, 'Invalid rules');
+        const unknown = Object.keys(changes).find(key => key !== 'accelerationTurns' && !(key in RULE_LIMITS));
+        if (unknown) return actionError(E.INVALID_RULES, `Unknown rule "${String(unknown).slice(0, 32)}"`);
+        Object.assign(next, changes, { preset: 'custom' });
+    }
+
+    const problem = findRulesProblem(next);
+    if (problem) return actionError(E.INVALID_RULES, problem);
+
+    game.rules = { ...next, accelerationTurns: [...next.accelerationTurns] };
+    Object.values(game.players).forEach(player => {
+        player.elixir = next.startingElixir;
+        player.baseHp = next.baseHp;
+    });
+    return null;
+}
+
+module.exports = {
+    RULE_LIMITS,
+    RULE_PRESETS,
+    DEFAULT_RULE_PRESET,
+    createRules,
+    getRules,
+    listRulePresets,
+    findRulesProblem,
+    setRules
+};
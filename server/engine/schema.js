@@ -0,0 +1,70 @@
+// Checks plain JSON against the subset of JSON Schema our data files use
+// (type, enum, required, properties, additionalProperties, items,
+// minItems/maxItems, minimum/maximum, minLength/maxLength, pattern). The
+// schema files stay usable by editors; this only has to agree with them, not
+// replace a full validator.
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Returns a list of "path: problem" strings; empty when the value conforms
+function validateSchema(value, schema, at = '') {
+    const where = at || '(root)';
+    const errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        return [`${where}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: must be <= ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${where}: shorter than ${schema.minLength}`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${where}: longer than ${schema.maxLength}`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: does not match ${schema.pattern}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where}: needs at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where}: allows at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            const path = at ? `${at}.${key}` : key;
+            if (properties[key]) {
+                errors.push(...validateSchema(value[key], properties[key], path));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unknown field`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, path));
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,116 @@
+// Spell cards: instead of spawning a troop, a spell targets a grid cell and
+// resolves on the spot. Each spell card carries
+//   spell: { effect: 'damage'|'heal'|'freeze'|'shield', radius, amount, turns }
+// radius is in cells around the target. damage/heal hit troops in the area,
+// freeze puts the 'freeze' status effect (./effects) on enemy troops for `turns`,
+// shield covers the caster's base with `amount` extra HP for `turns` turns.
+const { CELL_SIZE } = require('./constants');
+const { getCurrentDamageMultiplier } = require('./acceleration');
+const { getGridSize } = require('./map');
+const { validateCoordinates } = require('./validation');
+const { addStatusEffect, dealDamage } = require('./effects');
+const { areAllies } = require('./teams');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+function inRadius(gridX, gridY, target, radius) {
+    const dx = target.gridX - gridX;
+    const dy = target.gridY - gridY;
+    return dx * dx + dy * dy <= radius * radius;
+}
+
+// An error when the spell can't go where it was aimed, otherwise null
+function validateSpellTarget(game, player, card, gridX, gridY) {
+    if (!validateCoordinates(gridX, gridY, getGridSize(game))) {
+        return actionError(E.INVALID_POSITION, 'Spells need a target cell');
+    }
+    if (card.spell.effect === 'shield' && !inRadius(gridX, gridY, player, card.spell.radius)) {
+        return actionError(E.INVALID_TARGET, 'Cast shields on your own base');
+    }
+    return null;
+}
+
+// Apply the spell and return its engine events. The 'combat' batch carries
+// the animations: one 'spell' burst plus a 'spellHit' (and maybe a 'death')
+// per troop or base it touched.
+function castSpell(game, player, card, gridX, gridY) {
+    const { effect, radius, amount, turns } = card.spell;
+    const x = gridX * CELL_SIZE + CELL_SIZE / 2;
+    const y = gridY * CELL_SIZE + CELL_SIZE / 2;
+    const combatEvents = [{
+        type: 'spell',
+        effect,
+        cardId: card.id,
+        playerId: player.id,
+        x,
+        y,
+        radius: (radius + 0.5) * CELL_SIZE,
+        color: card.color
+    }];
+
+    // Teammates' troops count as the caster's own
+    const enemyTroops = game.troops.filter(t => !areAllies(game, t.ownerId, player.id) && inRadius(gridX, gridY, t, radius));
+    const ownTroops = game.troops.filter(t => areAllies(game, t.ownerId, player.id) && inRadius(gridX, gridY, t, radius));
+
+    if (effect === 'damage') {
+        const damage = Math.floor(amount * getCurrentDamageMultiplier(game));
+        enemyTroops.forEach(t => {
+            const dealt = dealDamage(null, t, damage);
+            combatEvents.push({ type: 'spellHit', effect, targetId: t.id, amount: dealt, x: t.x, y: t.y });
+        });
+        game.troops = game.troops.filter(t => {
+            if (t.hp > 0) return true;
+            combatEvents.push({ type: 'death', targetId: t.id, x: t.x, y: t.y });
+            return false;
+        });
+    } else if (effect === 'heal') {
+        ownTroops.forEach(t => {
+            const healed = Math.min(amount, t.maxHp - t.hp);
+            if (healed <= 0) return;
+            t.hp += healed;
+            combatEvents.push({ type: 'spellHit', effect, targetId: t.id, amount: healed, x: t.x, y: t.y });
+        });
+    } else if (effect === 'freeze') {
+        enemyTroops.filter(t => t.speed > 0).forEach(t => {
+            addStatusEffect(t, 'freeze', { turns });
+            combatEvents.push({ type: 'spellHit', effect, targetId: t.id, amount: turns, x: t.x, y: t.y });
+        });
+    } else if (effect === 'shield') {
+        player.shield = { hp: amount, turnsLeft: turns };
+        combatEvents.push({
+            type: 'spellHit',
+            effect,
+            targetId: player.id,
+            amount,
+            x: player.x,
+            y: player.y,
+            isBase: true
+        });
+    }
+
+    return [{ type: 'combat', events: combatEvents }];
+}
+
+// The part of a hit on a base that gets through its shield (if any)
+function absorbBaseDamage(basePlayer, damage) {
+    const shield = basePlayer.shield;
+    if (!shield) return damage;
+
+    const absorbed = Math.min(shield.hp, damage);
+    shield.hp -= absorbed;
+    if (shield.hp <= 0) basePlayer.shield = null;
+    return damage - absorbed;
+}
+
+// A shield wears off after its turns; counted down at the start of its owner's turn
+function tickShield(player) {
+    if (!player.shield) return;
+    player.shield.turnsLeft -= 1;
+    if (player.shield.turnsLeft <= 0) player.shield = null;
+}
+
+module.exports = {
+    validateSpellTarget,
+    castSpell,
+    absorbBaseDamage,
+    tickShield
+};
@@ -0,0 +1,222 @@
+const { CELL_SIZE } = require('./constants');
+const { getRandomHand, getBalancedCard } = require('./cards');
+const { dealFromDeck } = require('./decks');
+const { DEFAULT_MAP_ID, getMap, buildTerrain } = require('./maps');
+const { createSeed, seedGame } = require('./random');
+const { defaultSeatTeams, getStandingSides, setTeams } = require('./teams');
+const { createRules, getRules } = require('./rules');
+const { createRound } = require('./rounds');
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+// mapId names a map in ./maps (the default map when unknown)
+function createGame(gameId, { seed = createSeed(), mapId = DEFAULT_MAP_ID } = {}) {
+    const terrain = buildTerrain(getMap(mapId) || getMap(DEFAULT_MAP_ID));
+    const rules = createRules();
+    const game = {
+        id: gameId,
+        players: {}, // socketId -> { id, color, elixir, baseHp, cards, hand }
+        troops: [], // { id, ownerId, type, x, y, hp, target }
+        status: 'waiting', // waiting, playing, ended
+        lastUpdate: Date.now(),
+        terrain: terrain,
+        currentTurn: null, // socketId of current player
+        turnOrder: [], // Array of player socketIds
+        turnStartTime: null,
+        turnTimeRemaining: rules.turnDuration,
+        turnNumber: 0,
+        movementMode: 'automatic', // 'automatic' or 'manual'
+        movedTroops: new Set(), // Track which troops have moved this turn (for manual mode)
+        // 'turns' (one player at a time) or 'simultaneous' (everyone plans each round at once, see ./rounds)
+        gameMode: 'turns',
+        round: null, // simultaneous games: the round being planned { number, orders, resolving }
+        aiPlayerCount: 0, // Number of AI players (up to MAX_PLAYERS - 1)
+        aiDifficulty: 'normal', // Default AI skill level for bots
+        aiPlayerSkills: [], // Per-bot skill overrides, e.g. ['easy','hardest']
+        teamMode: false, // free-for-all unless the room leader turns teams on (see ./teams)
+        seatTeams: defaultSeatTeams(terrain.spawns.length), // team number per seat of the map
+        fogOfWar: false, // when on, enemy troops are only seen within vision range (see ./vision)
+        rules, // timers, elixir economy, caps and acceleration (see ./rules)
+        roomLeader: null, // Socket ID of the room leader
+        cardUsage: {}, // Track card usage per player: { playerId: { cardId: count } }
+        gameStartTime: null, // Track when game started
+        disconnectedPlayers: {}, // Store disconnected player states: { username: { ...playerData, disconnectTime } }
+        // ML / TensorFlow-related flags (used by the client UI)
+        useMLAI: false, // Legacy/derived: may be toggled for training; 'hardest' skill also enables ML logic
+        mlModelLastUpdated: null,
+        mlAIInsights: {} // { [playerId]: { cardId, cardName, score?, moveType?, targetBaseId?, reason? } }
+    };
+    seedGame(game, seed); // seed + rngState: every random roll in the match comes from here
+    return game;
+}
+
+function dealHand(game, player) {
+    if (player.deck) {
+        dealFromDeck(game, player);
+        return;
+    }
+
+    player.hand = getRandomHand(game);
+    // Set nextCard to balance the starting hand
+    const defensiveCount = game.troops.filter(t => t.ownerId === player.id && t.type === 'defense').length;
+    player.nextCard = getBalancedCard(game, player.hand, defensiveCount);
+}
+
+// Put a player's base on one of the map's spawn points
+function seatPlayer(player, spawn, slot) {
+    player.slot = slot;
+    player.gridX = spawn.gridX;
+    player.gridY = spawn.gridY;
+    player.color = spawn.color;
+    player.x = spawn.gridX * CELL_SIZE + CELL_SIZE / 2;
+    player.y = spawn.gridY * CELL_SIZE + CELL_SIZE / 2;
+}
+
+// The first of the map's seats nobody holds, or -1 when the map is full
+function getFreeSlot(game) {
+    const taken = new Set(Object.values(game.players).map(p => p.slot));
+    return game.terrain.spawns.findIndex((_, slot) => !taken.has(slot));
+}
+
+// Seat a player at one of the map's spawns (see getFreeSlot). Hands are dealt
+// when the game starts, from `deck` (card ids, already validated) when the
+// player brought one. Extra fields (isAI, aiSkill, ...) are copied onto the player as-is.
+function addPlayer(game, playerId, { username, slot, deck = null, ...extra }) {
+    const player = {
+        id: playerId,
+        username,
+        ...extra,
+        elixir: getRules(game).startingElixir,
+        baseHp: getRules(game).baseHp,
+        deck,
+        deckQueue: [], // deck players only: card ids still to come, in draw order
+        hand: [],
+        nextCard: null,
+        eliminated: false
+    };
+    seatPlayer(player, game.terrain.spawns[slot], slot);
+
+    game.players[playerId] = player;
+    return player;
+}
+
+// Switch a waiting game to another map, reseating everyone already in it in
+// join order; seats go back to the default teams, and team mode turns off when
+// those don't work on the new map (see setTeams). Returns an actionError when
+// the map is unknown or too small.
+function setGameMap(game, mapId) {
+    if (game.status !== 'waiting') return actionError(E.GAME_ALREADY_STARTED, 'The map can only change before the game starts');
+    const map = getMap(mapId);
+    if (!map) return actionError(E.INVALID_MAP, 'Unknown map');
+
+    const players = Object.values(game.players);
+    if (players.length > map.spawns.length) {
+        return actionError(E.INVALID_MAP, `${map.name} seats ${map.spawns.length} players`);
+    }
+
+    game.terrain = buildTerrain(map);
+    game.seatTeams = defaultSeatTeams(map.spawns.length);
+    if (game.teamMode && setTeams(game, { teamMode: true })) game.teamMode = false;
+    players.forEach((player, slot) => seatPlayer(player, game.terrain.spawns[slot], slot));
+    return null;
+}
+
+// Move a waiting game into play. Needs at least two seated players (on two
+// different teams in team mode); the first seat takes the opening turn, or in
+// a simultaneous game everyone starts planning round 1.
+function startGame(game) {
+    const playerIds = Object.keys(game.players);
+    if (game.status !== 'waiting' || playerIds.length < 2 || getStandingSides(game).length < 2) return [];
+
+    // Restart the generator and deal in seat order, so the seed alone decides
+    // every hand no matter when players joined or the seed was changed
+    seedGame(game, game.seed);
+    playerIds.forEach(id => dealHand(game, game.players[id]));
+
+    game.status = 'playing';
+    game.turnOrder = playerIds;
+    game.turnTimeRemaining = getRules(game).turnDuration;
+    game.turnNumber = 1;
+
+    if (game.gameMode === 'simultaneous') {
+        game.currentTurn = null;
+        game.round = createRound(1);
+        return [{ type: 'roundStarted', round: game.round.number, turnNumber: game.turnNumber }];
+    }
+
+    game.currentTurn = game.turnOrder[0];
+    return [{ type: 'turnStarted', playerId: game.currentTurn, turnNumber: game.turnNumber }];
+}
+
+// Take a player out of the game (they left). During play they also leave the
+// turn order; the caller decides whether the current turn must end.
+function removePlayer(game, playerId) {
+    const player = game.players[playerId];
+    if (!player) return null;
+
+    delete game.players[playerId];
+    if (game.status === 'playing') {
+        game.turnOrder = game.turnOrder.filter(id => id !== playerId);
+    }
+    return player;
+}
+
+// Seat a returning player under a new id, keeping their state and their troops.
+// Before the game starts their seat may have gone to someone else (or off a
+// smaller map) while they were away: they get it back only if it is free, and
+// the first free seat otherwise. Returns null when there is no seat left.
+function rejoinPlayer(game, savedPlayer, playerId) {
+    const previousId = savedPlayer.id;
+    const player = { ...savedPlayer, id: playerId };
+    if (game.status === 'waiting') {
+        let slot = savedPlayer.slot;
+        const taken = Object.values(game.players).some(p => p.slot === slot);
+        if (!game.terrain.spawns[slot] || taken) slot = getFreeSlot(game);
+        if (slot === -1) return null;
+        seatPlayer(player, game.terrain.spawns[slot], slot);
+    }
+    game.players[playerId] = player;
+
+    game.troops.forEach(t => {
+        if (t.ownerId === previousId) {
+            t.ownerId = playerId;
+        }
+    });
+
+    // Cards played before the disconnect still count for the player's stats
+    if (game.cardUsage[previousId] && previousId !== playerId) {
+        const usage = game.cardUsage[playerId] || {};
+        Object.entries(game.cardUsage[previousId]).forEach(([cardId, count]) => {
+            usage[cardId] = (usage[cardId] || 0) + count;
+        });
+        game.cardUsage[playerId] = usage;
+        delete game.cardUsage[previousId];
+    }
+
+    if (game.status === 'playing' && !game.turnOrder.includes(playerId)) {
+        game.turnOrder.push(playerId);
+    }
+    return game.players[playerId];
+}
+
+// Deep copy of a game for simulations. The adapter keeps its reset timer on the
+// game object, which is not cloneable and means nothing to the rules.
+function cloneState(game) {
+    const { resetTimeoutId, ...rest } = game;
+    return structuredClone(rest);
+}
+
+function getActivePlayers(game) {
+    return Object.values(game.players).filter(p => p && !p.eliminated);
+}
+
+module.exports = {
+    createGame,
+    getFreeSlot,
+    addPlayer,
+    setGameMap,
+    startGame,
+    removePlayer,
+    rejoinPlayer,
+    cloneState,
+    getActivePlayers
+};
@@ -0,0 +1,86 @@
+// Team mode: the room leader puts each seat on a team (game.seatTeams[slot]).
+// Teammates' troops and bases never fight each other, teammates see each
+// other's hands, and a team wins together once every other team is out. In
+// free-for-all (game.teamMode false) every player is a side of their own.
+const { ERROR_CODES: E, actionError } = require('./errors');
+
+// Two teams on alternating seats: partners sit across from each other on the 4-seat maps
+function defaultSeatTeams(seats) {
+    return Array.from({ length: seats }, (_, slot) => slot % 2);
+}
+
+// A player's team number, or null in free-for-all
+function getTeam(game, player) {
+    if (!game.teamMode || !player || !Array.isArray(game.seatTeams)) return null;
+    const team = game.seatTeams[player.slot];
+    return Number.isInteger(team) ? team : null;
+}
+
+// Whether two players are on the same side (everyone is their own ally)
+function areAllies(game, playerIdA, playerIdB) {
+    if (playerIdA === playerIdB) return true;
+    const teamA = getTeam(game, game.players[playerIdA]);
+    return teamA !== null && teamA === getTeam(game, game.players[playerIdB]);
+}
+
+// Players still in the game, one group per side
+function getStandingSides(game) {
+    const sides = new Map();
+    Object.values(game.players).filter(p => p && !p.eliminated).forEach(p => {
+        const team = getTeam(game, p);
+        const key = team === null ? `player:${p.id}` : `team:${team}`;
+        if (!sides.has(key)) sides.set(key, []);
+        sides.get(key).push(p);
+    });
+    return [...sides.values()];
+}
+
+// Everyone who shares the win with the last side standing: its survivors,
+// plus any teammates whose bases fell along the way
+function getWinners(game, side) {
+    if (!side || side.length === 0) return [];
+    const team = getTeam(game, side[0]);
+    if (team === null) return side;
+    return Object.values(game.players).filter(p => getTeam(game, p) === team);
+}
+
+// Turn team mode on or off and/or put seats on teams (before the game starts).
+// seatTeams holds a team number per seat of the map. Returns an actionError when
+// fewer than two teams are used or a seat's only routes lead to teammates.
+function setTeams(game, { teamMode, seatTeams }) {
+    if (game.status !== 'waiting') return actionError(E.GAME_ALREADY_STARTED, 'Teams can only change before the game starts');
+
+    const seats = game.terrain.spawns.length;
+    const nextTeams = seatTeams === undefined ? game.seatTeams : seatTeams;
+    if (!Array.isArray(nextTeams) || nextTeams.length !== seats ||
+        !nextTeams.every(team => Number.isInteger(team) && team >= 0 && team < seats)) {
+        return actionError(E.INVALID_TEAMS, `Give each of the ${seats} seats a team number`);
+    }
+    const nextMode = teamMode === undefined ? !!game.teamMode : !!teamMode;
+
+    if (nextMode) {
+        if (new Set(nextTeams).size < 2) return actionError(E.INVALID_TEAMS, 'Team mode needs at least two teams');
+        for (let slot = 0; slot < seats; slot++) {
+            const hasEnemyRoute = game.terrain.routes.some(route =>
+                route.between.includes(slot) &&
+                nextTeams[route.between.find(other => other !== slot)] !== nextTeams[slot]
+            );
+            if (!hasEnemyRoute) {
+                return actionError(E.INVALID_TEAMS, `Seat ${slot + 1} has no route to an enemy team on this map`);
+            }
+        }
+    }
+
+    game.teamMode = nextMode;
+    game.seatTeams = [...nextTeams];
+    return null;
+}
+
+module.exports = {
+    defaultSeatTeams,
+    getTeam,
+    areAllies,
+    getStandingSides,
+    getWinners,
+    setTeams
+};
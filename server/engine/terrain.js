@@ -0,0 +1,70 @@
+// Terrain features that act at the end of a turn (see getFeature in ./map for
+// the layer itself). Kelp and deep water only change where troops can go, so
+// they live in the pathfinder; this file handles the two that do something:
+// - currents ('^' 'v' '<' '>') carry a troop one cell downstream, unless it is
+//   a wall or turret or the cell downstream is somewhere it can't stand;
+// - healing reefs ('r') restore REEF_HEAL HP to troops of the reef's side: the
+//   seat whose territory it lies in and that seat's teammates, or anyone on
+//   open water.
+// In turn-based games only the troops of the player whose turn ends are
+// affected, like movement; in simultaneous games everyone's are, once a round.
+const { CELL_SIZE, REEF_HEAL } = require('./constants');
+const { getFeature, canStandOn, getTerritory } = require('./map');
+const { areAllies } = require('./teams');
+
+const CURRENTS = {
+    '^': { dx: 0, dy: -1 },
+    v: { dx: 0, dy: 1 },
+    '<': { dx: -1, dy: 0 },
+    '>': { dx: 1, dy: 0 }
+};
+
+// Whether a reef at (x, y) heals this troop
+function isReefFriendly(game, troop, x, y) {
+    const seat = getTerritory(game, x, y);
+    if (seat === null) return true;
+    const owner = Object.values(game.players).find(p => p && p.slot === seat);
+    return !owner || areAllies(game, owner.id, troop.ownerId);
+}
+
+// Push and heal the affected troops; returns engine events ('combat', with
+// 'terrain' entries) for whatever happened
+function applyTerrainEffects(game) {
+    if (!game.terrain.features) return [];
+
+    const affected = game.troops.filter(troop =>
+        game.gameMode === 'simultaneous' || troop.ownerId === game.currentTurn
+    );
+    const combatEvents = [];
+
+    affected.forEach(troop => {
+        const current = CURRENTS[getFeature(game, troop.gridX, troop.gridY)];
+        if (!current || troop.isWall || troop.isTurret) return;
+        const x = troop.gridX + current.dx;
+        const y = troop.gridY + current.dy;
+        if (!canStandOn(game, troop.type, x, y)) return;
+
+        combatEvents.push({ type: 'terrain', effect: 'current', targetId: troop.id, fromX: troop.x, fromY: troop.y, x: x * CELL_SIZE + CELL_SIZE / 2, y: y * CELL_SIZE + CELL_SIZE / 2 });
+        troop.gridX = x;
+        troop.gridY = y;
+        troop.x = x * CELL_SIZE + CELL_SIZE / 2;
+        troop.y = y * CELL_SIZE + CELL_SIZE / 2;
+        troop.path = []; // swept off course: find the way again next turn
+    });
+
+    affected.forEach(troop => {
+        if (getFeature(game, troop.gridX, troop.gridY) !== 'r') return;
+        if (!isReefFriendly(game, troop, troop.gridX, troop.gridY)) return;
+        const healed = Math.min(REEF_HEAL, troop.maxHp - troop.hp);
+        if (healed <= 0) return;
+        troop.hp += healed;
+        combatEvents.push({ type: 'terrain', effect: 'heal', targetId: troop.id, amount: healed, x: troop.x, y: troop.y });
+    });
+
+    return combatEvents.length > 0 ? [{ type: 'combat', events: combatEvents }] : [];
+}
+
+module.exports = {
+    CURRENTS,
+    applyTerrainEffects
+};
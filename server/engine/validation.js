@@ -0,0 +1,51 @@
+const { GRID_SIZE } = require('./constants');
+const { CARDS } = require('./cards');
+const { getRules } = require('./rules');
+
+function validateCardId(cardId) {
+    return cardId && typeof cardId === 'string' && CARDS.some(c => c.id === cardId);
+}
+
+// Whole-number cell coordinates on a map of gridSize cells per side
+function validateCoordinates(x, y, gridSize = GRID_SIZE) {
+    return typeof x === 'number' && typeof y === 'number' &&
+        !isNaN(x) && !isNaN(y) &&
+        x >= 0 && x < gridSize &&
+        y >= 0 && y < gridSize &&
+        Number.isInteger(x) && Number.isInteger(y);
+}
+
+function validateTroopId(troopId) {
+    return troopId && typeof troopId === 'string' && troopId.length > 0;
+}
+
+// Game state validation
+function validateGameState(game) {
+    if (!game || typeof game !== 'object') return false;
+    if (!game.players || typeof game.players !== 'object') return false;
+    if (!Array.isArray(game.troops)) return false;
+    if (!game.terrain || !game.terrain.trench || !Array.isArray(game.terrain.trench)) return false;
+
+    // Validate players
+    for (const [playerId, player] of Object.entries(game.players)) {
+        if (!player || typeof player !== 'object') return false;
+        if (typeof player.baseHp !== 'number' || player.baseHp < 0 || player.baseHp > 10000) return false;
+        if (typeof player.elixir !== 'number' || player.elixir < 0 || player.elixir > getRules(game).maxElixir) return false;
+        if (!validateCoordinates(player.gridX, player.gridY, game.terrain.gridSize || GRID_SIZE)) return false;
+    }
+
+    return true;
+}
+
+// Safe number operations
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+module.exports = {
+    validateCardId,
+    validateCoordinates,
+    validateTroopId,
+    validateGameState,
+    clamp
+};
@@ -0,0 +1,101 @@
+// Fog of war (game.fogOfWar): a player sees the cells within vision range of
+// their own and their teammates' bases and troops, and enemy troops only while
+// they stand on one of those cells. The map and the bases are always known.
+const { CELL_SIZE, BASE_VISION_RADIUS, TROOP_VISION_RADIUS } = require('./constants');
+const { getGridSize } = require('./map');
+const { areAllies } = require('./teams');
+
+// Cells a troop sees around itself (cards may set their own `vision`)
+function getVisionRadius(troop) {
+    return typeof troop.vision === 'number' ? troop.vision : TROOP_VISION_RADIUS;
+}
+
+// What playerId can see, as rows of '1' (in sight) and '0' (fogged) laid out
+// like terrain.tiles. Null when nothing is hidden from them: fog is off, or
+// they are out of the game and only watching.
+function getVisionGrid(game, playerId) {
+    const viewer = game.players[playerId];
+    if (!game.fogOfWar || !viewer || viewer.eliminated) return null;
+
+    const size = getGridSize(game);
+    const cells = Array.from({ length: size }, () => new Array(size).fill('0'));
+    const reveal = (centerX, centerY, radius) => {
+        for (let y = Math.max(0, Math.floor(centerY - radius)); y <= Math.min(size - 1, Math.ceil(centerY + radius)); y++) {
+            for (let x = Math.max(0, Math.floor(centerX - radius)); x <= Math.min(size - 1, Math.ceil(centerX + radius)); x++) {
+                if ((x - centerX) ** 2 + (y - centerY) ** 2 <= radius * radius) cells[y][x] = '1';
+            }
+        }
+    };
+
+    Object.values(game.players).forEach(p => {
+        if (p && !p.eliminated && areAllies(game, p.id, playerId)) reveal(p.gridX, p.gridY, BASE_VISION_RADIUS);
+    });
+    game.troops.forEach(troop => {
+        if (areAllies(game, troop.ownerId, playerId)) reveal(troop.gridX, troop.gridY, getVisionRadius(troop));
+    });
+    return cells.map(row => row.join(''));
+}
+
+// What spectators see of a fog-of-war match while it is being played: the map
+// and the bases, no troops. Otherwise a player could watch their own game from
+// a second tab. Null when nothing is hidden from them.
+function getSpectatorVisionGrid(game) {
+    if (!game.fogOfWar || game.status !== 'playing') return null;
+    const size = getGridSize(game);
+    return Array.from({ length: size }, () => '0'.repeat(size));
+}
+
+function isCellVisible(vision, gridX, gridY) {
+    return !vision || (vision[gridY] && vision[gridY][gridX] === '1');
+}
+
+// The troops playerId knows about: their side's, plus enemies in sight.
+// Everything anyone (AI included) decides from enemy positions should start here.
+function getVisibleTroops(game, playerId, vision = getVisionGrid(game, playerId)) {
+    if (!vision) return game.troops;
+    return game.troops.filter(troop =>
+        areAllies(game, troop.ownerId, playerId) || isCellVisible(vision, troop.gridX, troop.gridY)
+    );
+}
+
+// What a viewer is shown of the troops, this turn's moves and the card usage
+// under fog: their side's in full, enemy troops in sight without where they are
+// headed (path, locked target), and nothing of what enemies moved or played.
+// A null playerId is a spectator, who is shown no troops at all.
+function getFoggedState(game, playerId, vision) {
+    const ownSide = ownerId => playerId !== null && areAllies(game, ownerId, playerId);
+    const troops = playerId === null ? [] : getVisibleTroops(game, playerId, vision).map(troop => {
+        if (ownSide(troop.ownerId)) return troop;
+        const { path, lockedTargetBaseId, ...seen } = troop;
+        return seen;
+    });
+    const ownTroopIds = new Set(game.troops.filter(troop => ownSide(troop.ownerId)).map(troop => troop.id));
+    return {
+        troops,
+        movedTroops: Array.from(game.movedTroops || []).filter(troopId => ownTroopIds.has(troopId)),
+        cardUsage: Object.fromEntries(Object.entries(game.cardUsage || {}).filter(([ownerId]) => ownSide(ownerId)))
+    };
+}
+
+// The combat events (engine 'combat' event payload) that happen where playerId
+// can see; a shot counts when either end of it is in sight
+function getVisibleCombatEvents(game, playerId, combatEvents, vision = getVisionGrid(game, playerId)) {
+    if (!vision) return combatEvents;
+    const seen = (x, y) => typeof x === 'number' && typeof y === 'number' &&
+        isCellVisible(vision, Math.floor(x / CELL_SIZE), Math.floor(y / CELL_SIZE));
+    return combatEvents.filter(event => {
+        if (event.type === 'projectile') return seen(event.fromX, event.fromY) || seen(event.toX, event.toY);
+        if (event.type === 'spell' && areAllies(game, event.playerId, playerId)) return true;
+        return seen(event.x, event.y);
+    });
+}
+
+module.exports = {
+    getVisionRadius,
+    getVisionGrid,
+    getSpectatorVisionGrid,
+    isCellVisible,
+    getVisibleTroops,
+    getFoggedState,
+    getVisibleCombatEvents
+};
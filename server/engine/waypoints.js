@@ -0,0 +1,79 @@
+// Standing orders for troops in manual movement mode (troop.orders): a queue
+// the troop works through at the end of its owner's turns, whenever it was not
+// moved by hand that turn. Unlike a simultaneous round's orders (./rounds) they
+// last until done or replaced.
+//
+//   { type: 'waypoint', gridX, gridY }  walk there, then go on to the next order
+//   { type: 'hold' }                    stay put
+//   { type: 'guard', bridge }           walk to the named bridge and stay there
+//   { type: 'retreat' }                 walk back to its own base and stay there
+//
+// Hold, guard and retreat never finish, so they can only come last. Once the
+// queue is empty the troop moves on its own again.
+const { validateCoordinates } = require('./validation');
+const { getGridSize, canStandOn } = require('./map');
+
+const TROOP_ORDER_TYPES = ['waypoint', 'hold', 'guard', 'retreat'];
+const MAX_TROOP_ORDERS = 10;
+
+function isStandingOrder(order) {
+    return order.type !== 'waypoint';
+}
+
+// The order with only its own fields, or a message saying what is wrong with it
+function normalizeTroopOrder(game, troop, order) {
+    if (!order || typeof order !== 'object' || !TROOP_ORDER_TYPES.includes(order.type)) {
+        return `Orders are ${TROOP_ORDER_TYPES.join(', ')}`;
+    }
+    if (order.type === 'waypoint') {
+        if (!validateCoordinates(order.gridX, order.gridY, getGridSize(game))) return 'A waypoint is outside the map';
+        if (!canStandOn(game, troop.type, order.gridX, order.gridY)) return 'This troop cannot stand on that waypoint';
+        return { type: 'waypoint', gridX: order.gridX, gridY: order.gridY };
+    }
+    if (order.type === 'guard') {
+        const bridges = game.terrain.bridges || [];
+        if (!bridges.some(bridge => bridge.name === order.bridge)) return 'This map has no such bridge';
+        return { type: 'guard', bridge: order.bridge };
+    }
+    return { type: order.type };
+}
+
+// The troop's next queue: `orders` in place of its current ones, or after
+// them with `append` (a hold, guard or retreat at the end gives way to the
+// new orders). Returns the list, or a message saying why it can't be given.
+function buildTroopOrders(game, troop, orders, append) {
+    const normalized = [];
+    for (const order of orders) {
+        const result = normalizeTroopOrder(game, troop, order);
+        if (typeof result === 'string') return result;
+        normalized.push(result);
+    }
+
+    const kept = append ? (troop.orders || []).filter(order => !isStandingOrder(order)) : [];
+    const queue = [...kept, ...normalized];
+    if (queue.length > MAX_TROOP_ORDERS) return `A troop can queue at most ${MAX_TROOP_ORDERS} orders`;
+    if (queue.slice(0, -1).some(isStandingOrder)) return 'Hold, guard and retreat orders must come last';
+    return queue;
+}
+
+// The cell an order sends the troop to, or null for a hold
+function getOrderDestination(game, troop, order) {
+    if (order.type === 'waypoint') return { x: order.gridX, y: order.gridY };
+    if (order.type === 'guard') {
+        const bridge = (game.terrain.bridges || []).find(b => b.name === order.bridge);
+        return bridge ? { x: bridge.x, y: bridge.y } : null;
+    }
+    if (order.type === 'retreat') {
+        const base = game.players[troop.ownerId];
+        return base ? { x: base.gridX, y: base.gridY } : null;
+    }
+    return null;
+}
+
+module.exports = {
+    TROOP_ORDER_TYPES,
+    MAX_TROOP_ORDERS,
+    isStandingOrder,
+    buildTroopOrders,
+    getOrderDestination
+};
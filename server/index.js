@@ -4,7 +4,64 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const tf = require('@tensorflow/tfjs');
+const { createStorage } = require('./storage');
+const {
+    MAX_PLAYERS,
+    CARDS,
+    CARD_CATALOG_PATH,
+    loadCardCatalog,
+    validateDeck,
+    getAIDeck,
+    hasStatusEffect,
+    createGame,
+    getFreeSlot,
+    addPlayer,
+    setGameMap,
+    getMapIdForSeats,
+    setTeams,
+    getTeam,
+    areAllies,
+    getVisionGrid,
+    getSpectatorVisionGrid,
+    isCellVisible,
+    getVisibleTroops,
+    getFoggedState,
+    getVisibleCombatEvents,
+    RULE_LIMITS,
+    getRules,
+    setRules,
+    listRulePresets,
+    listMaps,
+    startGame,
+    removePlayer,
+    rejoinPlayer,
+    applyAction,
+    advanceTurn,
+    previewTurn,
+    GAME_MODES,
+    allOrdersIn,
+    getInitiativeOrder,
+    getGamePhase,
+    isAcrossFromBase,
+    canAttackBase,
+    isValidSpawn,
+    MAX_SEED,
+    normalizeSeed,
+    seedGame,
+    createReplay,
+    recordAction,
+    recordCombat,
+    finishReplay,
+    summarizeReplay,
+    playReplay,
+    validateGameState,
+    ERROR_CODES,
+    actionError,
+    clamp
+} = require('./engine');
+const { STARTING_RATING, AI_RATINGS, getStanding, shareTeamStandings, computeRatingChanges, getPlace } = require('./ratings');
 
 const app = express();
 app.use(cors());
@@ -17,11 +74,19 @@ const io = new Server(server, {
     }
 });
 
-const PORT = 3001;
+const PORT = Number(process.env.PORT) || 3001;
 
-// AI / ML files
-const STATS_FILE = path.join(__dirname, 'ai_stats.json');
-const ML_MODEL_FILE = path.join(__dirname, 'ml_model.json');
+// Stats, model checkpoints, accounts and replays (STORAGE_BACKEND=json|sqlite)
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    dir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+    legacyDir: __dirname
+});
+const GAME_HISTORY_LIMIT = 100; // recent games kept in memory for the stats panel
+const MAX_CACHED_REPLAYS = 5; // Played-back replays kept in memory for repeat viewers
+const REPLAY_REQUEST_COOLDOWN = 2000; // ms between getReplay requests per socket
+const PREVIEW_COOLDOWN = 100; // ms between forecasts worked out per socket (the client waits 150 for the pointer to settle)
+const MAX_CACHED_PREVIEWS = 8; // forecasts kept per socket for the state they were made from
 
 // AI difficulty / skill levels (decision-making only; does NOT change deals/elixir)
 const AI_SKILLS = ['easy', 'normal', 'hard', 'hardest'];
@@ -40,23 +105,20 @@ function gameWantsML(game) {
 }
 
 function maybePopulateMlModelTimestamp(game) {
-    try {
-        if (!gameWantsML(game)) return;
-        if (fs.existsSync(ML_MODEL_FILE)) {
-            const parsed = JSON.parse(fs.readFileSync(ML_MODEL_FILE, 'utf8'));
-            game.mlModelLastUpdated = (parsed && typeof parsed.lastUpdated === 'number')
-                ? parsed.lastUpdated
-                : (game.mlModelLastUpdated ?? Date.now());
-        } else {
-            game.mlModelLastUpdated = null;
-        }
-    } catch (err) {
-        console.error('Error reading ML model metadata:', err);
+    if (!gameWantsML(game)) return;
+    if (mlModelMeta) {
+        game.mlModelLastUpdated = typeof mlModelMeta.lastUpdated === 'number'
+            ? mlModelMeta.lastUpdated
+            : (game.mlModelLastUpdated ?? Date.now());
+    } else {
+        game.mlModelLastUpdated = null;
     }
 }
 
 // Rate limiting: Track events per socket
 const rateLimits = new Map(); // socketId -> { eventCount, resetTime }
+const replayRequestTimes = new Map(); // socketId -> time of the last getReplay
+const previewCaches = new Map(); // socketId -> { gameId, stateVersion, forecasts, lastRun }
 const RATE_LIMIT_WINDOW = 1000; // 1 second
 const RATE_LIMIT_MAX = 20; // Max events per window
 
@@ -179,22 +241,6 @@ function validateGameId(gameId) {
     return gameId && typeof gameId === 'string' && gameId.length > 0 && gameId.length <= 50 && /^[a-zA-Z0-9_\-]+$/.test(gameId);
 }
 
-function validateCardId(cardId) {
-    return cardId && typeof cardId === 'string' && CARDS.some(c => c.id === cardId);
-}
-
-function validateCoordinates(x, y) {
-    return typeof x === 'number' && typeof y === 'number' &&
-        !isNaN(x) && !isNaN(y) &&
-        x >= 0 && x < GRID_SIZE &&
-        y >= 0 && y < GRID_SIZE &&
-        Number.isInteger(x) && Number.isInteger(y);
-}
-
-function validateTroopId(troopId) {
-    return troopId && typeof troopId === 'string' && troopId.length > 0;
-}
-
 // Rate limiting check
 function checkRateLimit(socketId) {
     const now = Date.now();
@@ -213,29 +259,7 @@ function checkRateLimit(socketId) {
     return true;
 }
 
-// Game state validation
-function validateGameState(game) {
-    if (!game || typeof game !== 'object') return false;
-    if (!game.players || typeof game.players !== 'object') return false;
-    if (!Array.isArray(game.troops)) return false;
-    if (!game.terrain || !game.terrain.trench || !Array.isArray(game.terrain.trench)) return false;
-
-    // Validate players
-    for (const [playerId, player] of Object.entries(game.players)) {
-        if (!player || typeof player !== 'object') return false;
-        if (typeof player.baseHp !== 'number' || player.baseHp < 0 || player.baseHp > 10000) return false;
-        if (typeof player.elixir !== 'number' || player.elixir < 0 || player.elixir > 20) return false;
-        if (!validateCoordinates(player.gridX, player.gridY)) return false;
-    }
-
-    return true;
-}
-
 // Safe number operations
-function clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
-}
-
 function safeParseInt(value, defaultValue = 0) {
     const parsed = parseInt(value, 10);
     return isNaN(parsed) ? defaultValue : parsed;
@@ -246,15 +270,12 @@ function safeParseFloat(value, defaultValue = 0) {
     return isNaN(parsed) ? defaultValue : parsed;
 }
 
-// Load AI statistics from file with validation and recovery
-function loadAIStats() {
+// Validate and repair stored AI statistics (null means nothing stored yet)
+function normalizeAIStats(stats, gameHistory = []) {
     try {
-        if (fs.existsSync(STATS_FILE)) {
-            const data = fs.readFileSync(STATS_FILE, 'utf8');
-            const stats = JSON.parse(data);
-
+        if (stats) {
             // Validate and repair stats structure
-            if (!stats || typeof stats !== 'object') {
+            if (typeof stats !== 'object') {
                 throw new Error('Invalid stats structure');
             }
 
@@ -285,7 +306,7 @@ function loadAIStats() {
                     earlyGame: stats.strategyStats?.earlyGame || defaultStats.strategyStats.earlyGame,
                     lateGame: stats.strategyStats?.lateGame || defaultStats.strategyStats.lateGame
                 },
-                gameHistory: Array.isArray(stats.gameHistory) ? stats.gameHistory : []
+                gameHistory: Array.isArray(gameHistory) ? gameHistory.slice(-GAME_HISTORY_LIMIT) : []
             };
 
             // Validate win rates are between 0 and 1
@@ -321,16 +342,6 @@ function loadAIStats() {
         }
     } catch (error) {
         console.error('Error loading AI stats:', error);
-        // Backup corrupted file
-        try {
-            if (fs.existsSync(STATS_FILE)) {
-                const backupPath = `${STATS_FILE}.backup.${Date.now()}`;
-                fs.copyFileSync(STATS_FILE, backupPath);
-                console.log(`Backed up corrupted stats file to ${backupPath}`);
-            }
-        } catch (backupError) {
-            console.error('Failed to backup corrupted stats file:', backupError);
-        }
     }
 
     // Default statistics structure
@@ -349,7 +360,7 @@ function loadAIStats() {
     };
 }
 
-// Save AI statistics to file with atomic write and error handling
+// Save AI statistics (game history is stored per game, see recordGameOutcome)
 function saveAIStats(stats) {
     try {
         if (!stats || typeof stats !== 'object') {
@@ -357,9 +368,9 @@ function saveAIStats(stats) {
             return;
         }
 
-        // Keep only last 100 games in history
-        if (Array.isArray(stats.gameHistory) && stats.gameHistory.length > 100) {
-            stats.gameHistory = stats.gameHistory.slice(-100);
+        // Keep only the most recent games in memory
+        if (Array.isArray(stats.gameHistory) && stats.gameHistory.length > GAME_HISTORY_LIMIT) {
+            stats.gameHistory = stats.gameHistory.slice(-GAME_HISTORY_LIMIT);
         }
 
         // Validate stats before saving
@@ -385,50 +396,216 @@ function saveAIStats(stats) {
                     count: Math.max(0, safeParseInt(stats.strategyStats?.lateGame?.count, 0)),
                     winRate: clamp(safeParseFloat(stats.strategyStats?.lateGame?.winRate, 0), 0, 1)
                 }
-            },
-            gameHistory: Array.isArray(stats.gameHistory) ? stats.gameHistory : []
+            }
         };
 
-        // Atomic write: write to temp file first, then rename
-        const tempFile = `${STATS_FILE}.tmp`;
-        fs.writeFileSync(tempFile, JSON.stringify(statsToSave, null, 2), 'utf8');
-        fs.renameSync(tempFile, STATS_FILE);
+        storage.saveStats(statsToSave).catch(error => console.error('Error saving AI stats:', error));
     } catch (error) {
         console.error('Error saving AI stats:', error);
-        // Try to clean up temp file if it exists
-        try {
-            const tempFile = `${STATS_FILE}.tmp`;
-            if (fs.existsSync(tempFile)) {
-                fs.unlinkSync(tempFile);
-            }
-        } catch (cleanupError) {
-            console.error('Error cleaning up temp stats file:', cleanupError);
-        }
     }
 }
 
-// Initialize AI statistics
-let aiStats = loadAIStats();
-console.log(`Loaded AI statistics: ${aiStats.totalGames} games, ${aiStats.wins} wins, ${aiStats.losses} losses`);
+// ============================================================================
+// REPLAYS: finished matches are kept as action logs in storage
+// ============================================================================
+
+function validateReplayId(replayId) {
+    return typeof replayId === 'string' && replayId.length <= 80 && /^[0-9]+-[a-zA-Z0-9_\-]+$/.test(replayId);
+}
+
+// Ids start with the end time, so they sort by age
+function saveReplay(replay) {
+    const replayId = `${replay.endedAt}-${replay.gameId}`;
+    storage.saveReplay(replayId, replay, summarizeReplay(replayId, replay))
+        .then(() => console.log(`🎬 Saved replay ${replayId} (${replay.actions.length} actions, ${replay.turns} turns)`))
+        .catch(error => console.error('Error saving replay:', error));
+}
+
+// A saved replay never changes, so its playback is cached by id (least recently used goes first)
+const replayDataCache = new Map(); // replayId -> replayData
+
+async function getReplayData(replayId) {
+    if (replayDataCache.has(replayId)) {
+        const cached = replayDataCache.get(replayId);
+        replayDataCache.delete(replayId);
+        replayDataCache.set(replayId, cached);
+        return cached;
+    }
+
+    let replay = null;
+    try {
+        replay = await storage.loadReplay(replayId);
+    } catch (error) {
+        console.error(`Error loading replay ${replayId}:`, error);
+    }
+    if (!replay) return null;
+
+    const { terrain, frames } = playReplay(replay);
+    const replayData = {
+        ...summarizeReplay(replayId, replay),
+        settings: replay.settings,
+        terrain,
+        frames,
+        combatEvents: replay.combatEvents
+    };
+
+    replayDataCache.set(replayId, replayData);
+    if (replayDataCache.size > MAX_CACHED_REPLAYS) {
+        replayDataCache.delete(replayDataCache.keys().next().value);
+    }
+    return replayData;
+}
+
+// AI statistics (loaded from storage at startup)
+let aiStats = normalizeAIStats(null);
+
+// ============================================================================
+// ACCOUNTS: local player accounts with a client-held token, stats and ratings
+// ============================================================================
+
+const MATCH_HISTORY_LIMIT = 20;
+const LEADERBOARD_SIZE = 20;
+
+// accountId -> account, loaded from storage at startup; every change is saved right away
+let accounts = {};
+
+function saveAccount(account) {
+    storage.saveAccount(account).catch(error => console.error(`Error saving account ${account.username}:`, error));
+}
+
+// Only a hash of each token is stored; the client keeps the token itself
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function findAccountByToken(token) {
+    if (typeof token !== 'string' || token.length === 0 || token.length > 128) return null;
+    const tokenHash = hashToken(token);
+    return Object.values(accounts).find(a => a.tokenHash === tokenHash) || null;
+}
+
+function findAccountByUsername(username) {
+    const key = String(username).toLowerCase();
+    return Object.values(accounts).find(a => a.username.toLowerCase() === key) || null;
+}
+
+function createAccount(username) {
+    const token = crypto.randomBytes(24).toString('hex');
+    const account = {
+        id: crypto.randomUUID(),
+        username,
+        tokenHash: hashToken(token),
+        createdAt: Date.now(),
+        rating: STARTING_RATING,
+        games: 0,
+        wins: 0,
+        losses: 0,
+        cardUsage: {},
+        history: []
+    };
+    accounts[account.id] = account;
+    saveAccount(account);
+    console.log(`👤 Created account for ${username}`);
+    return { account, token };
+}
+
+// What the owner (and the leaderboard) may see
+function publicAccount(account) {
+    return {
+        username: account.username,
+        rating: account.rating,
+        games: account.games,
+        wins: account.wins,
+        losses: account.losses,
+        cardUsage: account.cardUsage,
+        history: account.history
+    };
+}
+
+function getLeaderboard() {
+    return Object.values(accounts)
+        .filter(a => a.games > 0)
+        .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+        .slice(0, LEADERBOARD_SIZE)
+        .map(a => ({ username: a.username, rating: a.rating, games: a.games, wins: a.wins, losses: a.losses }));
+}
+
+// Rate a finished match and update every account that played in it
+function recordAccountResults(game, winners) {
+    const leavers = Object.values(game.disconnectedPlayers || {})
+        .filter(p => game.gameStartTime && p.disconnectTime >= game.gameStartTime);
+    const participants = [...Object.values(game.players), ...leavers];
+    if (participants.length < 2 || !participants.some(p => p.accountId)) return;
+
+    const entries = participants.map(p => {
+        const account = p.accountId ? accounts[p.accountId] : null;
+        const standing = getStanding(p, winners, leavers);
+        const rating = account ? account.rating : (p.isAI ? (AI_RATINGS[p.aiSkill] || STARTING_RATING) : STARTING_RATING);
+        return { player: p, account, rating, standing, team: getTeam(game, p) };
+    });
+    shareTeamStandings(entries);
+
+    const changes = computeRatingChanges(entries);
+    entries.forEach((entry, i) => {
+        const { player, account, standing } = entry;
+        if (!account) return;
+
+        const won = winners.some(w => w.id === player.id);
+        account.rating += changes[i];
+        account.games++;
+        if (won) {
+            account.wins++;
+        } else {
+            account.losses++;
+        }
+
+        const cardUsage = game.cardUsage[player.id] || {};
+        for (const cardId in cardUsage) {
+            account.cardUsage[cardId] = (account.cardUsage[cardId] || 0) + cardUsage[cardId];
+        }
+
+        account.history.push({
+            endedAt: Date.now(),
+            gameId: game.id,
+            won,
+            place: getPlace(entries, standing),
+            players: entries.length,
+            teammates: entry.team === null ? null : entries
+                .filter(other => other !== entry && other.team === entry.team)
+                .map(other => other.player.username),
+            turns: game.turnNumber,
+            rating: account.rating,
+            ratingChange: changes[i]
+        });
+        if (account.history.length > MATCH_HISTORY_LIMIT) {
+            account.history = account.history.slice(-MATCH_HISTORY_LIMIT);
+        }
+
+        saveAccount(account);
+        console.log(`📈 ${account.username}: ${changes[i] >= 0 ? '+' : ''}${changes[i]} -> ${account.rating}`);
+        if (game.players[player.id]) {
+            io.to(player.id).emit('accountInfo', publicAccount(account));
+        }
+    });
+}
 
 // ============================================================================
 // TensorFlow ML Model Loading and Inference
 // ============================================================================
 
 let mlModel = null;
+let mlModelMeta = null; // latest checkpoint without its weights: { lastUpdated, sampleCount, mlWinRate, ... }
 
-// Load TensorFlow model from ml_model.json
-async function loadMLModel() {
+// Build the TensorFlow model from a stored checkpoint
+async function loadMLModel(modelData) {
     try {
-        if (!fs.existsSync(ML_MODEL_FILE)) {
-            console.log('⚠️ ML model file not found. Model will be initialized on first training.');
+        if (!modelData) {
+            console.log('⚠️ No ML model checkpoint found. Model will be initialized on first training.');
             return null;
         }
 
-        const modelData = JSON.parse(fs.readFileSync(ML_MODEL_FILE, 'utf8'));
-
         if (!modelData.weights || modelData.weights.length === 0) {
-            console.log('⚠️ No weights in ML model file.');
+            console.log('⚠️ No weights in ML model checkpoint.');
             return null;
         }
 
@@ -454,7 +631,7 @@ async function loadMLModel() {
             activation: 'sigmoid'
         }));
 
-        // Load weights from the JSON file
+        // Load weights from the checkpoint
         const weightTensors = [];
         for (const weightData of modelData.weights) {
             const tensor = tf.tensor(weightData.values, weightData.shape);
@@ -473,14 +650,15 @@ async function loadMLModel() {
 
 // Extract 17 features from game state for ML prediction
 function extractGameFeatures(game, aiPlayer, card, targetBase = null) {
-    const enemies = Object.values(game.players).filter(p => p.id !== aiPlayer.id && !p.eliminated);
+    const enemies = Object.values(game.players).filter(p => !areAllies(game, p.id, aiPlayer.id) && !p.eliminated);
     const myTroops = game.troops.filter(t => t.ownerId === aiPlayer.id);
-    const enemyTroops = game.troops.filter(t => t.ownerId !== aiPlayer.id);
+    const enemyTroops = getVisibleTroops(game, aiPlayer.id).filter(t => !areAllies(game, t.ownerId, aiPlayer.id));
+    const rules = getRules(game);
 
     // Normalize values to 0-1 range
     const features = [
-        aiPlayer.baseHp / 1000,                                      // 0: My base HP (0-1)
-        aiPlayer.elixir / 15,                                        // 1: My elixir (0-1)
+        aiPlayer.baseHp / rules.baseHp,                              // 0: My base HP (0-1)
+        aiPlayer.elixir / rules.maxElixir,                           // 1: My elixir (0-1)
         card.cost / 15,                                               // 2: Card cost (0-1)
         card.hp / 2000,                                               // 3: Card HP (normalized)
         card.damage / 500,                                            // 4: Card damage (normalized)
@@ -491,8 +669,8 @@ function extractGameFeatures(game, aiPlayer, card, targetBase = null) {
         myTroops.filter(t => t.type === 'offense').length / 20,     // 9: My offensive troops
         myTroops.filter(t => t.type === 'defense').length / 10,     // 10: My defensive troops
         enemyTroops.length / 30,                                      // 11: Enemy troop count
-        enemies.length > 0 ? (enemies[0].baseHp / 1000) : 0,        // 12: Primary enemy HP
-        targetBase ? (targetBase.baseHp / 1000) : 0,                 // 13: Target base HP
+        enemies.length > 0 ? (enemies[0].baseHp / rules.baseHp) : 0, // 12: Primary enemy HP
+        targetBase ? (targetBase.baseHp / rules.baseHp) : 0,         // 13: Target base HP
         game.turnNumber / 200,                                        // 14: Game phase (normalized)
         (Date.now() - game.gameStartTime) / 600000,                  // 15: Game duration (0-10min)
         enemyTroops.filter(t => {                                     // 16: Nearby threats
@@ -544,37 +722,23 @@ async function predictCardScore(game, aiPlayer, card, targetBase = null) {
     }
 }
 
-// Save TensorFlow model weights to ml_model.json
+// Save the current weights and metadata as a new model checkpoint
 async function saveMLModel() {
     try {
-        if (!mlModel) {
-            console.log('⚠️ No model to save');
-            return;
-        }
-
-        const weights = mlModel.getWeights();
         const weightsData = [];
-
-        for (const weight of weights) {
-            const values = await weight.data();
-            weightsData.push({
-                shape: weight.shape,
-                values: Array.from(values)
-            });
-        }
-
-        // Load existing metadata
-        let modelData = {};
-        if (fs.existsSync(ML_MODEL_FILE)) {
-            modelData = JSON.parse(fs.readFileSync(ML_MODEL_FILE, 'utf8'));
+        if (mlModel) {
+            for (const weight of mlModel.getWeights()) {
+                const values = await weight.data();
+                weightsData.push({
+                    shape: weight.shape,
+                    values: Array.from(values)
+                });
+            }
         }
 
-        // Update with new weights
-        modelData.weights = weightsData;
-        modelData.lastUpdated = Date.now();
-
-        fs.writeFileSync(ML_MODEL_FILE, JSON.stringify(modelData, null, 2), 'utf8');
-        console.log('✅ Model weights saved to ml_model.json');
+        mlModelMeta = { ...mlModelMeta, lastUpdated: Date.now() };
+        await storage.saveModelCheckpoint({ ...mlModelMeta, weights: weightsData });
+        console.log('✅ Model checkpoint saved');
     } catch (error) {
         console.error('❌ Error saving ML model:', error);
     }
@@ -624,9 +788,7 @@ async function trainMLModelWithData(trainingData) {
         xs.dispose();
         ys.dispose();
 
-        // Save updated weights
-        await saveMLModel();
-
+        // The caller saves the new weights in a checkpoint together with its metadata
         return { loss: finalLoss, accuracy: finalAcc };
     } catch (error) {
         console.error('❌ Error training model:', error);
@@ -634,15 +796,9 @@ async function trainMLModelWithData(trainingData) {
     }
 }
 
-// Initialize ML model on startup
-loadMLModel().then(model => {
-    mlModel = model;
-}).catch(err => {
-    console.error('Failed to initialize ML model:', err);
-});
-
 // Record game outcome and update statistics
-function recordGameOutcome(gameId, winner) {
+// winners: everyone who shared the win (empty for a draw)
+function recordGameOutcome(gameId, winners) {
     const game = games[gameId];
     if (!game) return;
 
@@ -654,7 +810,7 @@ function recordGameOutcome(gameId, winner) {
     Object.values(game.players).forEach(player => {
         if (!player.isAI) return;
 
-        const isWinner = winner && winner.id === player.id;
+        const isWinner = winners.some(w => w.id === player.id);
         const cardUsage = game.cardUsage[player.id] || {};
 
         // Update overall stats
@@ -738,14 +894,21 @@ function recordGameOutcome(gameId, winner) {
     });
 
     // Record game history
-    aiStats.gameHistory.push({
+    const historyEntry = {
         gameId,
         timestamp: Date.now(),
         duration: gameDuration,
-        winner: winner ? winner.id : null,
+        winner: winners.length > 0 ? winners[0].id : null,
+        winners: winners.map(w => w.id),
         players: Object.keys(game.players).length,
+        // Team games: team number per player id
+        teams: game.teamMode
+            ? Object.fromEntries(Object.values(game.players).map(p => [p.id, getTeam(game, p)]))
+            : null,
         cardUsage: game.cardUsage
-    });
+    };
+    aiStats.gameHistory.push(historyEntry);
+    storage.appendHistory(historyEntry).catch(error => console.error('Error saving game history:', error));
 
     // Save statistics
     saveAIStats(aiStats);
@@ -755,194 +918,730 @@ function recordGameOutcome(gameId, winner) {
 
 // Game State
 const games = {};
-const LOBBY_ROOM_IDS = Array.from({ length: 12 }, (_, i) => `room${i + 1}`);
-const MAX_PLAYERS_PER_ROOM = 4;
-
-function scheduleGameReset(gameId, delayMs = 10000) {
-    const game = games[gameId];
-    if (!game) return;
-    if (game.resetTimeoutId) return; // already scheduled
-    game.resetTimeoutId = setTimeout(() => resetGame(gameId), delayMs);
-}
+const matchRecordings = {}; // gameId -> replay being recorded for the running match
 
-function endGame(gameId, winner = null) {
-    const game = games[gameId];
-    if (!game) return;
+// ============================================================================
+// CARD CATALOG: card stats live in a data file (engine/cards.json) that is
+// validated at startup. Outside production, edits to it are picked up live.
+// ============================================================================
 
-    // Mark ended and notify clients once
-    if (game.status !== 'ended') {
-        game.status = 'ended';
-        io.to(gameId).emit('gameOver', {
-            winner: winner ? winner.id : null,
-            winnerName: winner ? winner.username : null
+const CARD_CATALOG_FILE = process.env.CARD_CATALOG_FILE || CARD_CATALOG_PATH;
+const CARD_CATALOG_RELOAD_DELAY = 200; // editors write a file in several steps
+
+// Throws on an invalid file so a bad catalog stops the server from starting
+let cardCatalog = loadCardCatalog(CARD_CATALOG_FILE);
+console.log(`🃏 Card catalog v${cardCatalog.version}: ${cardCatalog.cards.length} cards`);
+
+// Card ids dealt into or still to come in running games; a reload must keep all of them
+function getCardIdsInUse() {
+    const ids = new Set();
+    Object.values(games).forEach(game => {
+        Object.values(game.players).forEach(player => {
+            (player.hand || []).forEach(card => ids.add(card.id));
+            if (player.nextCard) ids.add(player.nextCard.id);
+            (player.deck || []).forEach(id => ids.add(id));
+            (player.deckQueue || []).forEach(id => ids.add(id));
         });
-        recordGameOutcome(gameId, winner);
-        broadcastLobbyRoomStatus();
-    }
+    });
+    return [...ids];
+}
 
-    // Always schedule a reset so lobby room status doesn't get stuck "ended"
-    scheduleGameReset(gameId, 10000);
+function reloadCardCatalog() {
+    try {
+        cardCatalog = loadCardCatalog(CARD_CATALOG_FILE, { keepIds: getCardIdsInUse() });
+    } catch (error) {
+        console.error(`⚠️ Card catalog not reloaded, keeping v${cardCatalog.version}:`, error.message);
+        return;
+    }
+    console.log(`🃏 Card catalog reloaded: v${cardCatalog.version}, ${cardCatalog.cards.length} cards`);
+    io.emit('cardCatalog', cardCatalog);
 }
 
-function getLobbyRoomStatus() {
-    return LOBBY_ROOM_IDS.map(roomId => {
-        const game = games[roomId];
-        const playerCount = game && game.players ? Object.keys(game.players).length : 0;
-        const status = game && game.status ? game.status : 'empty';
-        // Treat anything other than "waiting" as not joinable from lobby
-        const inGame = !!game && status !== 'waiting';
-        return {
-            roomId,
-            playerCount,
-            maxPlayers: MAX_PLAYERS_PER_ROOM,
-            status,
-            inGame
-        };
+// Watch the directory rather than the file: many editors save by replacing it
+function watchCardCatalog() {
+    const fileName = path.basename(CARD_CATALOG_FILE);
+    let reloadTimeout = null;
+    fs.watch(path.dirname(CARD_CATALOG_FILE), (eventType, changed) => {
+        if (changed !== fileName) return;
+        clearTimeout(reloadTimeout);
+        reloadTimeout = setTimeout(reloadCardCatalog, CARD_CATALOG_RELOAD_DELAY);
     });
+    console.log(`👁️ Watching ${CARD_CATALOG_FILE} for changes`);
 }
 
-function broadcastLobbyRoomStatus() {
-    io.emit('roomStatus', getLobbyRoomStatus());
-}
+// ============================================================================
+// MAPS: boards are data files in engine/maps (validated when the engine loads,
+// so a bad map stops the server). Room leaders pick one in the room settings;
+// the client's map editor exports files in the same format.
+// ============================================================================
 
-// Grid configuration
-const GRID_SIZE = 40; // 40x40 grid
-const CELL_SIZE = 50; // 50px per cell = 1000x1000 map
-const TURN_DURATION = 30; // 30 seconds per turn
+const mapList = listMaps();
+console.log(`🗺️ Maps: ${mapList.map(map => `${map.id} (${map.seats} seats)`).join(', ')}`);
 
-// Calculate win probability for all players based on statistics and game state
-function calculateWinProbability(game, playerId) {
-    // Validate inputs
-    if (!game || !playerId || !game.players) return null;
+// Rule presets (Classic, Blitz, Marathon) for the room settings; leaders may tweak single rules
+const rulePresets = listRulePresets();
 
-    const player = game.players[playerId];
-    if (!player || player.eliminated) return null;
+// ============================================================================
+// ROOMS: the built-in lobby rooms plus rooms players create. A room outlives
+// the games played in it; created rooms close after sitting empty for a while.
+// ============================================================================
 
-    // Validate player stats
-    if (typeof player.baseHp !== 'number' || isNaN(player.baseHp) || player.baseHp < 0) {
-        player.baseHp = clamp(player.baseHp || 0, 0, 10000);
-    }
+const LOBBY_ROOM_IDS = Array.from({ length: 12 }, (_, i) => `room${i + 1}`);
+const MAX_CREATED_ROOMS = 100;
+const MAX_ROOMS_PER_CREATOR = 3;
+const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000; // close created rooms empty for 10 minutes
+const ROOM_CLEANUP_INTERVAL = 60 * 1000;
+const ROOM_NAME_MAX_LEN = 24;
+const ROOM_PASSWORD_MIN_LEN = 4;
+const ROOM_PASSWORD_MAX_LEN = 32;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+const INVITE_CODE_LENGTH = 6;
+
+// roomId -> { id, name, visibility: 'public'|'private', passwordSalt, passwordHash,
+//             inviteCode, builtIn, createdBy, createdAt, lastActivity }
+const rooms = {};
+LOBBY_ROOM_IDS.forEach((roomId, i) => {
+    rooms[roomId] = {
+        id: roomId,
+        name: `Room ${i + 1}`,
+        visibility: 'public',
+        passwordSalt: null,
+        passwordHash: null,
+        inviteCode: null,
+        builtIn: true,
+        createdBy: null,
+        createdAt: 0,
+        lastActivity: Date.now()
+    };
+});
 
-    if (!Array.isArray(player.hand)) {
-        player.hand = [];
-    }
+function sanitizeRoomName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.replace(/\s+/g, ' ').trim();
+    if (trimmed.length < 1 || trimmed.length > ROOM_NAME_MAX_LEN) return null;
+    if (!/^[a-zA-Z0-9 _'!-]+$/.test(trimmed)) return null;
+    if (isInappropriateUsername(trimmed)) return null;
+    return trimmed;
+}
 
-    let winProb = 0.5; // Base 50% chance
-    let factors = [];
+function hashRoomPassword(salt, password) {
+    return crypto.createHash('sha256').update(`${salt}:${password}`).digest('hex');
+}
 
-    // Factor 1: Overall win rate
-    if (aiStats && aiStats.totalGames > 0) {
-        const overallWinRate = clamp(aiStats.wins / aiStats.totalGames, 0, 1);
-        winProb = overallWinRate;
-        factors.push({ name: 'Overall Win Rate', value: (overallWinRate * 100).toFixed(1) + '%' });
-    }
+function checkRoomPassword(room, password) {
+    if (!room.passwordHash) return true;
+    return typeof password === 'string' && hashRoomPassword(room.passwordSalt, password) === room.passwordHash;
+}
 
-    // Factor 2: Current HP status
-    const maxHp = 1000;
-    const hpPercent = clamp(player.baseHp / maxHp, 0, 1);
-    const hpFactor = hpPercent * 0.3; // 30% weight
-    winProb = winProb * 0.7 + hpFactor;
-    factors.push({ name: 'Base HP', value: Math.ceil(clamp(player.baseHp, 0, maxHp)) + '/' + maxHp });
+function normalizeInviteCode(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase().slice(0, INVITE_CODE_LENGTH) : '';
+}
 
-    // Factor 3: Troop count advantage
-    if (Array.isArray(game.troops)) {
-        const myTroops = game.troops.filter(t => t && t.ownerId === playerId).length;
-        const enemyTroops = game.troops.filter(t =>
-            t && t.ownerId &&
-            t.ownerId !== playerId &&
-            game.players[t.ownerId] &&
-            !game.players[t.ownerId].eliminated
-        ).length;
-        const totalTroops = myTroops + enemyTroops;
-        if (totalTroops > 0) {
-            const troopAdvantage = clamp(myTroops / totalTroops, 0, 1);
-            winProb = winProb * 0.8 + troopAdvantage * 0.2;
-            factors.push({ name: 'Troop Count', value: `${myTroops} vs ${enemyTroops}` });
-        }
-    }
+function makeInviteCode() {
+    const used = new Set(Object.values(rooms).map(r => r.inviteCode));
+    let code;
+    do {
+        code = Array.from(crypto.randomBytes(INVITE_CODE_LENGTH), b => INVITE_CODE_ALPHABET[b % INVITE_CODE_ALPHABET.length]).join('');
+    } while (used.has(code));
+    return code;
+}
 
-    // Factor 4: Card win rates in hand
-    if (player.hand && player.hand.length > 0 && aiStats && aiStats.cardUsage) {
-        const handWinRates = player.hand
-            .filter(card => card && card.id)
-            .map(card => {
-                const stats = aiStats.cardUsage[card.id];
-                if (stats && stats.played >= 3 && (stats.wins + stats.losses) > 0) {
-                    return clamp(stats.wins / (stats.wins + stats.losses), 0, 1);
-                }
-                return 0.5;
-            });
+// Any join, leave or reset keeps a room from being closed as idle
+function touchRoom(roomId) {
+    if (rooms[roomId]) rooms[roomId].lastActivity = Date.now();
+}
 
-        if (handWinRates.length > 0) {
-            const avgHandWinRate = clamp(
-                handWinRates.reduce((a, b) => a + b, 0) / handWinRates.length,
-                0, 1
-            );
-            winProb = winProb * 0.85 + avgHandWinRate * 0.15;
-            factors.push({ name: 'Hand Quality', value: (avgHandWinRate * 100).toFixed(1) + '%' });
-        }
+function findRoomByInviteCode(code) {
+    return code ? Object.values(rooms).find(r => r.inviteCode === code) || null : null;
+}
+
+// Work out which room a join or spectate request is for and whether it may enter.
+// An invite code picks the room by itself and skips the room password.
+function resolveRoomAccess(data) {
+    let roomId = typeof data === 'string' ? data : (data.gameId || '');
+    const inviteCode = typeof data === 'string' ? '' : normalizeInviteCode(data.inviteCode);
+    if (inviteCode) {
+        const invitedRoom = findRoomByInviteCode(inviteCode);
+        if (!invitedRoom) return { error: 'Invite code not found' };
+        roomId = invitedRoom.id;
     }
 
-    // Factor 5: Strategy win rate (defensive vs offensive)
-    if (Array.isArray(game.troops) && aiStats && aiStats.strategyStats) {
-        const myDefensiveTroops = game.troops.filter(t => t && t.ownerId === playerId && t.type === 'defense').length;
-        const myOffensiveTroops = game.troops.filter(t => t && t.ownerId === playerId && t.type === 'offense').length;
+    if (!validateGameId(roomId)) return { error: 'Invalid game ID' };
 
-        if (myDefensiveTroops > myOffensiveTroops) {
-            const defensiveWinRate = aiStats.strategyStats.defensivePlays && aiStats.strategyStats.defensivePlays.count > 0
-                ? clamp(aiStats.strategyStats.defensivePlays.winRate || 0.5, 0, 1)
-                : 0.5;
-            winProb = winProb * 0.9 + defensiveWinRate * 0.1;
-            factors.push({ name: 'Strategy', value: 'Defensive (' + (defensiveWinRate * 100).toFixed(1) + '%)' });
-        } else {
-            const offensiveWinRate = aiStats.strategyStats.offensivePlays && aiStats.strategyStats.offensivePlays.count > 0
-                ? clamp(aiStats.strategyStats.offensivePlays.winRate || 0.5, 0, 1)
-                : 0.5;
-            winProb = winProb * 0.9 + offensiveWinRate * 0.1;
-            factors.push({ name: 'Strategy', value: 'Offensive (' + (offensiveWinRate * 100).toFixed(1) + '%)' });
-        }
+    const room = rooms[roomId];
+    if (!room) return { error: 'Room not found' };
+
+    if (!inviteCode && room.visibility === 'private') {
+        return { error: 'This room is invite only' };
     }
 
-    // Factor 6: Game phase
-    if (aiStats && aiStats.strategyStats) {
-        const gameDuration = game.gameStartTime ? Math.max(0, (Date.now() - game.gameStartTime) / 1000) : 0;
-        if (gameDuration < 120) {
-            const earlyWinRate = aiStats.strategyStats.earlyGame && aiStats.strategyStats.earlyGame.count > 0
-                ? clamp(aiStats.strategyStats.earlyGame.winRate || 0.5, 0, 1)
-                : 0.5;
-            winProb = winProb * 0.95 + earlyWinRate * 0.05;
-            factors.push({ name: 'Game Phase', value: 'Early Game' });
-        } else if (gameDuration > 300) {
-            const lateWinRate = aiStats.strategyStats.lateGame && aiStats.strategyStats.lateGame.count > 0
-                ? clamp(aiStats.strategyStats.lateGame.winRate || 0.5, 0, 1)
-                : 0.5;
-            winProb = winProb * 0.95 + lateWinRate * 0.05;
-            factors.push({ name: 'Game Phase', value: 'Late Game' });
-        }
+    if (!inviteCode && !checkRoomPassword(room, data.password)) {
+        return { error: 'Wrong room password' };
     }
 
-    // Clamp between 0 and 1
-    winProb = clamp(winProb, 0, 1);
+    return { roomId };
+}
 
+function createRoom({ name, visibility, password, createdBy }) {
+    const room = {
+        id: `r-${crypto.randomBytes(4).toString('hex')}`,
+        name,
+        visibility,
+        passwordSalt: null,
+        passwordHash: null,
+        inviteCode: makeInviteCode(),
+        builtIn: false,
+        createdBy,
+        createdAt: Date.now(),
+        lastActivity: Date.now()
+    };
+    if (password) {
+        room.passwordSalt = crypto.randomBytes(8).toString('hex');
+        room.passwordHash = hashRoomPassword(room.passwordSalt, password);
+    }
+    rooms[room.id] = room;
+    console.log(`🏠 Room ${room.name} (${room.id}) created, ${visibility}${password ? ', password' : ''}`);
+    return room;
+}
+
+// Room details for players inside it (includes the invite code)
+function getRoomInfo(room) {
     return {
-        probability: winProb,
-        percentage: (winProb * 100).toFixed(1),
-        factors: factors
+        name: room.name,
+        visibility: room.visibility,
+        hasPassword: !!room.passwordHash,
+        inviteCode: room.inviteCode,
+        builtIn: room.builtIn
     };
 }
 
-// AP Stats-based win probability model (see STRATEGY_GUIDE_AP_STATS.md)
-// This is intentionally derived from *actual* in-game troop stats (hp/damage/speed/range),
-// plus simplified AP-stat heuristics (efficiency, waves, proximity, phase/erosion).
-function calculateWinProbabilityAP(game, playerId) {
-    if (!game || !playerId || !game.players) return null;
-    const player = game.players[playerId];
-    if (!player || player.eliminated) return null;
+// Close created rooms that have been empty longer than ROOM_IDLE_TIMEOUT
+function cleanupIdleRooms() {
+    const now = Date.now();
+    let closed = 0;
+
+    Object.values(rooms).forEach(room => {
+        if (room.builtIn) return;
+        const game = games[room.id];
+        const occupied = game && (Object.keys(game.players).length > 0 || game.status === 'playing');
+        if (occupied || now - room.lastActivity < ROOM_IDLE_TIMEOUT) return;
+
+        if (game) resetGame(room.id);
+        delete rooms[room.id];
+        closed++;
+        console.log(`🧹 Closed idle room ${room.name} (${room.id})`);
+    });
 
-    const maxHp = 1000;
+    if (closed > 0) broadcastLobbyRoomStatus();
+}
+
+// ============================================================================
+// SPECTATORS: watch a room without taking a seat. Spectators sit in their own
+// socket.io room, get the state with every hand hidden and cannot act.
+// ============================================================================
+
+const MAX_SPECTATORS_PER_ROOM = 20;
+
+// gameId -> { [socketId]: { id, username, joinedAt } }
+const spectators = {};
+
+function spectatorRoom(gameId) {
+    return `${gameId}:spectators`;
+}
+
+function getSpectatorCount(gameId) {
+    return Object.keys(spectators[gameId] || {}).length;
+}
+
+function findSpectatedGame(socketId) {
+    return Object.keys(spectators).find(gameId => spectators[gameId][socketId]) || null;
+}
+
+// Returns the room the socket was watching, if any
+function stopSpectating(socket) {
+    const gameId = findSpectatedGame(socket.id);
+    if (!gameId) return null;
+
+    delete spectators[gameId][socket.id];
+    if (Object.keys(spectators[gameId]).length === 0) {
+        delete spectators[gameId];
+    }
+    socket.leave(spectatorRoom(gameId));
+    return gameId;
+}
+
+// ============================================================================
+// STATE VIEWS: every recipient gets its own copy of the state with the parts
+// it may not see taken out
+// ============================================================================
+
+// Never sent to anyone: reconnect snapshots (with hands), what the ML AI plans to
+// play, the RNG position (it predicts every future draw) and server timers
+const SERVER_ONLY_GAME_KEYS = [
+    'disconnectedPlayers',
+    'mlAIInsights',
+    'rngState',
+    'aiActionTimeouts',
+    'elixirRegenInterval',
+    'resetTimeoutId',
+    'trainingData',
+    'lastUpdate',
+    'lastTimerTick',
+    'stateVersion'
+];
+
+// viewerId sees their own hand and next card; everyone else shows only a hand size.
+// A null viewerId is a spectator, who sees no cards at all.
+function buildStateView(state, viewerId) {
+    const view = { ...state, players: {} };
+    SERVER_ONLY_GAME_KEYS.forEach(key => delete view[key]);
+
+    // The seed decides every hand and draw, so it stays with the room leader (who
+    // sets it) until the match is over; after that it is in the replay anyway
+    const seedVisible = state.status === 'ended' ||
+        (state.status === 'waiting' && viewerId !== null && viewerId === state.roomLeader);
+    if (!seedVisible) delete view.seed;
+
+    Object.entries(state.players).forEach(([playerId, player]) => {
+        const handSize = Array.isArray(player.hand) ? player.hand.length : 0;
+        // The draw order of a deck stays on the server, even for its owner
+        if (playerId === viewerId) {
+            const { deckQueue, ...ownPlayer } = player;
+            view.players[playerId] = { ...ownPlayer, handSize };
+        } else if (viewerId !== null && areAllies(state, playerId, viewerId)) {
+            // Teammates plan together: they see each other's hand and next card
+            const { deck, deckQueue, ...teammate } = player;
+            view.players[playerId] = { ...teammate, handSize };
+        } else {
+            const { hand, nextCard, deck, deckQueue, ...publicPlayer } = player;
+            view.players[playerId] = { ...publicPlayer, handSize };
+        }
+    });
+
+    // Fog of war: enemy troops out of sight stay on the server, and so do the win
+    // odds (worked out from the whole board) and enemies' plans and card usage.
+    // The viewer gets the cells they see; spectators see no troops at all until
+    // the match is over.
+    const vision = viewerId !== null ? getVisionGrid(state, viewerId) : getSpectatorVisionGrid(state);
+    if (vision) {
+        Object.assign(view, getFoggedState(state, viewerId, vision));
+        view.vision = vision;
+        view.aiWinProbabilities = {};
+        view.aiWinProbabilitiesAP = {};
+    }
+
+    // Simultaneous rounds: everyone sees who has submitted and who has initiative;
+    // the orders themselves stay hidden until the round resolves, except from teammates
+    if (state.round) {
+        const { number, orders } = state.round;
+        view.round = {
+            number,
+            initiative: getInitiativeOrder(state).map(p => p.id),
+            submitted: Object.keys(orders),
+            orders: {}
+        };
+        if (viewerId !== null) {
+            Object.keys(orders)
+                .filter(playerId => areAllies(state, playerId, viewerId))
+                .forEach(playerId => { view.round.orders[playerId] = orders[playerId]; });
+        }
+    }
+
+    // A troop's standing orders are its own side's business
+    if (state.troops.some(troop => troop.orders && troop.orders.length > 0)) {
+        view.troops = (view.troops || state.troops).map(troop => {
+            if (!troop.orders || troop.orders.length === 0) return troop;
+            if (viewerId !== null && areAllies(state, troop.ownerId, viewerId)) return troop;
+            return { ...troop, orders: [] };
+        });
+    }
+
+    if (viewerId === null) view.spectating = true;
+    return view;
+}
+
+// ============================================================================
+// STATE SYNC: the state only changes on actions, so each change bumps
+// game.stateVersion and goes out as a diff against what the recipient last got.
+// The turn timer goes out on its own as a small 'turnTimer' message.
+//
+//   gameState       full view plus its version (first send, or on request)
+//   gameStatePatch  { gameId, baseVersion, version, set?, unset?, players?, troops? }
+//                   players: { [id]: player | null }, troops: { upsert, remove }
+//
+// A client whose version is not the patch's baseVersion asks for 'requestFullState'.
+// ============================================================================
+
+const TIMER_TICK_INTERVAL = 250; // ms between turnTimer messages
+
+// recipient (a player's socket id, or a room's spectator room) ->
+// { gameId, version, fields, players, troops }, each part as the JSON last sent
+const sentStates = {};
+
+function encodeView(view) {
+    const fields = {};
+    Object.keys(view).forEach(key => {
+        if (key !== 'players' && key !== 'troops') {
+            fields[key] = JSON.stringify(view[key]);
+        }
+    });
+
+    const players = {};
+    Object.entries(view.players).forEach(([playerId, player]) => {
+        players[playerId] = JSON.stringify(player);
+    });
+
+    const troops = {};
+    (view.troops || []).forEach(troop => {
+        troops[troop.id] = JSON.stringify(troop);
+    });
+
+    return { fields, players, troops };
+}
+
+// Only the fields, players and troops whose JSON changed since `previous`
+function diffView(view, encoded, previous) {
+    const patch = {};
+
+    const set = {};
+    Object.keys(encoded.fields).forEach(key => {
+        if (encoded.fields[key] !== previous.fields[key]) set[key] = view[key];
+    });
+    const unset = Object.keys(previous.fields).filter(key => !(key in encoded.fields));
+    if (Object.keys(set).length > 0) patch.set = set;
+    if (unset.length > 0) patch.unset = unset;
+
+    const players = {};
+    Object.keys(encoded.players).forEach(playerId => {
+        if (encoded.players[playerId] !== previous.players[playerId]) players[playerId] = view.players[playerId];
+    });
+    Object.keys(previous.players).forEach(playerId => {
+        if (!(playerId in encoded.players)) players[playerId] = null;
+    });
+    if (Object.keys(players).length > 0) patch.players = players;
+
+    const upsert = (view.troops || []).filter(troop => encoded.troops[troop.id] !== previous.troops[troop.id]);
+    const remove = Object.keys(previous.troops).filter(troopId => !(troopId in encoded.troops));
+    if (upsert.length > 0 || remove.length > 0) patch.troops = { upsert, remove };
+
+    return patch;
+}
+
+// A patch if the recipient holds the previous version, otherwise the full view
+function sendStateView(recipient, gameId, version, view) {
+    const encoded = encodeView(view);
+    const previous = sentStates[recipient];
+
+    if (previous && previous.gameId === gameId && previous.version === version - 1) {
+        io.to(recipient).emit('gameStatePatch', {
+            gameId,
+            baseVersion: previous.version,
+            version,
+            ...diffView(view, encoded, previous)
+        });
+    } else {
+        io.to(recipient).emit('gameState', { ...view, version });
+    }
+
+    sentStates[recipient] = { gameId, version, ...encoded };
+}
+
+// Call after anything that changes the game. Sent per socket rather than to the
+// whole room, since no two players get the same view.
+function broadcastGameState(gameId) {
+    const game = games[gameId];
+    if (!game) return;
+
+    game.stateVersion = (game.stateVersion || 0) + 1;
+    const state = serializeGameState(game);
+    Object.values(game.players).forEach(player => {
+        if (!player.isAI) {
+            sendStateView(player.id, gameId, game.stateVersion, buildStateView(state, player.id));
+        }
+    });
+    if (spectators[gameId]) {
+        sendStateView(spectatorRoom(gameId), gameId, game.stateVersion, buildStateView(state, null));
+    }
+}
+
+// Full view at the current version, for a client that joined late or lost track
+function sendFullState(socket, gameId) {
+    const game = games[gameId];
+    if (!game) return;
+
+    const isPlayer = !!game.players[socket.id];
+    const isSpectator = !!(spectators[gameId] && spectators[gameId][socket.id]);
+    if (!isPlayer && !isSpectator) return;
+
+    const version = game.stateVersion || 0;
+    const view = buildStateView(serializeGameState(game), isPlayer ? socket.id : null);
+    socket.emit('gameState', { ...view, version });
+
+    // Spectators share one cache for their room, which already holds this version
+    if (isPlayer) {
+        sentStates[socket.id] = { gameId, version, ...encodeView(view) };
+    }
+}
+
+function forgetSentStates(gameId) {
+    Object.keys(sentStates).forEach(recipient => {
+        if (sentStates[recipient].gameId === gameId) delete sentStates[recipient];
+    });
+}
+
+// Events with nothing private in them go to players and spectators alike
+function emitToRoom(gameId, event, payload) {
+    io.to(gameId).to(spectatorRoom(gameId)).emit(event, payload);
+}
+
+// Under fog of war each player only hears about the fighting they can see
+function emitCombatEvents(gameId, combatEvents) {
+    const game = games[gameId];
+    if (!game.fogOfWar) {
+        emitToRoom(gameId, 'combatEvents', combatEvents);
+        return;
+    }
+
+    Object.values(game.players).forEach(player => {
+        if (player.isAI) return;
+        const visible = getVisibleCombatEvents(game, player.id, combatEvents);
+        if (visible.length > 0) io.to(player.id).emit('combatEvents', visible);
+    });
+    // Spectators see no troops under fog, so they get none of the fighting either
+    if (!getSpectatorVisionGrid(game)) io.to(spectatorRoom(gameId)).emit('combatEvents', combatEvents);
+}
+
+// The deploys and moves a simultaneous round played, for the client's
+// resolving animation; under fog each player only sees what happened in sight
+function emitRoundResolved(gameId, round, steps) {
+    const game = games[gameId];
+    if (!game.fogOfWar) {
+        emitToRoom(gameId, 'roundResolved', { gameId, round, steps });
+        return;
+    }
+
+    Object.values(game.players).forEach(player => {
+        if (player.isAI) return;
+        const vision = getVisionGrid(game, player.id);
+        const visible = steps.filter(step => areAllies(game, step.playerId, player.id) ||
+            (step.type === 'troopDeployed' && isCellVisible(vision, step.gridX, step.gridY)) ||
+            (step.type === 'troopMoved' && isCellVisible(vision, step.toX, step.toY)));
+        io.to(player.id).emit('roundResolved', { gameId, round, steps: visible });
+    });
+    io.to(spectatorRoom(gameId)).emit('roundResolved', {
+        gameId,
+        round,
+        steps: getSpectatorVisionGrid(game) ? [] : steps
+    });
+}
+
+function scheduleGameReset(gameId, delayMs = 10000) {
+    const game = games[gameId];
+    if (!game) return;
+    if (game.resetTimeoutId) return; // already scheduled
+    game.resetTimeoutId = setTimeout(() => resetGame(gameId), delayMs);
+}
+
+// winners: everyone who shared the win, a whole team in team mode (empty for a draw)
+function endGame(gameId, winners = []) {
+    const game = games[gameId];
+    if (!game) return;
+
+    // The engine marks the game ended itself; notify clients and record the result once
+    if (!game.outcomeRecorded) {
+        game.status = 'ended';
+        game.outcomeRecorded = true;
+        emitToRoom(gameId, 'gameOver', {
+            winner: winners.length > 0 ? winners[0].id : null,
+            winnerName: winners.length > 0 ? winners.map(w => w.username).join(' & ') : null,
+            winners: winners.map(w => w.id),
+            winningTeam: game.teamMode && winners.length > 0 ? getTeam(game, winners[0]) : null
+        });
+        recordGameOutcome(gameId, winners);
+        recordAccountResults(game, winners);
+        if (matchRecordings[gameId]) {
+            saveReplay(finishReplay(matchRecordings[gameId], game, winners.map(w => w.id)));
+            delete matchRecordings[gameId];
+        }
+        broadcastLobbyRoomStatus();
+    }
+
+    // Always schedule a reset so lobby room status doesn't get stuck "ended"
+    scheduleGameReset(gameId, 10000);
+}
+
+// Public rooms for the lobby list: built-in rooms first, then the newest created rooms
+function getLobbyRoomStatus() {
+    return Object.values(rooms)
+        .filter(room => room.visibility === 'public')
+        .sort((a, b) => (b.builtIn - a.builtIn) || (a.builtIn ? 0 : b.createdAt - a.createdAt))
+        .map(room => {
+            const game = games[room.id];
+            const playerCount = game && game.players ? Object.keys(game.players).length : 0;
+            const status = game && game.status ? game.status : 'empty';
+            // Treat anything other than "waiting" as not joinable from lobby
+            const inGame = !!game && status !== 'waiting';
+            return {
+                roomId: room.id,
+                name: room.name,
+                builtIn: room.builtIn,
+                hasPassword: !!room.passwordHash,
+                playerCount,
+                maxPlayers: game ? game.terrain.spawns.length : MAX_PLAYERS,
+                spectatorCount: getSpectatorCount(room.id),
+                status,
+                inGame,
+                settings: game ? {
+                    mapId: game.terrain.mapId,
+                    teamMode: !!game.teamMode,
+                    fogOfWar: !!game.fogOfWar,
+                    rules: getRules(game).preset,
+                    gameMode: game.gameMode,
+                    movementMode: game.movementMode,
+                    aiPlayerCount: game.aiPlayerCount,
+                    aiDifficulty: game.aiDifficulty
+                } : null
+            };
+        });
+}
+
+function broadcastLobbyRoomStatus() {
+    io.emit('roomList', getLobbyRoomStatus());
+}
+
+// Calculate win probability for all players based on statistics and game state
+function calculateWinProbability(game, playerId) {
+    // Validate inputs
+    if (!game || !playerId || !game.players) return null;
+
+    const player = game.players[playerId];
+    if (!player || player.eliminated) return null;
+
+    // Validate player stats
+    if (typeof player.baseHp !== 'number' || isNaN(player.baseHp) || player.baseHp < 0) {
+        player.baseHp = clamp(player.baseHp || 0, 0, 10000);
+    }
+
+    if (!Array.isArray(player.hand)) {
+        player.hand = [];
+    }
+
+    let winProb = 0.5; // Base 50% chance
+    let factors = [];
+
+    // Factor 1: Overall win rate
+    if (aiStats && aiStats.totalGames > 0) {
+        const overallWinRate = clamp(aiStats.wins / aiStats.totalGames, 0, 1);
+        winProb = overallWinRate;
+        factors.push({ name: 'Overall Win Rate', value: (overallWinRate * 100).toFixed(1) + '%' });
+    }
+
+    // Factor 2: Current HP status
+    const maxHp = getRules(game).baseHp;
+    const hpPercent = clamp(player.baseHp / maxHp, 0, 1);
+    const hpFactor = hpPercent * 0.3; // 30% weight
+    winProb = winProb * 0.7 + hpFactor;
+    factors.push({ name: 'Base HP', value: Math.ceil(clamp(player.baseHp, 0, maxHp)) + '/' + maxHp });
+
+    // Factor 3: Troop count advantage
+    if (Array.isArray(game.troops)) {
+        const myTroops = game.troops.filter(t => t && t.ownerId === playerId).length;
+        const enemyTroops = game.troops.filter(t =>
+            t && t.ownerId &&
+            !areAllies(game, t.ownerId, playerId) &&
+            game.players[t.ownerId] &&
+            !game.players[t.ownerId].eliminated
+        ).length;
+        const totalTroops = myTroops + enemyTroops;
+        if (totalTroops > 0) {
+            const troopAdvantage = clamp(myTroops / totalTroops, 0, 1);
+            winProb = winProb * 0.8 + troopAdvantage * 0.2;
+            factors.push({ name: 'Troop Count', value: `${myTroops} vs ${enemyTroops}` });
+        }
+    }
+
+    // Factor 4: Card win rates in hand
+    if (player.hand && player.hand.length > 0 && aiStats && aiStats.cardUsage) {
+        const handWinRates = player.hand
+            .filter(card => card && card.id)
+            .map(card => {
+                const stats = aiStats.cardUsage[card.id];
+                if (stats && stats.played >= 3 && (stats.wins + stats.losses) > 0) {
+                    return clamp(stats.wins / (stats.wins + stats.losses), 0, 1);
+                }
+                return 0.5;
+            });
+
+        if (handWinRates.length > 0) {
+            const avgHandWinRate = clamp(
+                handWinRates.reduce((a, b) => a + b, 0) / handWinRates.length,
+                0, 1
+            );
+            winProb = winProb * 0.85 + avgHandWinRate * 0.15;
+            factors.push({ name: 'Hand Quality', value: (avgHandWinRate * 100).toFixed(1) + '%' });
+        }
+    }
+
+    // Factor 5: Strategy win rate (defensive vs offensive)
+    if (Array.isArray(game.troops) && aiStats && aiStats.strategyStats) {
+        const myDefensiveTroops = game.troops.filter(t => t && t.ownerId === playerId && t.type === 'defense').length;
+        const myOffensiveTroops = game.troops.filter(t => t && t.ownerId === playerId && t.type === 'offense').length;
+
+        if (myDefensiveTroops > myOffensiveTroops) {
+            const defensiveWinRate = aiStats.strategyStats.defensivePlays && aiStats.strategyStats.defensivePlays.count > 0
+                ? clamp(aiStats.strategyStats.defensivePlays.winRate || 0.5, 0, 1)
+                : 0.5;
+            winProb = winProb * 0.9 + defensiveWinRate * 0.1;
+            factors.push({ name: 'Strategy', value: 'Defensive (' + (defensiveWinRate * 100).toFixed(1) + '%)' });
+        } else {
+            const offensiveWinRate = aiStats.strategyStats.offensivePlays && aiStats.strategyStats.offensivePlays.count > 0
+                ? clamp(aiStats.strategyStats.offensivePlays.winRate || 0.5, 0, 1)
+                : 0.5;
+            winProb = winProb * 0.9 + offensiveWinRate * 0.1;
+            factors.push({ name: 'Strategy', value: 'Offensive (' + (offensiveWinRate * 100).toFixed(1) + '%)' });
+        }
+    }
+
+    // Factor 6: Game phase
+    if (aiStats && aiStats.strategyStats) {
+        const gameDuration = game.gameStartTime ? Math.max(0, (Date.now() - game.gameStartTime) / 1000) : 0;
+        if (gameDuration < 120) {
+            const earlyWinRate = aiStats.strategyStats.earlyGame && aiStats.strategyStats.earlyGame.count > 0
+                ? clamp(aiStats.strategyStats.earlyGame.winRate || 0.5, 0, 1)
+                : 0.5;
+            winProb = winProb * 0.95 + earlyWinRate * 0.05;
+            factors.push({ name: 'Game Phase', value: 'Early Game' });
+        } else if (gameDuration > 300) {
+            const lateWinRate = aiStats.strategyStats.lateGame && aiStats.strategyStats.lateGame.count > 0
+                ? clamp(aiStats.strategyStats.lateGame.winRate || 0.5, 0, 1)
+                : 0.5;
+            winProb = winProb * 0.95 + lateWinRate * 0.05;
+            factors.push({ name: 'Game Phase', value: 'Late Game' });
+        }
+    }
+
+    // Clamp between 0 and 1
+    winProb = clamp(winProb, 0, 1);
+
+    return {
+        probability: winProb,
+        percentage: (winProb * 100).toFixed(1),
+        factors: factors
+    };
+}
+
+// AP Stats-based win probability model (see STRATEGY_GUIDE_AP_STATS.md)
+// This is intentionally derived from *actual* in-game troop stats (hp/damage/speed/range),
+// plus simplified AP-stat heuristics (efficiency, waves, proximity, phase/erosion).
+function calculateWinProbabilityAP(game, playerId) {
+    if (!game || !playerId || !game.players) return null;
+    const player = game.players[playerId];
+    if (!player || player.eliminated) return null;
+
+    const maxHp = getRules(game).baseHp;
     const aliveOpponentIds = Object.keys(game.players).filter(id => {
         const p = game.players[id];
-        return p && !p.eliminated && id !== playerId;
+        return p && !p.eliminated && !areAllies(game, id, playerId);
     });
     if (aliveOpponentIds.length === 0) {
         return { probability: 1, percentage: '100.0', factors: [{ name: 'No Opponents', value: 'Only player alive' }], model: 'ap' };
@@ -1076,26 +1775,8 @@ function calculateWinProbabilityAP(game, playerId) {
     };
     const breakthroughP = binomAtLeast2(Math.min(waveN, 5), unitReachP);
 
-    // Quadrant helper for "adjacent vs diagonal" (corners).
-    const half = GRID_SIZE / 2;
-    const quadrant = (p) => {
-        const east = (p.gridX || 0) >= half;
-        const south = (p.gridY || 0) >= half;
-        // 0: NW, 1: NE, 2: SW, 3: SE
-        if (!east && !south) return 0;
-        if (east && !south) return 1;
-        if (!east && south) return 2;
-        return 3;
-    };
-    const isAdjacentQuadrant = (qA, qB) => {
-        if (qA === qB) return false;
-        const ax = (qA === 1 || qA === 3) ? 1 : 0;
-        const ay = (qA === 2 || qA === 3) ? 1 : 0;
-        const bx = (qB === 1 || qB === 3) ? 1 : 0;
-        const by = (qB === 2 || qB === 3) ? 1 : 0;
-        // adjacent if shares x or y side but not both
-        return (ax === bx) !== (ay === by);
-    };
+    // "Adjacent vs diagonal": on any map, a base is diagonal when its route faces us across the board
+    const isAdjacentBase = (opp) => !isAcrossFromBase(game, player, opp);
 
     // Proximity -> arrival probability in ~5 turns (smooth logistic).
     const arrivalProb = (distTurns, adjacentBoost) => {
@@ -1105,8 +1786,6 @@ function calculateWinProbabilityAP(game, playerId) {
         return clamp01(p);
     };
 
-    const myQuad = quadrant(player);
-
     const matchupDetails = [];
     const matchupPs = aliveOpponentIds.map(oppId => {
         const opp = game.players[oppId];
@@ -1130,7 +1809,7 @@ function calculateWinProbabilityAP(game, playerId) {
         if (primaryTargetId && primaryTargetId === oppId) {
             const dist = Math.abs((player.gridX || 0) - (opp.gridX || 0)) + Math.abs((player.gridY || 0) - (opp.gridY || 0));
             const distTurns = dist / Math.max(1, myAvgOffSpeed || 1);
-            const adj = isAdjacentQuadrant(myQuad, quadrant(opp));
+            const adj = isAdjacentBase(opp);
             const arrive = arrivalProb(distTurns, adj);
             prox = { dist, distTurns, adjacent: adj, arrive };
             // Blend in arrival chance modestly (AP-stats "adjacent > diagonal" guidance)
@@ -1268,7 +1947,7 @@ function calculateWinProbabilityAP(game, playerId) {
         const tgt = game.players[primaryTargetId];
         const dist = Math.abs((player.gridX || 0) - (tgt.gridX || 0)) + Math.abs((player.gridY || 0) - (tgt.gridY || 0));
         const distTurns = dist / Math.max(1, myAvgOffSpeed || 1);
-        const adj = isAdjacentQuadrant(myQuad, quadrant(tgt));
+        const adj = isAdjacentBase(tgt);
         factors.push({ name: 'Primary Target', value: `${tgt.username || `Player ${String(tgt.id).substr(0, 4)}`} (${adj ? 'Adjacent' : 'Diagonal'})` });
         factors.push({ name: 'Target Distance', value: `${dist} tiles (~${distTurns.toFixed(1)} turns @ v=${myAvgOffSpeed.toFixed(1) || '—'})` });
     }
@@ -1293,7 +1972,9 @@ function serializeGameState(game) {
         movedTroops: Array.from(game.movedTroops || []),
         aiWinProbabilities: {},
         aiWinProbabilitiesAP: {},
-        gamePhase: getGamePhase(game) // Add phase info for UI
+        gamePhase: getGamePhase(game), // Add phase info for UI
+        room: rooms[game.id] ? getRoomInfo(rooms[game.id]) : null,
+        spectators: Object.values(spectators[game.id] || {}).map(s => s.username)
     };
 
     // FINAL CLEANUP: Filter out troops from eliminated players before sending to client
@@ -1318,24 +1999,6 @@ function serializeGameState(game) {
     return serialized;
 }
 
-// Get current game phase info for UI display
-function getGamePhase(game) {
-    const turn = game.turnNumber || 0;
-    if (turn <= 80) {
-        return { phase: 1, name: 'Early Game', color: '#4CAF50', description: 'Normal gameplay' };
-    }
-    if (turn <= 120) {
-        return { phase: 2, name: 'Escalation', color: '#FFC107', description: 'Troop damage +10%' };
-    }
-    if (turn <= 160) {
-        return { phase: 3, name: 'Pressure', color: '#FF9800', description: 'Troop damage +25%, Random events' };
-    }
-    if (turn <= 190) {
-        return { phase: 4, name: 'Crisis', color: '#FF5722', description: 'Troop damage +50%, Base erosion' };
-    }
-    return { phase: 5, name: 'ENDGAME', color: '#F44336', description: 'Troop damage +100%, Forced conclusion' };
-}
-
 // AI Player Logic - Makes AI play intelligently
 function getAIConfig(game, aiPlayer) {
     const skill = normalizeAiSkill(aiPlayer?.aiSkill || game?.aiDifficulty || (game?.useMLAI ? 'hardest' : 'normal'));
@@ -1387,7 +2050,10 @@ function getAIConfig(game, aiPlayer) {
     }
 }
 
-async function makeAIMoves(gameId, aiPlayerId) {
+// Deploys go through the same rules as human players. With `orders` (a
+// simultaneous round) they are planned instead: added to the list and paid
+// for from the AI's elixir and hand as they stand, for the caller to submit.
+async function makeAIMoves(gameId, aiPlayerId, orders = null) {
     const game = games[gameId];
     if (!game || game.status !== 'playing') return 0;
 
@@ -1398,12 +2064,12 @@ async function makeAIMoves(gameId, aiPlayerId) {
     const mlMode = !!aiConfig.mlMode;
 
     // Analyze Game State
-    const enemies = Object.values(game.players).filter(p => p.id !== aiPlayerId && !p.eliminated);
+    const enemies = Object.values(game.players).filter(p => !areAllies(game, p.id, aiPlayerId) && !p.eliminated);
     if (enemies.length === 0) return 0;
 
-    // 1. Threat Assessment - Only consider close threats (within 6 cells)
-    const incomingThreats = game.troops.filter(t =>
-        t.ownerId !== aiPlayerId &&
+    // 1. Threat Assessment - Only consider close threats (within 6 cells) it can see
+    const incomingThreats = getVisibleTroops(game, aiPlayerId).filter(t =>
+        !areAllies(game, t.ownerId, aiPlayerId) &&
         !game.players[t.ownerId].eliminated &&
         (Math.abs(t.gridX - aiPlayer.gridX) + Math.abs(t.gridY - aiPlayer.gridY)) < 6 // Within 6 cells (reduced from 10)
     );
@@ -1427,9 +2093,40 @@ async function makeAIMoves(gameId, aiPlayerId) {
     let movesThisTurn = 0;
     const maxMovesPerTurn = aiConfig.maxMovesPerTurn;
 
-    while (aiPlayer.elixir >= 2 && movesThisTurn < maxMovesPerTurn) {
+    let elixir = aiPlayer.elixir;
+    let hand = aiPlayer.hand;
+    const deploy = order => {
+        if (orders) {
+            const used = hand.findIndex(c => c.id === order.cardId);
+            orders.push({ type: 'deployCard', ...order });
+            elixir -= hand[used].cost;
+            hand = hand.filter((_, i) => i !== used);
+            return null;
+        }
+        const { events, error } = applyRecordedAction(gameId, { type: 'deployCard', playerId: aiPlayerId, ...order });
+        if (!error) dispatchEngineEvents(gameId, events);
+        elixir = aiPlayer.elixir;
+        hand = aiPlayer.hand;
+        return error;
+    };
+
+    while (elixir >= 2 && movesThisTurn < maxMovesPerTurn) {
         // Re-evaluate threats each loop iteration
-        const affordableCards = aiPlayer.hand.filter(c => c.cost <= aiPlayer.elixir);
+        const affordable = hand.filter(c => c.cost <= elixir);
+
+        // A spell is cast only when it has a worthwhile target; troop picks never see spells
+        const spell = pickAISpell(game, aiPlayer, affordable.filter(c => c.type === 'spell'), incomingThreats);
+        if (spell) {
+            const error = deploy({ cardId: spell.card.id, gridX: spell.gridX, gridY: spell.gridY });
+            if (error) {
+                console.log(`🤖 AI ${aiPlayer.username} spell rejected: ${error.message}`);
+                break;
+            }
+            movesThisTurn++;
+            continue;
+        }
+
+        const affordableCards = affordable.filter(c => c.type !== 'spell');
         if (affordableCards.length === 0) break;
 
         let selectedCard = null;
@@ -1480,7 +2177,7 @@ async function makeAIMoves(gameId, aiPlayerId) {
                 // If cap reached, force offensive move instead
                 moveType = 'offense';
                 const target = selectStrategicTarget(game, aiPlayer, enemies);
-                targetBaseId = target.id;
+                targetBaseId = target ? target.id : null;
 
                 // Re-select card for offense
                 const offensiveCards = affordableCards.filter(c => c.type === 'offense');
@@ -1516,7 +2213,7 @@ async function makeAIMoves(gameId, aiPlayerId) {
                 targetBaseId = enemies[0].id; // Auto-target when only 2 players
             } else {
                 const target = selectStrategicTarget(game, aiPlayer, enemies);
-                targetBaseId = target.id;
+                targetBaseId = target ? target.id : null;
             }
 
             // Use statistics to select best performing offensive card
@@ -1534,7 +2231,7 @@ async function makeAIMoves(gameId, aiPlayerId) {
                     targetBaseId = enemies[0].id; // Auto-target when only 2 players
                 } else {
                     const target = selectStrategicTarget(game, aiPlayer, enemies);
-                    targetBaseId = target.id;
+                    targetBaseId = target ? target.id : null;
                 }
             } else {
                 const defensePos = getSmartDefensePosition(game, aiPlayer, primaryThreat);
@@ -1585,74 +2282,70 @@ async function makeAIMoves(gameId, aiPlayerId) {
             };
         }
 
-        // Execute Move
-        aiPlayer.elixir -= selectedCard.cost;
-
-        // Ensure AI units never spawn on an occupied tile
-        const aiSpawnPos = findNearestUnoccupiedPosition(game, spawnGridX, spawnGridY, 5);
-
-        // Calculate damage with current game acceleration multiplier
-        const damageMultiplier = getCurrentDamageMultiplier(game);
-        const baseDamage = selectedCard.damage;
-        const actualDamage = Math.floor(baseDamage * damageMultiplier);
-
-        const troop = {
-            id: `troop_${Date.now()}_${Math.random()}`,
-            ownerId: aiPlayerId,
-            cardId: selectedCard.id,
-            name: selectedCard.name,
-            type: selectedCard.type, // Keep original type for stats, but behavior might vary
-            color: aiPlayer.color,
-            gridX: aiSpawnPos.gridX,
-            gridY: aiSpawnPos.gridY,
-            x: aiSpawnPos.gridX * CELL_SIZE + CELL_SIZE / 2,
-            y: aiSpawnPos.gridY * CELL_SIZE + CELL_SIZE / 2,
-            hp: selectedCard.hp,
-            maxHp: selectedCard.hp,
-            damage: actualDamage,
-            baseDamage: baseDamage,
-            damageBoostApplied: damageMultiplier,
-            speed: selectedCard.speed,
-            range: selectedCard.range,
-            targetBaseId: targetBaseId,
-            lockedTargetBaseId: selectedCard.type === 'offense' ? (targetBaseId || null) : undefined,
-            state: moveType === 'defense' ? 'defending' : 'moving_to_bridge',
-            path: null,
-            isWall: selectedCard.isWall || false,
-            isTurret: selectedCard.isTurret || false
-        };
-
-        game.troops.push(troop);
-
-        // Track card usage for statistics
-        if (!game.cardUsage[aiPlayerId]) {
-            game.cardUsage[aiPlayerId] = {};
-        }
-        if (!game.cardUsage[aiPlayerId][selectedCard.id]) {
-            game.cardUsage[aiPlayerId][selectedCard.id] = 0;
-        }
-        game.cardUsage[aiPlayerId][selectedCard.id]++;
-
-        // Cycle card
-        const cardIndex = aiPlayer.hand.findIndex(c => c.id === selectedCard.id);
-        if (cardIndex !== -1) {
-            aiPlayer.hand.splice(cardIndex, 1);
-        }
-        if (aiPlayer.nextCard) {
-            aiPlayer.hand.push(aiPlayer.nextCard);
-            const defensiveCount = game.troops.filter(t => t.ownerId === aiPlayerId && t.type === 'defense').length;
-            aiPlayer.nextCard = getBalancedCard(aiPlayer.hand, defensiveCount);
+        // Execute Move through the same rules as human players
+        const error = deploy({ cardId: selectedCard.id, gridX: spawnGridX, gridY: spawnGridY, targetBaseId });
+        if (error) {
+            console.log(`🤖 AI ${aiPlayer.username} move rejected: ${error.message}`);
+            break;
         }
 
         movesThisTurn++;
 
         // If we just spent elixir, we might drop below threshold to continue
-        if (aiPlayer.elixir < 2) break;
+        if (elixir < 2) break;
     }
 
     return movesThisTurn;
 }
 
+// Where an AI would aim one of its spells, or null when none is worth casting now:
+// damage needs two enemy troops in the blast (one near our base), freeze the
+// closest unfrozen attacker, heal enough missing HP to use most of it, shield a
+// base under attack and below 60%.
+function pickAISpell(game, aiPlayer, spells, incomingThreats) {
+    const countIn = (troops, center, radius, weigh) => troops.reduce((sum, t) => {
+        const dx = t.gridX - center.gridX;
+        const dy = t.gridY - center.gridY;
+        return dx * dx + dy * dy <= radius * radius ? sum + weigh(t) : sum;
+    }, 0);
+    const enemyTroops = getVisibleTroops(game, aiPlayer.id).filter(t => !areAllies(game, t.ownerId, aiPlayer.id));
+    const ownTroops = game.troops.filter(t => t.ownerId === aiPlayer.id);
+
+    for (const card of spells) {
+        const { effect, radius, amount } = card.spell;
+        let best = null;
+        let bestScore = 0;
+
+        if (effect === 'damage') {
+            enemyTroops.forEach(center => {
+                const score = countIn(enemyTroops, center, radius, () => 1);
+                const threshold = incomingThreats.some(t => t.id === center.id) ? 1 : 2;
+                if (score >= threshold && score > bestScore) {
+                    best = center;
+                    bestScore = score;
+                }
+            });
+        } else if (effect === 'freeze') {
+            best = incomingThreats.find(t => t.speed > 0 && !hasStatusEffect(t, 'freeze')) || null;
+        } else if (effect === 'heal') {
+            ownTroops.forEach(center => {
+                const score = countIn(ownTroops, center, radius, t => Math.min(amount, t.maxHp - t.hp));
+                if (score >= amount * 0.75 && score > bestScore) {
+                    best = center;
+                    bestScore = score;
+                }
+            });
+        } else if (effect === 'shield') {
+            if (!aiPlayer.shield && incomingThreats.length > 0 && aiPlayer.baseHp < getRules(game).baseHp * 0.6) {
+                best = aiPlayer;
+            }
+        }
+
+        if (best) return { card, gridX: best.gridX, gridY: best.gridY };
+    }
+    return null;
+}
+
 // Select card based on historical statistics or ML model
 // If aiConfigOrMlMode is true/object, use TensorFlow predictions when available
 async function selectCardByStats(game, aiPlayer, availableCards, preferredType, aiConfigOrMlMode = false, targetBase = null) {
@@ -1830,12 +2523,14 @@ async function selectCounterCard(game, aiPlayer, threat, availableCards, aiConfi
 // damage to enemy troops that come into range, but their primary goal is
 // to walk straight for a chosen enemy base.
 function selectStrategicTarget(game, aiPlayer, enemies) {
-    if (!enemies || enemies.length === 0) return null;
+    // Only bases the map has a route to can be attacked at all
+    enemies = (enemies || []).filter(enemy => canAttackBase(game, aiPlayer, enemy));
+    if (enemies.length === 0) return null;
 
     // 1) Prefer the base directly across from us (primary "castle" target)
     // if such an enemy exists on the opposite side of the map.
     const acrossTargets = enemies.filter(enemy =>
-        isAcrossFromBase(aiPlayer, { gridX: enemy.gridX, gridY: enemy.gridY })
+        isAcrossFromBase(game, aiPlayer, enemy)
     );
     if (acrossTargets.length > 0) {
         return acrossTargets[0];
@@ -1848,7 +2543,7 @@ function selectStrategicTarget(game, aiPlayer, enemies) {
     let bestDist = Math.abs(bestEnemy.gridX - aiPlayer.gridX) + Math.abs(bestEnemy.gridY - aiPlayer.gridY);
 
     enemies.forEach(enemy => {
-        const hp = typeof enemy.baseHp === 'number' ? enemy.baseHp : 1000;
+        const hp = typeof enemy.baseHp === 'number' ? enemy.baseHp : getRules(game).baseHp;
         const dist = Math.abs(enemy.gridX - aiPlayer.gridX) + Math.abs(enemy.gridY - aiPlayer.gridY);
 
         if (hp < bestHp || (hp === bestHp && dist < bestDist)) {
@@ -1877,272 +2572,108 @@ function getSmartDefensePosition(game, aiPlayer, threat) {
     const dist = Math.sqrt(dx * dx + dy * dy);
     const scale = Math.min(dist - 1, 3); // Don't place ON the threat, keep distance
 
-    if (dist < 1) return { gridX: baseX, gridY: baseY }; // Threat is on top of us
-
-    const placeX = Math.round(baseX + (dx / dist) * scale);
-    const placeY = Math.round(baseY + (dy / dist) * scale);
-
-    // Validate bounds and obstacles
-    if (isValidSpawn(game, placeX, placeY)) {
-        return { gridX: placeX, gridY: placeY };
-    }
-
-    // Fallback: try adjacent to ideal
-    const neighbors = [
-        { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }
-    ];
-
-    for (const n of neighbors) {
-        if (isValidSpawn(game, placeX + n.x, placeY + n.y)) {
-            return { gridX: placeX + n.x, gridY: placeY + n.y };
-        }
-    }
-
-    return { gridX: baseX, gridY: baseY };
-}
-
-// Check if a position is occupied by any troop
-function isPositionOccupied(game, x, y, excludeTroopId = null) {
-    if (!game || !game.troops || !Array.isArray(game.troops)) return false;
-    return game.troops.some(t =>
-        t &&
-        t.gridX === x &&
-        t.gridY === y &&
-        t.id !== excludeTroopId
-    );
-}
-
-// Find nearest unoccupied position
-function findNearestUnoccupiedPosition(game, startX, startY, maxDistance = 5) {
-    if (!isPositionOccupied(game, startX, startY)) {
-        return { gridX: startX, gridY: startY };
-    }
-
-    // Search in expanding radius
-    for (let radius = 1; radius <= maxDistance; radius++) {
-        for (let dx = -radius; dx <= radius; dx++) {
-            for (let dy = -radius; dy <= radius; dy++) {
-                // Only check positions on the edge of the radius
-                if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) continue;
-
-                const x = startX + dx;
-                const y = startY + dy;
-
-                // Check bounds
-                if (x < 0 || x >= GRID_SIZE || y < 0 || y >= GRID_SIZE) continue;
-
-                // Check if passable and unoccupied
-                const trenchSet = new Set(game.terrain.trench.map(t => `${t.x},${t.y}`));
-                if (trenchSet.has(`${x},${y}`)) continue;
-
-                if (!isPositionOccupied(game, x, y)) {
-                    return { gridX: x, gridY: y };
-                }
-            }
-        }
-    }
-
-    // If no position found, return original (will fail validation)
-    return { gridX: startX, gridY: startY };
-}
-
-function isValidSpawn(game, x, y) {
-    if (x < 0 || x >= GRID_SIZE || y < 0 || y >= GRID_SIZE) return false;
-    const trenchSet = new Set(game.terrain.trench.map(t => `${t.x},${t.y}`));
-    if (trenchSet.has(`${x},${y}`)) return false;
-
-    return true;
-}
-
-// Generate X-shaped mountain range with 4 bridges at midpoints + central bridge
-function generateTrenchMap() {
-    const trench = new Set();
-    const bridges = [
-        { x: 10, y: 10, name: 'northwest', quadrant: 'nw' },
-        { x: 30, y: 10, name: 'northeast', quadrant: 'ne' },
-        { x: 10, y: 30, name: 'southwest', quadrant: 'sw' },
-        { x: 30, y: 30, name: 'southeast', quadrant: 'se' },
-        { x: 20, y: 20, name: 'center1', quadrant: 'center' }, // First central bridge
-        { x: 20, y: 20, name: 'center2', quadrant: 'center' }  // Second overlapping central bridge
-    ];
-
-    // Create X-shaped mountain range (diagonals) - make it wider
-    for (let i = 0; i < GRID_SIZE; i++) {
-        // Top-left to bottom-right diagonal (wider mountain)
-        trench.add(`${i},${i}`);
-        if (i > 0) trench.add(`${i - 1},${i}`);
-        if (i < GRID_SIZE - 1) trench.add(`${i + 1},${i}`);
-
-        // Top-right to bottom-left diagonal (wider mountain)
-        const rightY = GRID_SIZE - 1 - i;
-        trench.add(`${i},${rightY}`);
-        if (i > 0) trench.add(`${i - 1},${rightY}`);
-        if (i < GRID_SIZE - 1) trench.add(`${i + 1},${rightY}`);
-    }
-
-    // Clear central cross-section for full access
-    const centerX = 20;
-    const centerY = 20;
-    const crossWidth = 3; // 3 cells wide for the cross
-
-    // Clear horizontal cross-section (left-right through center)
-    for (let x = 0; x < GRID_SIZE; x++) {
-        for (let dy = -Math.floor(crossWidth / 2); dy <= Math.floor(crossWidth / 2); dy++) {
-            const y = centerY + dy;
-            if (y >= 0 && y < GRID_SIZE) {
-                trench.delete(`${x},${y}`);
-            }
-        }
-    }
-
-    // Clear vertical cross-section (top-bottom through center)
-    for (let y = 0; y < GRID_SIZE; y++) {
-        for (let dx = -Math.floor(crossWidth / 2); dx <= Math.floor(crossWidth / 2); dx++) {
-            const x = centerX + dx;
-            if (x >= 0 && x < GRID_SIZE) {
-                trench.delete(`${x},${y}`);
-            }
-        }
-    }
-
-    // Clear passable areas at each bridge location
-    bridges.forEach(bridge => {
-        // Clear 3x3 area around each bridge
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                trench.delete(`${bridge.x + dx},${bridge.y + dy}`);
-            }
-        }
-    });
-
-    return {
-        trench: Array.from(trench).map(s => {
-            const [x, y] = s.split(',').map(Number);
-            return { x, y };
-        }), bridges
-    };
-}
-
-const CARDS = [
-    // OFFENSIVE UNITS (6 total) - Lower HP, high speed and damage (all speeds +1.0)
-    { id: 'shark', name: 'Shark', type: 'offense', cost: 4, hp: 180, damage: 50, speed: 5, range: 1, color: '#1E90FF' },
-    { id: 'jellyfish', name: 'Jellyfish', type: 'offense', cost: 2, hp: 100, damage: 80, speed: 3, range: 1, color: '#DA70D6' },
-    { id: 'trident', name: 'Trident', type: 'offense', cost: 6, hp: 70, damage: 100, speed: 7, range: 2, color: '#FFD700' },
-    { id: 'barracuda', name: 'Barracuda', type: 'offense', cost: 3, hp: 130, damage: 40, speed: 6, range: 1, color: '#00CED1' },
-    { id: 'orca', name: 'Orca', type: 'offense', cost: 7, hp: 300, damage: 90, speed: 4.6, range: 2, color: '#4B0082' },
-    { id: 'mino', name: 'Mino', type: 'offense', cost: 3, hp: 50, damage: 40, speed: 9, range: 1, color: '#FF1493' }, // Extremely fast, meager HP
-    { id: 'leviathan', name: 'Leviathan', type: 'offense', cost: 15, hp: 400, damage: 250, speed: 7, range: 5, color: '#8B00FF', isLegendary: true }, // Legendary: 0.3% drop rate, balanced legendary unit
-
-    // DEFENSIVE UNITS (6 total) - More expensive, less HP, can move within territory (except walls) (all speeds +1.0)
-    { id: 'crab', name: 'Crab', type: 'defense', cost: 5, hp: 300, damage: 20, speed: 3, range: 3, color: '#FF4500', isWall: false },
-    { id: 'turtle', name: 'Turtle', type: 'defense', cost: 7, hp: 400, damage: 10, speed: 2.6, range: 4, color: '#32CD32', isWall: false },
-    { id: 'coral_wall', name: 'Coral Wall', type: 'defense', cost: 4, hp: 500, damage: 5, speed: 0, range: 2, color: '#F08080', isWall: true }, // Wall: tons of HP, minimal damage (stays 0)
-    { id: 'narwhal', name: 'Narwhal', type: 'defense', cost: 6, hp: 250, damage: 45, speed: 2, range: 5, color: '#E0E0E0', isWall: false }, // Long-range archer
-    { id: 'sea_urchin', name: 'Sea Urchin', type: 'defense', cost: 5, hp: 300, damage: 25, speed: 2.2, range: 2, color: '#8B4789', isWall: false } // Spiky defender
-];
-
-function createGame(gameId) {
-    const terrain = generateTrenchMap();
-    return {
-        id: gameId,
-        players: {}, // socketId -> { id, color, elixir, baseHp, cards, hand }
-        troops: [], // { id, ownerId, type, x, y, hp, target }
-        status: 'waiting', // waiting, playing, ended
-        lastUpdate: Date.now(),
-        terrain: terrain,
-        currentTurn: null, // socketId of current player
-        turnOrder: [], // Array of player socketIds
-        turnStartTime: null,
-        turnTimeRemaining: TURN_DURATION,
-        turnNumber: 0,
-        movementMode: 'automatic', // 'automatic' or 'manual'
-        movedTroops: new Set(), // Track which troops have moved this turn (for manual mode)
-        // Live mode removed: game is always turn-based
-        gameMode: 'turns',
-        aiPlayerCount: 0, // Number of AI players (0-3)
-        aiDifficulty: 'normal', // Default AI skill level for bots
-        aiPlayerSkills: [], // Per-bot skill overrides (up to 3), e.g. ['easy','hardest']
-        roomLeader: null, // Socket ID of the room leader
-        cardUsage: {}, // Track card usage per player: { playerId: { cardId: count } }
-        gameStartTime: null, // Track when game started
-        disconnectedPlayers: {}, // Store disconnected player states: { username: { ...playerData, disconnectTime } }
-        // ML / TensorFlow-related flags (used by the client UI)
-        useMLAI: false, // Legacy/derived: may be toggled for training; 'hardest' skill also enables ML logic
-        mlModelLastUpdated: null,
-        mlAIInsights: {} // { [playerId]: { cardId, cardName, score?, moveType?, targetBaseId?, reason? } }
-    };
-}
-
-function getRandomHand() {
-    const hand = [];
-    const offensiveCards = CARDS.filter(c => c.type === 'offense' && !c.isLegendary);
-    const defensiveCards = CARDS.filter(c => c.type === 'defense' && !c.isLegendary);
-
-    // Ensure balanced distribution: 2 offensive, 2 defensive
-    for (let i = 0; i < 2; i++) {
-        hand.push(offensiveCards[Math.floor(Math.random() * offensiveCards.length)]);
-        hand.push(defensiveCards[Math.floor(Math.random() * defensiveCards.length)]);
-    }
-
-    // Shuffle the hand
-    for (let i = hand.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [hand[i], hand[j]] = [hand[j], hand[i]];
-    }
-
-    return hand;
-}
-
-// Get a balanced random card based on player's current hand
-// If defensiveCount is provided and >= 10, only return offensive cards
-function getBalancedCard(playerHand, defensiveCount = null) {
-    // 0.3% chance to get the legendary Leviathan (lowered from 1%)
-    if (Math.random() < 0.003) {
-        const leviathan = CARDS.find(c => c.id === 'leviathan');
-        if (leviathan) {
-            return leviathan;
-        }
-    }
+    if (dist < 1) return { gridX: baseX, gridY: baseY }; // Threat is on top of us
 
-    const offensiveCards = CARDS.filter(c => c.type === 'offense' && !c.isLegendary);
-    const defensiveCards = CARDS.filter(c => c.type === 'defense' && !c.isLegendary);
+    const placeX = Math.round(baseX + (dx / dist) * scale);
+    const placeY = Math.round(baseY + (dy / dist) * scale);
 
-    // If defensive limit is reached, only return offensive cards
-    if (defensiveCount !== null && defensiveCount >= 10) {
-        return offensiveCards[Math.floor(Math.random() * offensiveCards.length)];
+    // Validate bounds and obstacles
+    if (isValidSpawn(game, placeX, placeY)) {
+        return { gridX: placeX, gridY: placeY };
     }
 
-    // Count current hand composition
-    const offensiveCount = playerHand.filter(c => c.type === 'offense').length;
-    const handDefensiveCount = playerHand.filter(c => c.type === 'defense').length;
+    // Fallback: try adjacent to ideal
+    const neighbors = [
+        { x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }
+    ];
 
-    // If imbalanced, favor the underrepresented type (70% chance)
-    if (offensiveCount > handDefensiveCount && Math.random() < 0.7) {
-        return defensiveCards[Math.floor(Math.random() * defensiveCards.length)];
-    } else if (handDefensiveCount > offensiveCount && Math.random() < 0.7) {
-        return offensiveCards[Math.floor(Math.random() * offensiveCards.length)];
+    for (const n of neighbors) {
+        if (isValidSpawn(game, placeX + n.x, placeY + n.y)) {
+            return { gridX: placeX + n.x, gridY: placeY + n.y };
+        }
     }
 
-    // Otherwise random
-    const regularCards = CARDS.filter(c => !c.isLegendary);
-    return regularCards[Math.floor(Math.random() * regularCards.length)];
+    return { gridX: baseX, gridY: baseY };
 }
 
 io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
     // Let clients render lobby room counts / in-game state
-    socket.emit('roomStatus', getLobbyRoomStatus());
-    socket.on('getRoomStatus', () => {
+    socket.emit('roomList', getLobbyRoomStatus());
+    socket.on('listRooms', () => {
+        if (!checkRateLimit(socket.id)) return;
+        socket.emit('roomList', getLobbyRoomStatus());
+    });
+
+    socket.on('getCardCatalog', () => {
+        if (!checkRateLimit(socket.id)) return;
+        socket.emit('cardCatalog', cardCatalog);
+    });
+
+    socket.on('getMaps', () => {
+        if (!checkRateLimit(socket.id)) return;
+        socket.emit('mapList', mapList);
+    });
+
+    socket.on('getRulePresets', () => {
         if (!checkRateLimit(socket.id)) return;
-        socket.emit('roomStatus', getLobbyRoomStatus());
+        socket.emit('rulePresets', { presets: rulePresets, limits: RULE_LIMITS });
+    });
+
+    socket.on('createRoom', (data) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', 'Too many requests. Please slow down.');
+            return;
+        }
+
+        if (!data || typeof data !== 'object') {
+            socket.emit('error', 'Invalid room request');
+            return;
+        }
+
+        const name = sanitizeRoomName(data.name);
+        if (!name) {
+            socket.emit('error', `Invalid room name. Use 1-${ROOM_NAME_MAX_LEN} letters, numbers, spaces, _ - ' or !`);
+            return;
+        }
+
+        const visibility = data.visibility === 'private' ? 'private' : 'public';
+        const password = typeof data.password === 'string' ? data.password : '';
+        if (password && (password.length < ROOM_PASSWORD_MIN_LEN || password.length > ROOM_PASSWORD_MAX_LEN)) {
+            socket.emit('error', `Room password must be ${ROOM_PASSWORD_MIN_LEN}-${ROOM_PASSWORD_MAX_LEN} characters`);
+            return;
+        }
+
+        const createdRooms = Object.values(rooms).filter(r => !r.builtIn);
+        if (createdRooms.length >= MAX_CREATED_ROOMS) {
+            socket.emit('error', 'Too many rooms are open right now. Try again later.');
+            return;
+        }
+        if (createdRooms.filter(r => r.createdBy === socket.id).length >= MAX_ROOMS_PER_CREATOR) {
+            socket.emit('error', `You can have at most ${MAX_ROOMS_PER_CREATOR} rooms open`);
+            return;
+        }
+
+        const room = createRoom({ name, visibility, password, createdBy: socket.id });
+        socket.emit('roomCreated', { roomId: room.id, name: room.name, inviteCode: room.inviteCode });
+        broadcastLobbyRoomStatus();
     });
 
     // Clean up rate limit on disconnect
     socket.on('disconnect', () => {
         rateLimits.delete(socket.id);
+        replayRequestTimes.delete(socket.id);
+        previewCaches.delete(socket.id);
+        delete sentStates[socket.id];
         console.log('User disconnected:', socket.id);
 
+        const spectatedGameId = stopSpectating(socket);
+        if (spectatedGameId) {
+            broadcastGameState(spectatedGameId);
+            broadcastLobbyRoomStatus();
+        }
+
         // Find which game the player was in
         for (const gameId in games) {
             const game = games[gameId];
@@ -2157,16 +2688,21 @@ io.on('connection', (socket) => {
                         disconnectTime: Date.now()
                     };
 
-                    // Remove from active players
-                    delete game.players[socket.id];
+                    // Remove from active players (and from the turn order in an active game)
+                    removePlayer(game, socket.id);
+                    touchRoom(gameId);
 
                     if (game.status === 'playing') {
-                        // In an active game, immediately remove from turn order
-                        game.turnOrder = game.turnOrder.filter(id => id !== socket.id);
+                        if (matchRecordings[gameId]) {
+                            recordAction(matchRecordings[gameId], game.turnNumber, { type: 'leave', playerId: socket.id });
+                        }
 
-                        // If it was their turn, advance to next player
+                        // If it was their turn, advance to next player; if everyone
+                        // else has their orders in, the round needn't wait for them
                         if (game.currentTurn === socket.id) {
                             nextTurn(gameId);
+                        } else if (game.gameMode === 'simultaneous' && allOrdersIn(game)) {
+                            lockInRound(gameId);
                         }
                     } else if (game.status === 'waiting') {
                         // In the lobby, reassign room leader if needed so the room doesn't get stuck
@@ -2176,7 +2712,7 @@ io.on('connection', (socket) => {
                         }
                     }
 
-                    io.to(gameId).emit('gameState', serializeGameState(game));
+                    broadcastGameState(gameId);
                     broadcastLobbyRoomStatus();
                 }
                 break;
@@ -2197,11 +2733,12 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const gameId = typeof data === 'string' ? data : (data.gameId || '');
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
+        const access = resolveRoomAccess(data);
+        if (access.error) {
+            socket.emit('error', access.error);
             return;
         }
+        const gameId = access.roomId;
 
         // Validate and sanitize username
         let username;
@@ -2223,6 +2760,24 @@ io.on('connection', (socket) => {
             }
         }
 
+        // An optional deck (card ids); without one the player draws from the whole catalog
+        const deck = typeof data === 'string' || data.deck == null ? null : data.deck;
+        const deckError = deck && validateDeck(deck);
+        if (deckError) {
+            socket.emit('error', `Invalid deck: ${deckError.message}`);
+            return;
+        }
+
+        // Accounts: a valid token always plays under its own name, and a name that
+        // belongs to an account is reserved for whoever holds its token
+        const account = typeof data === 'string' ? null : findAccountByToken(data.token);
+        if (account) {
+            username = account.username;
+        } else if (findAccountByUsername(username)) {
+            socket.emit('error', `The username ${username} is registered to another player`);
+            return;
+        }
+
         let game = games[gameId];
         if (!game) {
             game = createGame(gameId);
@@ -2239,36 +2794,29 @@ io.on('connection', (socket) => {
             if (timeSinceDisconnect < 5 * 60 * 1000) {
                 console.log(`Player ${username} reconnecting...`);
 
-                // Restore player state with new socket ID
-                game.players[socket.id] = {
-                    ...savedState,
-                    id: socket.id, // Update to new socket ID
-                    disconnectTime: undefined
-                };
+                // Restore player state with new socket ID, taking back their troops
+                // (and their place in the turn order if the game is playing)
+                if (!rejoinPlayer(game, { ...savedState, disconnectTime: undefined }, socket.id)) {
+                    socket.emit('error', `Game is full (this map seats ${game.terrain.spawns.length} players)`);
+                    return;
+                }
 
                 // Remove from disconnected list
                 delete game.disconnectedPlayers[username];
 
-                // Update ownership of troops
-                    if (game.troops) {
-                game.troops.forEach(t => {
-                    if (t.ownerId === savedState.id) {
-                        t.ownerId = socket.id;
-                    }
-                });
-                    }
-
-                // Update turn order if game is playing
-                if (game.status === 'playing') {
-                    // Add back to turn order if not present
-                        if (game.turnOrder && !game.turnOrder.includes(socket.id)) {
-                        game.turnOrder.push(socket.id);
-                    }
+                if (game.status === 'playing' && matchRecordings[gameId]) {
+                    recordAction(matchRecordings[gameId], game.turnNumber, {
+                        type: 'rejoin',
+                        playerId: socket.id,
+                        previousId: savedState.id
+                    });
                 }
 
+                touchRoom(gameId);
+                stopSpectating(socket);
                 socket.join(gameId);
-                io.to(gameId).emit('gameState', serializeGameState(game));
-                socket.emit('playerInfo', game.players[socket.id]);
+                broadcastGameState(gameId);
+                socket.emit('playerInfo', buildStateView(game, socket.id).players[socket.id]);
 
                 // Notify others
                 socket.to(gameId).emit('toast', { message: `${username} reconnected!`, type: 'success' });
@@ -2296,8 +2844,8 @@ io.on('connection', (socket) => {
             return;
         }
 
-        if (Object.keys(game.players).length >= 4) {
-            socket.emit('error', 'Game is full (maximum 4 players)');
+        if (getFreeSlot(game) === -1) {
+            socket.emit('error', `Game is full (this map seats ${game.terrain.spawns.length} players)`);
             return;
         }
 
@@ -2314,629 +2862,206 @@ io.on('connection', (socket) => {
             // Room leader can set these via updateRoomSettings
         }
 
-        // Assign player position/color (midpoints of edges - between X arms)
-        const playerCount = Object.keys(game.players).length;
-        const positions = [
-            { gridX: 20, gridY: 4, color: '#00BFFF' },   // Top (Deep Sky Blue)
-            { gridX: 36, gridY: 20, color: '#FF4500' },  // Right (Orange Red)
-            { gridX: 20, gridY: 36, color: '#32CD32' },  // Bottom (Lime Green)
-            { gridX: 4, gridY: 20, color: '#FFD700' }    // Left (Gold)
-        ];
-
-        const playerInfo = positions[playerCount];
-        playerInfo.x = playerInfo.gridX * CELL_SIZE + CELL_SIZE / 2;
-        playerInfo.y = playerInfo.gridY * CELL_SIZE + CELL_SIZE / 2;
-
-        game.players[socket.id] = {
-            id: socket.id,
-            username: username,
-            ...playerInfo,
-            elixir: 8, // Increased starting elixir from 5 to 8 for faster gameplay
-            baseHp: 1000,
-            hand: getRandomHand(),
-            nextCard: null
-        };
-
-        // Set nextCard to balance the starting hand
-        const initialDefensiveCount = game.troops.filter(t => t.ownerId === socket.id && t.type === 'defense').length;
-        game.players[socket.id].nextCard = getBalancedCard(game.players[socket.id].hand, initialDefensiveCount);
+        // Only registered names are rated; everyone else plays as an unrated guest
+        // whose name stays free for anyone to use or register.
+        // Seat the player at the map's first free spawn (position and color come with it)
+        const player = addPlayer(game, socket.id, {
+            username,
+            slot: getFreeSlot(game),
+            accountId: account ? account.id : null,
+            deck: deck ? [...deck] : null
+        });
 
+        touchRoom(gameId);
+        stopSpectating(socket);
         socket.join(gameId);
-        io.to(gameId).emit('gameState', serializeGameState(game));
-        socket.emit('playerInfo', { id: socket.id, username, ...playerInfo });
+        broadcastGameState(gameId);
+        socket.emit('playerInfo', {
+            id: socket.id,
+            username,
+            gridX: player.gridX,
+            gridY: player.gridY,
+            color: player.color,
+            x: player.x,
+            y: player.y
+        });
         broadcastLobbyRoomStatus();
 
-        if (Object.keys(game.players).length >= 2) {
-            game.turnOrder = Object.keys(game.players);
-        }
-    });
-
-    socket.on('getAIStats', () => {
-        if (!checkRateLimit(socket.id)) return;
-        socket.emit('aiStats', aiStats);
-    });
-
-    socket.on('updateRoomSettings', ({ gameId, settings }) => {
-        // Rate limiting
-        if (!checkRateLimit(socket.id)) {
-            socket.emit('error', 'Too many requests. Please slow down.');
-            return;
-        }
-
-        // Validate input
-        if (!gameId || !settings) {
-            socket.emit('error', 'Missing required parameters');
-            return;
-        }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
-            return;
-        }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-
-        if (game.status !== 'waiting') {
-            socket.emit('error', 'Can only change settings while waiting');
-            return;
-        }
-
-        if (socket.id !== game.roomLeader) {
-            socket.emit('error', 'Only the room leader can change settings');
-            return;
-        }
-
-        if (settings.movementMode) {
-            if (settings.movementMode !== 'automatic' && settings.movementMode !== 'manual') {
-                socket.emit('error', 'Invalid movement mode');
-                return;
-            }
-            game.movementMode = settings.movementMode;
-        }
-
-        if (typeof settings.aiPlayerCount === 'number') {
-            const newAICount = clamp(Math.floor(settings.aiPlayerCount), 0, 3);
-            game.aiPlayerCount = newAICount;
-        }
-
-        // AI skill settings (new)
-        if (typeof settings.aiDifficulty === 'string') {
-            game.aiDifficulty = normalizeAiSkill(settings.aiDifficulty);
-        }
-        if (Array.isArray(settings.aiPlayerSkills)) {
-            const sanitized = settings.aiPlayerSkills
-                .slice(0, 3)
-                .map(s => normalizeAiSkill(s));
-            game.aiPlayerSkills = sanitized;
-        }
-
-        // Legacy: old clients may still send useMLAI boolean; map to global difficulty.
-        if (typeof settings.useMLAI === 'boolean') {
-            game.aiDifficulty = settings.useMLAI ? 'hardest' : 'normal';
-        }
-
-        // Derived ML flags for UI (and for any server-side features keyed off game.useMLAI)
-        game.useMLAI = gameWantsML(game);
-        maybePopulateMlModelTimestamp(game);
-
-        io.to(gameId).emit('gameState', serializeGameState(game));
-    });
-
-    socket.on('forceStart', (gameId) => {
-        // Rate limiting
-        if (!checkRateLimit(socket.id)) {
-            socket.emit('error', 'Too many requests. Please slow down.');
-            return;
-        }
-
-        // Validate input
-        if (!gameId) {
-            socket.emit('error', 'Missing game ID');
-            return;
-        }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
-            return;
-        }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-
-        if (game.status !== 'waiting') {
-            socket.emit('error', 'Game has already started');
-            return;
-        }
-
-        // Only room leader or players in the game can start
-        if (socket.id !== game.roomLeader && !game.players[socket.id]) {
-            socket.emit('error', 'You are not authorized to start this game');
-            return;
-        }
-
-        const humanPlayerCount = Object.keys(game.players).length;
-
-        // Add AI players if configured
-        if (game.aiPlayerCount > 0) {
-            const positions = [
-                { gridX: 20, gridY: 4, color: '#00BFFF' },   // Top
-                { gridX: 36, gridY: 20, color: '#FF4500' },  // Right
-                { gridX: 20, gridY: 36, color: '#32CD32' },  // Bottom
-                { gridX: 4, gridY: 20, color: '#FFD700' }    // Left
-            ];
-
-            for (let i = 0; i < game.aiPlayerCount && (humanPlayerCount + i) < 4; i++) {
-                const aiId = `ai_${gameId}_${i}`;
-                const playerInfo = positions[humanPlayerCount + i];
-                playerInfo.x = playerInfo.gridX * CELL_SIZE + CELL_SIZE / 2;
-                playerInfo.y = playerInfo.gridY * CELL_SIZE + CELL_SIZE / 2;
-
-                const aiHand = getRandomHand();
-                const aiUsername = makeBotUsername(game);
-                const aiSkill = normalizeAiSkill((game.aiPlayerSkills && game.aiPlayerSkills[i]) || game.aiDifficulty);
-                game.players[aiId] = {
-                    id: aiId,
-                    username: aiUsername,
-                    isAI: true,
-                    aiSkill,
-                    useMLAI: aiSkill === 'hardest',
-                    ...playerInfo,
-                    baseHp: 1000,
-                    elixir: 8, // Same as humans for fairness - increased from 5 to 8
-                    hand: aiHand,
-                    nextCard: getBalancedCard(aiHand, 0), // AI starts with 0 defensive units
-                    eliminated: false
-                };
-                console.log(`Added AI ${aiUsername} with ${aiHand.length} cards, elixir: 8`);
-            }
-        }
-
-        // Ensure derived ML flags/timestamp are set for UI once bots are created
-        game.useMLAI = gameWantsML(game);
-        maybePopulateMlModelTimestamp(game);
-
-        const totalPlayers = Object.keys(game.players).length;
-        if (totalPlayers >= 2) {
-            game.status = 'playing';
-            game.gameStartTime = Date.now();
-            game.turnOrder = Object.keys(game.players);
-            game.currentTurn = game.turnOrder[0];
-            game.turnStartTime = Date.now();
-            game.turnTimeRemaining = TURN_DURATION;
-            game.turnNumber = 1;
-
-            console.log(`Game ${gameId} started in ${game.gameMode} mode. Players:`, totalPlayers);
-
-            startGameLoop(gameId);
-            io.to(gameId).emit('gameState', serializeGameState(game));
-            broadcastLobbyRoomStatus();
-        }
-    });
-
-    socket.on('endTurn', (gameId) => {
-        // Rate limiting
-        if (!checkRateLimit(socket.id)) {
-            socket.emit('error', 'Too many requests. Please slow down.');
-            return;
-        }
-
-        // Validate input
-        if (!gameId) {
-            socket.emit('error', 'Missing game ID');
-            return;
-        }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
-            return;
-        }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-
-        if (game.status !== 'playing') {
-            socket.emit('error', 'Game is not in progress');
-            return;
-        }
-
-        if (socket.id !== game.currentTurn) {
-            socket.emit('error', 'Not your turn');
-            return;
-        }
-
-        nextTurn(gameId);
-    });
-
-    socket.on('setTarget', ({ gameId, troopId, targetBaseId }) => {
-        // Rate limiting
-        if (!checkRateLimit(socket.id)) {
-            socket.emit('error', 'Too many requests. Please slow down.');
-            return;
-        }
-
-        // Validate input
-        if (!gameId || !troopId || !targetBaseId) {
-            socket.emit('error', 'Missing required parameters');
-            return;
-        }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
-            return;
-        }
-
-        if (!validateTroopId(troopId)) {
-            socket.emit('error', 'Invalid troop ID');
-            return;
-        }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-
-        if (game.status !== 'playing') {
-            socket.emit('error', 'Game is not in progress');
-            return;
-        }
-
-        const troop = game.troops.find(t => t.id === troopId);
-        if (!troop) {
-            socket.emit('error', 'Troop not found');
-            return;
-        }
-
-        if (troop.ownerId !== socket.id) {
-            socket.emit('error', 'You do not own this troop');
-            return;
-        }
-
-        // Validate target base
-        const targetPlayer = game.players[targetBaseId];
-        if (!targetPlayer) {
-            socket.emit('error', 'Target player not found');
-            return;
-        }
-
-        if (targetPlayer.eliminated) {
-            socket.emit('error', 'Target player has been eliminated');
-            return;
-        }
-
-        if (targetPlayer.id === socket.id) {
-            socket.emit('error', 'Cannot target yourself');
-            return;
-        }
-
-        // Set the target for this offensive unit
-        troop.targetBaseId = targetBaseId;
-        troop.lockedTargetBaseId = targetBaseId;
-        troop.state = 'moving_to_bridge';
-        troop.path = []; // force immediate repath to new target
-
-        io.to(gameId).emit('gameState', serializeGameState(game));
-    });
-
-    socket.on('moveTroop', ({ gameId, troopId, targetGridX, targetGridY }) => {
-        // Rate limiting
-        if (!checkRateLimit(socket.id)) {
-            socket.emit('error', 'Too many requests. Please slow down.');
-            return;
-        }
-
-        // Validate input
-        if (!gameId || !troopId || targetGridX === undefined || targetGridY === undefined) {
-            socket.emit('error', 'Missing required parameters');
-            return;
-        }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
-            return;
-        }
-
-        if (!validateTroopId(troopId)) {
-            socket.emit('error', 'Invalid troop ID');
-            return;
-        }
-
-        if (!validateCoordinates(targetGridX, targetGridY)) {
-            socket.emit('error', 'Invalid target coordinates');
-            return;
-        }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
-            return;
-        }
-
-        if (game.status !== 'playing') {
-            socket.emit('error', 'Game is not in progress');
-            return;
-        }
-
-        if (game.movementMode !== 'manual') {
-            socket.emit('error', 'Manual movement is not enabled');
-            return;
+        if (Object.keys(game.players).length >= 2) {
+            game.turnOrder = Object.keys(game.players);
         }
+    });
 
-        if (socket.id !== game.currentTurn) {
-            socket.emit('error', 'Not your turn');
-            return;
-        }
+    socket.on('getAIStats', () => {
+        if (!checkRateLimit(socket.id)) return;
+        socket.emit('aiStats', aiStats);
+    });
 
-        const troop = game.troops.find(t => t.id === troopId);
-        if (!troop) {
-            socket.emit('error', 'Troop not found');
+    // Watch a room (waiting or mid-game) without taking a seat
+    socket.on('spectateGame', (data) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', 'Too many requests. Please slow down.');
             return;
         }
 
-        if (troop.ownerId !== socket.id) {
-            socket.emit('error', 'You do not own this troop');
+        if (!data) {
+            socket.emit('error', 'Invalid spectate request');
             return;
         }
 
-        // Walls cannot move
-        if (troop.isWall) {
-            socket.emit('error', 'Walls cannot be moved');
+        const access = resolveRoomAccess(data);
+        if (access.error) {
+            socket.emit('error', access.error);
             return;
         }
+        const gameId = access.roomId;
 
-        // Check if already moved this turn
-        if (game.movedTroops.has(troopId)) {
-            socket.emit('error', 'This troop has already moved this turn');
+        const game = games[gameId];
+        if (!game) {
+            socket.emit('error', 'Nobody is playing in this room yet');
             return;
         }
 
-        // Validate move is within speed range
-        const distance = Math.abs(troop.gridX - targetGridX) + Math.abs(troop.gridY - targetGridY);
-        if (distance > Math.floor(troop.speed)) {
-            socket.emit('error', 'Target is out of range');
+        if (game.players[socket.id]) {
+            socket.emit('error', 'You are already playing in this game');
             return;
         }
 
-        if (distance === 0) {
-            socket.emit('error', 'Cannot move to the same position');
+        const alreadyWatching = spectators[gameId] && spectators[gameId][socket.id];
+        if (!alreadyWatching && getSpectatorCount(gameId) >= MAX_SPECTATORS_PER_ROOM) {
+            socket.emit('error', `Too many spectators (maximum ${MAX_SPECTATORS_PER_ROOM})`);
             return;
         }
 
-        // Check path is clear (simple validation)
-        const trenchSet = new Set(game.terrain.trench.map(t => `${t.x},${t.y}`));
-        if (trenchSet.has(`${targetGridX},${targetGridY}`)) {
-            socket.emit('error', 'Cannot move to impassable terrain');
-            return;
+        // Spectators are shown by name but don't claim one; accounts still use their own
+        const account = typeof data === 'string' ? null : findAccountByToken(data.token);
+        let username = makeDefaultUsername(socket.id.substr(0, 4));
+        if (account) {
+            username = account.username;
+        } else if (typeof data !== 'string' && data.username && validateUsername(data.username)) {
+            username = sanitizeUsername(data.username);
         }
 
-        // Store old position for defensive troop damage check
-        const oldGridX = troop.gridX;
-        const oldGridY = troop.gridY;
-
-        // Check if moving away from defensive troops and apply damage
-        applyDefensiveTroopDamage(game, troop, oldGridX, oldGridY, targetGridX, targetGridY);
+        stopSpectating(socket);
+        spectators[gameId] = spectators[gameId] || {};
+        spectators[gameId][socket.id] = { id: socket.id, username, joinedAt: Date.now() };
+        touchRoom(gameId);
+        console.log(`👀 ${username} is spectating ${gameId}`);
 
-        // If troop died from defensive damage, don't move
-        const troopStillExists = game.troops.find(t => t.id === troopId);
-        if (!troopStillExists) {
-            game.movedTroops.add(troopId);
-            io.to(gameId).emit('gameState', serializeGameState(game));
-            return;
-        }
+        // Everyone else sees the new spectator first; the newcomer then starts from a full view
+        broadcastGameState(gameId);
+        socket.join(spectatorRoom(gameId));
+        socket.emit('spectating', { gameId });
+        sendFullState(socket, gameId);
+        broadcastLobbyRoomStatus();
+    });
 
-        // Move the troop
-        troop.gridX = targetGridX;
-        troop.gridY = targetGridY;
-        troop.x = targetGridX * CELL_SIZE + CELL_SIZE / 2;
-        troop.y = targetGridY * CELL_SIZE + CELL_SIZE / 2;
+    socket.on('requestFullState', (gameId) => {
+        if (!checkRateLimit(socket.id)) return;
+        if (!validateGameId(gameId)) return;
+        sendFullState(socket, gameId);
+    });
 
-        // Mark as moved
-        game.movedTroops.add(troopId);
+    socket.on('stopSpectating', () => {
+        const gameId = stopSpectating(socket);
+        if (gameId) {
+            broadcastGameState(gameId);
+            broadcastLobbyRoomStatus();
+        }
+    });
 
-        io.to(gameId).emit('gameState', serializeGameState(game));
+    socket.on('authenticate', (token) => {
+        if (!checkRateLimit(socket.id)) return;
+        const account = findAccountByToken(token);
+        if (account) {
+            socket.emit('accountInfo', publicAccount(account));
+        } else {
+            socket.emit('accountInvalid');
+        }
     });
 
-    socket.on('deployCard', ({ gameId, cardId, gridX, gridY, targetBaseId }) => {
-        // Rate limiting
+    // Claim a name: it gets an account (rating, stats) and is reserved for
+    // whoever holds the token sent back
+    socket.on('registerAccount', (data) => {
         if (!checkRateLimit(socket.id)) {
             socket.emit('error', 'Too many requests. Please slow down.');
             return;
         }
-
-        // Validate input
-        if (!gameId || !cardId) {
-            socket.emit('error', 'Missing required parameters');
+        if (!data || typeof data !== 'object') {
+            socket.emit('error', 'Invalid registration request');
             return;
         }
-
-        if (!validateGameId(gameId)) {
-            socket.emit('error', 'Invalid game ID');
+        if (findAccountByToken(data.token)) {
+            socket.emit('error', 'You already have an account');
             return;
         }
-
-        if (!validateCardId(cardId)) {
-            socket.emit('error', 'Invalid card ID');
+        if (!validateUsername(data.username)) {
+            socket.emit(
+                'error',
+                `Invalid username. Use ${USERNAME_MIN_LEN}-${USERNAME_MAX_LEN} chars: letters, numbers, _ or -. No spaces.`
+            );
             return;
         }
-
-        const game = games[gameId];
-        if (!game) {
-            socket.emit('error', 'Game not found');
+        const username = sanitizeUsername(data.username);
+        if (findAccountByUsername(username)) {
+            socket.emit('error', `The username ${username} is registered to another player`);
             return;
         }
 
-        if (game.status !== 'playing') {
-            socket.emit('error', 'Game is not in progress');
-            return;
-        }
+        const { account, token } = createAccount(username);
+        socket.emit('accountInfo', { ...publicAccount(account), token });
+    });
 
-        // Validate game state
-        if (!validateGameState(game)) {
-            socket.emit('error', 'Game state is invalid');
-            return;
-        }
+    socket.on('getLeaderboard', () => {
+        if (!checkRateLimit(socket.id)) return;
+        socket.emit('leaderboard', getLeaderboard());
+    });
 
-        // Turn-based: only current player can deploy
-        if (socket.id !== game.currentTurn) {
-            socket.emit('error', 'Not your turn');
-            return;
+    socket.on('listReplays', async () => {
+        if (!checkRateLimit(socket.id)) return;
+        try {
+            socket.emit('replayList', await storage.listReplays());
+        } catch (error) {
+            console.error('Error listing replays:', error);
+            socket.emit('error', 'Could not load replays');
         }
+    });
 
-        const player = game.players[socket.id];
-        if (!player) {
-            socket.emit('error', 'You are not in this game');
+    // Replays are stored as action logs; play them back here so clients get frames to draw.
+    // Playback is a whole match of work, so this event has its own, slower limit.
+    socket.on('getReplay', async (replayId) => {
+        if (!checkRateLimit(socket.id)) {
+            socket.emit('error', 'Too many requests. Please slow down.');
             return;
         }
 
-        if (player.eliminated) {
-            socket.emit('error', 'You have been eliminated');
+        const now = Date.now();
+        if (now - (replayRequestTimes.get(socket.id) || 0) < REPLAY_REQUEST_COOLDOWN) {
+            socket.emit('error', 'Please wait a moment before loading another replay.');
             return;
         }
+        replayRequestTimes.set(socket.id, now);
 
-        const card = CARDS.find(c => c.id === cardId);
-        if (!card) {
-            socket.emit('error', 'Card not found');
+        if (!validateReplayId(replayId)) {
+            socket.emit('error', 'Invalid replay ID');
             return;
         }
 
-        if (player.elixir < card.cost) {
-            socket.emit('error', 'Not enough elixir');
+        const replayData = await getReplayData(replayId);
+        if (!replayData) {
+            socket.emit('error', 'Replay not found');
             return;
         }
 
-        // Validate coordinates if provided (for defensive units)
-        if (card.type === 'defense') {
-            if (gridX !== undefined && gridY !== undefined) {
-                if (!validateCoordinates(gridX, gridY)) {
-                    socket.emit('error', 'Invalid deployment coordinates');
-                    return;
-                }
-            }
-
-            // Check defensive unit cap
-            const defensiveCount = game.troops.filter(t => t.ownerId === socket.id && t.type === 'defense').length;
-            if (defensiveCount >= 10) {
-                socket.emit('error', 'Maximum defensive units reached (10)');
-                return;
-            }
-        }
-
-        // Validate target base for offensive units
-        // If only 2 players remain, auto-target the enemy base
-        const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
-        const isTwoPlayerMode = activePlayers.length === 2;
-
-        if (card.type === 'offense') {
-            if (isTwoPlayerMode) {
-                // Auto-target the only enemy when only 2 players remain
-                const enemies = Object.values(game.players).filter(p => p.id !== socket.id && !p.eliminated);
-                if (enemies.length === 1) {
-                    targetBaseId = enemies[0].id;
-                }
-            } else if (targetBaseId) {
-                const targetPlayer = game.players[targetBaseId];
-                if (!targetPlayer || targetPlayer.eliminated || targetPlayer.id === socket.id) {
-                    socket.emit('error', 'Invalid target');
-                    return;
-                }
-                // Allow attacks on neighboring players (can always reach via bridges)
-                // Only restrict if it's not a neighboring player base
-                if (!isNeighboringPlayer(player.gridX, player.gridY, targetPlayer.gridX, targetPlayer.gridY) &&
-                    !isAllowedDirection(player.gridX, player.gridY, targetPlayer.gridX, targetPlayer.gridY)) {
-                    socket.emit('error', 'Target is not in allowed direction (can only attack sides or opposite)');
-                    return;
-                }
-            }
-        }
-
-        // Deduct elixir
-        player.elixir -= card.cost;
-
-        // Determine spawn position
-        let spawnGridX, spawnGridY;
-        let finalSpawnPos;
-
-        if (card.type === 'defense' && gridX !== undefined && gridY !== undefined) {
-            // Defensive units can be placed in custom positions within quadrant
-            spawnGridX = gridX;
-            spawnGridY = gridY;
-        } else {
-            // Offensive units spawn at base
-            spawnGridX = player.gridX;
-            spawnGridY = player.gridY;
-        }
-
-        // Prevent multiple troops from spawning on the same tile by finding
-        // the nearest free position around the intended spawn location.
-        const spawnPos = findNearestUnoccupiedPosition(game, spawnGridX, spawnGridY, 5);
-
-        // Calculate damage with current game acceleration multiplier
-        const damageMultiplier = getCurrentDamageMultiplier(game);
-        const baseDamage = card.damage;
-        const actualDamage = Math.floor(baseDamage * damageMultiplier);
-
-        // Spawn troop (grid-aligned)
-        const troop = {
-            id: Math.random().toString(36).substr(2, 9),
-            ownerId: socket.id,
-            type: card.type,
-            name: card.name,
-            cardId: card.id,
-            hp: card.hp,
-            maxHp: card.hp,
-            damage: actualDamage,
-            baseDamage: baseDamage,
-            damageBoostApplied: damageMultiplier,
-            speed: card.speed,
-            range: card.range,
-            color: card.color,
-            isWall: card.isWall || false,
-            isTurret: card.isTurret || false,
-            gridX: spawnPos.gridX,
-            gridY: spawnPos.gridY,
-            x: spawnPos.gridX * CELL_SIZE + CELL_SIZE / 2,
-            y: spawnPos.gridY * CELL_SIZE + CELL_SIZE / 2,
-            target: null,
-            state: card.type === 'defense' ? 'guarding' : 'moving_to_bridge',
-            targetBaseId: targetBaseId || null, // Player-selected target
-            lockedTargetBaseId: card.type === 'offense' ? (targetBaseId || null) : undefined,
-            path: [], // A* pathfinding path
-            patrolAngle: Math.random() * Math.PI * 2,
-            patrolRadius: 3, // grid cells
-            patrolDir: Math.random() > 0.5 ? 1 : -1,
-            patrolSpeed: 0.6
-        };
-        game.troops.push(troop);
-
-        // Track card usage for statistics
-        if (!game.cardUsage[socket.id]) {
-            game.cardUsage[socket.id] = {};
-        }
-        if (!game.cardUsage[socket.id][cardId]) {
-            game.cardUsage[socket.id][cardId] = 0;
-        }
-        game.cardUsage[socket.id][cardId]++;
-
-        // Cycle card - use balanced card drawing
-        const handIndex = player.hand.findIndex(c => c.id === cardId);
-        if (handIndex !== -1) {
-            player.hand[handIndex] = player.nextCard;
-            // Check defensive count to prevent dealing defensive cards when limit is reached
-            const defensiveCount = game.troops.filter(t => t.ownerId === socket.id && t.type === 'defense').length;
-            player.nextCard = getBalancedCard(player.hand, defensiveCount);
-        }
+        socket.emit('replayData', replayData);
+    });
 
-        io.to(gameId).emit('gameState', serializeGameState(game));
+    // Room and in-game commands all go through the command pipeline; clients
+    // may pass an acknowledgement callback to get the typed result back
+    Object.keys(COMMANDS).forEach(type => {
+        socket.on(type, (payload, ack) => {
+            runCommand(socket, type, payload, typeof ack === 'function' ? ack : null);
+        });
     });
 
     // Note: additional disconnect handling (game cleanup, AI stats, etc.)
@@ -2944,1161 +3069,529 @@ io.on('connection', (socket) => {
     // disconnect logic has been removed to avoid conflicting behavior.
 });
 
-function isPassable(x, y, trenchSet) {
-    if (x < 0 || x >= GRID_SIZE || y < 0 || y >= GRID_SIZE) return false;
-    const key = `${x},${y}`;
-    return !trenchSet.has(key);
-}
-
-// Check if a position is on a bridge (within 3x3 area of any bridge)
-function isOnBridge(x, y, bridges) {
-    if (!bridges || !Array.isArray(bridges)) return false;
-    return bridges.some(bridge => {
-        const dx = Math.abs(x - bridge.x);
-        const dy = Math.abs(y - bridge.y);
-        return dx <= 1 && dy <= 1; // Within 3x3 area
-    });
-}
-
-// Check if a position is on the central cross-section bridge
-function isOnCentralBridge(x, y) {
-    const centerX = 20;
-    const centerY = 20;
-    const crossWidth = 3;
-
-    // Check if on horizontal cross-section
-    const onHorizontal = Math.abs(y - centerY) <= Math.floor(crossWidth / 2);
-    // Check if on vertical cross-section
-    const onVertical = Math.abs(x - centerX) <= Math.floor(crossWidth / 2);
-
-    return onHorizontal || onVertical;
-}
-
 // ============================================================================
-// OFFENSE TARGETING: sticky targets per troop
+// ENGINE ADAPTER: forwards engine events to the room
 // ============================================================================
-function isValidEnemyBaseId(game, ownerId, targetBaseId) {
-    if (!targetBaseId) return false;
-    const p = game.players && game.players[targetBaseId];
-    if (!p) return false;
-    if (p.eliminated) return false;
-    if (p.id === ownerId) return false;
-    return true;
-}
-
-function getActiveEnemyBases(game, ownerId) {
-    return Object.values(game.players || {}).filter(p => p && !p.eliminated && p.id !== ownerId);
-}
-
-function pickClosestEnemyBase(game, ownerId, fromGridX, fromGridY) {
-    const enemies = getActiveEnemyBases(game, ownerId);
-    if (enemies.length === 0) return null;
-
-    let best = enemies[0];
-    let bestDist = Math.abs(fromGridX - best.gridX) + Math.abs(fromGridY - best.gridY);
-    for (const e of enemies) {
-        const d = Math.abs(fromGridX - e.gridX) + Math.abs(fromGridY - e.gridY);
-        if (d < bestDist) {
-            bestDist = d;
-            best = e;
-        }
-    }
-    return best.id;
-}
-
-// Ensures an offensive troop has a stable target. Only changes when the target is invalid/eliminated.
-function ensureLockedOffenseTarget(game, troop) {
-    if (!troop || troop.type !== 'offense') return null;
-
-    const prevLocked = troop.lockedTargetBaseId || null;
-
-    // Prefer locked target if still valid
-    if (isValidEnemyBaseId(game, troop.ownerId, troop.lockedTargetBaseId)) {
-        troop.targetBaseId = troop.lockedTargetBaseId;
-        return { targetBaseId: troop.lockedTargetBaseId, changed: false };
-    }
-
-    // If targetBaseId is valid, lock onto it
-    if (isValidEnemyBaseId(game, troop.ownerId, troop.targetBaseId)) {
-        troop.lockedTargetBaseId = troop.targetBaseId;
-        return { targetBaseId: troop.targetBaseId, changed: prevLocked !== troop.targetBaseId };
-    }
-
-    // Otherwise assign a new target (closest enemy to minimize "backtracking" vibes)
-    const next = pickClosestEnemyBase(game, troop.ownerId, troop.gridX, troop.gridY);
-    if (!next) return null;
-
-    troop.lockedTargetBaseId = next;
-    troop.targetBaseId = next;
-    return { targetBaseId: next, changed: prevLocked !== next };
-}
-
-// Pathfinding: simple breadth-first search over the grid.
-// Offensive troops were previously using an A*-style pathfinder with
-// bridge-weighting, which could produce unintuitive routes or oscillation
-// near bases. This implementation focuses on reliability: always find a
-// shortest passable path (if one exists) from start -> end, only blocking
-// trench tiles via isPassable().
-function findPath(startX, startY, endX, endY, trenchSet, bridges = null) {
-    const startKey = `${startX},${startY}`;
-    const endKey = `${endX},${endY}`;
-
-    // Trivial case: already at target – no movement required
-    if (startKey === endKey) {
-        return [];
-    }
-
-    const queue = [];
-    const visited = new Set();
-    const cameFrom = new Map();
-
-    queue.push({ x: startX, y: startY });
-    visited.add(startKey);
-
-    while (queue.length > 0) {
-        const current = queue.shift();
-        const currentKey = `${current.x},${current.y}`;
-
-        // Reached destination: reconstruct path from end -> start
-        if (currentKey === endKey) {
-            const path = [];
-            let currKey = currentKey;
-
-            while (cameFrom.has(currKey)) {
-                const [px, py] = currKey.split(',').map(Number);
-                path.unshift({ x: px, y: py });
-                currKey = cameFrom.get(currKey);
-            }
-
-            return path;
-        }
-
-        // Explore 4-directional neighbors
-        const neighbors = [
-            { x: current.x + 1, y: current.y },
-            { x: current.x - 1, y: current.y },
-            { x: current.x, y: current.y + 1 },
-            { x: current.x, y: current.y - 1 }
-        ];
-
-        for (const neighbor of neighbors) {
-            const neighborKey = `${neighbor.x},${neighbor.y}`;
-
-            if (visited.has(neighborKey)) continue;
-            if (!isPassable(neighbor.x, neighbor.y, trenchSet)) continue;
-
-            visited.add(neighborKey);
-            cameFrom.set(neighborKey, currentKey);
-            queue.push(neighbor);
-        }
-    }
 
-    // No path found – caller will handle this and avoid moving the troop
-    return [];
-}
-
-// Offensive pathfinding (recode): simple, deterministic shortest-path BFS.
-// - Ignores other troops entirely (stacking allowed)
-// - Only trench tiles are impassable
-// - No "bridge preference", no center-routing, no split-path heuristics
-function findOffensivePath(startX, startY, endX, endY, trenchSet) {
-    if (startX === endX && startY === endY) return [];
-
-    const startKey = `${startX},${startY}`;
-    const endKey = `${endX},${endY}`;
-
-    const queue = [{ x: startX, y: startY }];
-    const visited = new Set([startKey]);
-    const cameFrom = new Map(); // key -> prevKey
-
-    while (queue.length > 0) {
-        const cur = queue.shift();
-        const curKey = `${cur.x},${cur.y}`;
-
-        if (curKey === endKey) {
-            const path = [];
-            let k = endKey;
-            while (k !== startKey) {
-                const [px, py] = k.split(',').map(Number);
-                path.unshift({ x: px, y: py });
-                k = cameFrom.get(k);
-                if (!k) break; // safety
-            }
-            return path;
-        }
-
-        const neighbors = [
-            { x: cur.x + 1, y: cur.y },
-            { x: cur.x - 1, y: cur.y },
-            { x: cur.x, y: cur.y + 1 },
-            { x: cur.x, y: cur.y - 1 }
-        ];
-
-        for (const n of neighbors) {
-            const key = `${n.x},${n.y}`;
-            if (visited.has(key)) continue;
-            if (!isPassable(n.x, n.y, trenchSet)) continue;
-            visited.add(key);
-            cameFrom.set(key, curKey);
-            queue.push(n);
-        }
-    }
-
-    return [];
-}
-
-function getOrAssignSplitBridgeIndex(game, troop) {
-    // Ensure a stable split index per troop+target; reset if target changed.
-    if (troop._lastTargetBaseId !== troop.targetBaseId) {
-        troop.attackPathIndex = undefined;
-        troop._lastTargetBaseId = troop.targetBaseId;
-    }
-
-    if (troop.attackPathIndex === undefined) {
-        const troopsOnTarget = game.troops.filter(t =>
-            t.id !== troop.id &&
-            t.type === 'offense' &&
-            t.ownerId === troop.ownerId &&
-            t.targetBaseId === troop.targetBaseId
-        );
-        troop.attackPathIndex = troopsOnTarget.length % 2; // 0,1 alternating
-    }
-
-    return troop.attackPathIndex;
-}
-
-// Smart game acceleration system to keep games under 200 turns (~30 minutes)
-// Uses escalating mechanics based on turn thresholds to force decisive gameplay
-function applyGameAcceleration(game) {
-    const turn = game.turnNumber || 0;
-
-    // PHASE 1 (Turns 1-80): Normal gameplay, no intervention
-    if (turn <= 80) {
-        return;
-    }
-
-    // PHASE 2 (Turns 81-120): Mild pressure
-    // - Slightly boost all troop damage (+10%)
-    if (turn > 80 && turn <= 120) {
-        if (turn === 81) {
-            console.log(`⚡ [Turn ${turn}] PHASE 2: Mild pressure activated - Troop damage +10%`);
-        }
-        game.troops.forEach(troop => {
-            if (!troop.damageBoostApplied) {
-                troop.damage = Math.floor(troop.damage * 1.1);
-                troop.damageBoostApplied = true;
-            }
-        });
-        return;
-    }
-
-    // PHASE 3 (Turns 121-160): Moderate pressure
-    // - Boost troop damage (+25% total)
-    // - Randomly damage a player's base every 5 turns
-    if (turn > 120 && turn <= 160) {
-        if (turn === 121) {
-            console.log(`⚡ [Turn ${turn}] PHASE 3: Moderate pressure - Troop damage +25%, Random base damage`);
-        }
-
-        // Boost existing troops
-        game.troops.forEach(troop => {
-            if (!troop.damageBoostApplied || troop.damageBoostApplied < 1.25) {
-                const baseDamage = troop.baseDamage || troop.damage;
-                troop.baseDamage = baseDamage;
-                troop.damage = Math.floor(baseDamage * 1.25);
-                troop.damageBoostApplied = 1.25;
-            }
-        });
-
-        // Random base damage every 5 turns
-        if (turn % 5 === 0) {
-            const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
-            if (activePlayers.length > 1) {
-                const randomPlayer = activePlayers[Math.floor(Math.random() * activePlayers.length)];
-                const damage = 50 + Math.floor(Math.random() * 50); // 50-100 damage
-                randomPlayer.baseHp = Math.max(0, randomPlayer.baseHp - damage);
-                console.log(`💥 [Turn ${turn}] Random event: ${randomPlayer.username}'s base takes ${damage} damage!`);
-            }
-        }
-        return;
-    }
-
-    // PHASE 4 (Turns 161-190): Heavy pressure
-    // - Boost troop damage (+50% total)
-    // - Reduce ALL base HP by 2% per turn (erosion)
-    // - Random catastrophic damage every 3 turns
-    if (turn > 160 && turn <= 190) {
-        if (turn === 161) {
-            console.log(`⚡ [Turn ${turn}] PHASE 4: Heavy pressure - Troop damage +50%, Base erosion, Catastrophic events`);
-        }
-
-        // Boost existing troops
-        game.troops.forEach(troop => {
-            if (!troop.damageBoostApplied || troop.damageBoostApplied < 1.5) {
-                const baseDamage = troop.baseDamage || troop.damage;
-                troop.baseDamage = baseDamage;
-                troop.damage = Math.floor(baseDamage * 1.5);
-                troop.damageBoostApplied = 1.5;
-            }
-        });
-
-        // Base erosion: all active bases lose 2% HP per turn
-        const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
-        activePlayers.forEach(player => {
-            const erosionDamage = Math.ceil(player.baseHp * 0.02);
-            player.baseHp = Math.max(0, player.baseHp - erosionDamage);
-        });
-
-        // Catastrophic damage every 3 turns
-        if (turn % 3 === 0) {
-            if (activePlayers.length > 1) {
-                // Pick the player with highest HP (rubber-banding)
-                activePlayers.sort((a, b) => b.baseHp - a.baseHp);
-                const target = activePlayers[0];
-                const damage = 150 + Math.floor(Math.random() * 100); // 150-250 damage
-                target.baseHp = Math.max(0, target.baseHp - damage);
-                console.log(`🌊 [Turn ${turn}] Catastrophe: ${target.username}'s base takes ${damage} damage!`);
-            }
-        }
-        return;
-    }
-
-    // PHASE 5 (Turns 191-200): ENDGAME FORCED
-    // - Boost troop damage (+100% total)
-    // - Reduce ALL base HP by 5% per turn
-    // - Attack weakest player's base every turn
-    // - At turn 200: Declare winner based on highest HP
-    if (turn > 190) {
-        if (turn === 191) {
-            console.log(`💀 [Turn ${turn}] PHASE 5: ENDGAME - Troop damage +100%, Rapid base erosion, Forced conclusion`);
-        }
-
-        // Massive boost to troops
-        game.troops.forEach(troop => {
-            if (!troop.damageBoostApplied || troop.damageBoostApplied < 2.0) {
-                const baseDamage = troop.baseDamage || troop.damage;
-                troop.baseDamage = baseDamage;
-                troop.damage = Math.floor(baseDamage * 2.0);
-                troop.damageBoostApplied = 2.0;
+// Hand the AI player its turn, then end it after a short pause so clients can animate
+function scheduleAITurn(gameId, aiPlayer) {
+    console.log(`🤖 AI ${aiPlayer.username}'s turn - Elixir: ${aiPlayer.elixir}, Hand: ${aiPlayer.hand?.length || 0} cards`);
+    console.log(`🤖 AI ${aiPlayer.username} is making moves...`);
+
+    // Make AI moves asynchronously
+    makeAIMoves(gameId, aiPlayer.id).then(movesMade => {
+        // AI takes only 100ms per turn for very fast gameplay
+        const animationTime = 100;
+        console.log(`🤖 AI ${aiPlayer.username} made ${movesMade} moves, waiting ${animationTime}ms`);
+
+        setTimeout(() => {
+            if (games[gameId] && games[gameId].currentTurn === aiPlayer.id) {
+                console.log(`🤖 AI ${aiPlayer.username} ending turn`);
+                nextTurn(gameId);
             }
-        });
-
-        // Severe base erosion: all bases lose 5% HP per turn
-        const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
-        activePlayers.forEach(player => {
-            const erosionDamage = Math.ceil(player.baseHp * 0.05);
-            player.baseHp = Math.max(0, player.baseHp - erosionDamage);
-        });
-
-        // Attack weakest player every turn to force elimination
-        if (activePlayers.length > 1) {
-            activePlayers.sort((a, b) => a.baseHp - b.baseHp);
-            const weakest = activePlayers[0];
-            const damage = 100 + Math.floor(Math.random() * 100); // 100-200 damage
-            weakest.baseHp = Math.max(0, weakest.baseHp - damage);
-            console.log(`⚔️ [Turn ${turn}] Targeting weakest: ${weakest.username}'s base takes ${damage} damage!`);
-        }
-
-    }
-}
-
-// Get current damage multiplier based on turn number
-function getCurrentDamageMultiplier(game) {
-    const turn = game.turnNumber || 0;
-    if (turn <= 80) return 1.0;
-    if (turn <= 120) return 1.1;
-    if (turn <= 160) return 1.25;
-    if (turn <= 190) return 1.5;
-    return 2.0; // Turn 191+
+        }, animationTime);
+    }).catch(err => {
+        console.error(`Error in AI moves for ${aiPlayer.username}:`, err);
+        // Still advance turn on error
+        setTimeout(() => nextTurn(gameId), 100);
+    });
 }
 
-function nextTurn(gameId) {
-    const game = games[gameId];
-    if (!game || game.status !== 'playing') return;
-
-    // Validate game state
-    if (!validateGameState(game)) {
-        console.error(`Invalid game state in nextTurn for ${gameId}`);
-        return;
-    }
-
-    // Increment turn counter
-    game.turnNumber = (game.turnNumber || 0) + 1;
-
-    // Check for winner before proceeding
-    const activePlayers = Object.values(game.players).filter(p => p && !p.eliminated);
-    if (activePlayers.length <= 1) {
-        const winner = activePlayers.length === 1 ? activePlayers[0] : null;
-        endGame(gameId, winner);
-        return;
-    }
-
-    // Apply game acceleration mechanics to keep games under 200 turns
-    applyGameAcceleration(game);
-
-    // Apply combat damage at end of turn
-    applyCombatDamage(game, gameId);
-
-    // Check for winner after combat
-    const activePlayersAfterCombat = Object.values(game.players).filter(p => p && !p.eliminated);
-    if (activePlayersAfterCombat.length <= 1) {
-        const winner = activePlayersAfterCombat.length === 1 ? activePlayersAfterCombat[0] : null;
-        endGame(gameId, winner);
-        return;
-    }
-
-    // Move troops based on their speed
-    // - Automatic mode: all troops move.
-    // - Manual mode: the current player may manually move troops, but any troops
-    //   not moved are auto-moved at turn end so that every movable troop advances.
-    if (game.movementMode === 'automatic') {
-        moveTroopsOnTurnEnd(game, false); // Move all troops
-    } else {
-        moveTroopsOnTurnEnd(game, false, { onlyUnmoved: true }); // Auto-move any unmoved troops
-    }
-
-    // Clear moved troops set for new turn
-    game.movedTroops = new Set();
+// Have an AI player plan its orders for a simultaneous round and submit them
+function scheduleAIOrders(gameId, aiPlayer, round) {
+    const orders = [];
+    makeAIMoves(gameId, aiPlayer.id, orders).catch(err => {
+        console.error(`Error in AI orders for ${aiPlayer.username}:`, err);
+    }).then(() => {
+        const game = games[gameId];
+        if (!game || game.status !== 'playing' || !game.round || game.round.number !== round) return;
 
-    // Validate turn order
-    if (!Array.isArray(game.turnOrder) || game.turnOrder.length === 0) {
-        console.error(`Invalid turn order for game ${gameId}`);
-        game.turnOrder = Object.keys(game.players).filter(id => game.players[id] && !game.players[id].eliminated);
-        if (game.turnOrder.length === 0) {
-            endGame(gameId, null);
+        console.log(`🤖 AI ${aiPlayer.username} submits ${orders.length} orders for round ${round}`);
+        const { events, error } = applyRecordedAction(gameId, { type: 'submitOrders', playerId: aiPlayer.id, orders });
+        if (error) {
+            // Still lock in (with no orders) so the round doesn't wait on the timer
+            console.log(`🤖 AI ${aiPlayer.username} orders rejected: ${error.message}`);
+            const retry = applyRecordedAction(gameId, { type: 'submitOrders', playerId: aiPlayer.id, orders: [] });
+            if (!retry.error) dispatchEngineEvents(gameId, retry.events);
             return;
         }
-    }
-
-    // Find next active player
-    const currentIndex = game.turnOrder.indexOf(game.currentTurn);
-    let nextIndex = currentIndex >= 0 ? (currentIndex + 1) % game.turnOrder.length : 0;
-    let attempts = 0;
-    const maxAttempts = game.turnOrder.length * 2; // Safety limit
-
-    // Skip eliminated players and validate player exists
-    while (attempts < maxAttempts) {
-        const nextPlayerId = game.turnOrder[nextIndex];
-        const nextPlayer = game.players[nextPlayerId];
-
-        if (nextPlayer && !nextPlayer.eliminated) {
-            break; // Found valid player
-        }
-
-        nextIndex = (nextIndex + 1) % game.turnOrder.length;
-        attempts++;
-    }
-
-    if (attempts >= maxAttempts) {
-        // All players eliminated or invalid state
-        console.error(`Could not find next player for game ${gameId}`);
-        endGame(gameId, null);
-        return;
-    }
-
-    game.currentTurn = game.turnOrder[nextIndex];
-    game.turnStartTime = Date.now();
-    game.turnTimeRemaining = TURN_DURATION;
-    game.turnNumber = (game.turnNumber || 0) + 1;
-
-    // Give elixir to the player whose turn it is (same rate for humans and AI)
-    const currentPlayer = game.players[game.currentTurn];
-    if (currentPlayer) {
-        // Validate and clamp elixir
-        currentPlayer.elixir = clamp((currentPlayer.elixir || 0) + 6, 0, 15); // Increased from +4 to +6 for faster gameplay
-
-        // If current player is AI, make their moves automatically (instant decisions, smooth animations)
-        if (currentPlayer.isAI) {
-            console.log(`🤖 AI ${currentPlayer.username}'s turn - Elixir: ${currentPlayer.elixir}, Hand: ${currentPlayer.hand?.length || 0} cards`);
-            console.log(`🤖 AI ${currentPlayer.username} is making moves...`);
-
-            // Make AI moves asynchronously
-            makeAIMoves(gameId, currentPlayer.id).then(movesMade => {
-            // AI takes only 100ms per turn for very fast gameplay
-            const animationTime = 100;
-            console.log(`🤖 AI ${currentPlayer.username} made ${movesMade} moves, waiting ${animationTime}ms`);
-
-            setTimeout(() => {
-                if (games[gameId] && games[gameId].currentTurn === currentPlayer.id) {
-                    console.log(`🤖 AI ${currentPlayer.username} ending turn`);
-                    nextTurn(gameId);
-                }
-            }, animationTime);
-            }).catch(err => {
-                console.error(`Error in AI moves for ${currentPlayer.username}:`, err);
-                // Still advance turn on error
-                setTimeout(() => nextTurn(gameId), 100);
-            });
-        }
-    }
-
-    io.to(gameId).emit('gameState', serializeGameState(game));
-}
-
-function applyCombatDamage(game, gameId) {
-    const combatEvents = []; // { type: 'attack'|'death', attackerId, targetId, damage, x, y }
-
-    // REMOVE troops belonging to eliminated players before combat
-    const troopsBeforeCombatCleanup = game.troops.length;
-    game.troops = game.troops.filter(troop => {
-        const owner = game.players[troop.ownerId];
-        return owner && !owner.eliminated;
+        dispatchEngineEvents(gameId, events);
     });
-    const troopsRemovedBeforeCombat = troopsBeforeCombatCleanup - game.troops.length;
-    if (troopsRemovedBeforeCombat > 0) {
-        console.log(`🧹 Combat cleanup: Removed ${troopsRemovedBeforeCombat} troops from eliminated players.`);
-    }
+}
 
-    // Combat happens at end of turn
-    game.troops.forEach(troop => {
-        // Check if troop is attacking an enemy base
-        if (troop.targetBaseId) {
-            const targetBase = game.players[troop.targetBaseId];
-            if (targetBase && !targetBase.eliminated) {
-                const dist = Math.abs(targetBase.gridX - troop.gridX) + Math.abs(targetBase.gridY - troop.gridY);
-
-                // If adjacent to base, deal damage
-                if (dist <= troop.range + 1) {
-                    targetBase.baseHp -= troop.damage;
-
-                    if (targetBase.baseHp <= 0) {
-                        targetBase.baseHp = 0;
-                        targetBase.eliminated = true;
-
-                        // REMOVE ALL TROOPS belonging to eliminated player
-                        const troopsBeforeRemoval = game.troops.length;
-                        game.troops = game.troops.filter(t => t.ownerId !== troop.targetBaseId);
-                        const troopsRemoved = troopsBeforeRemoval - game.troops.length;
-                        console.log(`🔥 Base ${troop.targetBaseId} eliminated! Removed ${troopsRemoved} troops.`);
-
-                        io.to(gameId).emit('gameOver', { winner: null, eliminated: troop.targetBaseId });
-
-                        // Check for winner
-                        const activePlayers = Object.values(game.players).filter(p => !p.eliminated);
-                        if (activePlayers.length === 1 && Object.keys(game.players).length > 1) {
-                            const winner = activePlayers[0];
-                            endGame(gameId, winner);
-                        }
-                    }
-                }
-            }
-        }
+function dispatchEngineEvents(gameId, events) {
+    const game = games[gameId];
+    if (!game) return;
 
-        // Check for troop vs troop combat
-        // Turrets: shoot ONE target per combat tick (prevents "spray" and fixes animation spam).
-        if (troop.isTurret) {
-            let bestTarget = null;
-            let bestDist = Infinity;
-            for (const other of game.troops) {
-                if (other.ownerId === troop.ownerId) continue;
-                const dist = Math.abs(other.gridX - troop.gridX) + Math.abs(other.gridY - troop.gridY);
-                if (dist <= troop.range && dist < bestDist) {
-                    bestDist = dist;
-                    bestTarget = other;
+    events.forEach(event => {
+        switch (event.type) {
+            case 'combat':
+                emitCombatEvents(gameId, event.events);
+                break;
+            case 'baseEliminated':
+                emitToRoom(gameId, 'gameOver', { winner: null, eliminated: event.playerId });
+                break;
+            case 'gameOver':
+                endGame(gameId, (event.winnerIds || []).map(id => game.players[id]).filter(Boolean));
+                break;
+            case 'turnStarted': {
+                game.turnStartTime = Date.now();
+                const player = game.players[event.playerId];
+                if (player && player.isAI) {
+                    scheduleAITurn(gameId, player);
                 }
+                break;
             }
-
-            if (bestTarget) {
-                const turretDamage = troop.damage * 2; // Double turret damage
-                bestTarget.hp -= turretDamage;
-                combatEvents.push({
-                    type: 'projectile',
-                    attackerId: troop.id,
-                    targetId: bestTarget.id,
-                    damage: turretDamage,
-                    fromX: troop.x,
-                    fromY: troop.y,
-                    toX: bestTarget.x,
-                    toY: bestTarget.y,
-                    isBase: false
-                });
-            }
-
-            return; // Turret only shoots one target per tick
-        }
-
-        // Non-turrets: current behavior (can hit multiple enemies in range)
-        game.troops.forEach(other => {
-            if (other.ownerId === troop.ownerId) return;
-
-            const dist = Math.abs(other.gridX - troop.gridX) + Math.abs(other.gridY - troop.gridY);
-            if (dist <= troop.range) {
-                other.hp -= troop.damage;
-                combatEvents.push({
-                    type: 'attack',
-                    attackerId: troop.id,
-                    targetId: other.id,
-                    damage: troop.damage,
-                    x: other.x,
-                    y: other.y,
-                    isBase: false
-                });
-            }
-        });
-    });
-
-    // Remove dead troops and record deaths
-    game.troops = game.troops.filter(t => {
-        if (t.hp <= 0) {
-            combatEvents.push({
-                type: 'death',
-                targetId: t.id,
-                x: t.x,
-                y: t.y
-            });
-            return false;
+            case 'roundResolved':
+                emitRoundResolved(gameId, event.round, event.steps);
+                break;
+            case 'roundStarted':
+                game.turnStartTime = Date.now();
+                Object.values(game.players)
+                    .filter(p => p.isAI && !p.eliminated)
+                    .forEach(p => scheduleAIOrders(gameId, p, event.round));
+                break;
+            default:
+                break;
         }
-        return true;
     });
 
-    // Emit combat events if any occurred
-    if (combatEvents.length > 0) {
-        io.to(gameId).emit('combatEvents', combatEvents);
+    if (game.status === 'playing') {
+        broadcastGameState(gameId);
     }
-
-
 }
 
-function resetGame(gameId) {
+// Apply an action to a live game, logging it (and the combat it caused) for the replay
+function applyRecordedAction(gameId, action) {
     const game = games[gameId];
-    if (game) {
-        // Clear any scheduled reset for this room
-        if (game.resetTimeoutId) {
-            clearTimeout(game.resetTimeoutId);
-            game.resetTimeoutId = null;
-        }
-
-        // Clean up intervals to prevent memory leaks
-        if (game.elixirRegenInterval) {
-            clearInterval(game.elixirRegenInterval);
-            game.elixirRegenInterval = null;
-        }
-
-        // Clean up any AI action timeouts
-        if (game.aiActionTimeouts) {
-            Object.values(game.aiActionTimeouts).forEach(timeout => {
-                if (timeout) clearTimeout(timeout);
-            });
-            game.aiActionTimeouts = {};
-        }
+    const turn = game.turnNumber;
+    const result = applyAction(game, action);
 
-        // Notify all players that room is resetting
-        io.to(gameId).emit('roomReset');
-
-        // Delete the game to reset it
-        delete games[gameId];
-        console.log(`Room ${gameId} has been reset`);
-        broadcastLobbyRoomStatus();
+    const recording = matchRecordings[gameId];
+    if (recording && !result.error) {
+        recordAction(recording, turn, action);
+        result.events
+            .filter(event => event.type === 'combat')
+            .forEach(event => recordCombat(recording, turn, event.events));
     }
+    return result;
 }
 
-function getBridgeForPath(fromBase, toBase, bridges) {
-    // Determine which bridge to use based on base positions
-    // fromBase and toBase have gridX, gridY
+// ============================================================================
+// COMMAND PIPELINE: every room and in-game command a socket can send goes
+// through runCommand(): rate limit, payload schema, room lookup, then the
+// command's role/status/turn requirements, then the command itself.
+//
+// Clients that pass a Socket.IO acknowledgement get { ok: true } or
+// { ok: false, error: { code, message, action } } back; older clients without
+// one still get the message as an 'error' event. Codes are engine ERROR_CODES.
+// Read-only requests (previewTurn) answer with { ok: true, result }.
+// ============================================================================
 
-    // Determine quadrants
-    const fromQuadrant = {
-        x: fromBase.gridX < 10 ? 'left' : 'right',
-        y: fromBase.gridY < 10 ? 'top' : 'bottom'
-    };
+// Field types for payload schemas; a trailing '?' marks a field optional
+const PAYLOAD_TYPES = {
+    string: value => typeof value === 'string' && value.length > 0 && value.length <= 100,
+    integer: value => Number.isInteger(value),
+    array: value => Array.isArray(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => !!value && typeof value === 'object' && !Array.isArray(value)
+};
 
-    const toQuadrant = {
-        x: toBase.gridX < 10 ? 'left' : 'right',
-        y: toBase.gridY < 10 ? 'top' : 'bottom'
-    };
+// requires.role: 'player' (seated), 'leader' (room leader) or 'member' (either)
+// requires.status: the game status the command is allowed in
+// requires.turn: only the player whose turn it is (simultaneous games have no
+// current player; the engine turns those commands away itself)
+const COMMANDS = {
+    updateRoomSettings: {
+        schema: { settings: 'object' },
+        requires: { role: 'leader', status: 'waiting' },
+        run: updateRoomSettings
+    },
+    forceStart: {
+        schema: {},
+        requires: { role: 'member', status: 'waiting' },
+        run: forceStart
+    },
+    deployCard: {
+        schema: { cardId: 'string', gridX: 'integer?', gridY: 'integer?', targetBaseId: 'string?' },
+        requires: { role: 'player', status: 'playing', turn: true },
+        run: runEngineAction
+    },
+    moveTroop: {
+        schema: { troopId: 'string', targetGridX: 'integer', targetGridY: 'integer' },
+        requires: { role: 'player', status: 'playing', turn: true },
+        run: runEngineAction
+    },
+    moveTroops: {
+        schema: { troopIds: 'array', targetGridX: 'integer', targetGridY: 'integer', formation: 'string?' },
+        requires: { role: 'player', status: 'playing', turn: true },
+        run: runEngineAction
+    },
+    setTarget: {
+        schema: { troopId: 'string', targetBaseId: 'string' },
+        requires: { role: 'player', status: 'playing' },
+        run: runEngineAction
+    },
+    setTroopOrders: {
+        schema: { troopId: 'string', orders: 'array', append: 'boolean?' },
+        requires: { role: 'player', status: 'playing' },
+        run: runEngineAction
+    },
+    endTurn: {
+        schema: {},
+        requires: { role: 'player', status: 'playing', turn: true },
+        run: runEngineAction
+    },
+    submitOrders: {
+        schema: { orders: 'array' },
+        requires: { role: 'player', status: 'playing' },
+        run: runEngineAction
+    },
+    previewTurn: {
+        schema: { orders: 'array?' },
+        requires: { role: 'player', status: 'playing' },
+        run: runTurnPreview
+    }
+};
 
-    // Find appropriate bridge
-    if (fromQuadrant.x === 'left' && fromQuadrant.y === 'top') {
-        return bridges.find(b => b.quadrant === 'nw'); // Northwest bridge
-    } else if (fromQuadrant.x === 'right' && fromQuadrant.y === 'top') {
-        return bridges.find(b => b.quadrant === 'ne'); // Northeast bridge
-    } else if (fromQuadrant.x === 'left' && fromQuadrant.y === 'bottom') {
-        return bridges.find(b => b.quadrant === 'sw'); // Southwest bridge
-    } else {
-        return bridges.find(b => b.quadrant === 'se'); // Southeast bridge
+function validatePayload(schema, payload) {
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = optional ? spec.slice(0, -1) : spec;
+        const value = payload[field];
+        if (value === undefined || value === null) {
+            if (!optional) return `Missing ${field}`;
+        } else if (!PAYLOAD_TYPES[type](value)) {
+            return `Invalid ${field}`;
+        }
     }
+    return null;
 }
 
-// Check if target base is directly across (opposite side of map)
-function isAcrossFromBase(fromBase, toBase) {
-    const fromX = fromBase.gridX;
-    const fromY = fromBase.gridY;
-    const toX = toBase.gridX;
-    const toY = toBase.gridY;
+// Everything a command needs to be true before it runs; returns an error or null
+function checkCommand(socket, command, payload) {
+    if (!checkRateLimit(socket.id)) {
+        return actionError(ERROR_CODES.RATE_LIMITED, 'Too many requests. Please slow down.');
+    }
 
-    // Top to Bottom or Bottom to Top (vertical opposite)
-    if ((fromY < 10 && toY > 30) || (fromY > 30 && toY < 10)) {
-        return true;
+    if (!PAYLOAD_TYPES.object(payload) || !validateGameId(payload.gameId)) {
+        return actionError(ERROR_CODES.INVALID_PAYLOAD, 'Invalid game ID');
     }
 
-    // Left to Right or Right to Left (horizontal opposite)
-    if ((fromX < 10 && toX > 30) || (fromX > 30 && toX < 10)) {
-        return true;
+    const schemaError = validatePayload(command.schema, payload);
+    if (schemaError) {
+        return actionError(ERROR_CODES.INVALID_PAYLOAD, schemaError);
     }
 
-    return false;
-}
+    const game = games[payload.gameId];
+    if (!game) {
+        return actionError(ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+    }
 
-// Get TWO bridge options for multi-path attack on neighboring bases
-function getTwoBridgesForNeighbor(fromBase, toBase, bridges) {
-    const fromX = fromBase.gridX;
-    const fromY = fromBase.gridY;
-    const toX = toBase.gridX;
-    const toY = toBase.gridY;
-
-    // Identify which two bridges connect the bases
-    // Top base (20, 4) can connect to:
-    //   - Right (36, 20) via NE or Center
-    //   - Bottom (20, 36) via NW+SW or NE+SE
-    //   - Left (4, 20) via NW or Center
-
-    // Right base (36, 20) can connect to:
-    //   - Top (20, 4) via NE or Center
-    //   - Bottom (20, 36) via SE or Center
-    //   - Left (4, 20) via NW+NE or SW+SE
-
-    // Bottom base (20, 36) can connect to:
-    //   - Top (20, 4) via SW+NW or SE+NE
-    //   - Right (36, 20) via SE or Center
-    //   - Left (4, 20) via SW or Center
-
-    // Left base (4, 20) can connect to:
-    //   - Top (20, 4) via NW or Center
-    //   - Right (36, 20) via NE+NW or SE+SW
-    //   - Bottom (20, 36) via SW or Center
-
-    const center = bridges.find(b => b.quadrant === 'center');
-    const nw = bridges.find(b => b.quadrant === 'nw');
-    const ne = bridges.find(b => b.quadrant === 'ne');
-    const sw = bridges.find(b => b.quadrant === 'sw');
-    const se = bridges.find(b => b.quadrant === 'se');
-
-    // Top to Right or Right to Top
-    if ((fromY < 10 && toX > 30) || (fromX > 30 && toY < 10)) {
-        return [ne, center];
+    const { role, status, turn } = command.requires;
+    if (spectators[game.id] && spectators[game.id][socket.id]) {
+        return actionError(ERROR_CODES.SPECTATOR, 'Spectators cannot take game actions');
+    }
+    if (role === 'player' && !game.players[socket.id]) {
+        return actionError(ERROR_CODES.NOT_IN_GAME, 'You are not in this game');
     }
-    // Top to Left or Left to Top
-    if ((fromY < 10 && toX < 10) || (fromX < 10 && toY < 10)) {
-        return [nw, center];
+    if (role === 'leader' && socket.id !== game.roomLeader) {
+        return actionError(ERROR_CODES.NOT_ROOM_LEADER, 'Only the room leader can do that');
     }
-    // Bottom to Right or Right to Bottom
-    if ((fromY > 30 && toX > 30) || (fromX > 30 && toY > 30)) {
-        return [se, center];
+    if (role === 'member' && socket.id !== game.roomLeader && !game.players[socket.id]) {
+        return actionError(ERROR_CODES.NOT_IN_GAME, 'You are not authorized to start this game');
     }
-    // Bottom to Left or Left to Bottom
-    if ((fromY > 30 && toX < 10) || (fromX < 10 && toY > 30)) {
-        return [sw, center];
+
+    if (status === 'waiting' && game.status !== 'waiting') {
+        return actionError(ERROR_CODES.GAME_ALREADY_STARTED, 'Game has already started');
     }
-    // Top to Bottom or Bottom to Top (opposite sides)
-    if ((fromY < 10 && toY > 30) || (fromY > 30 && toY < 10)) {
-        return [nw, ne]; // Use both top bridges or both bottom bridges
+    if (status === 'playing' && game.status !== 'playing') {
+        return actionError(ERROR_CODES.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
     }
-    // Left to Right or Right to Left (opposite sides)
-    if ((fromX < 10 && toX > 30) || (fromX > 30 && toX < 10)) {
-        return [nw, sw]; // Use both left bridges or both right bridges
+    if (turn && game.gameMode !== 'simultaneous' && game.currentTurn !== socket.id) {
+        return actionError(ERROR_CODES.NOT_YOUR_TURN, 'Not your turn');
     }
 
-    // Fallback: use center and closest corner bridge
-    return [center, nw];
+    return null;
 }
 
-// Helper function to check if troops are in same quadrant
-// Check if a troop is in range of defensive troops and apply damage if moving away
-function applyDefensiveTroopDamage(game, movingTroop, oldGridX, oldGridY, newGridX, newGridY) {
-    if (!movingTroop || !game.troops || !Array.isArray(game.troops)) return;
-
-    // Only apply to offensive troops moving away from defensive troops
-    if (movingTroop.type === 'defense') return;
-
-    // Find all defensive troops that could attack this troop
-    const defensiveTroops = game.troops.filter(t =>
-        t &&
-        t.type === 'defense' &&
-        t.ownerId !== movingTroop.ownerId &&
-        !t.isWall && // Walls don't attack
-        game.players[t.ownerId] &&
-        !game.players[t.ownerId].eliminated
-    );
-
-    for (const defensiveTroop of defensiveTroops) {
-        // Calculate distance from old position to defensive troop
-        const oldDistance = Math.abs(oldGridX - defensiveTroop.gridX) + Math.abs(oldGridY - defensiveTroop.gridY);
-
-        // Check if troop was in range before moving
-        if (oldDistance <= defensiveTroop.range + 1) {
-            // Calculate distance from new position to defensive troop
-            const newDistance = Math.abs(newGridX - defensiveTroop.gridX) + Math.abs(newGridY - defensiveTroop.gridY);
-
-            // If moving away (distance increased), apply damage
-            if (newDistance > oldDistance) {
-                // Apply damage
-                movingTroop.hp = Math.max(0, movingTroop.hp - defensiveTroop.damage);
-
-                // Remove troop if dead
-                if (movingTroop.hp <= 0) {
-                    const index = game.troops.findIndex(t => t.id === movingTroop.id);
-                    if (index !== -1) {
-                        game.troops.splice(index, 1);
-                    }
-                }
+// endTurn and forceStart have always been sent as a bare game id
+function runCommand(socket, type, rawPayload, ack) {
+    const command = COMMANDS[type];
+    const payload = typeof rawPayload === 'string' ? { gameId: rawPayload } : rawPayload;
 
-                // Only apply damage from one defensive troop per move (first one found)
-                break;
-            }
+    let result;
+    const reply = (value) => { result = value; };
+    let error = checkCommand(socket, command, payload);
+    if (!error) {
+        try {
+            error = command.run(socket, games[payload.gameId], payload, type, reply);
+        } catch (err) {
+            // A bug in one handler must not take the server (and every room) down
+            console.error(`❌ Command ${type} failed in ${payload.gameId}:`, err);
+            error = actionError(ERROR_CODES.INTERNAL, 'Something went wrong on the server');
         }
     }
-}
 
-// Check if a target is a neighboring player (one of the 3 valid neighbors: left, right, opposite)
-function isNeighboringPlayer(fromX, fromY, toX, toY) {
-    // Player positions are fixed:
-    // Top: (20, 4), Right: (36, 20), Bottom: (20, 36), Left: (4, 20)
-    const playerPositions = [
-        { x: 20, y: 4 },   // Top
-        { x: 36, y: 20 },  // Right
-        { x: 20, y: 36 },  // Bottom
-        { x: 4, y: 20 }    // Left
-    ];
+    if (!error) {
+        if (ack) ack(result === undefined ? { ok: true } : { ok: true, result });
+        return;
+    }
+
+    if (ack) {
+        ack({ ok: false, error: { ...error, action: type } });
+    } else {
+        socket.emit('error', error.message);
+    }
+}
 
-    // Check if from and to are both player base positions
-    const fromIsBase = playerPositions.some(p => p.x === fromX && p.y === fromY);
-    const toIsBase = playerPositions.some(p => p.x === toX && p.y === toY);
+// In-game actions: the pipeline has checked the room; the engine checks the rules
+function runEngineAction(socket, game, payload, type) {
+    const action = { type, playerId: socket.id };
+    Object.keys(COMMANDS[type].schema).forEach(field => {
+        action[field] = payload[field];
+    });
 
-    if (!fromIsBase || !toIsBase) return false;
+    const { events, error } = applyRecordedAction(game.id, action);
+    if (error) return error;
 
-    // If both are base positions, they are neighbors (can always reach via bridges)
-    return true;
+    dispatchEngineEvents(game.id, events);
+    return null;
 }
 
-// Check if a target position is within the allowed 180-degree arc from the starting position
-// Players can only move to sides (90 degrees) or opposite (180 degrees), not diagonally
-function isAllowedDirection(fromX, fromY, toX, toY) {
-    const dx = toX - fromX;
-    const dy = toY - fromY;
-    const absDx = Math.abs(dx);
-    const absDy = Math.abs(dy);
-
-    // Determine which edge the starting position is closest to
-    const centerX = GRID_SIZE / 2; // 20
-    const centerY = GRID_SIZE / 2; // 20
-
-    // Calculate direction from center to starting position
-    const dxFromCenter = fromX - centerX;
-    const dyFromCenter = fromY - centerY;
-
-    // Determine primary direction (top, right, bottom, left)
-    let primaryDirection = null;
-    if (Math.abs(dyFromCenter) > Math.abs(dxFromCenter)) {
-        primaryDirection = dyFromCenter < 0 ? 'top' : 'bottom';
-    } else {
-        primaryDirection = dxFromCenter > 0 ? 'right' : 'left';
+// What ending the turn now would do, worked out on a copy of the game: nothing
+// is applied, recorded or broadcast. Each forecast plays a whole turn, so a
+// socket's forecasts are kept until the state changes (hovering the same spot
+// again costs nothing) and new ones are worked out at most every PREVIEW_COOLDOWN.
+function runTurnPreview(socket, game, { gameId, orders }, type, reply) {
+    let cache = previewCaches.get(socket.id);
+    if (!cache || cache.gameId !== gameId || cache.stateVersion !== game.stateVersion) {
+        cache = { gameId, stateVersion: game.stateVersion, forecasts: new Map(), lastRun: cache ? cache.lastRun : 0 };
+        previewCaches.set(socket.id, cache);
+    }
+    const key = JSON.stringify(orders === undefined ? null : orders);
+    if (cache.forecasts.has(key)) {
+        reply(cache.forecasts.get(key));
+        return null;
     }
 
-    // Check if target is in allowed 180-degree arc
-    // Allowed: left side, right side, or opposite (180 degrees)
-    // NOT allowed: diagonally (corners)
-
-    if (primaryDirection === 'top') {
-        // From top: can go left (dx < 0, primarily horizontal), right (dx > 0, primarily horizontal), or bottom (dy > 0, primarily vertical)
-        // NOT: both dx and dy significant (diagonal)
-        return (dx < 0 && absDx > absDy * 2) || // Left (primarily horizontal left)
-            (dx > 0 && absDx > absDy * 2) || // Right (primarily horizontal right)
-            (dy > 0 && absDy > absDx * 2);  // Bottom (primarily vertical down)
-    } else if (primaryDirection === 'right') {
-        // From right: can go top (dy < 0, primarily vertical), bottom (dy > 0, primarily vertical), or left (dx < 0, primarily horizontal)
-        return (dy < 0 && absDy > absDx * 2) || // Top (primarily vertical up)
-            (dy > 0 && absDy > absDx * 2) || // Bottom (primarily vertical down)
-            (dx < 0 && absDx > absDy * 2);  // Left (primarily horizontal left)
-    } else if (primaryDirection === 'bottom') {
-        // From bottom: can go left (dx < 0, primarily horizontal), right (dx > 0, primarily horizontal), or top (dy < 0, primarily vertical)
-        return (dx < 0 && absDx > absDy * 2) || // Left (primarily horizontal left)
-            (dx > 0 && absDx > absDy * 2) || // Right (primarily horizontal right)
-            (dy < 0 && absDy > absDx * 2);  // Top (primarily vertical up)
-    } else if (primaryDirection === 'left') {
-        // From left: can go top (dy < 0, primarily vertical), bottom (dy > 0, primarily vertical), or right (dx > 0, primarily horizontal)
-        return (dy < 0 && absDy > absDx * 2) || // Top (primarily vertical up)
-            (dy > 0 && absDy > absDx * 2) || // Bottom (primarily vertical down)
-            (dx > 0 && absDx > absDy * 2);  // Right (primarily horizontal right)
+    const now = Date.now();
+    if (now - cache.lastRun < PREVIEW_COOLDOWN) {
+        return actionError(ERROR_CODES.RATE_LIMITED, 'Please wait a moment before asking for another forecast');
     }
+    cache.lastRun = now;
 
-    return true; // Default allow if can't determine
+    const { forecast, error } = previewTurn(game, socket.id, orders);
+    if (error) return error;
+    if (cache.forecasts.size >= MAX_CACHED_PREVIEWS) cache.forecasts.delete(cache.forecasts.keys().next().value);
+    cache.forecasts.set(key, forecast);
+    reply(forecast);
+    return null;
 }
 
-function isInSameQuadrant(troop1, troop2, basePlayer) {
-    const gridX = troop1.gridX;
-    const gridY = troop1.gridY;
-    const enemyX = troop2.gridX;
-    const enemyY = troop2.gridY;
-
-    // Determine quadrant based on position relative to X diagonals
-    const aboveDiag1 = gridY < gridX;
-    const aboveDiag2 = gridY < (GRID_SIZE - 1 - gridX);
-
-    const enemyAboveDiag1 = enemyY < enemyX;
-    const enemyAboveDiag2 = enemyY < (GRID_SIZE - 1 - enemyX);
+function updateRoomSettings(socket, game, { settings }) {
+    if (settings.mapId !== undefined) {
+        const mapError = typeof settings.mapId === 'string'
+            ? setGameMap(game, settings.mapId)
+            : actionError(ERROR_CODES.INVALID_PAYLOAD, 'Invalid map');
+        if (mapError) return mapError;
+        broadcastLobbyRoomStatus();
+    }
 
-    // Compare quadrants
-    return (aboveDiag1 === enemyAboveDiag1 && aboveDiag2 === enemyAboveDiag2);
-}
+    // Player count picks a map with that many seats (a generated layout unless a map file fits)
+    if (settings.playerCount !== undefined) {
+        const mapId = Number.isInteger(settings.playerCount) ? getMapIdForSeats(settings.playerCount) : null;
+        if (!mapId) {
+            return actionError(ERROR_CODES.INVALID_MAP, `No map seats ${settings.playerCount} players`);
+        }
+        if (mapId !== game.terrain.mapId) {
+            const mapError = setGameMap(game, mapId);
+            if (mapError) return mapError;
+            broadcastLobbyRoomStatus();
+        }
+    }
 
-function moveTroopsOnTurnEnd(game, aiOnly = false, options = {}) {
-    const trenchSet = new Set(game.terrain.trench.map(t => `${t.x},${t.y}`));
-    const onlyUnmoved = !!options.onlyUnmoved;
+    // Team mode and which team each seat plays for
+    if (settings.teamMode !== undefined || settings.seatTeams !== undefined) {
+        const teamError = setTeams(game, { teamMode: settings.teamMode, seatTeams: settings.seatTeams });
+        if (teamError) return teamError;
+        broadcastLobbyRoomStatus();
+    }
 
-    // REMOVE troops belonging to eliminated players before moving
-    const troopsBeforeCleanup = game.troops.length;
-    game.troops = game.troops.filter(troop => {
-        const owner = game.players[troop.ownerId];
-        return owner && !owner.eliminated;
-    });
-    const troopsRemoved = troopsBeforeCleanup - game.troops.length;
-    if (troopsRemoved > 0) {
-        console.log(`🧹 Cleaned up ${troopsRemoved} troops from eliminated players.`);
+    // Rule set: a preset, single rule changes, or both (changes apply on top of the preset)
+    if (settings.rulePreset !== undefined || settings.rules !== undefined) {
+        const rulesError = setRules(game, { preset: settings.rulePreset, changes: settings.rules });
+        if (rulesError) return rulesError;
+        broadcastLobbyRoomStatus();
     }
 
-    game.troops.forEach(troop => {
-        // In manual mode with aiOnly=true, only move AI-owned troops
-        if (aiOnly) {
-            const owner = game.players[troop.ownerId];
-            if (!owner || !owner.isAI) {
-                return; // Skip ALL human-owned troops in manual mode
-            }
+    if (settings.fogOfWar !== undefined) {
+        if (game.status !== 'waiting') {
+            return actionError(ERROR_CODES.GAME_ALREADY_STARTED, 'Fog of war can only change before the game starts');
         }
+        game.fogOfWar = !!settings.fogOfWar;
+        broadcastLobbyRoomStatus();
+    }
 
-        // In manual mode, if the player already moved this troop manually,
-        // do not auto-move it again. (We still ensure every troop moves by
-        // auto-moving any troops that were NOT manually moved.)
-        if (onlyUnmoved && game.movedTroops && game.movedTroops.has(troop.id)) {
-            return;
+    if (settings.gameMode !== undefined) {
+        if (!GAME_MODES.includes(settings.gameMode)) {
+            return actionError(ERROR_CODES.INVALID_PAYLOAD, 'Invalid game mode');
         }
+        game.gameMode = settings.gameMode;
+        broadcastLobbyRoomStatus();
+    }
 
-        // In turn-based mode, only move troops belonging to the current player
-        if (game.gameMode === 'turns' && troop.ownerId !== game.currentTurn) {
-            return;
+    if (settings.movementMode) {
+        if (settings.movementMode !== 'automatic' && settings.movementMode !== 'manual') {
+            return actionError(ERROR_CODES.INVALID_PAYLOAD, 'Invalid movement mode');
         }
-        // Each troop moves a number of cells equal to their speed (at least 1 if speed > 0)
-        const movesPerTurn = troop.speed > 0 ? Math.max(1, Math.floor(troop.speed)) : 0;
-
-        if (movesPerTurn === 0) return; // Don't move if speed is 0 (walls, turrets)
-
-        const ownerBase = game.players[troop.ownerId];
-
-        // Determine target based on troop type
-        let targetGridX, targetGridY;
-
-        if (troop.type === 'defense' && ownerBase) {
-            // Walls and turrets don't move
-            if (troop.isWall || troop.isTurret) {
-                return;
-            }
+        game.movementMode = settings.movementMode;
+    }
 
-            // Non-wall defensive units automatically patrol and engage within their territory
-            // Find ALL enemy troops (not just in quadrant - to intercept)
-            const allEnemyTroops = game.troops.filter(t => t.ownerId !== troop.ownerId);
+    if (typeof settings.aiPlayerCount === 'number') {
+        const newAICount = clamp(Math.floor(settings.aiPlayerCount), 0, MAX_PLAYERS - 1);
+        game.aiPlayerCount = newAICount;
+    }
 
-            // Prioritize enemies in same quadrant
-            const enemyTroopsInTerritory = allEnemyTroops.filter(t =>
-                isInSameQuadrant(troop, t, ownerBase)
-            );
+    // AI skill settings (new)
+    if (typeof settings.aiDifficulty === 'string') {
+        game.aiDifficulty = normalizeAiSkill(settings.aiDifficulty);
+    }
+    if (Array.isArray(settings.aiPlayerSkills)) {
+        const sanitized = settings.aiPlayerSkills
+            .slice(0, MAX_PLAYERS - 1)
+            .map(s => normalizeAiSkill(s));
+        game.aiPlayerSkills = sanitized;
+    }
 
-            // Also check for enemies approaching the territory
-            const approachingEnemies = allEnemyTroops.filter(t => {
-                const distToBase = Math.abs(t.gridX - ownerBase.gridX) + Math.abs(t.gridY - ownerBase.gridY);
-                return distToBase < 8 && t.type === 'offense'; // Enemies within 8 cells of base
-            });
+    // Match seed: the same seed and the same actions replay to the same result
+    if (settings.seed !== undefined) {
+        const seed = normalizeSeed(settings.seed);
+        if (seed === null) {
+            return actionError(ERROR_CODES.INVALID_PAYLOAD, `Invalid seed (use a whole number from 0 to ${MAX_SEED})`);
+        }
+        seedGame(game, seed);
+    }
 
-            if (enemyTroopsInTerritory.length > 0) {
-                // Engage closest enemy in territory
-                let closest = enemyTroopsInTerritory[0];
-                let minDist = Math.abs(troop.gridX - closest.gridX) + Math.abs(troop.gridY - closest.gridY);
+    // Legacy: old clients may still send useMLAI boolean; map to global difficulty.
+    if (typeof settings.useMLAI === 'boolean') {
+        game.aiDifficulty = settings.useMLAI ? 'hardest' : 'normal';
+    }
 
-                for (const enemy of enemyTroopsInTerritory) {
-                    const dist = Math.abs(troop.gridX - enemy.gridX) + Math.abs(troop.gridY - enemy.gridY);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        closest = enemy;
-                    }
-                }
+    // Derived ML flags for UI (and for any server-side features keyed off game.useMLAI)
+    game.useMLAI = gameWantsML(game);
+    maybePopulateMlModelTimestamp(game);
 
-                targetGridX = closest.gridX;
-                targetGridY = closest.gridY;
-            } else if (approachingEnemies.length > 0) {
-                // Move towards approaching threats
-                let closest = approachingEnemies[0];
-                let minDist = Math.abs(troop.gridX - closest.gridX) + Math.abs(troop.gridY - closest.gridY);
-
-                for (const enemy of approachingEnemies) {
-                    const dist = Math.abs(troop.gridX - enemy.gridX) + Math.abs(troop.gridY - enemy.gridY);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        closest = enemy;
-                    }
-                }
+    broadcastGameState(game.id);
+    return null;
+}
 
-                // Move towards the direction of the threat (but stay in territory)
-                const dx = closest.gridX - troop.gridX;
-                const dy = closest.gridY - troop.gridY;
-                targetGridX = troop.gridX + Math.sign(dx);
-                targetGridY = troop.gridY + Math.sign(dy);
-            } else {
-                // Active patrol pattern when no threats
-                // Create a patrol pattern around the base
-                if (!troop.patrolTarget || Math.random() < 0.1) {
-                    // Pick a random patrol point within 2-6 cells of base
-                    const patrolDist = 2 + Math.floor(Math.random() * 5);
-                    const angle = Math.random() * Math.PI * 2;
-                    troop.patrolTarget = {
-                        x: Math.round(ownerBase.gridX + Math.cos(angle) * patrolDist),
-                        y: Math.round(ownerBase.gridY + Math.sin(angle) * patrolDist)
-                    };
-                }
+function forceStart(socket, game) {
+    const gameId = game.id;
 
-                targetGridX = troop.patrolTarget.x;
-                targetGridY = troop.patrolTarget.y;
+    // In team mode the seats that will be filled (players, then bots in free seats) need two teams
+    if (game.teamMode) {
+        const takenSlots = Object.values(game.players).map(p => p.slot);
+        const botSlots = game.terrain.spawns.map((_, slot) => slot)
+            .filter(slot => !takenSlots.includes(slot))
+            .slice(0, game.aiPlayerCount);
+        const slots = [...takenSlots, ...botSlots];
+        if (slots.length >= 2 && new Set(slots.map(slot => game.seatTeams[slot])).size < 2) {
+            return actionError(ERROR_CODES.INVALID_TEAMS, 'Everyone is on the same team; put a seat on another team first');
+        }
+    }
 
-                // If reached patrol target, pick new one
-                if (troop.gridX === targetGridX && troop.gridY === targetGridY) {
-                    troop.patrolTarget = null;
-                }
-            }
-        } else {
-            // Offensive units: pathfind to target base
-            const ensured = ensureLockedOffenseTarget(game, troop);
-            if (!ensured) return;
+    // Add AI players if configured (same starting elixir and deal as humans)
+    for (let i = 0; i < game.aiPlayerCount && getFreeSlot(game) !== -1; i++) {
+        const aiSkill = normalizeAiSkill((game.aiPlayerSkills && game.aiPlayerSkills[i]) || game.aiDifficulty);
+        const aiPlayer = addPlayer(game, `ai_${gameId}_${i}`, {
+            username: makeBotUsername(game),
+            slot: getFreeSlot(game),
+            isAI: true,
+            aiSkill,
+            useMLAI: aiSkill === 'hardest',
+            deck: getAIDeck(aiSkill)
+        });
+        console.log(`Added AI ${aiPlayer.username} (${aiSkill}), elixir: ${aiPlayer.elixir}`);
+    }
 
-            if (ensured.changed) {
-                // Target changed (only when prior target is invalid/eliminated or user retargets)
-                troop.path = [];
-            }
+    // Ensure derived ML flags/timestamp are set for UI once bots are created
+    game.useMLAI = gameWantsML(game);
+    maybePopulateMlModelTimestamp(game);
 
-            const targetBase = game.players[ensured.targetBaseId];
-            if (!targetBase || targetBase.eliminated) return;
+    const recording = createReplay(game);
+    const events = startGame(game);
+    if (game.status === 'playing') {
+        game.gameStartTime = Date.now();
+        matchRecordings[gameId] = recording;
+        console.log(`Game ${gameId} started in ${game.gameMode} mode. Players:`, Object.keys(game.players).length);
 
-            targetGridX = targetBase.gridX;
-            targetGridY = targetBase.gridY;
-        }
+        startGameLoop(gameId);
+        dispatchEngineEvents(gameId, events);
+        broadcastLobbyRoomStatus();
+    }
+    return null;
+}
 
-        if (targetGridX === undefined || targetGridY === undefined) return;
-
-        // If the target is the current tile (common for patrol units), force a 1-tile move
-        // so defensive units don't "stall". Offensive units should NOT do this: when they
-        // reach an enemy base they should stay and stack while attacking.
-        if (troop.type === 'defense' && troop.gridX === targetGridX && troop.gridY === targetGridY) {
-            const candidates = [
-                { x: troop.gridX + 1, y: troop.gridY },
-                { x: troop.gridX - 1, y: troop.gridY },
-                { x: troop.gridX, y: troop.gridY + 1 },
-                { x: troop.gridX, y: troop.gridY - 1 }
-            ].filter(p =>
-                p.x >= 0 && p.y >= 0 && p.x < GRID_SIZE && p.y < GRID_SIZE &&
-                !trenchSet.has(`${p.x},${p.y}`)
-            );
-            if (candidates.length > 0) {
-                const pick = candidates[Math.floor(Math.random() * candidates.length)];
-                targetGridX = pick.x;
-                targetGridY = pick.y;
-                troop.path = []; // force recalc
-            }
-        }
+// End the current turn regardless of who holds it (timer expiry, player left, AI done)
+function nextTurn(gameId) {
+    const game = games[gameId];
+    if (!game || game.status !== 'playing') return;
 
-        // Calculate path if we don't have one
-        if (!troop.path || troop.path.length === 0) {
-            // Offensive troops: recoded pathfinding (simple BFS, no heuristics)
-            if (troop.type === 'offense') {
-                if (troop.gridX === targetGridX && troop.gridY === targetGridY) {
-                    troop.path = [];
-                    return;
-                }
+    // Logged as the current player's endTurn so replays advance at the same point
+    const { events } = applyRecordedAction(gameId, { type: 'endTurn', playerId: game.currentTurn });
+    dispatchEngineEvents(gameId, events);
+}
 
-                let path = null;
-
-                // Split-bridge behavior (neighboring bases only): alternate offensive troops across the two bridges.
-                const ownerBase = game.players[troop.ownerId];
-                const targetBase = troop.targetBaseId ? game.players[troop.targetBaseId] : null;
-                const bridges = game.terrain.bridges || [];
-                const targetIsNeighboring = ownerBase && targetBase &&
-                    isNeighboringPlayer(ownerBase.gridX, ownerBase.gridY, targetGridX, targetGridY);
-
-                if (targetIsNeighboring && bridges.length > 0) {
-                    const twoBridges = getTwoBridgesForNeighbor(ownerBase, { gridX: targetGridX, gridY: targetGridY }, bridges);
-                    if (twoBridges && twoBridges.length >= 2) {
-                        const idx = getOrAssignSplitBridgeIndex(game, troop);
-                        const bridgeToUse = twoBridges[idx] || twoBridges[0];
-                        if (bridgeToUse) {
-                            const pathToBridge = findOffensivePath(troop.gridX, troop.gridY, bridgeToUse.x, bridgeToUse.y, trenchSet);
-                            const pathBridgeToBase = findOffensivePath(bridgeToUse.x, bridgeToUse.y, targetGridX, targetGridY, trenchSet);
-                            if (pathToBridge.length > 0 && pathBridgeToBase.length > 0) {
-                                path = [...pathToBridge, ...pathBridgeToBase];
-                            }
-                        }
-                    }
-                }
+// Resolve a simultaneous round with the orders that are in (timer expiry, or
+// the last player still planning left)
+function lockInRound(gameId) {
+    const game = games[gameId];
+    if (!game || game.status !== 'playing') return;
 
-                // Fallback: direct shortest path to base
-                if (!path || path.length === 0) {
-                    path = findOffensivePath(troop.gridX, troop.gridY, targetGridX, targetGridY, trenchSet);
-                }
+    const { events } = applyRecordedAction(gameId, { type: 'lockInRound' });
+    dispatchEngineEvents(gameId, events);
+}
 
-                if (!path || path.length === 0) {
-                    console.log(`⚠️ Offense troop ${troop.id} (${troop.name}) has no path to target (${targetGridX}, ${targetGridY})!`);
-                    return;
-                }
 
-                troop.path = path;
-            } else {
-                // Defensive troops: keep existing general pathing
-                const bridges = game.terrain.bridges || [];
-                const path = findPath(troop.gridX, troop.gridY, targetGridX, targetGridY, trenchSet, bridges);
-                if (!path || path.length === 0) {
-                    return;
-                }
-                troop.path = path;
-            }
+function resetGame(gameId) {
+    const game = games[gameId];
+    if (game) {
+        // Clear any scheduled reset for this room
+        if (game.resetTimeoutId) {
+            clearTimeout(game.resetTimeoutId);
+            game.resetTimeoutId = null;
         }
 
-        // Move along the path
-        for (let i = 0; i < movesPerTurn && troop.path && troop.path.length > 0; i++) {
-            const nextStep = troop.path[0];
-
-            // REMOVED RETREAT CHECK - Offensive troops should always follow their calculated path
-            // The pathfinding algorithm will handle routing to the target efficiently
+        // Clean up intervals to prevent memory leaks
+        if (game.elixirRegenInterval) {
+            clearInterval(game.elixirRegenInterval);
+            game.elixirRegenInterval = null;
+        }
 
-            // Store old position for defensive troop damage check
-            const oldGridX = troop.gridX;
-            const oldGridY = troop.gridY;
+        // Clean up any AI action timeouts
+        if (game.aiActionTimeouts) {
+            Object.values(game.aiActionTimeouts).forEach(timeout => {
+                if (timeout) clearTimeout(timeout);
+            });
+            game.aiActionTimeouts = {};
+        }
 
-            // Check if moving away from defensive troops and apply damage
-            applyDefensiveTroopDamage(game, troop, oldGridX, oldGridY, nextStep.x, nextStep.y);
+        // A match reset before it finished leaves no replay
+        delete matchRecordings[gameId];
 
-            // If troop died from defensive damage, stop moving
-            const troopStillExists = game.troops.find(t => t.id === troop.id);
-            if (!troopStillExists) {
-                break;
-            }
+        // Notify all players (and spectators) that room is resetting
+        emitToRoom(gameId, 'roomReset');
+        io.in(spectatorRoom(gameId)).socketsLeave(spectatorRoom(gameId));
+        delete spectators[gameId];
 
-            // Move to next step
-            troop.gridX = nextStep.x;
-            troop.gridY = nextStep.y;
-            troop.x = troop.gridX * CELL_SIZE + CELL_SIZE / 2;
-            troop.y = troop.gridY * CELL_SIZE + CELL_SIZE / 2;
-
-            // Remove this step from path
-            troop.path.shift();
-
-            // If we're getting close to the end, defensive units may recalculate their path.
-            // Offensive units use the recoded pathfinder and do not need mid-move heuristics.
-            if (troop.type === 'defense' && troop.path.length < 3) {
-                const dist = Math.abs(troop.gridX - targetGridX) + Math.abs(troop.gridY - targetGridY);
-                if (dist > 1) {
-                    const bridges = game.terrain.bridges || [];
-                    const path = findPath(troop.gridX, troop.gridY, targetGridX, targetGridY, trenchSet, bridges);
-                    if (path && path.length > 0) {
-                        troop.path = path;
-                    }
-                }
-            }
-        }
-    });
+        // Delete the game to reset it
+        delete games[gameId];
+        forgetSentStates(gameId);
+        touchRoom(gameId);
+        console.log(`Room ${gameId} has been reset`);
+        broadcastLobbyRoomStatus();
+    }
 }
 
 function startGameLoop(gameId) {
@@ -4119,23 +3612,30 @@ function startGameLoop(gameId) {
 
         // Update turn timer (turn-based only; live mode removed)
         const elapsed = (now - game.turnStartTime) / 1000;
-        game.turnTimeRemaining = Math.max(0, TURN_DURATION - elapsed);
+        game.turnTimeRemaining = Math.max(0, getRules(game).turnDuration - elapsed);
 
-        // Auto-advance turn when time runs out
+        // Auto-advance turn (or lock in the round) when time runs out
         if (game.turnTimeRemaining <= 0) {
-            nextTurn(gameId);
+            if (game.gameMode === 'simultaneous') {
+                lockInRound(gameId);
+            } else {
+                nextTurn(gameId);
+            }
             return;
         }
 
-        // Update troop grid positions
-        game.troops.forEach(troop => {
-            // Update grid position based on pixel position
-            troop.gridX = Math.floor(troop.x / CELL_SIZE);
-            troop.gridY = Math.floor(troop.y / CELL_SIZE);
-        });
-
-        io.to(gameId).emit('gameState', serializeGameState(game));
-    }, 1000 / 60); // 60 FPS for smooth gameplay
+        // Nothing else changes between actions (the engine keeps troop grid
+        // positions in step), so only the clock goes out from here
+        if (now - (game.lastTimerTick || 0) >= TIMER_TICK_INTERVAL) {
+            game.lastTimerTick = now;
+            emitToRoom(gameId, 'turnTimer', {
+                gameId,
+                version: game.stateVersion,
+                currentTurn: game.currentTurn,
+                turnTimeRemaining: game.turnTimeRemaining
+            });
+        }
+    }, 1000 / 60); // 60 FPS turn clock
 }
 
 // ============================================================================
@@ -4160,59 +3660,17 @@ async function runTrainingGame() {
         const game = createGame(trainingGameId);
         game.isTrainingGame = true; // Mark as training game
         game.trainingData = []; // Store decisions made during this game
-
-        // Set game to playing immediately (no lobby)
-        game.status = 'playing';
-        game.gameStartTime = Date.now();
-        game.gameMode = 'turns';
         game.movementMode = 'automatic';
 
-        // Add two AI players: one with ML mode, one baseline
-        const positions = [
-            { gridX: 20, gridY: 4, color: '#00BFFF' },   // Top
-            { gridX: 20, gridY: 36, color: '#32CD32' }  // Bottom
-        ];
-
-        // ML AI player
+        // Add two AI players at the top and bottom bases: one with ML mode, one baseline
         const mlAiId = 'ml_ai';
-        game.players[mlAiId] = {
-            id: mlAiId,
-            username: 'MLBot',
-            isAI: true,
-            useMLAI: true, // Enable ML mode
-            ...positions[0],
-            x: positions[0].gridX * CELL_SIZE + CELL_SIZE / 2,
-            y: positions[0].gridY * CELL_SIZE + CELL_SIZE / 2,
-            baseHp: 1000,
-            elixir: 8,
-            hand: getRandomHand(),
-            eliminated: false
-        };
-        game.players[mlAiId].nextCard = getBalancedCard(game.players[mlAiId].hand, 0);
-
-        // Baseline AI player
         const baselineAiId = 'baseline_ai';
-        game.players[baselineAiId] = {
-            id: baselineAiId,
-            username: 'BaselineBot',
-            isAI: true,
-            useMLAI: false, // Normal mode
-            ...positions[1],
-            x: positions[1].gridX * CELL_SIZE + CELL_SIZE / 2,
-            y: positions[1].gridY * CELL_SIZE + CELL_SIZE / 2,
-            baseHp: 1000,
-            elixir: 8,
-            hand: getRandomHand(),
-            eliminated: false
-        };
-        game.players[baselineAiId].nextCard = getBalancedCard(game.players[baselineAiId].hand, 0);
+        addPlayer(game, mlAiId, { username: 'MLBot', slot: 0, isAI: true, useMLAI: true });
+        addPlayer(game, baselineAiId, { username: 'BaselineBot', slot: 2, isAI: true, useMLAI: false });
 
-        // Set turn order
-        game.turnOrder = [mlAiId, baselineAiId];
-        game.currentTurn = game.turnOrder[0];
-        game.turnStartTime = Date.now();
-        game.turnTimeRemaining = TURN_DURATION;
-        game.turnNumber = 1;
+        // Set game to playing immediately (no lobby)
+        startGame(game);
+        game.gameStartTime = Date.now();
 
         // Store the game temporarily
         games[trainingGameId] = game;
@@ -4220,138 +3678,70 @@ async function runTrainingGame() {
         // Fast-forward game loop (no graphics, accelerated turns)
         const maxTurns = 2000; // Increased limit to allow games to finish
         let turnCount = 0;
-
-        const gameInterval = setInterval(async () => {
-            const g = games[trainingGameId];
-            if (!g || g.status !== 'playing') {
-                clearInterval(gameInterval);
-
-                // Determine winner
-                const activePlayers = Object.values(game.players).filter(p => !p.eliminated);
-                const winner = activePlayers.length === 1 ? activePlayers[0] : null;
-
-                // Label training data based on outcome
-                const mlWon = winner && winner.id === mlAiId;
-                const baselineWon = winner && winner.id === baselineAiId;
-
-                if (game.trainingData && game.trainingData.length > 0) {
-                    game.trainingData.forEach(sample => {
-                        // Label: 1 if the player who made this decision won, 0 if lost, 0.5 if draw
-                        let label = 0.5;
-                        if (sample.playerId === mlAiId) {
-                            label = mlWon ? 1 : (baselineWon ? 0 : 0.5);
-                        } else if (sample.playerId === baselineAiId) {
-                            label = baselineWon ? 1 : (mlWon ? 0 : 0.5);
-                        }
-
-                        // Only add non-draw samples for ML player
-                        if (sample.playerId === mlAiId && label !== 0.5) {
-                            trainingState.trainingDataBuffer.push({
-                                features: sample.features,
-                                label: label
-                            });
-                        }
+        let stepping = false;
+
+        const finish = (winner) => {
+            clearInterval(gameInterval);
+
+            // Label training data based on outcome
+            const mlWon = !!winner && winner.id === mlAiId;
+            const baselineWon = !!winner && winner.id === baselineAiId;
+
+            // Only decisive games produce samples, and only the ML player's decisions are kept.
+            // Label: 1 if the ML player won, 0 if it lost.
+            if (winner) {
+                game.trainingData
+                    .filter(sample => sample.playerId === mlAiId)
+                    .forEach(sample => {
+                        trainingState.trainingDataBuffer.push({
+                            features: sample.features,
+                            label: mlWon ? 1 : 0
+                        });
                     });
-                }
-
-                // Clean up
-                delete games[trainingGameId];
-
-                resolve({
-                    mlWon: mlWon,
-                    baselineWon: baselineWon,
-                    draw: !winner,
-                    turns: turnCount
-                });
-                return;
             }
 
-            // Fast turn simulation
-            const currentPlayer = g.players[g.currentTurn];
-            if (currentPlayer && currentPlayer.isAI) {
-                try {
-                    await makeAIMoves(trainingGameId, currentPlayer.id);
-                } catch (err) {
-                    console.error('Error in training game AI moves:', err);
-                }
-            }
-
-            // Apply combat
-            applyCombatDamage(g, trainingGameId);
-
-            // Move troops
-            moveTroopsOnTurnEnd(g, false);
+            // Clean up
+            delete games[trainingGameId];
 
-            // Check for winner
-            const activePlayers = Object.values(g.players).filter(p => !p.eliminated);
-            if (activePlayers.length <= 1) {
-                g.status = 'ended';
-                clearInterval(gameInterval);
-
-                const winner = activePlayers.length === 1 ? activePlayers[0] : null;
-
-                // Label training data based on outcome
-                const mlWon = winner && winner.id === mlAiId;
-                const baselineWon = winner && winner.id === baselineAiId;
-
-                if (g.trainingData && g.trainingData.length > 0) {
-                    g.trainingData.forEach(sample => {
-                        let label = 0.5;
-                        if (sample.playerId === mlAiId) {
-                            label = mlWon ? 1 : (baselineWon ? 0 : 0.5);
-                        } else if (sample.playerId === baselineAiId) {
-                            label = baselineWon ? 1 : (mlWon ? 0 : 0.5);
-                        }
+            resolve({
+                mlWon,
+                baselineWon,
+                draw: !winner,
+                turns: turnCount
+            });
+        };
 
-                        // Only add non-draw samples for ML player
-                        if (sample.playerId === mlAiId && label !== 0.5) {
-                            trainingState.trainingDataBuffer.push({
-                                features: sample.features,
-                                label: label
-                            });
-                        }
-                    });
+        const gameInterval = setInterval(async () => {
+            // AI moves can take longer than one tick when the model is consulted
+            if (stepping) return;
+            stepping = true;
+
+            try {
+                // Fast turn simulation: the AI plays, then the engine resolves the turn
+                const currentPlayer = game.players[game.currentTurn];
+                if (currentPlayer && currentPlayer.isAI) {
+                    try {
+                        await makeAIMoves(trainingGameId, currentPlayer.id);
+                    } catch (err) {
+                        console.error('Error in training game AI moves:', err);
+                    }
                 }
 
-                delete games[trainingGameId];
-
-                resolve({
-                    mlWon: mlWon,
-                    baselineWon: baselineWon,
-                    draw: !winner,
-                    turns: turnCount
-                });
-                return;
-            }
-
-            // Advance turn
-            turnCount++;
-            if (turnCount >= maxTurns) {
-                // Force end on timeout
-                g.status = 'ended';
-                clearInterval(gameInterval);
-                delete games[trainingGameId];
-
-                resolve({
-                    mlWon: false,
-                    baselineWon: false,
-                    draw: true,
-                    turns: turnCount
-                });
-                return;
-            }
-
-            // Next turn
-            const currentIndex = g.turnOrder.indexOf(g.currentTurn);
-            const nextIndex = (currentIndex + 1) % g.turnOrder.length;
-            g.currentTurn = g.turnOrder[nextIndex];
-            g.turnStartTime = Date.now();
-            g.turnNumber++;
-
-            // Give elixir
-            const nextPlayer = g.players[g.currentTurn];
-            if (nextPlayer) {
-                nextPlayer.elixir = clamp((nextPlayer.elixir || 0) + 6, 0, 15);
+                const events = advanceTurn(game);
+                turnCount++;
+
+                const gameOver = events.find(e => e.type === 'gameOver');
+                if (gameOver) {
+                    const winner = gameOver.winnerId ? game.players[gameOver.winnerId] : null;
+                    recordGameOutcome(trainingGameId, winner ? [winner] : []);
+                    finish(winner);
+                } else if (game.status !== 'playing' || turnCount >= maxTurns) {
+                    // Force end on timeout
+                    game.status = 'ended';
+                    finish(null);
+                }
+            } finally {
+                stepping = false;
             }
         }, 50); // Fast simulation: 50ms per turn
     });
@@ -4409,23 +3799,15 @@ async function runTrainingLoop() {
                     console.log(`   Neural net trained - Loss: ${trainingResult.loss.toFixed(4)}, Acc: ${(trainingResult.accuracy * 100).toFixed(1)}%`);
                 }
 
-                // Update model metadata after each block
-                try {
-                    const modelData = fs.existsSync(ML_MODEL_FILE)
-                        ? JSON.parse(fs.readFileSync(ML_MODEL_FILE, 'utf8'))
-                        : {};
-
-                    modelData.lastUpdated = Date.now();
-                    modelData.sampleCount = (modelData.sampleCount || 0) + blockSize;
-                    modelData.mlWinRate = mlWinRate;
-                    modelData.baselineWinRate = baselineWinRate;
-                    modelData.trainingGames = trainingState.gamesCompleted;
-
-                    // Note: Weights are already saved by saveMLModel() after training
-                    fs.writeFileSync(ML_MODEL_FILE, JSON.stringify(modelData, null, 2), 'utf8');
-                } catch (err) {
-                    console.error('Error updating model file:', err);
-                }
+                // Checkpoint the model (new weights, if trained) with this block's metadata
+                mlModelMeta = {
+                    ...mlModelMeta,
+                    sampleCount: ((mlModelMeta && mlModelMeta.sampleCount) || 0) + blockSize,
+                    mlWinRate,
+                    baselineWinRate,
+                    trainingGames: trainingState.gamesCompleted
+                };
+                await saveMLModel();
             }
         } catch (err) {
             console.error('Training game error:', err);
@@ -4516,26 +3898,50 @@ io.on('connection', (socket) => {
             }
         };
 
-        // Try to load model metadata
-        try {
-            if (fs.existsSync(ML_MODEL_FILE)) {
-                const modelData = JSON.parse(fs.readFileSync(ML_MODEL_FILE, 'utf8'));
-                statsWithTraining.mlModel = {
-                    lastUpdated: modelData.lastUpdated,
-                    sampleCount: modelData.sampleCount,
-                    mlWinRate: modelData.mlWinRate,
-                    baselineWinRate: modelData.baselineWinRate,
-                    trainingGames: modelData.trainingGames
-                };
-            }
-        } catch (err) {
-            // Model file doesn't exist yet
+        if (mlModelMeta) {
+            statsWithTraining.mlModel = {
+                lastUpdated: mlModelMeta.lastUpdated,
+                sampleCount: mlModelMeta.sampleCount,
+                mlWinRate: mlModelMeta.mlWinRate,
+                baselineWinRate: mlModelMeta.baselineWinRate,
+                trainingGames: mlModelMeta.trainingGames
+            };
         }
 
         socket.emit('aiStats', statsWithTraining);
     });
 });
 
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT} and accessible on all interfaces`);
+// Load everything persisted before accepting players
+async function startServer() {
+    await storage.open();
+
+    aiStats = normalizeAIStats(await storage.loadStats(), await storage.loadHistory());
+    console.log(`Loaded AI statistics: ${aiStats.totalGames} games, ${aiStats.wins} wins, ${aiStats.losses} losses`);
+
+    (await storage.loadAccounts()).forEach(account => {
+        accounts[account.id] = account;
+    });
+    console.log(`Loaded ${Object.keys(accounts).length} player accounts`);
+
+    const checkpoint = await storage.loadLatestModel();
+    if (checkpoint) {
+        const { weights, ...meta } = checkpoint;
+        mlModelMeta = meta;
+    }
+    mlModel = await loadMLModel(checkpoint);
+
+    setInterval(cleanupIdleRooms, ROOM_CLEANUP_INTERVAL);
+    if (process.env.NODE_ENV !== 'production') {
+        watchCardCatalog();
+    }
+
+    server.listen(PORT, '0.0.0.0', () => {
+        console.log(`Server running on port ${PORT} and accessible on all interfaces`);
+    });
+}
+
+startServer().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
 });
@@ -0,0 +1,60 @@
+// Player ratings: multiplayer Elo over the final standings of a match.
+// Pure functions; the accounts code in index.js applies the results.
+
+const STARTING_RATING = 1200;
+const RATING_K = 32;
+// Bots are rated opponents too, at a fixed rating per skill
+const AI_RATINGS = { easy: 1000, normal: 1200, hard: 1400, hardest: 1600 };
+
+// Where a player finished; higher is better. The winners, then survivors, then
+// players by the turn their base fell (later is better), then players who left
+// with their base still up.
+function getStanding(player, winners, leavers) {
+    if (winners.some(w => w.id === player.id)) return Infinity;
+    if (player.eliminated) return player.eliminatedOnTurn || 0;
+    if (leavers.includes(player)) return -1;
+    return Number.MAX_SAFE_INTEGER;
+}
+
+// Team mode: every entry with a team takes the best standing among its
+// teammates, so a team places (and is rated) as one. entries: [{ standing, team }]
+function shareTeamStandings(entries) {
+    entries.forEach(entry => {
+        if (entry.team === null) return;
+        entry.standing = Math.max(...entries.filter(other => other.team === entry.team).map(other => other.standing));
+    });
+    return entries;
+}
+
+// Multiplayer Elo: each pair of players is scored as a head-to-head game
+// (finished higher = win, same standing = draw) and the K factor is shared
+// across all opponents. entries: [{ rating, standing }] -> rating change per entry
+function computeRatingChanges(entries) {
+    const opponents = entries.length - 1;
+    return entries.map((entry, i) => {
+        if (opponents < 1) return 0;
+        let total = 0;
+        entries.forEach((other, j) => {
+            if (i === j) return;
+            const expected = 1 / (1 + Math.pow(10, (other.rating - entry.rating) / 400));
+            const score = entry.standing > other.standing ? 1 : entry.standing < other.standing ? 0 : 0.5;
+            total += score - expected;
+        });
+        return Math.round((RATING_K / opponents) * total);
+    });
+}
+
+// 1 for the best standing; players on the same standing share a place
+function getPlace(entries, standing) {
+    return 1 + entries.filter(other => other.standing > standing).length;
+}
+
+module.exports = {
+    STARTING_RATING,
+    RATING_K,
+    AI_RATINGS,
+    getStanding,
+    shareTeamStandings,
+    computeRatingChanges,
+    getPlace
+};
@@ -0,0 +1,139 @@
+// Persistence for everything that outlives a room: AI stats and game history,
+// ML model checkpoints, player accounts and replays.
+//
+// Two backends implement the same async interface:
+//   open(), close()
+//   getSchemaVersion(), setSchemaVersion(version)
+//   loadStats(), saveStats(stats)
+//   loadHistory(), appendHistory(entry)                 history is capped at limits.history
+//   loadLatestModel(), saveModelCheckpoint(model)       keeps limits.modelCheckpoints
+//   loadAccounts(), saveAccount(account)
+//   saveReplay(id, replay, summary), loadReplay(id), listReplays()   keeps limits.replays
+//
+// Callers may fire and forget writes. The JSON backend writes files
+// asynchronously; the SQLite backend (synchronous better-sqlite3) queues writes
+// and commits them in one short transaction every 250 ms, so the game loop
+// pays for one disk sync per batch rather than one per record.
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+const { createSqliteStore } = require('./sqliteStore');
+const { summarizeReplay } = require('../engine');
+
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_LIMITS = {
+    history: 100,
+    modelCheckpoints: 5,
+    replays: 50
+};
+
+const BACKENDS = {
+    json: createJsonStore,
+    sqlite: createSqliteStore
+};
+
+function readLegacyJson(file) {
+    try {
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    } catch (error) {
+        console.error(`Skipping unreadable legacy file ${file}:`, error.message);
+        return null;
+    }
+}
+
+// Version 0 -> 1: pick up the loose files older servers wrote next to index.js
+// (ai_stats.json, ml_model.json, accounts.json, replays/). They are left in place.
+// Returns the queued writes; nothing is awaited in between, so the SQLite
+// backend commits the whole import (and the version) as one transaction.
+// Accounts and replays are keyed, so a second run after a crash overwrites
+// them; history and the model only go into a store that has none yet.
+function importLegacyFiles(store, { legacyDir, limits, existing }) {
+    const writes = [];
+    if (!legacyDir) return writes;
+
+    const stats = readLegacyJson(path.join(legacyDir, 'ai_stats.json'));
+    if (stats) {
+        const { gameHistory, ...aggregate } = stats;
+        writes.push(store.saveStats(aggregate));
+        if (existing.history === 0 && Array.isArray(gameHistory)) {
+            gameHistory.slice(-limits.history).forEach(entry => writes.push(store.appendHistory(entry)));
+        }
+        console.log('📦 Importing ai_stats.json');
+    }
+
+    const model = existing.model ? null : readLegacyJson(path.join(legacyDir, 'ml_model.json'));
+    if (model) {
+        writes.push(store.saveModelCheckpoint(model));
+        console.log('📦 Importing ml_model.json');
+    }
+
+    const accounts = readLegacyJson(path.join(legacyDir, 'accounts.json'));
+    if (accounts && accounts.accounts) {
+        Object.values(accounts.accounts).forEach(account => writes.push(store.saveAccount(account)));
+        console.log(`📦 Importing ${Object.keys(accounts.accounts).length} accounts`);
+    }
+
+    const replaysDir = path.join(legacyDir, 'replays');
+    const replayFiles = fs.existsSync(replaysDir)
+        ? fs.readdirSync(replaysDir).filter(name => name.endsWith('.json')).sort().slice(-limits.replays)
+        : [];
+    replayFiles.forEach(name => {
+        const replay = readLegacyJson(path.join(replaysDir, name));
+        if (!replay) return;
+        const id = name.slice(0, -'.json'.length);
+        writes.push(store.saveReplay(id, replay, summarizeReplay(id, replay)));
+    });
+    if (replayFiles.length > 0) {
+        console.log(`📦 Importing ${replayFiles.length} replays`);
+    }
+    return writes;
+}
+
+const MIGRATIONS = {
+    1: importLegacyFiles
+};
+
+// Each migration queues its writes and the new version together, then waits once
+async function migrate(store, { legacyDir, limits }) {
+    const version = await store.getSchemaVersion();
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Storage schema ${version} is newer than this server supports (${SCHEMA_VERSION})`);
+    }
+
+    for (let next = version + 1; next <= SCHEMA_VERSION; next++) {
+        const existing = {
+            history: (await store.loadHistory()).length,
+            model: !!(await store.loadLatestModel())
+        };
+        const writes = MIGRATIONS[next](store, { legacyDir, limits, existing });
+        await Promise.all([...writes, store.setSchemaVersion(next)]);
+        console.log(`📦 Storage schema migrated to version ${next}`);
+    }
+}
+
+// backend: 'json' (default) or 'sqlite'; dir: where the data lives;
+// legacyDir: where pre-storage servers kept their files
+function createStorage({ backend = 'json', dir, legacyDir, limits = {} }) {
+    const createStore = BACKENDS[backend];
+    if (!createStore) {
+        throw new Error(`Unknown storage backend "${backend}" (use ${Object.keys(BACKENDS).join(' or ')})`);
+    }
+
+    const storeLimits = { ...DEFAULT_LIMITS, ...limits };
+    const store = createStore({ dir, limits: storeLimits });
+    const open = store.open;
+    store.open = async () => {
+        await open();
+        await migrate(store, { legacyDir, limits: storeLimits });
+        console.log(`💾 Using ${store.name} storage in ${dir}`);
+    };
+    return store;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    DEFAULT_LIMITS,
+    createStorage
+};
@@ -0,0 +1,169 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// JSON-file backend: one file per record set under `dir`, every write atomic
+// (temp file + rename) and queued per file so writes land in call order.
+//
+//   meta.json            { schemaVersion }
+//   stats.json           aggregate AI statistics
+//   history.json         recent game results (oldest first)
+//   accounts.json        { [accountId]: account }
+//   models/<n>.json      model checkpoints
+//   replays/index.json   replay summaries (oldest first)
+//   replays/<id>.json    full replays
+function createJsonStore({ dir, limits }) {
+    const writes = new Map(); // file -> last queued write
+    let history = [];
+    let accounts = {};
+    let replayIndex = [];
+    let lastCheckpointId = 0;
+
+    const filePath = name => path.join(dir, name);
+
+    async function readJson(name, fallback) {
+        const file = filePath(name);
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+
+            // Keep the unreadable file for inspection and carry on with the fallback
+            const backup = `${file}.corrupt.${Date.now()}`;
+            await fs.rename(file, backup).catch(() => {});
+            console.error(`Could not read ${name}, moved it to ${backup}:`, error.message);
+            return fallback;
+        }
+    }
+
+    function writeJson(name, value) {
+        const file = filePath(name);
+        const text = JSON.stringify(value); // snapshot now; callers keep mutating their objects
+        const previous = writes.get(file) || Promise.resolve();
+
+        const write = previous.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const temp = `${file}.tmp`;
+            await fs.writeFile(temp, text, 'utf8');
+            await fs.rename(temp, file);
+        });
+
+        writes.set(file, write);
+        const forget = () => {
+            if (writes.get(file) === write) writes.delete(file);
+        };
+        write.then(forget, forget);
+        return write;
+    }
+
+    async function removeFile(name) {
+        await fs.unlink(filePath(name)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+
+    async function listCheckpointIds() {
+        const names = await fs.readdir(filePath('models')).catch(() => []);
+        return names
+            .filter(name => /^\d+\.json$/.test(name))
+            .map(name => parseInt(name, 10))
+            .sort((a, b) => a - b);
+    }
+
+    return {
+        name: 'json',
+
+        async open() {
+            await fs.mkdir(dir, { recursive: true });
+            history = await readJson('history.json', []);
+            accounts = await readJson('accounts.json', {});
+            replayIndex = await readJson('replays/index.json', []);
+            const checkpointIds = await listCheckpointIds();
+            lastCheckpointId = checkpointIds.length > 0 ? checkpointIds[checkpointIds.length - 1] : 0;
+        },
+
+        async getSchemaVersion() {
+            const meta = await readJson('meta.json', {});
+            return meta.schemaVersion || 0;
+        },
+
+        async setSchemaVersion(version) {
+            await writeJson('meta.json', { schemaVersion: version });
+        },
+
+        loadStats() {
+            return readJson('stats.json', null);
+        },
+
+        saveStats(stats) {
+            return writeJson('stats.json', stats);
+        },
+
+        async loadHistory() {
+            return history.slice();
+        },
+
+        appendHistory(entry) {
+            history.push(entry);
+            if (history.length > limits.history) {
+                history = history.slice(-limits.history);
+            }
+            return writeJson('history.json', history);
+        },
+
+        async loadLatestModel() {
+            const ids = await listCheckpointIds();
+            if (ids.length === 0) return null;
+            return readJson(`models/${ids[ids.length - 1]}.json`, null);
+        },
+
+        async saveModelCheckpoint(model) {
+            // Ids only go up, even if the clock does not
+            lastCheckpointId = Math.max(Date.now(), lastCheckpointId + 1);
+            await writeJson(`models/${lastCheckpointId}.json`, model);
+
+            const ids = await listCheckpointIds();
+            for (const id of ids.slice(0, Math.max(0, ids.length - limits.modelCheckpoints))) {
+                await removeFile(`models/${id}.json`);
+            }
+        },
+
+        async loadAccounts() {
+            return Object.values(accounts);
+        },
+
+        saveAccount(account) {
+            accounts[account.id] = account;
+            return writeJson('accounts.json', accounts);
+        },
+
+        async saveReplay(id, replay, summary) {
+            await writeJson(`replays/${id}.json`, replay);
+            // Concurrent saves can finish out of order; the index stays sorted by end time
+            replayIndex = replayIndex.filter(s => s.id !== id);
+            replayIndex.push(summary);
+            replayIndex.sort((a, b) => a.endedAt - b.endedAt);
+
+            const expired = replayIndex.slice(0, Math.max(0, replayIndex.length - limits.replays));
+            replayIndex = replayIndex.slice(expired.length);
+            await writeJson('replays/index.json', replayIndex);
+            for (const old of expired) {
+                await removeFile(`replays/${old.id}.json`);
+            }
+        },
+
+        loadReplay(id) {
+            if (!replayIndex.some(s => s.id === id)) return Promise.resolve(null);
+            return readJson(`replays/${id}.json`, null);
+        },
+
+        async listReplays() {
+            return replayIndex.slice().reverse();
+        },
+
+        async close() {
+            await Promise.all(Array.from(writes.values()).map(write => write.catch(() => {})));
+        }
+    };
+}
+
+module.exports = { createJsonStore };
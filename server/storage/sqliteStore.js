@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite backend: a single database file. Records are stored as JSON text;
+// the columns exist only for lookups, ordering and retention. The schema
+// version lives in PRAGMA user_version.
+//
+// better-sqlite3 runs on the calling thread, so writes are not run when they
+// are made: they queue up and land together in one transaction every
+// FLUSH_DELAY_MS. Each write is still atomic on its own (a savepoint inside
+// the batch), and its promise settles once the batch is committed. Reads
+// flush the queue first, so they always see earlier writes.
+const FLUSH_DELAY_MS = 250;
+
+function createSqliteStore({ dir, limits }) {
+    let db = null;
+    let queue = []; // { write, resolve, reject } in call order
+    let flushTimer = null;
+
+    const SCHEMA = `
+        CREATE TABLE IF NOT EXISTS stats (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS game_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS model_checkpoints (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS accounts (
+            id TEXT PRIMARY KEY,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS replays (
+            id TEXT PRIMARY KEY,
+            ended_at INTEGER NOT NULL,
+            summary TEXT NOT NULL,
+            data TEXT NOT NULL
+        );
+    `;
+
+    // Keep only the newest `limit` rows of a table (by insertion order)
+    function prune(table, orderColumn, limit) {
+        db.prepare(`
+            DELETE FROM ${table} WHERE rowid NOT IN (
+                SELECT rowid FROM ${table} ORDER BY ${orderColumn} DESC LIMIT ?
+            )
+        `).run(limit);
+    }
+
+    // Run write() with the next batch. Callers serialize their records before
+    // queueing, since they keep changing their objects in the meantime.
+    function queueWrite(write) {
+        return new Promise((resolve, reject) => {
+            queue.push({ write, resolve, reject });
+            if (!flushTimer) flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        });
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        const batch = queue;
+        queue = [];
+        if (batch.length === 0) return;
+
+        const failed = new Map(); // entry -> error; the rest of the batch still commits
+        try {
+            db.transaction(() => {
+                batch.forEach(entry => {
+                    try {
+                        db.transaction(entry.write)();
+                    } catch (error) {
+                        failed.set(entry, error);
+                    }
+                });
+            })();
+        } catch (error) {
+            batch.forEach(entry => entry.reject(error));
+            return;
+        }
+        batch.forEach(entry => (failed.has(entry) ? entry.reject(failed.get(entry)) : entry.resolve()));
+    }
+
+    return {
+        name: 'sqlite',
+
+        async open() {
+            // Loaded here so the JSON backend works without the native module
+            const Database = require('better-sqlite3');
+            fs.mkdirSync(dir, { recursive: true });
+            db = new Database(path.join(dir, 'oceanic.db'));
+            db.pragma('journal_mode = WAL');
+            db.exec(SCHEMA);
+        },
+
+        async getSchemaVersion() {
+            flush();
+            return db.pragma('user_version', { simple: true });
+        },
+
+        // Queued like a record write, so it commits together with the writes of a migration
+        async setSchemaVersion(version) {
+            return queueWrite(() => {
+                db.pragma(`user_version = ${Number(version)}`);
+            });
+        },
+
+        async loadStats() {
+            flush();
+            const row = db.prepare('SELECT data FROM stats WHERE id = 1').get();
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async saveStats(stats) {
+            const data = JSON.stringify(stats);
+            return queueWrite(() => {
+                db.prepare('INSERT INTO stats (id, data) VALUES (1, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data')
+                    .run(data);
+            });
+        },
+
+        async loadHistory() {
+            flush();
+            return db.prepare('SELECT data FROM game_history ORDER BY id').all().map(row => JSON.parse(row.data));
+        },
+
+        async appendHistory(entry) {
+            const data = JSON.stringify(entry);
+            return queueWrite(() => {
+                db.prepare('INSERT INTO game_history (data) VALUES (?)').run(data);
+                prune('game_history', 'id', limits.history);
+            });
+        },
+
+        async loadLatestModel() {
+            flush();
+            const row = db.prepare('SELECT data FROM model_checkpoints ORDER BY id DESC LIMIT 1').get();
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async saveModelCheckpoint(model) {
+            const createdAt = Date.now();
+            const data = JSON.stringify(model);
+            return queueWrite(() => {
+                db.prepare('INSERT INTO model_checkpoints (created_at, data) VALUES (?, ?)').run(createdAt, data);
+                prune('model_checkpoints', 'id', limits.modelCheckpoints);
+            });
+        },
+
+        async loadAccounts() {
+            flush();
+            return db.prepare('SELECT data FROM accounts').all().map(row => JSON.parse(row.data));
+        },
+
+        async saveAccount(account) {
+            const { id, username } = account;
+            const data = JSON.stringify(account);
+            return queueWrite(() => {
+                db.prepare(`
+                    INSERT INTO accounts (id, username, data) VALUES (?, ?, ?)
+                    ON CONFLICT(id) DO UPDATE SET username = excluded.username, data = excluded.data
+                `).run(id, username, data);
+            });
+        },
+
+        async saveReplay(id, replay, summary) {
+            const endedAt = summary.endedAt || Date.now();
+            const summaryData = JSON.stringify(summary);
+            const data = JSON.stringify(replay);
+            return queueWrite(() => {
+                db.prepare(`
+                    INSERT OR REPLACE INTO replays (id, ended_at, summary, data) VALUES (?, ?, ?, ?)
+                `).run(id, endedAt, summaryData, data);
+                prune('replays', 'ended_at', limits.replays);
+            });
+        },
+
+        async loadReplay(id) {
+            flush();
+            const row = db.prepare('SELECT data FROM replays WHERE id = ?').get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+
+        async listReplays() {
+            flush();
+            return db.prepare('SELECT summary FROM replays ORDER BY ended_at DESC').all().map(row => JSON.parse(row.summary));
+        },
+
+        async close() {
+            if (db) {
+                flush();
+                db.close();
+                db = null;
+            }
+        }
+    };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,62 @@
+// Accounts over the socket API: names are claimed explicitly, and a claimed
+// name is only playable with its token
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, connect, nextEvent, nextState } = require('./helpers');
+
+// What the server stored (JSON backend); account writes are asynchronous
+async function readAccounts(server) {
+    const file = path.join(server.dataDir, 'accounts.json');
+    for (let tries = 0; tries < 50 && !fs.existsSync(file); tries++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('registering claims a name; guests stay unrated', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const owner = await connect(server.url);
+    t.after(() => owner.close());
+    owner.emit('registerAccount', { username: 'captain' });
+    const info = await nextEvent(owner, 'accountInfo');
+    assert.strictEqual(info.username, 'captain');
+    assert.strictEqual(info.rating, 1200);
+    assert.strictEqual(typeof info.token, 'string');
+
+    // Only a hash of the token is kept
+    const stored = Object.values(await readAccounts(server));
+    assert.strictEqual(stored.length, 1);
+    assert.ok(!JSON.stringify(stored).includes(info.token));
+
+    owner.emit('registerAccount', { username: 'another', token: info.token });
+    assert.strictEqual(await nextEvent(owner, 'error'), 'You already have an account');
+
+    owner.emit('authenticate', info.token);
+    assert.strictEqual((await nextEvent(owner, 'accountInfo')).username, 'captain');
+    owner.emit('authenticate', 'not-a-token');
+    await nextEvent(owner, 'accountInvalid');
+
+    // The name is reserved for the token holder
+    const impostor = await connect(server.url);
+    t.after(() => impostor.close());
+    impostor.emit('joinGame', { gameId: 'room1', username: 'captain' });
+    assert.strictEqual(await nextEvent(impostor, 'error'), 'The username captain is registered to another player');
+    impostor.emit('registerAccount', { username: 'Captain' });
+    assert.strictEqual(await nextEvent(impostor, 'error'), 'The username Captain is registered to another player');
+
+    // A guest plays under their chosen name without getting an account
+    impostor.emit('joinGame', { gameId: 'room1', username: 'deckhand' });
+    const guestView = await nextState(impostor);
+    assert.strictEqual(guestView.players[impostor.id].accountId, null);
+
+    owner.emit('joinGame', { gameId: 'room1', username: 'whatever', token: info.token });
+    const ownerView = await nextState(owner);
+    assert.strictEqual(ownerView.players[owner.id].username, 'captain');
+    assert.ok(ownerView.players[owner.id].accountId);
+
+    assert.strictEqual(Object.keys(await readAccounts(server)).length, 1);
+});
@@ -0,0 +1,92 @@
+// The card catalog: validated on load, swapped in place on reload, and never
+// reloaded without a card that running games still hold
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CARDS, CARD_CATALOG_PATH, validateCardCatalog, loadCardCatalog, getCardCatalog, getCard } = require('../engine');
+const { startServer, nextEvent, startOnlineDuel } = require('./helpers');
+
+function readShippedCatalog() {
+    return JSON.parse(fs.readFileSync(CARD_CATALOG_PATH, 'utf8'));
+}
+
+function writeCatalog(dir, data) {
+    const file = path.join(dir, 'cards.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+}
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-cards-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('the shipped catalog is valid', () => {
+    assert.deepStrictEqual(validateCardCatalog(readShippedCatalog()), []);
+    assert.strictEqual(getCardCatalog().cards.length, CARDS.length);
+    assert.strictEqual(getCard('shark').name, 'Shark');
+    assert.strictEqual(getCard('no_such_card'), null);
+});
+
+test('catalogs that break the schema or the dealing rules are refused', () => {
+    const catalog = readShippedCatalog();
+    const broken = changes => validateCardCatalog({ ...catalog, ...changes });
+
+    assert.ok(broken({ version: 'one' }).length > 0);
+    assert.ok(broken({ cards: [...catalog.cards, { id: 'nameless' }] }).length > 0);
+    assert.match(broken({ cards: [...catalog.cards, catalog.cards[0]] }).join(), /duplicate id "shark"/);
+    assert.match(broken({ cards: catalog.cards.map(c => ({ ...c, isLegendary: false })) }).join(), /isLegendary/);
+    assert.match(broken({ cards: catalog.cards.filter(c => c.type !== 'defense') }).join(), /no drawable defense card/);
+    const sharks = ['shark', 'shark', 'shark', 'jellyfish', 'crab', 'turtle', 'narwhal', 'sea_urchin'];
+    assert.match(broken({ aiDecks: { easy: sharks } }).join(), /aiDecks\.easy: At most 2 copies of Shark/);
+});
+
+test('loading replaces the cards in place and keeps the catalog on a bad file', (t) => {
+    const dir = tempDir(t);
+    t.after(() => loadCardCatalog());
+    const catalog = readShippedCatalog();
+
+    const file = writeCatalog(dir, { ...catalog, version: 2, cards: catalog.cards.map(c => ({ ...c, cost: 1 })) });
+    assert.strictEqual(loadCardCatalog(file).version, 2);
+    assert.ok(CARDS.every(card => card.cost === 1));
+
+    writeCatalog(dir, { ...catalog, version: 3, cards: [] });
+    assert.throws(() => loadCardCatalog(file), /Invalid card catalog/);
+    assert.strictEqual(getCardCatalog().version, 2);
+});
+
+test('a reload may not drop a card that is still in use', (t) => {
+    const dir = tempDir(t);
+    t.after(() => loadCardCatalog());
+    const catalog = readShippedCatalog();
+    const file = writeCatalog(dir, { ...catalog, version: 2, aiDecks: {}, cards: catalog.cards.filter(c => c.id !== 'orca') });
+
+    assert.throws(() => loadCardCatalog(file, { keepIds: ['shark', 'orca'] }), /"orca" is still in use/);
+    assert.ok(getCard('orca'));
+    assert.strictEqual(loadCardCatalog(file, { keepIds: ['shark'] }).version, 2);
+    assert.strictEqual(getCard('orca'), null);
+});
+
+test('the server pushes a saved catalog, unless it drops a card a running game holds', async (t) => {
+    const dir = tempDir(t);
+    const catalog = readShippedCatalog();
+    const file = writeCatalog(dir, catalog);
+    const server = await startServer({ env: { CARD_CATALOG_FILE: file } });
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+
+    const held = aliceState.players[alice.id].hand[0].id;
+    writeCatalog(dir, { ...catalog, version: 2 });
+    const pushed = await nextEvent(alice, 'cardCatalog');
+    assert.strictEqual(pushed.version, 2);
+
+    writeCatalog(dir, { ...catalog, version: 3, aiDecks: {}, cards: catalog.cards.filter(c => c.id !== held) });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.match(server.output(), new RegExp(`"${held}" is still in use`));
+    alice.emit('getCardCatalog');
+    assert.strictEqual((await nextEvent(alice, 'cardCatalog')).version, 2);
+});
@@ -0,0 +1,70 @@
+// Socket commands go through one pipeline and answer their acknowledgement
+// with { ok: true } or a typed { code, message, action } error
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CODES: E } = require('../engine');
+const { startServer, connect, nextEvent, joinRoom, startOnlineDuel } = require('./helpers');
+
+function command(socket, type, payload) {
+    return socket.timeout(5000).emitWithAck(type, payload);
+}
+
+// The error code a refused command acknowledges with
+async function refusal(socket, type, payload) {
+    const result = await command(socket, type, payload);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.action, type);
+    assert.strictEqual(typeof result.error.message, 'string');
+    return result.error.code;
+}
+
+test('room commands check the payload, the room and the leader', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const leader = await connect(server.url);
+    const guest = await connect(server.url);
+    t.after(() => [leader, guest].forEach(socket => socket.close()));
+    await joinRoom(leader, 'room1', 'leader');
+    await joinRoom(guest, 'room1', 'guest');
+
+    assert.strictEqual(await refusal(leader, 'updateRoomSettings', { gameId: 'room1' }), E.INVALID_PAYLOAD);
+    assert.strictEqual(await refusal(leader, 'updateRoomSettings', 'room1'), E.INVALID_PAYLOAD);
+    assert.strictEqual(await refusal(leader, 'updateRoomSettings', { gameId: 'room1', settings: { seed: -1 } }), E.INVALID_PAYLOAD);
+    assert.strictEqual(await refusal(leader, 'forceStart', { gameId: 'room9' }), E.GAME_NOT_FOUND);
+    assert.strictEqual(await refusal(guest, 'updateRoomSettings', { gameId: 'room1', settings: { seed: 1 } }), E.NOT_ROOM_LEADER);
+
+    assert.deepStrictEqual(await command(leader, 'updateRoomSettings', { gameId: 'room1', settings: { seed: 1 } }), { ok: true });
+    assert.deepStrictEqual(await command(leader, 'forceStart', 'room1'), { ok: true });
+    assert.strictEqual(await refusal(leader, 'forceStart', 'room1'), E.GAME_ALREADY_STARTED);
+});
+
+test('game commands check the seat and the turn, then the engine rules', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    const watcher = await connect(server.url);
+    t.after(() => [alice, bob, watcher].forEach(socket => socket.close()));
+
+    const [current, waiting] = aliceState.currentTurn === alice.id ? [alice, bob] : [bob, alice];
+    assert.strictEqual(await refusal(waiting, 'endTurn', 'room1'), E.NOT_YOUR_TURN);
+    assert.strictEqual(await refusal(current, 'deployCard', { gameId: 'room1', cardId: 42 }), E.INVALID_PAYLOAD);
+    assert.strictEqual(await refusal(current, 'deployCard', { gameId: 'room1', cardId: 'no_such_card' }), E.INVALID_CARD);
+    assert.strictEqual(await refusal(current, 'moveTroop', { gameId: 'room1', troopId: 'troop-1', targetGridX: 1, targetGridY: 1 }), E.MOVEMENT_DISABLED);
+
+    watcher.emit('spectateGame', { gameId: 'room1', username: 'watcher' });
+    await nextEvent(watcher, 'spectating');
+    assert.strictEqual(await refusal(watcher, 'endTurn', 'room1'), E.SPECTATOR);
+
+    assert.deepStrictEqual(await command(current, 'endTurn', 'room1'), { ok: true });
+    assert.strictEqual(await refusal(current, 'endTurn', 'room1'), E.NOT_YOUR_TURN);
+});
+
+test('clients without an acknowledgement still get the message as an error event', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const socket = await connect(server.url);
+    t.after(() => socket.close());
+
+    socket.emit('forceStart', { gameId: 'room9' });
+    assert.strictEqual(await nextEvent(socket, 'error'), 'Game not found');
+});
@@ -0,0 +1,124 @@
+// Decks: eight chosen cards, dealt from a seeded shuffle and cycled as they are played
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    createGame,
+    addPlayer,
+    startGame,
+    applyAction,
+    validateDeck,
+    getAIDeck,
+    CARD_CATALOG_PATH,
+    ERROR_CODES: E,
+    HAND_SIZE,
+    DECK_SIZE,
+    MAX_ELIXIR
+} = require('../engine');
+const { startServer, connect, nextEvent, joinRoom } = require('./helpers');
+
+const DECK = ['shark', 'shark', 'jellyfish', 'barracuda', 'crab', 'turtle', 'narwhal', 'sea_urchin'];
+
+function startDeckDuel(deck = DECK, seed = 7) {
+    const game = createGame('test', { seed });
+    addPlayer(game, 'a', { username: 'alice', slot: 0, deck: [...deck] });
+    addPlayer(game, 'b', { username: 'bob', slot: 2 });
+    startGame(game);
+    return game;
+}
+
+test('decks must follow the size, copy, legendary and type rules', () => {
+    const problem = deck => validateDeck(deck)?.code;
+
+    assert.strictEqual(validateDeck(DECK), null);
+    assert.strictEqual(problem(DECK.slice(1)), E.INVALID_DECK);
+    assert.strictEqual(problem(['no_such_card', ...DECK.slice(1)]), E.INVALID_DECK);
+    assert.strictEqual(problem(['shark', ...DECK.slice(1, 7), 'shark']), E.INVALID_DECK); // three sharks
+    assert.strictEqual(problem(['leviathan', 'leviathan', ...DECK.slice(2)]), E.INVALID_DECK);
+    assert.strictEqual(problem(['shark', 'shark', 'jellyfish', 'jellyfish', 'barracuda', 'barracuda', 'orca', 'crab']), E.INVALID_DECK);
+    assert.match(validateDeck('shark').message, new RegExp(`exactly ${DECK_SIZE} cards`));
+});
+
+test('every AI skill has a legal deck', () => {
+    ['easy', 'normal', 'hard', 'hardest', 'unknown'].forEach(skill => {
+        assert.strictEqual(validateDeck(getAIDeck(skill)), null, skill);
+    });
+});
+
+test('a deck player is dealt only their own cards, in a seeded order', () => {
+    const game = startDeckDuel();
+    const alice = game.players.a;
+    assert.strictEqual(alice.hand.length, HAND_SIZE);
+    const dealt = [...alice.hand.map(c => c.id), alice.nextCard.id, ...alice.deckQueue].sort();
+    assert.deepStrictEqual(dealt, [...DECK].sort());
+
+    const again = startDeckDuel().players.a;
+    assert.deepStrictEqual(again.hand.map(c => c.id), alice.hand.map(c => c.id));
+    assert.deepStrictEqual(again.deckQueue, alice.deckQueue);
+});
+
+test('a played card goes to the back of the queue and the next card takes its place', () => {
+    const game = startDeckDuel();
+    const alice = game.players.a;
+    alice.elixir = MAX_ELIXIR;
+    const played = alice.hand.find(c => c.type === 'offense');
+    const slot = alice.hand.indexOf(played);
+    const next = alice.nextCard;
+    const comingUp = alice.deckQueue[0];
+
+    const { error } = applyAction(game, { type: 'deployCard', playerId: 'a', cardId: played.id });
+    assert.strictEqual(error, null);
+    assert.strictEqual(alice.hand[slot], next);
+    assert.strictEqual(alice.nextCard.id, comingUp);
+    assert.strictEqual(alice.deckQueue[alice.deckQueue.length - 1], played.id);
+    assert.strictEqual(alice.hand.length + 1 + alice.deckQueue.length, DECK_SIZE);
+});
+
+test('a card from the catalog that is not in hand cannot be played', () => {
+    const game = startDeckDuel();
+    game.players.a.elixir = MAX_ELIXIR;
+    const { error } = applyAction(game, { type: 'deployCard', playerId: 'a', cardId: 'orca' });
+    assert.strictEqual(error.code, E.INVALID_CARD);
+});
+
+test('the server refuses an illegal deck and keeps a deck hidden from other players', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const alice = await connect(server.url);
+    const bob = await connect(server.url);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+
+    alice.emit('joinGame', { gameId: 'room1', username: 'alice', deck: ['shark'] });
+    assert.match(await nextEvent(alice, 'error'), /^Invalid deck: /);
+
+    const own = await joinRoom(alice, 'room1', 'alice', { deck: DECK });
+    assert.deepStrictEqual(own.players[alice.id].deck, DECK);
+    assert.strictEqual(own.players[alice.id].deckQueue, undefined);
+    const seen = await joinRoom(bob, 'room1', 'bob');
+    assert.strictEqual(seen.players[alice.id].deck, undefined);
+    assert.strictEqual(seen.players[alice.id].deckQueue, undefined);
+});
+
+test('a catalog reload may not drop a card from a deck in a waiting room', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-decks-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'cards.json');
+    const catalog = JSON.parse(fs.readFileSync(CARD_CATALOG_PATH, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify(catalog));
+
+    const server = await startServer({ env: { CARD_CATALOG_FILE: file } });
+    t.after(() => server.stop());
+    const alice = await connect(server.url);
+    t.after(() => alice.close());
+    await joinRoom(alice, 'room1', 'alice', { deck: DECK });
+
+    // No hand is dealt before the match starts; the deck alone holds the turtle
+    const cards = catalog.cards.filter(c => c.id !== 'turtle');
+    fs.writeFileSync(file, JSON.stringify({ ...catalog, version: 2, aiDecks: {}, cards }));
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.match(server.output(), /"turtle" is still in use/);
+    alice.emit('getCardCatalog');
+    assert.ok((await nextEvent(alice, 'cardCatalog')).cards.some(c => c.id === 'turtle'));
+});
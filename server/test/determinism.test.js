@@ -0,0 +1,48 @@
+// The same seed and the same actions must always play out the same way:
+// replays and the AI training loop depend on it.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, applyAction } = require('../engine');
+const { seatDuel, startDuel, playTurns } = require('./helpers');
+
+// Everything the rules decide; timestamps are left out
+function outcome(game) {
+    return {
+        status: game.status,
+        turnNumber: game.turnNumber,
+        currentTurn: game.currentTurn,
+        rngState: game.rngState,
+        players: game.players,
+        troops: game.troops
+    };
+}
+
+const hands = game => Object.values(game.players).map(p => [...p.hand.map(c => c.id), p.nextCard.id]);
+
+test('the same seed deals the same hands', () => {
+    const first = startDuel({ seed: 1234 });
+    const second = startDuel({ seed: 1234 });
+    assert.deepStrictEqual(first.players, second.players);
+});
+
+test('a different seed deals different hands', () => {
+    assert.notDeepStrictEqual(hands(startDuel({ seed: 1 })), hands(startDuel({ seed: 2 })));
+});
+
+test('the hands depend on the seed alone, not on rolls made before the start', () => {
+    const game = seatDuel({ seed: 77 });
+    game.rngState = 12345;
+    startGame(game);
+    assert.deepStrictEqual(hands(game), hands(startDuel({ seed: 77 })));
+});
+
+test('the same seed and actions reach the same state', () => {
+    const first = startDuel({ seed: 99 });
+    const actions = playTurns(first, 30);
+
+    const second = startDuel({ seed: 99 });
+    actions.forEach(action => applyAction(second, action));
+
+    assert.ok(first.troops.length > 0 || first.status === 'ended', 'the match should have had some fighting');
+    assert.deepStrictEqual(outcome(second), outcome(first));
+});
@@ -0,0 +1,118 @@
+// Status effects: how they stack, what they change, and how they wear off
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAction, getCard, MAX_ELIXIR } = require('../engine');
+const {
+    addStatusEffect,
+    createTraitEffects,
+    getMovesPerTurn,
+    getMovementBlocker,
+    canAttack,
+    dealDamage,
+    startTurnEffects,
+    endTurnEffects
+} = require('../engine/effects');
+const { startDuel } = require('./helpers');
+
+function troop(fields = {}) {
+    return { id: 'troop-0', ownerId: 'a', x: 0, y: 0, hp: 100, maxHp: 100, speed: 6, range: 1, effects: [], ...fields };
+}
+
+test('refresh effects keep one instance with the longest duration and strongest amount', () => {
+    const target = troop();
+    assert.strictEqual(addStatusEffect(target, 'slow', { turns: 2 }), true);
+    assert.strictEqual(addStatusEffect(target, 'slow', { turns: 1 }), false);
+    assert.strictEqual(addStatusEffect(target, 'slow', { turns: 3 }), true);
+    assert.deepStrictEqual(target.effects, [{ id: 'slow', turns: 3, amount: 0, stacks: 1 }]);
+    assert.strictEqual(addStatusEffect(target, 'no_such_effect'), false);
+});
+
+test('poison stacks up to its cap and hurts at the start of its owner\'s turn', () => {
+    const game = startDuel({ seed: 7 });
+    const poisoned = troop({ ownerId: 'b' });
+    game.troops.push(poisoned);
+    for (let i = 0; i < 4; i++) addStatusEffect(poisoned, 'poison', { amount: 10, turns: 2 });
+    assert.strictEqual(poisoned.effects[0].stacks, 3);
+
+    const [{ events }] = startTurnEffects(game, 'b');
+    assert.strictEqual(poisoned.hp, 70);
+    assert.deepStrictEqual(events.map(e => [e.type, e.amount]), [['statusDamage', 30]]);
+    assert.deepStrictEqual(startTurnEffects(game, 'a'), []);
+
+    poisoned.hp = 30;
+    const [{ events: lethal }] = startTurnEffects(game, 'b');
+    assert.ok(lethal.some(e => e.type === 'death' && e.targetId === poisoned.id));
+    assert.ok(!game.troops.includes(poisoned));
+});
+
+test('timed effects wear off as their owner ends turns; traits stay', () => {
+    const game = startDuel({ seed: 7 });
+    const target = troop({ effects: createTraitEffects(getCard('turtle')) });
+    game.troops.push(target);
+    addStatusEffect(target, 'stun', { turns: 1 });
+    addStatusEffect(target, 'slow', { turns: 2 });
+
+    endTurnEffects(game, 'b');
+    assert.strictEqual(target.effects.length, 3);
+    endTurnEffects(game, 'a');
+    assert.deepStrictEqual(target.effects.map(e => e.id), ['armor', 'slow']);
+    endTurnEffects(game, 'a');
+    assert.deepStrictEqual(target.effects.map(e => e.id), ['armor']);
+});
+
+test('slow, freeze and stun change how a troop moves and fights', () => {
+    const slowed = troop();
+    addStatusEffect(slowed, 'slow', { turns: 1 });
+    assert.strictEqual(getMovesPerTurn(slowed), 3);
+    assert.strictEqual(getMovementBlocker(slowed), null);
+    assert.strictEqual(getMovesPerTurn(troop({ speed: 0 })), 0);
+
+    const frozen = troop();
+    addStatusEffect(frozen, 'freeze', { turns: 1 });
+    assert.strictEqual(getMovesPerTurn(frozen), 0);
+    assert.strictEqual(getMovementBlocker(frozen), 'Frozen');
+    assert.strictEqual(canAttack(frozen), true);
+
+    const stunned = troop();
+    addStatusEffect(stunned, 'stun', { turns: 1 });
+    assert.strictEqual(getMovementBlocker(stunned), 'Stunned');
+    assert.strictEqual(canAttack(stunned), false);
+});
+
+test('armor cuts damage and thorns hit back at melee attackers only', () => {
+    const armored = troop({ effects: createTraitEffects(getCard('turtle')) });
+    assert.strictEqual(dealDamage(null, armored, 100), 70);
+    assert.strictEqual(armored.hp, 30);
+
+    const urchin = troop({ effects: createTraitEffects(getCard('sea_urchin')) });
+    const biter = troop({ id: 'troop-1', range: 1 });
+    const archer = troop({ id: 'troop-2', range: 3 });
+    const events = [];
+    dealDamage(biter, urchin, 40, events);
+    dealDamage(archer, urchin, 40, events);
+    assert.strictEqual(biter.hp, 80);
+    assert.strictEqual(archer.hp, 100);
+    assert.deepStrictEqual(events.map(e => [e.effect, e.targetId]), [['thorns', 'troop-1']]);
+});
+
+test('on-hit effects land on whatever the attacker damages', () => {
+    const jellyfish = troop({ onHit: getCard('jellyfish').onHit });
+    const target = troop({ id: 'troop-1', ownerId: 'b' });
+    const events = [];
+    dealDamage(jellyfish, target, 10, events);
+    assert.strictEqual(target.effects[0].id, 'poison');
+    assert.deepStrictEqual(events.map(e => e.type), ['statusApplied']);
+});
+
+test('deployed troops carry their card\'s traits and on-hit effects', () => {
+    const game = startDuel({ seed: 7 });
+    const alice = game.players.a;
+    alice.elixir = MAX_ELIXIR;
+    alice.hand[0] = getCard('jellyfish');
+    applyAction(game, { type: 'deployCard', playerId: 'a', cardId: 'jellyfish' });
+
+    const deployed = game.troops[game.troops.length - 1];
+    assert.deepStrictEqual(deployed.onHit, getCard('jellyfish').onHit);
+    assert.deepStrictEqual(deployed.effects, []);
+    assert.deepStrictEqual(createTraitEffects(getCard('turtle')), [{ id: 'armor', turns: null, amount: 30, stacks: 1 }]);
+});
@@ -0,0 +1,117 @@
+// The engine on its own: state in, action in, new state and events out
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAction, cloneState, removePlayer, rejoinPlayer, MAX_ELIXIR, ELIXIR_PER_TURN, ERROR_CODES: E } = require('../engine');
+const { startDuel, otherPlayerId } = require('./helpers');
+
+// The error code of an action that must be refused, after checking it changed nothing
+function refusal(game, action) {
+    const before = cloneState(game);
+    const { state, events, error } = applyAction(game, action);
+    assert.strictEqual(state, game);
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(cloneState(game), before);
+    assert.strictEqual(typeof error.message, 'string');
+    return error.code;
+}
+
+test('the first seat opens the game', () => {
+    const game = startDuel();
+    assert.strictEqual(game.status, 'playing');
+    assert.strictEqual(game.currentTurn, 'a');
+    assert.deepStrictEqual(game.turnOrder, ['a', 'b']);
+    assert.strictEqual(game.players.a.hand.length, 4);
+});
+
+test('deploying a card spends elixir, spawns the troop and draws the next card', () => {
+    const game = startDuel();
+    const player = game.players.a;
+    player.elixir = MAX_ELIXIR;
+    const card = player.hand[0];
+    const nextCard = player.nextCard;
+
+    const { events, error } = applyAction(game, { type: 'deployCard', playerId: 'a', cardId: card.id });
+    assert.strictEqual(error, null);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].type, 'troopDeployed');
+    assert.strictEqual(player.elixir, MAX_ELIXIR - card.cost);
+    assert.strictEqual(game.troops.length, 1);
+    assert.strictEqual(game.troops[0].ownerId, 'a');
+    assert.strictEqual(player.hand[0], nextCard);
+    assert.deepStrictEqual(game.cardUsage, { a: { [card.id]: 1 } });
+});
+
+test('refused actions leave the game untouched', () => {
+    const game = startDuel();
+    const card = game.players.a.hand[0];
+
+    assert.strictEqual(refusal(game, { type: 'nuke', playerId: 'a' }), E.UNKNOWN_ACTION);
+    assert.strictEqual(refusal(game, { type: 'deployCard', playerId: 'b', cardId: game.players.b.hand[0].id }), E.NOT_YOUR_TURN);
+    assert.strictEqual(refusal(game, { type: 'endTurn', playerId: 'b' }), E.NOT_YOUR_TURN);
+    assert.strictEqual(refusal(game, { type: 'deployCard', playerId: 'a' }), E.INVALID_PAYLOAD);
+    assert.strictEqual(refusal(game, { type: 'deployCard', playerId: 'a', cardId: 'no_such_card' }), E.INVALID_CARD);
+    assert.strictEqual(refusal(game, { type: 'setTarget', playerId: 'a', troopId: 'troop-1', targetBaseId: 'a' }), E.TROOP_NOT_FOUND);
+
+    game.players.a.elixir = 0;
+    if (card.cost > 0) {
+        assert.strictEqual(refusal(game, { type: 'deployCard', playerId: 'a', cardId: card.id }), E.NOT_ENOUGH_ELIXIR);
+    }
+});
+
+test('ending the turn hands play on with fresh elixir', () => {
+    const game = startDuel();
+    const next = otherPlayerId(game);
+    const elixir = game.players[next].elixir;
+
+    const { events, error } = applyAction(game, { type: 'endTurn', playerId: 'a' });
+    assert.strictEqual(error, null);
+    assert.strictEqual(game.currentTurn, next);
+    assert.strictEqual(game.players[next].elixir, Math.min(MAX_ELIXIR, elixir + ELIXIR_PER_TURN));
+    assert.ok(events.some(e => e.type === 'turnStarted' && e.playerId === next));
+});
+
+test('troops only move by hand in manual movement mode, within their speed', () => {
+    const game = startDuel();
+    game.players.a.elixir = MAX_ELIXIR;
+    const attacker = game.players.a.hand.find(c => c.type === 'offense'); // Every hand holds two
+    applyAction(game, { type: 'deployCard', playerId: 'a', cardId: attacker.id });
+    const troop = game.troops[0];
+    const move = (dx, dy) => ({
+        type: 'moveTroop', playerId: 'a', troopId: troop.id, targetGridX: troop.gridX + dx, targetGridY: troop.gridY + dy
+    });
+
+    assert.strictEqual(refusal(game, move(0, 1)), E.MOVEMENT_DISABLED);
+    game.movementMode = 'manual';
+    assert.strictEqual(refusal(game, move(0, Math.floor(troop.speed) + 1)), E.OUT_OF_RANGE);
+    const { events, error } = applyAction(game, move(0, 1));
+    assert.strictEqual(error, null);
+    assert.ok(['troopMoved', 'troopKilled'].includes(events[0].type));
+    assert.strictEqual(refusal(game, move(0, 1)), E.ALREADY_MOVED);
+});
+
+test('a cloned game plays on without touching the original', () => {
+    const game = startDuel();
+    const before = cloneState(game);
+    const copy = cloneState(game);
+
+    copy.players.a.elixir = MAX_ELIXIR;
+    applyAction(copy, { type: 'deployCard', playerId: 'a', cardId: copy.players.a.hand[0].id });
+    applyAction(copy, { type: 'endTurn', playerId: 'a' });
+
+    assert.strictEqual(copy.currentTurn, 'b');
+    assert.deepStrictEqual(cloneState(game), before);
+});
+
+test('a player who rejoins under a new id keeps their troops and card usage', () => {
+    const game = startDuel();
+    game.players.a.elixir = MAX_ELIXIR;
+    const card = game.players.a.hand[0];
+    applyAction(game, { type: 'deployCard', playerId: 'a', cardId: card.id });
+
+    const saved = removePlayer(game, 'a');
+    rejoinPlayer(game, saved, 'a2');
+
+    assert.strictEqual(game.players.a2.username, 'alice');
+    assert.ok(game.troops.every(t => t.ownerId === 'a2'));
+    assert.deepStrictEqual(game.cardUsage, { a2: { [card.id]: 1 } });
+});
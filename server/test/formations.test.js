@@ -0,0 +1,118 @@
+// Group moves in manual movement: the group lines up in a formation around the
+// target cell, and either every troop moves or none does
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAction, cloneState, CELL_SIZE, ERROR_CODES: E } = require('../engine');
+const { MAX_GROUP_SIZE, getFormationCells, planFormation } = require('../engine/formations');
+const { startDuel } = require('./helpers');
+
+// A started duel in manual movement; it is alice's ('a') turn
+function startManualDuel() {
+    const game = startDuel({ seed: 7 });
+    game.movementMode = 'manual';
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY, fields = {}) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        name: 'Shark',
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        damage: 0,
+        speed: 3,
+        range: 1,
+        effects: [],
+        path: [],
+        orders: [],
+        ...fields
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+function moveGroup(game, troops, targetGridX, targetGridY, formation) {
+    return applyAction(game, { type: 'moveTroops', playerId: 'a', troopIds: troops.map(t => t.id), targetGridX, targetGridY, formation });
+}
+
+const cellsOf = troops => troops.map(t => [t.gridX, t.gridY]);
+
+test('line, wedge and column line up around the target, facing the way the group moves', () => {
+    const east = { x: 1, y: 0 };
+    const cells = formation => getFormationCells(formation, 4, east, 10, 10).map(({ x, y }) => [x, y]);
+    assert.deepStrictEqual(cells('line'), [[10, 10], [10, 9], [10, 11], [10, 8]]);
+    assert.deepStrictEqual(cells('wedge'), [[10, 10], [9, 9], [9, 11], [8, 8]]);
+    assert.deepStrictEqual(cells('column'), [[10, 10], [9, 10], [8, 10], [7, 10]]);
+
+    // Facing north, the line runs east to west
+    assert.deepStrictEqual(getFormationCells('line', 3, { x: 0, y: -1 }, 10, 10).map(({ x, y }) => [x, y]), [[10, 10], [9, 10], [11, 10]]);
+});
+
+test('a group moves into a line across its way, the nearest troop to each place taking it', () => {
+    const game = startManualDuel();
+    const group = [addTroop(game, 'a', 18, 8), addTroop(game, 'a', 19, 8), addTroop(game, 'a', 20, 8)];
+    const { events, error } = moveGroup(game, group, 19, 10);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(cellsOf(group), [[18, 10], [19, 10], [20, 10]]);
+    assert.deepStrictEqual(events.map(e => [e.type, e.troopId]), [
+        ['troopMoved', 'troop-1'], ['troopMoved', 'troop-2'], ['troopMoved', 'troop-0']
+    ]);
+    assert.ok(group.every(troop => game.movedTroops.has(troop.id)));
+});
+
+test('a place held by a troop outside the group shifts to the nearest free cell', () => {
+    const game = startManualDuel();
+    const group = [addTroop(game, 'a', 18, 8), addTroop(game, 'a', 19, 8)];
+    addTroop(game, 'b', 19, 10);
+    const placements = planFormation(game, group, 19, 10, 'column');
+    assert.ok(placements.every(({ x, y }) => x !== null && !(x === 19 && y === 10)));
+    assert.strictEqual(new Set(placements.map(({ x, y }) => `${x},${y}`)).size, 2);
+
+    assert.strictEqual(moveGroup(game, group, 19, 10, 'column').error, null);
+    assert.deepStrictEqual(cellsOf(group).sort(), placements.map(({ x, y }) => [x, y]).sort());
+});
+
+test('if any troop can\'t make its place, nobody moves', () => {
+    const game = startManualDuel();
+    const group = [addTroop(game, 'a', 18, 8), addTroop(game, 'a', 19, 8), addTroop(game, 'a', 20, 8, { speed: 1 })];
+    const before = cloneState(game);
+    const { error } = moveGroup(game, group, 19, 11);
+    assert.strictEqual(error.code, E.OUT_OF_RANGE);
+    assert.match(error.message, /^Shark: /);
+    assert.deepStrictEqual(cloneState(game), before);
+});
+
+test('walls and turrets stay put, alone or in a group', () => {
+    const game = startManualDuel();
+    const troop = addTroop(game, 'a', 18, 8);
+    const turret = addTroop(game, 'a', 19, 8, { type: 'defense', isTurret: true, speed: 0 });
+    const wall = addTroop(game, 'a', 20, 8, { type: 'defense', isWall: true, speed: 0 });
+
+    const single = unit => applyAction(game, { type: 'moveTroop', playerId: 'a', troopId: unit.id, targetGridX: unit.gridX, targetGridY: 9 }).error;
+    assert.strictEqual(single(turret).code, E.TROOP_IMMOBILE);
+    assert.strictEqual(single(wall).code, E.TROOP_IMMOBILE);
+    assert.strictEqual(moveGroup(game, [troop, turret], 19, 10).error.code, E.TROOP_IMMOBILE);
+    assert.deepStrictEqual(cellsOf([troop, turret, wall]), [[18, 8], [19, 8], [20, 8]]);
+});
+
+test('group moves are checked like single ones', () => {
+    const game = startManualDuel();
+    const group = [addTroop(game, 'a', 18, 8), addTroop(game, 'a', 19, 8)];
+    const code = action => applyAction(game, { type: 'moveTroops', playerId: 'a', targetGridX: 19, targetGridY: 10, ...action }).error.code;
+
+    assert.strictEqual(code({ troopIds: [] }), E.INVALID_PAYLOAD);
+    assert.strictEqual(code({ troopIds: [group[0].id, group[0].id] }), E.INVALID_PAYLOAD);
+    assert.strictEqual(code({ troopIds: Array.from({ length: MAX_GROUP_SIZE + 1 }, (_, i) => `troop-${i}`) }), E.INVALID_PAYLOAD);
+    assert.strictEqual(code({ troopIds: group.map(t => t.id), formation: 'phalanx' }), E.INVALID_PAYLOAD);
+    assert.strictEqual(code({ troopIds: ['troop-99'] }), E.TROOP_NOT_FOUND);
+    assert.strictEqual(code({ troopIds: group.map(t => t.id), playerId: 'b' }), E.NOT_YOUR_TURN);
+
+    game.movementMode = 'automatic';
+    assert.strictEqual(code({ troopIds: group.map(t => t.id) }), E.MOVEMENT_DISABLED);
+});
@@ -0,0 +1,288 @@
+// Shared fixtures for the tests: engine games, and a real server to talk to over Socket.IO
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createGame, addPlayer, startGame, applyAction } = require('../engine');
+
+const SERVER_START_TIMEOUT = 15000;
+const EVENT_TIMEOUT = 5000;
+
+// A waiting two-player game: alice (id 'a') at the top base, bob ('b') at the bottom.
+// Options go straight to createGame (seed, ...).
+function seatDuel(options) {
+    const game = createGame('test', options);
+    addPlayer(game, 'a', { username: 'alice', slot: 0 });
+    addPlayer(game, 'b', { username: 'bob', slot: 2 });
+    return game;
+}
+
+// The same duel, already started
+function startDuel(options) {
+    const game = seatDuel(options);
+    startGame(game);
+    return game;
+}
+
+// The id of the player waiting for their turn in a two-player game
+function otherPlayerId(game, playerId = game.currentTurn) {
+    return Object.keys(game.players).find(id => id !== playerId);
+}
+
+// The current player plays the first attacker they can afford, then ends
+// the turn. Returns the actions taken; a refused action throws.
+function playTurn(game) {
+    const player = game.players[game.currentTurn];
+    const actions = [];
+    const card = player.hand.find(c => c.type === 'offense' && c.cost <= player.elixir);
+    if (card) actions.push({ type: 'deployCard', playerId: player.id, cardId: card.id });
+    actions.push({ type: 'endTurn', playerId: player.id });
+    actions.forEach(action => {
+        const { error } = applyAction(game, action);
+        if (error) throw new Error(`${action.type} was refused: ${error.code}`);
+    });
+    return actions;
+}
+
+function playTurns(game, turns) {
+    const actions = [];
+    for (let i = 0; i < turns && game.status === 'playing'; i++) actions.push(...playTurn(game));
+    return actions;
+}
+
+// Steps from (startX, startY) to every cell, by the plain breadth-first search
+// the engine used before costs and A*: only trench cells block. Indexed
+// y * size + x, -1 where there is no way.
+function countBfsSteps(game, startX, startY) {
+    const { gridSize: size, trench } = game.terrain;
+    const blocked = new Set(trench.map(({ x, y }) => y * size + x));
+    const steps = new Array(size * size).fill(-1);
+    steps[startY * size + startX] = 0;
+    const queue = [[startX, startY]];
+    while (queue.length > 0) {
+        const [x, y] = queue.shift();
+        [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(([nx, ny]) => {
+            const cell = ny * size + nx;
+            if (nx < 0 || nx >= size || ny < 0 || ny >= size || blocked.has(cell) || steps[cell] !== -1) return;
+            steps[cell] = steps[y * size + x] + 1;
+            queue.push([nx, ny]);
+        });
+    }
+    return steps;
+}
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Run index.js in a child process on a free port, keeping its data in a fresh
+// temporary DATA_DIR. prepareData(dataDir) may fill it before the server starts.
+// Resolves once the server listens with { url, dataDir, stop() }.
+async function startServer({ env = {}, prepareData } = {}) {
+    const port = await getFreePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-test-'));
+    if (prepareData) await prepareData(dataDir);
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: { ...process.env, ...env, DATA_DIR: dataDir, PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const removeData = () => fs.rmSync(dataDir, { recursive: true, force: true });
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Server did not start:\n${output}`));
+        }, SERVER_START_TIMEOUT);
+        child.stdout.on('data', () => {
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    }).catch(error => {
+        removeData();
+        throw error;
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        dataDir,
+        output: () => output,
+        stop: () => new Promise(resolve => {
+            if (child.exitCode !== null) {
+                removeData();
+                return resolve();
+            }
+            child.once('exit', () => {
+                removeData();
+                resolve();
+            });
+            child.kill();
+        })
+    };
+}
+
+// Rebuild the full state from the previous one and a gameStatePatch, as the client does
+function applyStatePatch(state, patch) {
+    const next = { ...state, ...(patch.set || {}), version: patch.version };
+    (patch.unset || []).forEach(key => {
+        delete next[key];
+    });
+
+    if (patch.players) {
+        next.players = { ...state.players };
+        Object.entries(patch.players).forEach(([playerId, player]) => {
+            if (player === null) {
+                delete next.players[playerId];
+            } else {
+                next.players[playerId] = player;
+            }
+        });
+    }
+
+    if (patch.troops) {
+        const removed = new Set(patch.troops.remove);
+        const updates = new Map(patch.troops.upsert.map(troop => [troop.id, troop]));
+        next.troops = (state.troops || [])
+            .filter(troop => !removed.has(troop.id))
+            .map(troop => {
+                const updated = updates.get(troop.id);
+                if (!updated) return troop;
+                updates.delete(troop.id);
+                return updated;
+            });
+        next.troops.push(...updates.values());
+    }
+
+    return next;
+}
+
+// socket -> { state, patches, waiters }: the game state the socket has been sent so far
+const trackedStates = new WeakMap();
+
+// Follow full states and patches the way the client does, asking for a full
+// state again whenever a patch does not fit the state held
+function trackState(socket) {
+    const tracked = { state: null, patches: 0, waiters: [] };
+    const update = (state) => {
+        tracked.state = state;
+        tracked.waiters = tracked.waiters.filter(waiter => !waiter(state));
+    };
+
+    socket.on('gameState', update);
+    socket.on('gameStatePatch', (patch) => {
+        if (!tracked.state || tracked.state.id !== patch.gameId || tracked.state.version !== patch.baseVersion) {
+            socket.emit('requestFullState', patch.gameId);
+            return;
+        }
+        tracked.patches++;
+        update(applyStatePatch(tracked.state, patch));
+    });
+    trackedStates.set(socket, tracked);
+}
+
+// A connected client socket
+function connect(url) {
+    const socket = io(url, { transports: ['websocket'], reconnection: false, forceNew: true });
+    trackState(socket);
+    return new Promise((resolve, reject) => {
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+// The socket's game state as of its next update that passes `match`
+function nextState(socket, match = () => true, timeout = EVENT_TIMEOUT) {
+    const tracked = trackedStates.get(socket);
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            tracked.waiters = tracked.waiters.filter(other => other !== waiter);
+            reject(new Error(`No matching game state within ${timeout} ms`));
+        }, timeout);
+        function waiter(state) {
+            if (!match(state)) return false;
+            clearTimeout(timer);
+            resolve(state);
+            return true;
+        }
+        tracked.waiters.push(waiter);
+    });
+}
+
+// How many patches the socket has applied so far
+function countPatches(socket) {
+    return trackedStates.get(socket).patches;
+}
+
+// The payload of the next `event` on the socket that passes `match`
+function nextEvent(socket, event, match = () => true, timeout = EVENT_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, onEvent);
+            reject(new Error(`No matching '${event}' within ${timeout} ms`));
+        }, timeout);
+        function onEvent(payload) {
+            if (!match(payload)) return;
+            clearTimeout(timer);
+            socket.off(event, onEvent);
+            resolve(payload);
+        }
+        socket.on(event, onEvent);
+    });
+}
+
+// Seat the socket in a room; resolves with the first state that has them in it
+async function joinRoom(socket, gameId, username, extra = {}) {
+    const seated = nextState(socket, state => !!state.players[socket.id]);
+    socket.emit('joinGame', { gameId, username, ...extra });
+    return seated;
+}
+
+// Two connected players, alice and bob, in a started match in `gameId`. Resolves
+// with their sockets and the state each saw once play began.
+async function startOnlineDuel(server, gameId = 'room1') {
+    const alice = await connect(server.url);
+    const bob = await connect(server.url);
+    await joinRoom(alice, gameId, 'alice');
+    await joinRoom(bob, gameId, 'bob');
+
+    const playing = state => state.status === 'playing';
+    const aliceState = nextState(alice, playing);
+    const bobState = nextState(bob, playing);
+    alice.emit('forceStart', gameId);
+    return { alice, bob, aliceState: await aliceState, bobState: await bobState };
+}
+
+module.exports = {
+    seatDuel,
+    startDuel,
+    otherPlayerId,
+    playTurn,
+    playTurns,
+    countBfsSteps,
+    startServer,
+    connect,
+    nextEvent,
+    nextState,
+    countPatches,
+    joinRoom,
+    startOnlineDuel
+};
@@ -0,0 +1,75 @@
+// Generated layouts cover the player counts no map file does
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, addPlayer, startGame, getFreeSlot, getMap, getMapIdForSeats, validateMap, ERROR_CODES: E } = require('../engine');
+const { LAYOUTS, generateLayout } = require('../engine/layouts');
+const { startServer, connect, nextState, joinRoom, playTurns } = require('./helpers');
+
+test('every generated layout is a valid map with a territory per seat', () => {
+    LAYOUTS.forEach(layout => {
+        const map = generateLayout(layout);
+        assert.deepStrictEqual(validateMap(map), [], layout.id);
+        assert.strictEqual(map.spawns.length, layout.seats);
+
+        const cells = map.tiles.join('');
+        for (let seat = 0; seat < layout.seats; seat++) {
+            assert.ok(cells.split(String(seat)).length - 1 >= 100, `${layout.id}: seat ${seat} has room to build`);
+        }
+    });
+});
+
+test('every pair of seats has a route, and neighbours share a bridge', () => {
+    LAYOUTS.forEach(layout => {
+        const { routes } = generateLayout(layout);
+        assert.strictEqual(routes.length, layout.seats * (layout.seats - 1) / 2, layout.id);
+        if (layout.seats < 3) return;
+
+        for (let seat = 0; seat < layout.seats; seat++) {
+            const next = (seat + 1) % layout.seats;
+            const route = routes.find(r => r.between.includes(seat) && r.between.includes(next));
+            assert.ok(route.bridges.some(name => name !== 'center'), `${layout.id}: ${seat} and ${next}`);
+        }
+    });
+});
+
+test('layouts are generated the same way every time', () => {
+    LAYOUTS.forEach(layout => assert.deepStrictEqual(generateLayout(layout), generateLayout(layout)));
+});
+
+test('a player count picks the default map, a map file, or a generated layout', () => {
+    assert.strictEqual(getMapIdForSeats(4), 'trench_x');
+    assert.strictEqual(getMapIdForSeats(2), 'the_strait');
+    assert.strictEqual(getMapIdForSeats(3), 'triangle');
+    assert.strictEqual(getMapIdForSeats(6), 'hexagon');
+    assert.strictEqual(getMapIdForSeats(7), null);
+    assert.ok(getMap('pentagon'));
+});
+
+test('six players can play a match on the hexagon', () => {
+    const game = createGame('test', { seed: 3, mapId: 'hexagon' });
+    for (let i = 0; i < 6; i++) {
+        addPlayer(game, `p${i}`, { username: `player${i}`, slot: getFreeSlot(game) });
+    }
+    assert.strictEqual(getFreeSlot(game), -1);
+
+    startGame(game);
+    playTurns(game, 18);
+    assert.strictEqual(game.status, 'playing');
+    assert.ok(game.troops.length > 0);
+});
+
+test('the room leader sets a player count instead of a map', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const leader = await connect(server.url);
+    t.after(() => leader.close());
+    await joinRoom(leader, 'room1', 'leader');
+    const settings = playerCount => leader.timeout(5000).emitWithAck('updateRoomSettings', { gameId: 'room1', settings: { playerCount } });
+
+    const switched = nextState(leader, state => state.terrain.mapId === 'pentagon');
+    assert.deepStrictEqual(await settings(5), { ok: true });
+    assert.strictEqual((await switched).terrain.spawns.length, 5);
+
+    const refused = await settings(9);
+    assert.strictEqual(refused.error.code, E.INVALID_MAP);
+});
@@ -0,0 +1,121 @@
+// Maps are data files: validated on load, copied into each game, and able to
+// reseat the room when the leader switches to another one
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createGame,
+    addPlayer,
+    getFreeSlot,
+    setGameMap,
+    startGame,
+    removePlayer,
+    rejoinPlayer,
+    getMap,
+    listMaps,
+    validateMap,
+    DEFAULT_MAP_ID,
+    ERROR_CODES: E
+} = require('../engine');
+const { startServer, connect, nextEvent, nextState, joinRoom } = require('./helpers');
+
+function seatPlayers(game, count) {
+    for (let i = 0; i < count; i++) {
+        addPlayer(game, `p${i}`, { username: `player${i}`, slot: getFreeSlot(game) });
+    }
+}
+
+test('every shipped map is valid, and the default is among them', () => {
+    const maps = listMaps();
+    assert.ok(maps.some(map => map.id === DEFAULT_MAP_ID));
+    maps.forEach(({ id }) => assert.deepStrictEqual(validateMap(getMap(id)), [], id));
+});
+
+test('maps that break the layout rules are refused', () => {
+    const map = getMap('the_strait');
+    const broken = changes => validateMap({ ...structuredClone(map), ...changes }).join();
+
+    assert.match(broken({ tiles: map.tiles.slice(1) }), /expected 32 rows/);
+    assert.match(broken({ spawns: [{ ...map.spawns[0], gridX: map.spawns[1].gridX, gridY: map.spawns[1].gridY }, map.spawns[1]] }), /must stand on a tile of its own territory/);
+    assert.match(broken({ routes: [{ between: [0, 1], bridges: ['nowhere'] }] }), /unknown bridge "nowhere"/);
+    assert.match(broken({ routes: [{ between: [0, 0] }] }), /must join two different spawns/);
+    assert.match(broken({ bridges: [...map.bridges, map.bridges[0]] }), /duplicate name "west"/);
+});
+
+test('a game copies its map, falling back to the default for an unknown id', () => {
+    const strait = createGame('test', { seed: 1, mapId: 'the_strait' });
+    assert.strictEqual(strait.terrain.mapId, 'the_strait');
+    assert.strictEqual(strait.terrain.gridSize, 32);
+    assert.strictEqual(strait.terrain.spawns.length, 2);
+    assert.ok(strait.terrain.trench.every(({ x, y }) => strait.terrain.tiles[y][x] === '#'));
+
+    strait.terrain.tiles[0] = 'changed';
+    assert.notStrictEqual(getMap('the_strait').tiles[0], 'changed');
+    assert.strictEqual(createGame('test', { mapId: 'atlantis' }).terrain.mapId, DEFAULT_MAP_ID);
+});
+
+test('players take the free seats, which run out with the map', () => {
+    const game = createGame('test', { seed: 1, mapId: 'the_strait' });
+    seatPlayers(game, 2);
+    const [first, second] = Object.values(game.players);
+    assert.deepStrictEqual([first.slot, second.slot], [0, 1]);
+    assert.strictEqual(first.gridX, game.terrain.spawns[0].gridX);
+    assert.strictEqual(getFreeSlot(game), -1);
+});
+
+test('switching maps reseats the room, if everyone fits and play has not started', () => {
+    const game = createGame('test', { seed: 1 });
+    seatPlayers(game, 3);
+    assert.strictEqual(setGameMap(game, 'atlantis').code, E.INVALID_MAP);
+    assert.strictEqual(setGameMap(game, 'the_strait').code, E.INVALID_MAP);
+    assert.strictEqual(game.terrain.mapId, DEFAULT_MAP_ID);
+
+    assert.strictEqual(setGameMap(game, 'open_reef'), null);
+    const spawns = getMap('open_reef').spawns;
+    Object.values(game.players).forEach((player, slot) => {
+        assert.strictEqual(player.slot, slot);
+        assert.deepStrictEqual([player.gridX, player.gridY], [spawns[slot].gridX, spawns[slot].gridY]);
+    });
+
+    startGame(game);
+    assert.strictEqual(setGameMap(game, 'trench_x').code, E.GAME_ALREADY_STARTED);
+});
+
+test('a player back before the start gets their seat only if it is still free', () => {
+    const game = createGame('test', { seed: 1, mapId: 'the_strait' });
+    seatPlayers(game, 2);
+    const saved = removePlayer(game, 'p0');
+
+    // Nobody took it: same seat
+    assert.strictEqual(rejoinPlayer(game, saved, 'back').slot, 0);
+
+    // Taken, but another seat is free
+    removePlayer(game, 'back');
+    const moved = removePlayer(game, 'p1');
+    addPlayer(game, 'newcomer', { username: 'newcomer', slot: 1 });
+    const reseated = rejoinPlayer(game, moved, 'back');
+    assert.strictEqual(reseated.slot, 0);
+    assert.strictEqual(reseated.gridX, game.terrain.spawns[0].gridX);
+
+    // Taken and the map is full
+    const away = removePlayer(game, 'back');
+    addPlayer(game, 'late', { username: 'late', slot: getFreeSlot(game) });
+    assert.strictEqual(rejoinPlayer(game, away, 'again'), null);
+    assert.strictEqual(game.players.again, undefined);
+});
+
+test('the server lists its maps and the room leader picks one', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const leader = await connect(server.url);
+    t.after(() => leader.close());
+
+    const maps = nextEvent(leader, 'mapList');
+    leader.emit('getMaps');
+    assert.deepStrictEqual((await maps).map(map => map.id).sort(), listMaps().map(map => map.id).sort());
+
+    await joinRoom(leader, 'room1', 'leader');
+    const switched = nextState(leader, state => state.terrain.mapId === 'the_strait');
+    const result = await leader.timeout(5000).emitWithAck('updateRoomSettings', { gameId: 'room1', settings: { mapId: 'the_strait' } });
+    assert.deepStrictEqual(result, { ok: true });
+    assert.strictEqual((await switched).terrain.gridSize, 32);
+});
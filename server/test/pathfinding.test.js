@@ -0,0 +1,161 @@
+// Pathfinding: A* and distance fields must find what the old breadth-first
+// search found on plain water, and the cheapest way round kelp and deep water
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, listMaps } = require('../engine');
+const {
+    BLOCKED,
+    UNREACHABLE,
+    MAX_CACHED_FIELDS,
+    getMoveCosts,
+    getEnemyCells,
+    findPath,
+    getDistanceField,
+    findOffensivePath,
+    getPathCost
+} = require('../engine/pathfinding');
+const { countBfsSteps } = require('./helpers');
+
+// A game on the map with its features left out, so every open cell costs 1
+// like it did for the breadth-first search
+function plainGame(mapId) {
+    const game = createGame('test', { seed: 1, mapId });
+    game.terrain = { ...game.terrain, features: null };
+    return game;
+}
+
+// Spawns and bridges to start from; they are where troops set out and head for
+function getLandmarks(game) {
+    const { spawns, bridges } = game.terrain;
+    return [...spawns.map(s => ({ x: s.gridX, y: s.gridY })), ...bridges.map(b => ({ x: b.x, y: b.y }))];
+}
+
+// Landmarks plus a spread of cells across the board, open or not
+function getTargets(game) {
+    const targets = getLandmarks(game);
+    for (let y = 1; y < game.terrain.gridSize; y += 6) {
+        for (let x = 2; x < game.terrain.gridSize; x += 6) targets.push({ x, y });
+    }
+    return targets;
+}
+
+// Each step is one cell on from the last, onto a cell the troop can enter
+function assertWalkable(game, troopType, start, path) {
+    const size = game.terrain.gridSize;
+    const costs = getMoveCosts(game, troopType);
+    path.forEach((step, i) => {
+        const from = i === 0 ? start : path[i - 1];
+        assert.strictEqual(Math.abs(step.x - from.x) + Math.abs(step.y - from.y), 1);
+        assert.notStrictEqual(costs[step.y * size + step.x], BLOCKED);
+    });
+}
+
+test('on every shipped map, A* finds paths as short as the old breadth-first search', () => {
+    listMaps().forEach(({ id }) => {
+        const game = plainGame(id);
+        const size = game.terrain.gridSize;
+        const targets = getTargets(game);
+        getLandmarks(game).forEach(start => {
+            const steps = countBfsSteps(game, start.x, start.y);
+            targets.forEach(end => {
+                const path = findPath(game, 'offense', start.x, start.y, end.x, end.y);
+                const expected = steps[end.y * size + end.x];
+                const label = `${id}: (${start.x},${start.y}) to (${end.x},${end.y})`;
+                assert.strictEqual(path.length, Math.max(expected, 0), label);
+                assertWalkable(game, 'offense', start, path);
+                if (path.length > 0) assert.deepStrictEqual(path[path.length - 1], end, label);
+            });
+        });
+    });
+});
+
+test('on every shipped map, offensive troops heading for a base take the breadth-first search\'s distance', () => {
+    listMaps().forEach(({ id }) => {
+        const game = plainGame(id);
+        const size = game.terrain.gridSize;
+        getLandmarks(game).forEach(base => {
+            const steps = countBfsSteps(game, base.x, base.y);
+            getTargets(game).forEach(start => {
+                const path = findOffensivePath(game, start.x, start.y, base.x, base.y);
+                const expected = steps[start.y * size + start.x];
+                assert.strictEqual(path.length, Math.max(expected, 0), `${id}: (${start.x},${start.y}) to (${base.x},${base.y})`);
+                assertWalkable(game, 'offense', start, path);
+            });
+        });
+    });
+});
+
+test('with kelp and deep water, A* and the distance fields agree on the cheapest cost', () => {
+    listMaps().filter(({ id }) => createGame('test', { mapId: id }).terrain.features).forEach(({ id }) => {
+        const game = createGame('test', { seed: 1, mapId: id });
+        const size = game.terrain.gridSize;
+        ['offense', 'defense'].forEach(troopType => {
+            getLandmarks(game).forEach(end => {
+                const field = getDistanceField(game, troopType, end.x, end.y);
+                getTargets(game).forEach(start => {
+                    const path = findPath(game, troopType, start.x, start.y, end.x, end.y);
+                    const expected = field[start.y * size + start.x];
+                    const label = `${id} ${troopType}: (${start.x},${start.y}) to (${end.x},${end.y})`;
+                    if (expected === UNREACHABLE || expected === 0) {
+                        assert.deepStrictEqual(path, [], label);
+                        return;
+                    }
+                    assert.strictEqual(getPathCost(game, troopType, path), expected, label);
+                    assertWalkable(game, troopType, start, path);
+                });
+            });
+        });
+    });
+});
+
+test('paths come out the same every time, whatever was searched before', () => {
+    const game = createGame('test', { seed: 1, mapId: 'the_strait' });
+    const first = findPath(game, 'offense', 3, 3, 28, 28);
+    findPath(game, 'defense', 28, 28, 3, 3);
+    findOffensivePath(game, 5, 2, 26, 29);
+    assert.deepStrictEqual(findPath(game, 'offense', 3, 3, 28, 28), first);
+    assert.deepStrictEqual(findPath(createGame('other', { seed: 9, mapId: 'the_strait' }), 'offense', 3, 3, 28, 28), first);
+});
+
+test('defensive paths step round enemy troops, but may end on the one they are going for', () => {
+    const game = createGame('test', { seed: 1, mapId: 'trench_x' });
+    game.troops.push(
+        { id: 'troop-0', ownerId: 'b', gridX: 21, gridY: 10 },
+        { id: 'troop-1', ownerId: 'b', gridX: 23, gridY: 10 },
+        { id: 'troop-2', ownerId: 'a', gridX: 22, gridY: 11 }
+    );
+    const avoid = getEnemyCells(game, 'a');
+    assert.deepStrictEqual([...avoid].sort(), [10 * 40 + 21, 10 * 40 + 23]);
+
+    const straight = findPath(game, 'defense', 18, 10, 23, 10);
+    assert.ok(straight.some(({ x, y }) => x === 21 && y === 10));
+
+    const around = findPath(game, 'defense', 18, 10, 23, 10, { avoid });
+    assert.ok(!around.some(({ x, y }) => x === 21 && y === 10));
+    assert.deepStrictEqual(around[around.length - 1], { x: 23, y: 10 });
+    assert.strictEqual(around.length, straight.length + 2);
+});
+
+test('each map keeps only its most recently used distance fields', () => {
+    const game = createGame('test', { seed: 1, mapId: 'open_reef' });
+    const size = game.terrain.gridSize;
+    const open = [];
+    const costs = getMoveCosts(game, 'offense');
+    for (let cell = 0; cell < size * size && open.length < MAX_CACHED_FIELDS + 1; cell++) {
+        if (costs[cell] !== BLOCKED) open.push({ x: cell % size, y: Math.floor(cell / size) });
+    }
+    const [oldest, kept, ...others] = open;
+
+    const oldestField = getDistanceField(game, 'offense', oldest.x, oldest.y);
+    const keptField = getDistanceField(game, 'offense', kept.x, kept.y);
+    assert.strictEqual(getDistanceField(game, 'offense', oldest.x, oldest.y), oldestField, 'reused while cached');
+
+    // Touch `kept` last, then fill the cache past its cap
+    getDistanceField(game, 'offense', kept.x, kept.y);
+    others.forEach(({ x, y }) => getDistanceField(game, 'offense', x, y));
+    assert.strictEqual(getDistanceField(game, 'offense', kept.x, kept.y), keptField);
+
+    const rebuilt = getDistanceField(game, 'offense', oldest.x, oldest.y);
+    assert.notStrictEqual(rebuilt, oldestField, 'the least recently used field was dropped');
+    assert.deepStrictEqual(rebuilt, oldestField);
+});
@@ -0,0 +1,110 @@
+// previewTurn plays the end of a turn on a copy: the live game never changes,
+// and the forecast only knows what the player can see
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGame, addPlayer, startGame, previewTurn, ERROR_CODES: E } = require('../engine');
+const { seatDuel, startDuel, otherPlayerId, playTurns, startServer, startOnlineDuel } = require('./helpers');
+
+// A started duel with the given room rules
+function startRuledDuel({ gameMode = 'turns', fogOfWar = false } = {}) {
+    const game = seatDuel({ seed: 31 });
+    game.gameMode = gameMode;
+    game.fogOfWar = fogOfWar;
+    startGame(game);
+    return game;
+}
+
+test('a forecast leaves the game as it was, dice included', () => {
+    const game = startDuel({ seed: 31 });
+    playTurns(game, 6);
+    const player = game.players[game.currentTurn];
+    const card = player.hand.find(c => c.type !== 'spell' && c.cost <= player.elixir);
+    const before = structuredClone(game);
+
+    const ending = previewTurn(game, player.id);
+    assert.strictEqual(ending.error, null);
+    assert.strictEqual(ending.forecast.turnNumber, game.turnNumber);
+    assert.strictEqual(ending.forecast.bases.length, 2);
+
+    const deploy = previewTurn(game, player.id, [{ type: 'deployCard', cardId: card.id }]);
+    assert.strictEqual(deploy.error, null);
+    assert.ok(deploy.forecast.troops.some(t => t.deployed && t.ownerId === player.id));
+
+    assert.deepStrictEqual(game, before);
+});
+
+test('a player can forecast their own turn while waiting for it', () => {
+    const game = startDuel({ seed: 31 });
+    playTurns(game, 6);
+    const waiting = otherPlayerId(game);
+    const card = game.players[waiting].hand.find(c => c.type === 'offense' && c.cost <= game.players[waiting].elixir);
+    const before = structuredClone(game);
+
+    const { forecast, error } = previewTurn(game, waiting, [{ type: 'deployCard', cardId: card.id }]);
+    assert.strictEqual(error, null);
+    assert.ok(forecast.troops.some(t => t.deployed && t.ownerId === waiting));
+    assert.deepStrictEqual(game, before);
+});
+
+test('a forecast of a simultaneous round leaves the round open', () => {
+    const game = startRuledDuel({ gameMode: 'simultaneous' });
+    const card = game.players.a.hand.find(c => c.type !== 'spell' && c.cost <= game.players.a.elixir);
+    const before = structuredClone(game);
+
+    const { forecast, error } = previewTurn(game, 'a', [{ type: 'deployCard', cardId: card.id }]);
+    assert.strictEqual(error, null);
+    assert.ok(forecast.troops.some(t => t.deployed));
+    assert.deepStrictEqual(game, before);
+    assert.deepStrictEqual(game.round.orders, {});
+});
+
+test('a forecast under fog of war leaves out enemy troops out of sight', () => {
+    const game = startRuledDuel({ fogOfWar: true });
+    const enemy = game.players.b;
+    game.troops.push({
+        id: 'hidden', ownerId: 'b', name: 'Lurker', type: 'defense',
+        gridX: enemy.gridX, gridY: enemy.gridY, hp: 100, maxHp: 100, damage: 0, speed: 0, effects: []
+    });
+
+    const { forecast, error } = previewTurn(game, 'a', []);
+    assert.strictEqual(error, null);
+    assert.ok(!forecast.troops.some(t => t.troopId === 'hidden'));
+});
+
+test('bad forecasts are refused', () => {
+    const waiting = createGame('test', { seed: 31 });
+    addPlayer(waiting, 'a', { username: 'alice', slot: 0 });
+    assert.strictEqual(previewTurn(waiting, 'a').error.code, E.GAME_NOT_IN_PROGRESS);
+
+    const game = startDuel({ seed: 31 });
+    assert.strictEqual(previewTurn(game, 'nobody').error.code, E.NOT_IN_GAME);
+    assert.strictEqual(previewTurn(game, game.currentTurn, 'all of them').error.code, E.INVALID_ORDERS);
+    assert.strictEqual(previewTurn(game, game.currentTurn, [{ type: 'nuke' }]).error.code, E.INVALID_ORDERS);
+    assert.strictEqual(
+        previewTurn(game, game.currentTurn, [{ type: 'deployCard', cardId: 'no_such_card' }]).error.code,
+        E.INVALID_CARD
+    );
+});
+
+test('the server answers a repeat forecast from its cache, and spaces out new ones', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+    const preview = orders => alice.timeout(5000).emitWithAck('previewTurn', { gameId: 'room1', orders });
+    const card = aliceState.players[alice.id].hand.find(c => c.type === 'offense');
+
+    const first = await preview([]);
+    assert.strictEqual(first.ok, true);
+    assert.strictEqual(first.result.turnNumber, aliceState.turnNumber);
+
+    // Sent together, right after: the repeat comes from the cache, the new one is too soon
+    const [repeat, other] = await Promise.all([preview([]), preview([{ type: 'deployCard', cardId: card.id }])]);
+    assert.deepStrictEqual(repeat, first);
+    assert.strictEqual(other.error.code, E.RATE_LIMITED);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const later = await preview([{ type: 'deployCard', cardId: card.id }]);
+    assert.strictEqual(later.ok, true);
+    assert.ok(later.result.troops.some(troop => troop.deployed));
+});
@@ -0,0 +1,61 @@
+// Multiplayer Elo over match standings
+const test = require('node:test');
+const assert = require('node:assert');
+const { RATING_K, getStanding, computeRatingChanges, getPlace } = require('../ratings');
+
+test('an even duel moves both ratings by half of K', () => {
+    const changes = computeRatingChanges([
+        { rating: 1200, standing: Infinity },
+        { rating: 1200, standing: 3 }
+    ]);
+    assert.deepStrictEqual(changes, [RATING_K / 2, -RATING_K / 2]);
+});
+
+test('beating a stronger player is worth more than beating a weaker one', () => {
+    const [upset] = computeRatingChanges([{ rating: 1000, standing: 1 }, { rating: 1400, standing: 0 }]);
+    const [expected] = computeRatingChanges([{ rating: 1400, standing: 1 }, { rating: 1000, standing: 0 }]);
+    assert.strictEqual(upset, 29);
+    assert.strictEqual(expected, 3);
+});
+
+test('a draw between equals changes nothing; between unequals it favours the weaker', () => {
+    assert.deepStrictEqual(
+        computeRatingChanges([{ rating: 1300, standing: 5 }, { rating: 1300, standing: 5 }]),
+        [0, 0]
+    );
+    const [strong, weak] = computeRatingChanges([{ rating: 1600, standing: 5 }, { rating: 1200, standing: 5 }]);
+    assert.ok(strong < 0 && weak > 0);
+});
+
+test('in a four-player match K is shared across the three opponents', () => {
+    const changes = computeRatingChanges([
+        { rating: 1200, standing: Infinity },
+        { rating: 1200, standing: 9 },
+        { rating: 1200, standing: 4 },
+        { rating: 1200, standing: -1 }
+    ]);
+    assert.deepStrictEqual(changes, [16, 5, -5, -16]);
+    assert.strictEqual(changes.reduce((sum, change) => sum + change, 0), 0);
+});
+
+test('a match without opponents is not rated', () => {
+    assert.deepStrictEqual(computeRatingChanges([{ rating: 1200, standing: Infinity }]), [0]);
+});
+
+test('standings: winners, survivors, later eliminations, then leavers', () => {
+    const winner = { id: 'w' };
+    const survivor = { id: 's' };
+    const early = { id: 'e', eliminated: true, eliminatedOnTurn: 4 };
+    const late = { id: 'l', eliminated: true, eliminatedOnTurn: 12 };
+    const leaver = { id: 'q' };
+    const leavers = [leaver];
+
+    const standings = [winner, survivor, late, early, leaver].map(p => getStanding(p, [winner], leavers));
+    assert.deepStrictEqual([...standings].sort((a, b) => b - a), standings);
+    assert.strictEqual(getStanding(survivor, [], leavers), getStanding(winner, [], leavers));
+});
+
+test('players on the same standing share a place', () => {
+    const entries = [{ standing: Infinity }, { standing: 7 }, { standing: 7 }, { standing: 2 }];
+    assert.deepStrictEqual(entries.map(e => getPlace(entries, e.standing)), [1, 2, 2, 4]);
+});
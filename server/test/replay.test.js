@@ -0,0 +1,99 @@
+// Replays: recorded action logs must play back into the live game, and the
+// server hands out the frames
+const test = require('node:test');
+const assert = require('node:assert');
+const { createReplay, recordAction, finishReplay, summarizeReplay, playReplay, startGame } = require('../engine');
+const { createStorage } = require('../storage');
+const { seatDuel, playTurn, startServer, connect, nextEvent } = require('./helpers');
+
+// A finished recording of `turns` turns of a seeded duel, and the live game it came from
+function recordDuel(seed, turns) {
+    const game = seatDuel({ seed });
+    const replay = createReplay(game);
+    startGame(game);
+    for (let i = 0; i < turns && game.status === 'playing'; i++) {
+        const turn = game.turnNumber;
+        playTurn(game).forEach(action => recordAction(replay, turn, action));
+    }
+    return { game, replay: finishReplay(replay, game) };
+}
+
+test('a replay plays back into the same state as the live game', () => {
+    const { game, replay } = recordDuel(4242, 30);
+
+    const { terrain, frames } = playReplay(replay);
+    assert.deepStrictEqual(terrain, game.terrain);
+    assert.strictEqual(frames.length, replay.actions.length + 1);
+    assert.strictEqual(frames[0].action, null);
+
+    const last = frames[frames.length - 1];
+    assert.strictEqual(last.turnNumber, game.turnNumber);
+    assert.strictEqual(last.status, game.status);
+    assert.deepStrictEqual(last.players, game.players);
+    const liveTroops = game.troops
+        .filter(t => !game.players[t.ownerId].eliminated)
+        .map(({ path, ...troop }) => troop);
+    assert.deepStrictEqual(last.troops, liveTroops);
+});
+
+test('playback stops where the log no longer matches the rules', () => {
+    const { replay } = recordDuel(7, 4);
+    const valid = replay.actions.length;
+    replay.actions.push({ turn: replay.turns, type: 'endTurn', playerId: 'nobody' });
+    replay.actions.push({ turn: replay.turns, type: 'endTurn', playerId: 'a' });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        assert.strictEqual(playReplay(replay).frames.length, valid + 1);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('the server lists replays and serves their frames, one request at a time', async (t) => {
+    const { replay } = recordDuel(99, 6);
+    const replayId = `${replay.endedAt}-test`;
+    const server = await startServer({
+        prepareData: async (dataDir) => {
+            const storage = createStorage({ dir: dataDir });
+            await storage.open();
+            await storage.saveReplay(replayId, replay, summarizeReplay(replayId, replay));
+            await storage.close();
+        }
+    });
+    t.after(() => server.stop());
+
+    const socket = await connect(server.url);
+    t.after(() => socket.close());
+
+    socket.emit('listReplays');
+    const list = await nextEvent(socket, 'replayList');
+    assert.deepStrictEqual(list.map(entry => entry.id), [replayId]);
+    assert.strictEqual(list[0].seed, 99);
+
+    socket.emit('getReplay', replayId);
+    const replayData = await nextEvent(socket, 'replayData');
+    assert.strictEqual(replayData.id, replayId);
+    assert.strictEqual(replayData.frames.length, replay.actions.length + 1);
+    assert.deepStrictEqual(replayData.frames, JSON.parse(JSON.stringify(playReplay(replay).frames)));
+
+    // Playback is expensive: a second request straight away is turned down
+    socket.emit('getReplay', replayId);
+    assert.match(await nextEvent(socket, 'error'), /wait/);
+});
+
+test('the server refuses unknown and malformed replay ids', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    const first = await connect(server.url);
+    t.after(() => first.close());
+    first.emit('getReplay', '../../etc/passwd');
+    assert.strictEqual(await nextEvent(first, 'error'), 'Invalid replay ID');
+
+    const second = await connect(server.url);
+    t.after(() => second.close());
+    second.emit('getReplay', '123-missing');
+    assert.strictEqual(await nextEvent(second, 'error'), 'Replay not found');
+});
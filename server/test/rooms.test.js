@@ -0,0 +1,96 @@
+// Lobby rooms over the socket API: created rooms, private rooms, passwords and invite codes
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextEvent, nextState } = require('./helpers');
+
+// Create a room; returns the creator's confirmation and the lobby list that
+// follows it (the first one with one more room than before)
+async function createRoom(socket, room) {
+    socket.emit('listRooms');
+    const before = await nextEvent(socket, 'roomList');
+    const created = nextEvent(socket, 'roomCreated');
+    socket.emit('createRoom', room);
+    const confirmation = await created;
+    socket.emit('listRooms');
+    const expected = before.length + (room.visibility === 'private' ? 0 : 1);
+    const list = await nextEvent(socket, 'roomList', rooms => rooms.length === expected);
+    return { room: confirmation, list };
+}
+
+test('rooms: listing, private rooms, passwords and invite codes', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const sockets = [];
+    t.after(() => sockets.forEach(socket => socket.close()));
+    const client = async () => {
+        const socket = await connect(server.url);
+        sockets.push(socket);
+        return socket;
+    };
+
+    const host = await client();
+    host.emit('listRooms');
+    const lobby = await nextEvent(host, 'roomList');
+    assert.strictEqual(lobby.length, 12);
+    assert.ok(lobby.every(room => room.builtIn && !room.hasPassword && room.status === 'empty'));
+
+    // A private room is not listed and can only be joined with its invite code
+    const secret = await createRoom(host, { name: 'Secret Cove', visibility: 'private' });
+    assert.match(secret.room.inviteCode, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.ok(!secret.list.some(room => room.name === 'Secret Cove'));
+
+    const guest = await client();
+    guest.emit('joinGame', { gameId: secret.room.roomId, username: 'guest' });
+    assert.strictEqual(await nextEvent(guest, 'error'), 'This room is invite only');
+    guest.emit('joinGame', { inviteCode: 'ZZZZZZ', username: 'guest' });
+    assert.strictEqual(await nextEvent(guest, 'error'), 'Invite code not found');
+    guest.emit('joinGame', { inviteCode: secret.room.inviteCode.toLowerCase(), username: 'guest' });
+    const secretState = await nextState(guest);
+    assert.strictEqual(secretState.id, secret.room.roomId);
+    assert.deepStrictEqual(secretState.room, {
+        name: 'Secret Cove',
+        visibility: 'private',
+        hasPassword: false,
+        inviteCode: secret.room.inviteCode,
+        builtIn: false
+    });
+
+    // A public room with a password is listed; the password or the invite code gets you in
+    const locked = await createRoom(host, { name: 'Locked Reef', visibility: 'public', password: 'kraken' });
+    const listed = locked.list.find(room => room.roomId === locked.room.roomId);
+    assert.strictEqual(listed.name, 'Locked Reef');
+    assert.strictEqual(listed.hasPassword, true);
+    assert.strictEqual(listed.builtIn, false);
+    assert.ok(!JSON.stringify(locked.list).includes('kraken'));
+
+    const second = await client();
+    second.emit('joinGame', { gameId: locked.room.roomId, username: 'second', password: 'squid' });
+    assert.strictEqual(await nextEvent(second, 'error'), 'Wrong room password');
+    second.emit('joinGame', { gameId: locked.room.roomId, username: 'second', password: 'kraken' });
+    assert.strictEqual((await nextState(second)).id, locked.room.roomId);
+
+    const third = await client();
+    third.emit('joinGame', { inviteCode: locked.room.inviteCode, username: 'third' });
+    assert.strictEqual((await nextState(third)).id, locked.room.roomId);
+
+    third.emit('joinGame', { gameId: 'r-missing', username: 'third' });
+    assert.strictEqual(await nextEvent(third, 'error'), 'Room not found');
+});
+
+test('rooms: names, passwords and the number of rooms per player are checked', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const host = await connect(server.url);
+    t.after(() => host.close());
+
+    host.emit('createRoom', { name: '<script>' });
+    assert.match(await nextEvent(host, 'error'), /^Invalid room name/);
+    host.emit('createRoom', { name: 'Short Pass', password: 'abc' });
+    assert.strictEqual(await nextEvent(host, 'error'), 'Room password must be 4-32 characters');
+
+    for (let i = 1; i <= 3; i++) {
+        await createRoom(host, { name: `Harbour ${i}` });
+    }
+    host.emit('createRoom', { name: 'Harbour 4' });
+    assert.strictEqual(await nextEvent(host, 'error'), 'You can have at most 3 rooms open');
+});
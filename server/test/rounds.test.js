@@ -0,0 +1,166 @@
+// Simultaneous rounds: orders checked on submit, then resolved together in a fixed order
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    applyAction,
+    startGame,
+    cloneState,
+    getCard,
+    getInitiativeOrder,
+    createReplay,
+    recordAction,
+    finishReplay,
+    playReplay,
+    CELL_SIZE,
+    MAX_ELIXIR,
+    ERROR_CODES: E
+} = require('../engine');
+const { seatDuel, startDuel } = require('./helpers');
+
+// A started duel in simultaneous mode, alice ('a') at seat 0 and bob ('b') at seat 2
+function startRoundDuel(seed = 7) {
+    const game = seatDuel({ seed });
+    game.gameMode = 'simultaneous';
+    startGame(game);
+    return game;
+}
+
+// The error code of an action that must be refused, after checking it changed nothing
+function refusal(game, action) {
+    const before = cloneState(game);
+    const { events, error } = applyAction(game, action);
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(cloneState(game), before);
+    return error.code;
+}
+
+function submit(game, playerId, orders) {
+    return applyAction(game, { type: 'submitOrders', playerId, orders });
+}
+
+function addTroop(game, ownerId, gridX, gridY) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        damage: 0,
+        speed: 3,
+        range: 1,
+        effects: []
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+test('turn-based and simultaneous actions stay in their own game mode', () => {
+    const turns = startDuel({ seed: 7 });
+    assert.strictEqual(refusal(turns, { type: 'submitOrders', playerId: 'a', orders: [] }), E.WRONG_GAME_MODE);
+    assert.strictEqual(refusal(turns, { type: 'lockInRound' }), E.WRONG_GAME_MODE);
+
+    const simultaneous = startRoundDuel();
+    assert.strictEqual(simultaneous.currentTurn, null);
+    assert.strictEqual(simultaneous.round.number, 1);
+    const card = simultaneous.players.a.hand[0];
+    assert.strictEqual(refusal(simultaneous, { type: 'deployCard', playerId: 'a', cardId: card.id }), E.WRONG_GAME_MODE);
+    assert.strictEqual(refusal(simultaneous, { type: 'endTurn', playerId: 'a' }), E.WRONG_GAME_MODE);
+});
+
+test('round orders are checked when they are submitted', () => {
+    const game = startRoundDuel();
+    const player = game.players.a;
+    const order = fields => ({ type: 'submitOrders', playerId: 'a', orders: [fields] });
+
+    assert.strictEqual(refusal(game, { type: 'submitOrders', playerId: 'a', orders: 'deploy everything' }), E.INVALID_PAYLOAD);
+    assert.strictEqual(refusal(game, order({ type: 'nuke' })), E.INVALID_ORDERS);
+    assert.strictEqual(refusal(game, order({ type: 'deployCard', cardId: 'not_in_hand' })), E.INVALID_ORDERS);
+    assert.strictEqual(refusal(game, order({ type: 'deployCard', cardId: player.hand[0].id, gridX: 99, gridY: 0 })), E.INVALID_ORDERS);
+    assert.strictEqual(refusal(game, order({ type: 'moveTroop', troopId: 'troop-0', targetGridX: 1, targetGridY: 1 })), E.INVALID_ORDERS);
+
+    // A card that left the catalog while it was in hand
+    player.hand.push({ id: 'retired_card', cost: 1 });
+    assert.strictEqual(refusal(game, order({ type: 'deployCard', cardId: 'retired_card' })), E.INVALID_CARD);
+    player.hand.pop();
+
+    // The cards are paid for together
+    player.elixir = player.hand[0].cost + player.hand[1].cost - 1;
+    const both = { type: 'submitOrders', playerId: 'a', orders: player.hand.slice(0, 2).map(c => ({ type: 'deployCard', cardId: c.id })) };
+    assert.strictEqual(refusal(game, both), E.INVALID_ORDERS);
+
+    assert.strictEqual(submit(game, 'a', []).error, null);
+    assert.strictEqual(refusal(game, { type: 'submitOrders', playerId: 'a', orders: [] }), E.ORDERS_LOCKED);
+});
+
+test('initiative starts one seat further round the table every round', () => {
+    const game = startRoundDuel();
+    assert.deepStrictEqual(getInitiativeOrder(game).map(p => p.id), ['a', 'b']);
+    applyAction(game, { type: 'lockInRound' });
+    assert.strictEqual(game.round.number, 2);
+    assert.deepStrictEqual(getInitiativeOrder(game).map(p => p.id), ['b', 'a']);
+});
+
+test('the round resolves once everyone is in: deploys in initiative order, then a new round', () => {
+    const game = startRoundDuel();
+    [game.players.a, game.players.b].forEach(player => {
+        player.elixir = MAX_ELIXIR;
+        player.hand[0] = getCard('shark');
+    });
+    const turnNumber = game.turnNumber;
+
+    const first = submit(game, 'a', [{ type: 'deployCard', cardId: 'shark' }]);
+    assert.deepStrictEqual(first.events.map(e => e.type), ['ordersSubmitted']);
+    assert.strictEqual(game.troops.length, 0, 'nothing happens until everyone is in');
+
+    const { events, error } = submit(game, 'b', [{ type: 'deployCard', cardId: 'shark' }]);
+    assert.strictEqual(error, null);
+    const resolved = events.find(e => e.type === 'roundResolved');
+    assert.deepStrictEqual(resolved.steps.map(s => [s.type, s.playerId]), [['troopDeployed', 'a'], ['troopDeployed', 'b']]);
+    assert.deepStrictEqual(game.troops.map(t => t.ownerId), ['a', 'b']);
+    assert.strictEqual(game.round.number, 2);
+    assert.deepStrictEqual(game.round.orders, {});
+    assert.strictEqual(game.turnNumber, turnNumber + 2);
+});
+
+test('two moves to the same cell: the earlier one gets it and the other is skipped', () => {
+    const game = startRoundDuel();
+    game.movementMode = 'manual';
+    const alices = addTroop(game, 'a', 19, 20);
+    const bobs = addTroop(game, 'b', 21, 20);
+    const move = troop => [{ type: 'moveTroop', troopId: troop.id, targetGridX: 20, targetGridY: 20 }];
+
+    submit(game, 'b', move(bobs));
+    const { events } = submit(game, 'a', move(alices));
+    const steps = events.find(e => e.type === 'roundResolved').steps;
+    assert.deepStrictEqual(steps.map(s => [s.type, s.playerId]), [['troopMoved', 'a'], ['orderSkipped', 'b']]);
+    assert.strictEqual(steps[1].reason, 'Another troop moved there first');
+    assert.deepStrictEqual([alices.gridX, alices.gridY], [20, 20]);
+});
+
+test('a simultaneous match plays back from its replay', () => {
+    const game = seatDuel({ seed: 21 });
+    game.gameMode = 'simultaneous';
+    const replay = createReplay(game);
+    startGame(game);
+    const play = action => {
+        const turn = game.turnNumber;
+        assert.strictEqual(applyAction(game, action).error, null);
+        recordAction(replay, turn, action);
+    };
+    for (let round = 0; round < 6 && game.status === 'playing'; round++) {
+        const alice = game.players.a;
+        const card = alice.hand.find(c => c.type === 'offense' && c.cost <= alice.elixir);
+        play({ type: 'submitOrders', playerId: 'a', orders: card ? [{ type: 'deployCard', cardId: card.id }] : [] });
+        play({ type: 'lockInRound' });
+    }
+    finishReplay(replay, game);
+
+    const { frames } = playReplay(replay);
+    const last = frames[frames.length - 1];
+    assert.strictEqual(last.round, game.round.number);
+    assert.deepStrictEqual(last.players, game.players);
+});
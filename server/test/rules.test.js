@@ -0,0 +1,115 @@
+// Rule sets: presets and single-rule changes in the room, and what they change in play
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    applyAction,
+    startGame,
+    getCard,
+    getRules,
+    setRules,
+    listRulePresets,
+    getGamePhase,
+    createReplay,
+    recordAction,
+    finishReplay,
+    playReplay,
+    ERROR_CODES: E,
+    TURN_DURATION,
+    STARTING_ELIXIR,
+    BASE_HP
+} = require('../engine');
+const { findRulesProblem } = require('../engine/rules');
+const { seatDuel, playTurn, startServer, connect, nextState, joinRoom } = require('./helpers');
+
+test('every preset is playable, and Classic is the default', () => {
+    const presets = listRulePresets();
+    assert.deepStrictEqual(presets.map(p => p.id), ['classic', 'blitz', 'marathon']);
+    presets.forEach(({ id, rules }) => assert.strictEqual(findRulesProblem(rules), null, id));
+
+    const rules = getRules(seatDuel({ seed: 1 }));
+    assert.strictEqual(rules.preset, 'classic');
+    assert.deepStrictEqual([rules.turnDuration, rules.startingElixir, rules.baseHp], [TURN_DURATION, STARTING_ELIXIR, BASE_HP]);
+});
+
+test('a preset or a single change reaches the seated players; broken rules are refused', () => {
+    const game = seatDuel({ seed: 1 });
+    assert.strictEqual(setRules(game, { preset: 'blitz' }), null);
+    assert.strictEqual(game.players.a.baseHp, 600);
+    assert.strictEqual(game.players.b.elixir, 10);
+
+    assert.strictEqual(setRules(game, { changes: { baseHp: 800 } }), null);
+    assert.strictEqual(game.rules.preset, 'custom');
+    assert.strictEqual(game.rules.elixirPerTurn, 8, 'other rules stay as they were');
+    assert.strictEqual(game.players.a.baseHp, 800);
+
+    const refused = changes => setRules(game, { changes }).code;
+    assert.strictEqual(refused({ baseHp: 50 }), E.INVALID_RULES);
+    assert.strictEqual(refused({ turnDuration: 12.5 }), E.INVALID_RULES);
+    assert.strictEqual(refused({ startingElixir: 16 }), E.INVALID_RULES);
+    assert.strictEqual(refused({ accelerationTurns: [10, 10, 20, 30] }), E.INVALID_RULES);
+    assert.strictEqual(refused({ gravity: 2 }), E.INVALID_RULES);
+    assert.strictEqual(setRules(game, { preset: 'sudden_death' }).code, E.INVALID_RULES);
+    assert.strictEqual(game.rules.baseHp, 800);
+
+    startGame(game);
+    assert.strictEqual(setRules(game, { preset: 'classic' }).code, E.GAME_ALREADY_STARTED);
+});
+
+test('the rules set the turn timer, the elixir economy and the defence cap', () => {
+    const game = seatDuel({ seed: 1 });
+    setRules(game, { preset: 'blitz', changes: { maxDefensiveUnits: 1 } });
+    startGame(game);
+    assert.strictEqual(game.turnTimeRemaining, 15);
+
+    const bob = game.players.b;
+    applyAction(game, { type: 'endTurn', playerId: 'a' });
+    assert.strictEqual(bob.elixir, 15, '10 + 8, capped at 15');
+
+    game.troops.push({ id: 'troop-0', ownerId: 'b', type: 'defense', gridX: 20, gridY: 34, hp: 100, effects: [] });
+    bob.hand[0] = getCard('crab');
+    const { error } = applyAction(game, { type: 'deployCard', playerId: 'b', cardId: 'crab', gridX: 21, gridY: 34 });
+    assert.strictEqual(error.code, E.DEFENSE_LIMIT);
+});
+
+test('acceleration steps up at the rules\' turns', () => {
+    const game = seatDuel({ seed: 1 });
+    setRules(game, { changes: { accelerationTurns: [5, 10, 15, 20] } });
+    const phaseAt = turn => getGamePhase({ ...game, turnNumber: turn }).phase;
+    assert.deepStrictEqual([5, 6, 11, 16, 21].map(phaseAt), [1, 2, 3, 4, 5]);
+});
+
+test('a replay plays back under the rules it was recorded with', () => {
+    const game = seatDuel({ seed: 11 });
+    setRules(game, { preset: 'marathon' });
+    const replay = createReplay(game);
+    startGame(game);
+    for (let i = 0; i < 8; i++) {
+        const turn = game.turnNumber;
+        playTurn(game).forEach(action => recordAction(replay, turn, action));
+    }
+    finishReplay(replay, game);
+
+    assert.strictEqual(replay.settings.rules.preset, 'marathon');
+    const { frames } = playReplay(replay);
+    assert.deepStrictEqual(frames[frames.length - 1].players, game.players);
+});
+
+test('the room leader changes the rules from the room settings', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const leader = await connect(server.url);
+    const guest = await connect(server.url);
+    t.after(() => [leader, guest].forEach(socket => socket.close()));
+    await joinRoom(leader, 'room1', 'leader');
+    await joinRoom(guest, 'room1', 'guest');
+    const settings = (socket, changes) => socket.timeout(5000).emitWithAck('updateRoomSettings', { gameId: 'room1', settings: changes });
+
+    const changed = nextState(guest, state => state.rules?.preset === 'custom');
+    assert.deepStrictEqual(await settings(leader, { rulePreset: 'blitz', rules: { baseHp: 900 } }), { ok: true });
+    const state = await changed;
+    assert.strictEqual(state.rules.turnDuration, 15);
+    assert.strictEqual(state.players[guest.id].baseHp, 900);
+
+    assert.strictEqual((await settings(leader, { rules: { maxElixir: 99 } })).error.code, E.INVALID_RULES);
+    assert.strictEqual((await settings(guest, { rulePreset: 'classic' })).error.code, E.NOT_ROOM_LEADER);
+});
@@ -0,0 +1,58 @@
+// Spectators watch a room without a seat: they see no hands and cannot act
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextEvent, nextState, joinRoom, startOnlineDuel } = require('./helpers');
+
+test('a spectator watches a live match with every hand hidden', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob } = await startOnlineDuel(server);
+    const watcher = await connect(server.url);
+    t.after(() => [alice, bob, watcher].forEach(socket => socket.close()));
+
+    const playerView = nextState(alice, state => state.spectators.length === 1);
+    const spectating = nextEvent(watcher, 'spectating');
+    const view = nextState(watcher);
+    watcher.emit('spectateGame', { gameId: 'room1', username: 'watcher' });
+
+    assert.deepStrictEqual(await spectating, { gameId: 'room1' });
+    const state = await view;
+    assert.strictEqual(state.spectating, true);
+    assert.strictEqual(state.status, 'playing');
+    assert.strictEqual(state.disconnectedPlayers, undefined);
+    assert.strictEqual(state.mlAIInsights, undefined);
+    Object.values(state.players).forEach(player => {
+        assert.strictEqual(player.hand, undefined);
+        assert.strictEqual(player.nextCard, undefined);
+        assert.strictEqual(player.handSize, 4);
+    });
+    assert.deepStrictEqual((await playerView).spectators, ['watcher']);
+
+    // Spectators are turned away from every game action
+    watcher.emit('endTurn', 'room1');
+    assert.strictEqual(await nextEvent(watcher, 'error'), 'Spectators cannot take game actions');
+
+    // Leaving takes them off the players' list
+    const afterLeaving = nextState(alice, state => state.spectators.length === 0);
+    watcher.emit('stopSpectating');
+    await afterLeaving;
+});
+
+test('spectating needs someone in the room, and players cannot also spectate', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const player = await connect(server.url);
+    const watcher = await connect(server.url);
+    t.after(() => [player, watcher].forEach(socket => socket.close()));
+
+    watcher.emit('spectateGame', { gameId: 'room2' });
+    assert.strictEqual(await nextEvent(watcher, 'error'), 'Nobody is playing in this room yet');
+
+    await joinRoom(player, 'room2', 'player');
+    player.emit('spectateGame', { gameId: 'room2' });
+    assert.strictEqual(await nextEvent(player, 'error'), 'You are already playing in this game');
+
+    // A waiting room can be watched too
+    watcher.emit('spectateGame', { gameId: 'room2' });
+    assert.strictEqual((await nextState(watcher)).status, 'waiting');
+});
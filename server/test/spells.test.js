@@ -0,0 +1,121 @@
+// Spell cards resolve on a target cell instead of spawning a troop
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAction, getCard, hasStatusEffect, validateCardCatalog, CARD_CATALOG_PATH, CELL_SIZE, MAX_ELIXIR, ERROR_CODES: E } = require('../engine');
+const { absorbBaseDamage } = require('../engine/spells');
+const { startDuel } = require('./helpers');
+
+// Alice to play, with `cardId` in her hand and elixir to spare
+function duelWithSpell(cardId) {
+    const game = startDuel({ seed: 7 });
+    game.players.a.hand[0] = getCard(cardId);
+    game.players.a.elixir = MAX_ELIXIR;
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY, fields = {}) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 200,
+        damage: 10,
+        speed: 3,
+        range: 1,
+        ...fields
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+function cast(game, cardId, gridX, gridY) {
+    return applyAction(game, { type: 'deployCard', playerId: 'a', cardId, gridX, gridY });
+}
+
+test('a damage spell hits only enemy troops inside its radius', () => {
+    const game = duelWithSpell('tsunami');
+    const { amount, radius } = getCard('tsunami').spell;
+    const hit = addTroop(game, 'b', 20, 20, { hp: amount + 50 });
+    const killed = addTroop(game, 'b', 20 + radius, 20, { hp: amount });
+    const outside = addTroop(game, 'b', 20 + radius + 1, 20);
+    const own = addTroop(game, 'a', 20, 21);
+    const elixir = game.players.a.elixir;
+
+    const { events, error } = cast(game, 'tsunami', 20, 20);
+    assert.strictEqual(error, null);
+    assert.strictEqual(hit.hp, 50);
+    assert.ok(!game.troops.includes(killed));
+    assert.strictEqual(outside.hp, 100);
+    assert.strictEqual(own.hp, 100);
+    assert.strictEqual(game.players.a.elixir, elixir - getCard('tsunami').cost);
+    assert.ok(!game.players.a.hand.some(card => card.id === 'tsunami'));
+
+    const combat = events.find(e => e.type === 'combat').events;
+    assert.strictEqual(combat[0].type, 'spell');
+    assert.deepStrictEqual(combat.filter(e => e.type === 'spellHit').map(e => e.targetId).sort(), [hit.id, killed.id].sort());
+    assert.ok(combat.some(e => e.type === 'death' && e.targetId === killed.id));
+});
+
+test('a heal tops up own troops without going over their max HP', () => {
+    const game = duelWithSpell('healing_current');
+    const wounded = addTroop(game, 'a', 20, 20, { hp: 150, maxHp: 200 });
+    const enemy = addTroop(game, 'b', 20, 21, { hp: 50 });
+
+    assert.strictEqual(cast(game, 'healing_current', 20, 20).error, null);
+    assert.strictEqual(wounded.hp, 200);
+    assert.strictEqual(enemy.hp, 50);
+});
+
+test('a freeze holds enemy troops in place, but not walls', () => {
+    const game = duelWithSpell('frost_bubble');
+    game.movementMode = 'manual';
+    const { turns } = getCard('frost_bubble').spell;
+    const frozen = addTroop(game, 'b', 20, 20);
+    const wall = addTroop(game, 'b', 21, 20, { type: 'defense', isWall: true, speed: 0 });
+
+    assert.strictEqual(cast(game, 'frost_bubble', 20, 20).error, null);
+    assert.deepStrictEqual(frozen.effects, [{ id: 'freeze', turns, amount: 0, stacks: 1 }]);
+    assert.ok(!hasStatusEffect(wall, 'freeze'));
+
+    applyAction(game, { type: 'endTurn', playerId: 'a' });
+    const move = { type: 'moveTroop', playerId: 'b', troopId: frozen.id, targetGridX: 20, targetGridY: 21 };
+    assert.strictEqual(applyAction(game, move).error.code, E.TROOP_IMMOBILE);
+});
+
+test('a shield goes on the caster\'s own base, soaks up hits and wears off', () => {
+    const game = duelWithSpell('bubble_shield');
+    const alice = game.players.a;
+    const { amount, turns } = getCard('bubble_shield').spell;
+
+    assert.strictEqual(cast(game, 'bubble_shield', 20, 20).error.code, E.INVALID_TARGET);
+    assert.strictEqual(cast(game, 'bubble_shield').error.code, E.INVALID_POSITION);
+    assert.strictEqual(cast(game, 'bubble_shield', alice.gridX, alice.gridY).error, null);
+    assert.deepStrictEqual(alice.shield, { hp: amount, turnsLeft: turns });
+
+    assert.strictEqual(absorbBaseDamage(alice, amount - 10), 0);
+    assert.strictEqual(absorbBaseDamage(alice, 30), 20);
+    assert.strictEqual(alice.shield, null);
+
+    alice.shield = { hp: amount, turnsLeft: 1 };
+    applyAction(game, { type: 'endTurn', playerId: 'a' });
+    applyAction(game, { type: 'endTurn', playerId: 'b' });
+    assert.strictEqual(alice.shield, null);
+});
+
+test('the catalog keeps spell and troop fields apart', () => {
+    const catalog = require(CARD_CATALOG_PATH);
+    const withCard = card => validateCardCatalog({ ...catalog, cards: [...catalog.cards, card] }).join();
+    const spell = catalog.cards.find(c => c.type === 'spell');
+    const troop = catalog.cards.find(c => c.type === 'offense');
+    const { spell: _effect, ...noEffect } = spell;
+    const { hp: _hp, ...hollow } = troop;
+
+    assert.match(withCard({ ...noEffect, id: 'no_effect' }), /spells need a "spell" definition/);
+    assert.match(withCard({ ...troop, id: 'hybrid', spell: spell.spell }), /only spell cards have a "spell" definition/);
+    assert.match(withCard({ ...hollow, id: 'hollow' }), /troop cards need "hp"/);
+});
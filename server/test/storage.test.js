@@ -0,0 +1,179 @@
+// Both storage backends behind the same interface, and the legacy-file import
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, SCHEMA_VERSION } = require('../storage');
+
+// A store on a fresh temporary directory, closed and removed after the test
+async function openStore(t, options = {}) {
+    const dir = options.dir || fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-storage-'));
+    const store = createStorage({ dir, ...options });
+    await store.open();
+    t.after(async () => {
+        await store.close();
+        if (!options.dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { store, dir };
+}
+
+// The storage modules log every import and open; keep the test output readable
+function quietly(t) {
+    const log = console.log;
+    console.log = () => {};
+    t.after(() => {
+        console.log = log;
+    });
+}
+
+const replaySummary = (id, endedAt) => ({ id, endedAt, players: ['alice', 'bob'] });
+
+for (const backend of ['json', 'sqlite']) {
+    test(`${backend}: records survive a restart`, async (t) => {
+        quietly(t);
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-storage-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        const first = createStorage({ backend, dir });
+        await first.open();
+        const account = { id: 'acc-1', username: 'captain', rating: 1200 };
+        await Promise.all([
+            first.saveStats({ totalGames: 3 }),
+            first.appendHistory({ winner: 'ai' }),
+            first.saveAccount(account),
+            first.saveModelCheckpoint({ lastUpdated: 1, weights: [] }),
+            first.saveReplay('100-room', { gameId: 'room' }, replaySummary('100-room', 100))
+        ]);
+        account.rating = 1216;
+        await first.saveAccount(account);
+        await first.close();
+
+        const second = createStorage({ backend, dir });
+        await second.open();
+        t.after(() => second.close());
+        assert.deepStrictEqual(await second.loadStats(), { totalGames: 3 });
+        assert.deepStrictEqual(await second.loadHistory(), [{ winner: 'ai' }]);
+        assert.deepStrictEqual(await second.loadAccounts(), [account]);
+        assert.deepStrictEqual(await second.loadLatestModel(), { lastUpdated: 1, weights: [] });
+        assert.deepStrictEqual(await second.loadReplay('100-room'), { gameId: 'room' });
+        assert.strictEqual(await second.getSchemaVersion(), SCHEMA_VERSION);
+    });
+
+    test(`${backend}: history, checkpoints and replays are capped`, async (t) => {
+        quietly(t);
+        const { store } = await openStore(t, { backend, limits: { history: 3, modelCheckpoints: 2, replays: 2 } });
+
+        const writes = [];
+        for (let i = 1; i <= 5; i++) {
+            writes.push(store.appendHistory({ game: i }));
+            writes.push(store.saveReplay(`${i}-room`, { game: i }, replaySummary(`${i}-room`, i)));
+        }
+        await Promise.all(writes);
+        for (let i = 1; i <= 4; i++) {
+            await store.saveModelCheckpoint({ version: i });
+        }
+
+        assert.deepStrictEqual(await store.loadHistory(), [{ game: 3 }, { game: 4 }, { game: 5 }]);
+        assert.deepStrictEqual((await store.listReplays()).map(s => s.id), ['5-room', '4-room']);
+        assert.strictEqual(await store.loadReplay('1-room'), null);
+        assert.deepStrictEqual(await store.loadLatestModel(), { version: 4 });
+    });
+
+    test(`${backend}: a write keeps the record as it was when written`, async (t) => {
+        quietly(t);
+        const { store } = await openStore(t, { backend });
+        const stats = { totalGames: 1 };
+        const saved = store.saveStats(stats);
+        stats.totalGames = 2;
+        await saved;
+        assert.deepStrictEqual(await store.loadStats(), { totalGames: 1 });
+    });
+}
+
+test('sqlite: reads see writes that are still queued', async (t) => {
+    quietly(t);
+    const { store } = await openStore(t, { backend: 'sqlite' });
+    store.appendHistory({ game: 1 });
+    store.saveAccount({ id: 'acc-1', username: 'captain' });
+    assert.deepStrictEqual(await store.loadHistory(), [{ game: 1 }]);
+    assert.strictEqual((await store.loadAccounts()).length, 1);
+});
+
+test('sqlite: usernames are unique regardless of case', async (t) => {
+    quietly(t);
+    const { store } = await openStore(t, { backend: 'sqlite' });
+    await store.saveAccount({ id: 'acc-1', username: 'Captain' });
+    await assert.rejects(store.saveAccount({ id: 'acc-2', username: 'captain' }));
+    assert.strictEqual((await store.loadAccounts()).length, 1);
+});
+
+test('an unknown backend is refused', () => {
+    assert.throws(() => createStorage({ backend: 'mongo', dir: os.tmpdir() }), /Unknown storage backend "mongo"/);
+});
+
+// Files as a pre-storage server left them next to index.js
+function writeLegacyFiles(legacyDir, historyLength) {
+    const gameHistory = Array.from({ length: historyLength }, (_, i) => ({ game: i }));
+    fs.writeFileSync(path.join(legacyDir, 'ai_stats.json'), JSON.stringify({ totalGames: historyLength, gameHistory }));
+    fs.writeFileSync(path.join(legacyDir, 'ml_model.json'), JSON.stringify({ lastUpdated: 7, weights: [] }));
+    fs.writeFileSync(path.join(legacyDir, 'accounts.json'), JSON.stringify({
+        accounts: { 'acc-1': { id: 'acc-1', username: 'captain', rating: 1300 } }
+    }));
+    fs.mkdirSync(path.join(legacyDir, 'replays'));
+    fs.writeFileSync(path.join(legacyDir, 'replays', '100-room.json'), JSON.stringify({
+        gameId: 'room', seed: 1, endedAt: 100, turns: 4, players: [], winnerId: null
+    }));
+}
+
+for (const backend of ['json', 'sqlite']) {
+    test(`${backend}: legacy files are imported once, keeping the most recent history`, async (t) => {
+        quietly(t);
+        const legacyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-legacy-'));
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-storage-'));
+        t.after(() => {
+            fs.rmSync(legacyDir, { recursive: true, force: true });
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+        writeLegacyFiles(legacyDir, 40);
+        const limits = { history: 25 };
+
+        const started = Date.now();
+        const store = createStorage({ backend, dir, legacyDir, limits });
+        await store.open();
+        // The import is queued as a whole: it does not wait for a SQLite batch per record
+        assert.ok(Date.now() - started < 2000, `import took ${Date.now() - started} ms`);
+
+        const expectedHistory = Array.from({ length: 25 }, (_, i) => ({ game: 15 + i }));
+        assert.strictEqual(await store.getSchemaVersion(), SCHEMA_VERSION);
+        assert.deepStrictEqual(await store.loadStats(), { totalGames: 40 });
+        assert.deepStrictEqual(await store.loadHistory(), expectedHistory);
+        assert.deepStrictEqual(await store.loadLatestModel(), { lastUpdated: 7, weights: [] });
+        assert.deepStrictEqual((await store.loadAccounts()).map(a => a.rating), [1300]);
+        assert.deepStrictEqual((await store.listReplays()).map(s => s.id), ['100-room']);
+
+        // A crash before the version was written runs the import again; nothing doubles up
+        await store.setSchemaVersion(0);
+        await store.close();
+        const reopened = createStorage({ backend, dir, legacyDir, limits });
+        await reopened.open();
+        t.after(() => reopened.close());
+        assert.deepStrictEqual(await reopened.loadHistory(), expectedHistory);
+        assert.strictEqual((await reopened.loadAccounts()).length, 1);
+        assert.strictEqual((await reopened.listReplays()).length, 1);
+    });
+}
+
+test('a store written by a newer server is refused', async (t) => {
+    quietly(t);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oceanic-storage-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = createStorage({ dir });
+    await store.open();
+    await store.setSchemaVersion(SCHEMA_VERSION + 1);
+    await store.close();
+
+    const older = createStorage({ dir });
+    await assert.rejects(older.open(), /newer than this server supports/);
+    await older.close();
+});
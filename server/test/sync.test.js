@@ -0,0 +1,63 @@
+// State sync: after the first full state, changes arrive as patches that
+// rebuild exactly the state a fresh full send would give
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextEvent, nextState, countPatches, startOnlineDuel } = require('./helpers');
+
+// The clock runs between versions, so it is compared through turnTimer instead
+function withoutClock({ turnTimeRemaining, ...state }) {
+    return state;
+}
+
+test('patches keep a client in step with the full state', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+    const patchesAtStart = countPatches(alice);
+
+    // Deploy, end the turn, let bob deploy: troops appear and the turn passes
+    const card = aliceState.players[alice.id].hand.find(c => c.cost <= aliceState.players[alice.id].elixir);
+    alice.emit('deployCard', { gameId: 'room1', cardId: card.id });
+    const deployed = await nextState(alice, state => state.troops.length === 1);
+    alice.emit('endTurn', 'room1');
+    const bobsTurn = await nextState(alice, state => state.currentTurn === bob.id);
+    assert.ok(bobsTurn.version > deployed.version);
+    assert.ok(countPatches(alice) > patchesAtStart, 'changes should arrive as patches');
+
+    // Bob's hand is not in alice's patches either
+    assert.strictEqual(bobsTurn.players[bob.id].hand, undefined);
+
+    // What alice built from patches is what a fresh full state says
+    const full = nextEvent(alice, 'gameState');
+    alice.emit('requestFullState', 'room1');
+    assert.deepStrictEqual(withoutClock(await full), withoutClock(bobsTurn));
+});
+
+test('the turn clock ticks on its own, tagged with the state version', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+
+    const tick = await nextEvent(alice, 'turnTimer');
+    assert.strictEqual(tick.gameId, 'room1');
+    assert.strictEqual(tick.version, aliceState.version);
+    assert.strictEqual(tick.currentTurn, alice.id);
+    assert.ok(tick.turnTimeRemaining > 0);
+});
+
+test('a full state goes only to players and spectators of the game', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState } = await startOnlineDuel(server);
+    const outsider = await connect(server.url);
+    t.after(() => [alice, bob, outsider].forEach(socket => socket.close()));
+
+    const full = nextEvent(bob, 'gameState');
+    bob.emit('requestFullState', 'room1');
+    assert.strictEqual((await full).version, aliceState.version);
+
+    outsider.emit('requestFullState', 'room1');
+    await assert.rejects(nextEvent(outsider, 'gameState', () => true, 500), /No matching 'gameState'/);
+});
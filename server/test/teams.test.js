@@ -0,0 +1,120 @@
+// Team mode: seats on teams, no friendly fire, and a team that wins and places together
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createGame,
+    addPlayer,
+    getFreeSlot,
+    setGameMap,
+    setTeams,
+    startGame,
+    applyAction,
+    getCard,
+    CELL_SIZE,
+    MAX_ELIXIR,
+    ERROR_CODES: E
+} = require('../engine');
+const { applyCombatDamage } = require('../engine/combat');
+const { getStanding, shareTeamStandings, getPlace } = require('../ratings');
+
+// Four players on the default map with team mode on: p0 and p2 against p1 and p3
+function teamGame() {
+    const game = createGame('test', { seed: 5 });
+    for (let i = 0; i < 4; i++) {
+        addPlayer(game, `p${i}`, { username: `player${i}`, slot: getFreeSlot(game) });
+    }
+    assert.strictEqual(setTeams(game, { teamMode: true }), null);
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        damage: 10,
+        speed: 3,
+        range: 1,
+        effects: []
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+test('teams need two sides and a route from every seat to an enemy', () => {
+    const game = teamGame();
+    assert.deepStrictEqual(game.seatTeams, [0, 1, 0, 1]);
+    assert.strictEqual(setTeams(game, { seatTeams: [0, 0, 0, 0] }).code, E.INVALID_TEAMS);
+    assert.strictEqual(setTeams(game, { seatTeams: [0, 1] }).code, E.INVALID_TEAMS);
+    assert.strictEqual(setTeams(game, { seatTeams: [0, 0, 1, 1] }), null);
+    assert.strictEqual(setTeams(game, { teamMode: false, seatTeams: [0, 0, 0, 0] }), null);
+
+    startGame(game);
+    assert.strictEqual(setTeams(game, { teamMode: true }).code, E.GAME_ALREADY_STARTED);
+});
+
+test('switching maps puts the seats back on the default teams', () => {
+    const game = teamGame();
+    setTeams(game, { seatTeams: [0, 0, 1, 1] });
+    assert.strictEqual(setGameMap(game, 'open_reef'), null);
+    assert.strictEqual(game.teamMode, true);
+    assert.deepStrictEqual(game.seatTeams, [0, 1, 0, 1]);
+});
+
+test('teammates\' troops do not fight each other, but do fight enemies', () => {
+    const game = teamGame();
+    startGame(game);
+    const own = addTroop(game, 'p0', 10, 10);
+    const teammate = addTroop(game, 'p2', 11, 10);
+    const enemy = addTroop(game, 'p1', 10, 11);
+
+    applyCombatDamage(game);
+    assert.strictEqual(teammate.hp, 100);
+    assert.ok(own.hp < 100);
+    assert.ok(enemy.hp < 100);
+});
+
+test('a teammate\'s base cannot be targeted', () => {
+    const game = teamGame();
+    startGame(game);
+    const player = game.players[game.currentTurn];
+    const mate = Object.values(game.players).find(p => p !== player && p.slot % 2 === player.slot % 2);
+    player.elixir = MAX_ELIXIR;
+    player.hand[0] = getCard('shark');
+
+    const deploy = { type: 'deployCard', playerId: player.id, cardId: 'shark', targetBaseId: mate.id };
+    assert.strictEqual(applyAction(game, deploy).error.code, E.INVALID_TARGET);
+});
+
+test('a team wins together once every other team is out, fallen members included', () => {
+    const game = teamGame();
+    startGame(game);
+    ['p1', 'p2', 'p3'].forEach(id => { game.players[id].eliminated = true; });
+
+    const { events } = applyAction(game, { type: 'endTurn', playerId: game.currentTurn });
+    const gameOver = events.find(e => e.type === 'gameOver');
+    assert.deepStrictEqual(gameOver.winnerIds, ['p0', 'p2']);
+    assert.strictEqual(gameOver.teamMode, true);
+    assert.strictEqual(game.status, 'ended');
+});
+
+test('a team shares the place of its best-placed member', () => {
+    const winners = [{ id: 'p0' }, { id: 'p2' }];
+    const players = [
+        { id: 'p0', team: 0 },
+        { id: 'p1', team: 1, eliminated: true, eliminatedOnTurn: 9 },
+        { id: 'p2', team: 0, eliminated: true, eliminatedOnTurn: 4 },
+        { id: 'p3', team: 1, eliminated: true, eliminatedOnTurn: 12 }
+    ];
+    const entries = shareTeamStandings(players.map(p => ({ standing: getStanding(p, winners, []), team: p.team })));
+    assert.deepStrictEqual(entries.map(e => getPlace(entries, e.standing)), [1, 3, 1, 3]);
+
+    const freeForAll = shareTeamStandings(players.map(p => ({ standing: getStanding(p, [winners[0]], []), team: null })));
+    assert.deepStrictEqual(freeForAll.map(e => getPlace(freeForAll, e.standing)), [1, 3, 4, 2]);
+});
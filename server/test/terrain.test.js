@@ -0,0 +1,123 @@
+// Terrain features: kelp slows, deep water keeps defences out, currents push
+// and healing reefs mend, all laid out in a map's features layer
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    createGame,
+    addPlayer,
+    startGame,
+    applyAction,
+    getCard,
+    getMap,
+    validateMap,
+    CELL_SIZE,
+    KELP_MOVE_COST,
+    REEF_HEAL,
+    MAX_ELIXIR,
+    ERROR_CODES: E
+} = require('../engine');
+const { getMoveCosts, findPath, getPathCost, BLOCKED } = require('../engine/pathfinding');
+const { applyTerrainEffects } = require('../engine/terrain');
+
+// The Strait has every feature: kelp beds on rows 9-11 and 20-22, currents on
+// rows 13 ('<') and 18 ('>'), deep water and a reef in each territory
+function startStrait() {
+    const game = createGame('test', { seed: 3, mapId: 'the_strait' });
+    addPlayer(game, 'a', { username: 'alice', slot: 0 });
+    addPlayer(game, 'b', { username: 'bob', slot: 1 });
+    startGame(game);
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY, fields = {}) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        speed: 3,
+        range: 1,
+        effects: [],
+        ...fields
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+test('the features layer must fit the map and keep bases out of water that moves them', () => {
+    const map = getMap('the_strait');
+    const broken = features => validateMap({ ...structuredClone(map), features }).join();
+    const withCell = (x, y, feature) => map.features.map((row, i) => (i === y ? row.slice(0, x) + feature + row.slice(x + 1) : row));
+    const { gridX, gridY } = map.spawns[0];
+    const trench = map.tiles.findIndex(row => row.includes('#'));
+
+    assert.match(broken(map.features.slice(1)), /features: expected 32 rows/);
+    assert.match(broken(withCell(map.tiles[trench].indexOf('#'), trench, 'k')), /"k" on a trench tile/);
+    assert.match(broken(withCell(gridX, gridY, 'd')), /spawns\[0\]: a base can't stand in deep water or a current/);
+});
+
+test('kelp costs extra moves, and the cheapest path goes round it', () => {
+    const game = startStrait();
+    const costs = getMoveCosts(game, 'offense');
+    assert.strictEqual(costs[10 * 32 + 12], KELP_MOVE_COST);
+    assert.strictEqual(getMoveCosts(game, 'defense')[15 * 32 + 7], BLOCKED, 'deep water');
+    assert.strictEqual(costs[15 * 32 + 7], 1);
+
+    const path = findPath(game, 'offense', 10, 10, 21, 10);
+    assert.strictEqual(getPathCost(game, 'offense', path), 15);
+    assert.ok(path.every(({ x, y }) => costs[y * 32 + x] === 1));
+});
+
+test('a manual move through kelp must fit in the troop\'s moves; one step always does', () => {
+    const game = startStrait();
+    game.movementMode = 'manual';
+    const troop = addTroop(game, 'a', 11, 12);
+    const move = (gridX, gridY) => applyAction(game, { type: 'moveTroop', playerId: 'a', troopId: troop.id, targetGridX: gridX, targetGridY: gridY });
+
+    assert.strictEqual(move(11, 10).error.code, E.OUT_OF_RANGE);
+    assert.strictEqual(move(11, 11).error, null);
+    assert.deepStrictEqual([troop.gridX, troop.gridY], [11, 11]);
+});
+
+test('defensive units cannot be placed in deep water', () => {
+    const game = startStrait();
+    const alice = game.players.a;
+    alice.elixir = MAX_ELIXIR;
+    alice.hand[0] = getCard('crab');
+    const { error } = applyAction(game, { type: 'deployCard', playerId: 'a', cardId: 'crab', gridX: 7, gridY: 15 });
+    assert.strictEqual(error.code, E.INVALID_POSITION);
+    assert.match(error.message, /deep water/);
+});
+
+test('currents carry the ending player\'s troops one cell, but not walls', () => {
+    const game = startStrait();
+    const swept = addTroop(game, 'a', 12, 13);
+    const wall = addTroop(game, 'a', 13, 13, { type: 'defense', isWall: true, speed: 0 });
+    const waiting = addTroop(game, 'b', 14, 13);
+
+    const [{ events }] = applyTerrainEffects(game);
+    assert.deepStrictEqual([swept.gridX, swept.gridY], [11, 13]);
+    assert.strictEqual(swept.x, 11 * CELL_SIZE + CELL_SIZE / 2);
+    assert.deepStrictEqual([wall.gridX, waiting.gridX], [13, 14]);
+    assert.deepStrictEqual(events.map(e => [e.effect, e.targetId]), [['current', swept.id]]);
+});
+
+test('a healing reef mends its own side\'s troops, never past their max HP', () => {
+    const game = startStrait();
+    const wounded = addTroop(game, 'a', 12, 4, { hp: 30 });
+    const nearlyFull = addTroop(game, 'a', 20, 4, { hp: 90 });
+    applyTerrainEffects(game);
+    assert.strictEqual(wounded.hp, 30 + REEF_HEAL);
+    assert.strictEqual(nearlyFull.hp, 100);
+
+    // Alice's reef does nothing for bob
+    game.currentTurn = 'b';
+    const intruder = addTroop(game, 'b', 12, 4, { hp: 30 });
+    applyTerrainEffects(game);
+    assert.strictEqual(intruder.hp, 30);
+});
@@ -0,0 +1,53 @@
+// Every recipient gets their own view of the state: their own cards only,
+// and nothing that predicts the draws to come
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, connect, nextState, joinRoom, startOnlineDuel } = require('./helpers');
+
+test('players see their own hand and only the size of the others', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const { alice, bob, aliceState, bobState } = await startOnlineDuel(server);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+
+    for (const [socket, view] of [[alice, aliceState], [bob, bobState]]) {
+        Object.values(view.players).forEach(player => {
+            assert.strictEqual(player.handSize, 4);
+            if (player.id === socket.id) {
+                assert.strictEqual(player.hand.length, 4);
+                assert.ok(player.nextCard);
+            } else {
+                assert.strictEqual(player.hand, undefined);
+                assert.strictEqual(player.nextCard, undefined);
+            }
+        });
+        ['seed', 'rngState', 'disconnectedPlayers', 'mlAIInsights', 'resetTimeoutId'].forEach(key => {
+            assert.strictEqual(view[key], undefined, `${key} should not be sent`);
+        });
+    }
+});
+
+test('only the room leader sees the seed before the match, everyone after it', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const leader = await connect(server.url);
+    const guest = await connect(server.url);
+    t.after(() => [leader, guest].forEach(socket => socket.close()));
+
+    await joinRoom(leader, 'room3', 'leader');
+    await joinRoom(guest, 'room3', 'guest');
+    const leaderView = nextState(leader, state => state.seed === 4242);
+    const guestView = nextState(guest, state => state.status === 'waiting');
+    leader.emit('updateRoomSettings', { gameId: 'room3', settings: { seed: 4242 } });
+    await leaderView;
+    assert.strictEqual((await guestView).seed, undefined);
+
+    // Once the match is over the seed is public, so the game can be replayed
+    const started = nextState(guest, state => state.status === 'playing');
+    leader.emit('forceStart', 'room3');
+    assert.strictEqual((await started).seed, undefined);
+
+    const ended = nextState(guest, state => state.status === 'ended');
+    leader.close();
+    assert.strictEqual((await ended).seed, 4242);
+});
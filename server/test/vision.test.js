@@ -0,0 +1,132 @@
+// Fog of war: what each side, and each spectator, is shown of the board
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getVisionGrid,
+    getSpectatorVisionGrid,
+    isCellVisible,
+    getVisibleTroops,
+    getFoggedState,
+    getVisibleCombatEvents,
+    CELL_SIZE
+} = require('../engine');
+const { startDuel, startServer, connect, nextState, joinRoom } = require('./helpers');
+
+// Alice's base is at (20, 4) and bob's at (20, 36) on the default map
+function foggedDuel() {
+    const game = startDuel({ seed: 7 });
+    game.fogOfWar = true;
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY, fields = {}) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        range: 1,
+        path: [{ x: gridX, y: gridY + 1 }],
+        lockedTargetBaseId: ownerId === 'a' ? 'b' : 'a',
+        ...fields
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+test('without fog nothing is hidden', () => {
+    const game = startDuel({ seed: 7 });
+    addTroop(game, 'b', 20, 30);
+    assert.strictEqual(getVisionGrid(game, 'a'), null);
+    assert.strictEqual(getSpectatorVisionGrid(game), null);
+    assert.strictEqual(getVisibleTroops(game, 'a').length, 1);
+});
+
+test('a player sees around their own base and troops, and enemies only there', () => {
+    const game = foggedDuel();
+    const scout = addTroop(game, 'a', 30, 30);
+    const nearBase = addTroop(game, 'b', 20, 9);
+    const nearScout = addTroop(game, 'b', 30, 33);
+    const hidden = addTroop(game, 'b', 10, 20);
+
+    const vision = getVisionGrid(game, 'a');
+    assert.ok(isCellVisible(vision, 20, 4 + 7));
+    assert.ok(!isCellVisible(vision, 20, 4 + 8));
+    assert.ok(isCellVisible(vision, 34, 30));
+    assert.ok(!isCellVisible(vision, 35, 30));
+    assert.deepStrictEqual(getVisibleTroops(game, 'a', vision), [scout, nearBase, nearScout]);
+    assert.ok(!getVisibleTroops(game, 'a').includes(hidden));
+});
+
+test('a fogged view keeps enemies\' plans, moves and card usage to themselves', () => {
+    const game = foggedDuel();
+    const own = addTroop(game, 'a', 20, 6);
+    const enemy = addTroop(game, 'b', 20, 8);
+    addTroop(game, 'b', 10, 20);
+    game.movedTroops = new Set([own.id, enemy.id]);
+    game.cardUsage = { a: { shark: 1 }, b: { crab: 2 } };
+
+    const seen = getFoggedState(game, 'a', getVisionGrid(game, 'a'));
+    assert.deepStrictEqual(seen.troops.map(t => t.id), [own.id, enemy.id]);
+    assert.deepStrictEqual(seen.troops[0], own);
+    assert.ok(!('path' in seen.troops[1]) && !('lockedTargetBaseId' in seen.troops[1]));
+    assert.strictEqual(enemy.path.length, 1, 'the game itself keeps the path');
+    assert.deepStrictEqual(seen.movedTroops, [own.id]);
+    assert.deepStrictEqual(seen.cardUsage, { a: { shark: 1 } });
+
+    const watched = getFoggedState(game, null, getSpectatorVisionGrid(game));
+    assert.deepStrictEqual(watched, { troops: [], movedTroops: [], cardUsage: {} });
+});
+
+test('spectators see no troops until the match is over', () => {
+    const game = foggedDuel();
+    const grid = getSpectatorVisionGrid(game);
+    assert.ok(grid.every(row => !row.includes('1')));
+    game.status = 'ended';
+    assert.strictEqual(getSpectatorVisionGrid(game), null);
+});
+
+test('a shot is shown when either end of it is in sight', () => {
+    const game = foggedDuel();
+    const at = (gridX, gridY) => [gridX * CELL_SIZE, gridY * CELL_SIZE];
+    const [nearX, nearY] = at(20, 6);
+    const [farX, farY] = at(10, 20);
+    const events = [
+        { type: 'projectile', fromX: farX, fromY: farY, toX: nearX, toY: nearY },
+        { type: 'projectile', fromX: farX, fromY: farY, toX: farX, toY: farY },
+        { type: 'spell', playerId: 'a', x: farX, y: farY },
+        { type: 'spell', playerId: 'b', x: farX, y: farY },
+        { type: 'damage', x: nearX, y: nearY }
+    ];
+    assert.deepStrictEqual(getVisibleCombatEvents(game, 'a', events), [events[0], events[2], events[4]]);
+});
+
+test('the server sends an enemy deploy out of sight to nobody', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const alice = await connect(server.url);
+    const bob = await connect(server.url);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+    await joinRoom(alice, 'room1', 'alice');
+    await joinRoom(bob, 'room1', 'bob');
+
+    const fog = { gameId: 'room1', settings: { fogOfWar: true } };
+    assert.deepStrictEqual(await alice.timeout(5000).emitWithAck('updateRoomSettings', fog), { ok: true });
+    const playing = nextState(alice, state => state.status === 'playing');
+    alice.emit('forceStart', 'room1');
+    const started = await playing;
+    assert.ok(started.vision);
+
+    const card = started.players[alice.id].hand.find(c => c.type === 'offense' && c.cost <= started.players[alice.id].elixir);
+    alice.emit('deployCard', { gameId: 'room1', cardId: card.id });
+    await nextState(alice, state => state.troops.length === 1);
+    alice.emit('endTurn', 'room1');
+    const bobsTurn = await nextState(bob, state => state.currentTurn === bob.id);
+    assert.deepStrictEqual(bobsTurn.troops, []);
+    assert.strictEqual(bobsTurn.cardUsage[alice.id], undefined);
+});
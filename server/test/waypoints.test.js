@@ -0,0 +1,167 @@
+// Standing orders in manual movement: a queue of waypoints, optionally ending
+// in a hold, guard or retreat, carried out at the end of the owner's turns
+const test = require('node:test');
+const assert = require('node:assert');
+const { applyAction, cloneState, CELL_SIZE, ERROR_CODES: E } = require('../engine');
+const { MAX_TROOP_ORDERS } = require('../engine/waypoints');
+const { startDuel, startServer, connect, nextState, joinRoom } = require('./helpers');
+
+// A started duel in manual movement, alice ('a') at the top base (20,4)
+function startManualDuel() {
+    const game = startDuel({ seed: 7 });
+    game.movementMode = 'manual';
+    return game;
+}
+
+function addTroop(game, ownerId, gridX, gridY, fields = {}) {
+    const troop = {
+        id: `troop-${game.troops.length}`,
+        ownerId,
+        type: 'offense',
+        gridX,
+        gridY,
+        x: gridX * CELL_SIZE + CELL_SIZE / 2,
+        y: gridY * CELL_SIZE + CELL_SIZE / 2,
+        hp: 100,
+        maxHp: 100,
+        damage: 0,
+        speed: 3,
+        range: 1,
+        effects: [],
+        path: [],
+        orders: [],
+        ...fields
+    };
+    game.troops.push(troop);
+    return troop;
+}
+
+function setOrders(game, troop, orders, fields = {}) {
+    return applyAction(game, { type: 'setTroopOrders', playerId: troop.ownerId, troopId: troop.id, orders, ...fields });
+}
+
+// Ends turns until alice's has ended `count` more times
+function endAliceTurns(game, count) {
+    for (let ended = 0; ended < count;) {
+        const playerId = game.currentTurn;
+        assert.strictEqual(applyAction(game, { type: 'endTurn', playerId }).error, null);
+        if (playerId === 'a') ended++;
+    }
+}
+
+const at = troop => [troop.gridX, troop.gridY];
+
+test('orders are checked before a troop takes them, and a refusal changes nothing', () => {
+    const game = startManualDuel();
+    const troop = addTroop(game, 'a', 18, 8);
+    const wall = addTroop(game, 'a', 19, 8, { type: 'defense', isWall: true, speed: 0 });
+    const refusal = (target, orders, playerId = target.ownerId) => {
+        const before = cloneState(game);
+        const { error } = applyAction(game, { type: 'setTroopOrders', playerId, troopId: target.id, orders });
+        assert.deepStrictEqual(cloneState(game), before);
+        return error;
+    };
+
+    assert.match(refusal(troop, [{ type: 'charge' }]).message, /Orders are waypoint, hold, guard, retreat/);
+    assert.match(refusal(troop, [{ type: 'waypoint', gridX: 40, gridY: 8 }]).message, /outside the map/);
+    assert.match(refusal(troop, [{ type: 'waypoint', gridX: 3, gridY: 4 }]).message, /cannot stand/, 'a trench cell');
+    assert.match(refusal(troop, [{ type: 'guard', bridge: 'nowhere' }]).message, /no such bridge/);
+    assert.match(refusal(troop, [{ type: 'hold' }, { type: 'waypoint', gridX: 18, gridY: 9 }]).message, /must come last/);
+    const tooMany = Array.from({ length: MAX_TROOP_ORDERS + 1 }, (_, i) => ({ type: 'waypoint', gridX: 18, gridY: 5 + i }));
+    assert.strictEqual(refusal(troop, tooMany).code, E.INVALID_ORDERS);
+
+    assert.strictEqual(refusal(troop, [{ type: 'hold' }], 'b').code, E.NOT_YOUR_TROOP);
+    assert.strictEqual(refusal(wall, [{ type: 'hold' }]).code, E.TROOP_IMMOBILE);
+    game.movementMode = 'automatic';
+    assert.strictEqual(refusal(troop, [{ type: 'hold' }]).code, E.MOVEMENT_DISABLED);
+});
+
+test('a troop walks its waypoints over the owner\'s turns, then holds', () => {
+    const game = startManualDuel();
+    const troop = addTroop(game, 'a', 18, 8);
+    const { events, error } = setOrders(game, troop, [
+        { type: 'waypoint', gridX: 18, gridY: 11 },
+        { type: 'waypoint', gridX: 21, gridY: 12, label: 'dropped' },
+        { type: 'hold' }
+    ]);
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(events[0].orders[1], { type: 'waypoint', gridX: 21, gridY: 12 });
+
+    endAliceTurns(game, 1);
+    assert.deepStrictEqual(at(troop), [18, 11]);
+    endAliceTurns(game, 2);
+    assert.deepStrictEqual(at(troop), [21, 12]);
+    assert.deepStrictEqual(troop.orders, [{ type: 'hold' }]);
+    endAliceTurns(game, 3);
+    assert.deepStrictEqual(at(troop), [21, 12], 'holding');
+});
+
+test('guard walks to the bridge and retreat back to base, and both stay there', () => {
+    const game = startManualDuel();
+    const bridge = game.terrain.bridges[0];
+    const guard = addTroop(game, 'a', 18, 8);
+    const retreat = addTroop(game, 'a', 22, 8);
+    setOrders(game, guard, [{ type: 'guard', bridge: bridge.name }]);
+    setOrders(game, retreat, [{ type: 'retreat' }]);
+
+    endAliceTurns(game, 12);
+    assert.deepStrictEqual(at(guard), [bridge.x, bridge.y]);
+    assert.deepStrictEqual(at(retreat), [20, 4]);
+    assert.deepStrictEqual(guard.orders, [{ type: 'guard', bridge: bridge.name }]);
+});
+
+test('appended orders take the place of a standing order at the end; an empty list clears them', () => {
+    const game = startManualDuel();
+    const troop = addTroop(game, 'a', 18, 8);
+    setOrders(game, troop, [{ type: 'waypoint', gridX: 18, gridY: 12 }, { type: 'hold' }]);
+    setOrders(game, troop, [{ type: 'waypoint', gridX: 22, gridY: 12 }, { type: 'retreat' }], { append: true });
+    assert.deepStrictEqual(troop.orders.map(order => order.type), ['waypoint', 'waypoint', 'retreat']);
+
+    setOrders(game, troop, [{ type: 'hold' }]);
+    assert.deepStrictEqual(troop.orders, [{ type: 'hold' }]);
+    assert.strictEqual(setOrders(game, troop, []).error, null);
+    assert.deepStrictEqual(troop.orders, []);
+});
+
+test('a troop moved by hand skips its orders that turn and keeps them for the next', () => {
+    const game = startManualDuel();
+    const troop = addTroop(game, 'a', 18, 8);
+    setOrders(game, troop, [{ type: 'waypoint', gridX: 18, gridY: 11 }]);
+
+    assert.strictEqual(applyAction(game, { type: 'moveTroop', playerId: 'a', troopId: troop.id, targetGridX: 17, targetGridY: 8 }).error, null);
+    endAliceTurns(game, 1);
+    assert.deepStrictEqual(at(troop), [17, 8]);
+    assert.strictEqual(troop.orders.length, 1);
+
+    endAliceTurns(game, 2);
+    assert.deepStrictEqual(at(troop), [18, 11]);
+});
+
+test('only the owner\'s side is sent a troop\'s orders', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+    const alice = await connect(server.url);
+    const bob = await connect(server.url);
+    t.after(() => [alice, bob].forEach(socket => socket.close()));
+    await joinRoom(alice, 'room1', 'alice');
+    await joinRoom(bob, 'room1', 'bob');
+
+    const manual = { gameId: 'room1', settings: { movementMode: 'manual' } };
+    assert.deepStrictEqual(await alice.timeout(5000).emitWithAck('updateRoomSettings', manual), { ok: true });
+    const playing = nextState(alice, state => state.status === 'playing');
+    alice.emit('forceStart', 'room1');
+    const started = await playing;
+
+    const card = started.players[alice.id].hand.find(c => c.type === 'offense' && c.cost <= started.players[alice.id].elixir);
+    alice.emit('deployCard', { gameId: 'room1', cardId: card.id });
+    const [troop] = (await nextState(alice, state => state.troops.length === 1)).troops;
+
+    const orders = [{ type: 'retreat' }];
+    const aliceSees = nextState(alice, state => state.troops[0].orders.length === 1);
+    alice.emit('setTroopOrders', { gameId: 'room1', troopId: troop.id, orders });
+    assert.deepStrictEqual((await aliceSees).troops[0].orders, orders);
+
+    const bobsTurn = nextState(bob, state => state.currentTurn === bob.id);
+    alice.emit('endTurn', 'room1');
+    assert.deepStrictEqual((await bobsTurn).troops[0].orders, []);
+});